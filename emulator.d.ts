@@ -0,0 +1,24 @@
+// The in-process issue-1-REST emulator, kept out of the client's entry point.
+
+import type {EntityType, Transport, TransportResponse} from './index';
+
+export interface EmulatorRequest {
+    method: string;
+    path: string;
+    query?: Record<string, any>;
+    headers?: Record<string, string>;
+    data?: any;
+    form?: {[name: string]: string | {filename: string, size: number}};
+}
+
+export interface Emulator {
+    state: {[K in EntityType | 'feeds']: any};
+    reset(): void;
+    handle(request: EmulatorRequest): Promise<TransportResponse>;
+    transport: Transport;
+    issueToken(username: string): string;
+}
+
+export const DEFAULT_FIXTURES: {[K in EntityType | 'feeds']?: any[]};
+
+export function NewEmulator(config?: {fixtures?: object, tokenLifetime?: number, basePath?: string}): Emulator;
@@ -0,0 +1 @@
+export * from './lib/emulator'
\ No newline at end of file
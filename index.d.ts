@@ -0,0 +1,1204 @@
+// Type definitions for issue-1-client-js
+// Kept in step with lib/ by the 'declarations' tests in test/test.js and the type tests in test/types.ts.
+
+// ---- entities
+
+/**
+ * Timestamps are ISO strings as sent by the server, Dates when the connection decodes responses.
+ */
+export type Timestamp = string | Date;
+
+/**
+ * A reference that couldn't be resolved by an include, listed under `includeErrors`.
+ */
+export interface IncludeError {
+    include: string;
+    key?: string | number;
+    error: Issue1FailError;
+}
+
+export interface Included {
+    includeErrors?: IncludeError[];
+}
+
+/**
+ * Represents standard user entity of issue#1.
+ */
+export interface User extends Included {
+    username: string;
+    email?: string;
+    password?: string;
+    firstName?: string;
+    middleName?: string;
+    lastName?: string;
+    creationTime: Timestamp;
+    bio?: string;
+    pictureURL?: string;
+}
+
+/**
+ * Represents a singular stream of posts that a user can subscribe to under
+ * administration by certain users.
+ */
+export interface Channel extends Included {
+    channelUsername: string;
+    name: string;
+    description?: string;
+    ownerUsername?: string;
+    adminUsernames?: string[];
+    postIDs?: number[];
+    stickiedPostIDs?: number[];
+    releaseIDs?: number[];
+    officialReleaseIDs?: number[];
+    creationTime: Timestamp;
+    pictureURL?: string;
+    // includes
+    owner?: User;
+    admins?: User[];
+    posts?: Post[];
+    stickiedPosts?: Post[];
+    releases?: Release[];
+    officialReleases?: Release[];
+}
+
+/**
+ * An aggregate entity of Releases along with socially interactive components.
+ */
+export interface Post extends Included {
+    id: number;
+    postedByUsername?: string;
+    originChannel: string;
+    title: string;
+    description?: string;
+    contentsID?: number[];
+    stars?: {[username: string]: number};
+    commentsID?: number[];
+    creationTime: Timestamp;
+    // includes
+    author?: User;
+    channel?: Channel;
+    releases?: Release[];
+    comments?: Comment[];
+}
+
+export type ReleaseType = 'image' | 'text';
+
+/**
+ * Represents an atomic work of creativity.
+ */
+export interface Release extends Included {
+    id: number;
+    ownerChannel: string;
+    type: ReleaseType;
+    content: string;
+    metadata?: Metadata;
+    creationTime: Timestamp;
+    // includes
+    channel?: Channel;
+}
+
+export interface Metadata {
+    title?: string;
+    releaseDate?: Timestamp;
+    genreDefining?: string;
+    description?: string;
+    other?: ExtraMetadata;
+}
+
+export interface ExtraMetadata {
+    authors?: string[];
+    genres?: string[];
+}
+
+/**
+ * Represents standard comments users can attach to a post or another comment.
+ */
+export interface Comment extends Included {
+    id: number;
+    commenter: string;
+    originPost: number;
+    content: string;
+    /** id of another comment, or -1 for a comment on the post */
+    replyTo?: number;
+    creationTime?: Timestamp;
+    // includes
+    author?: User;
+    post?: Post;
+    replies?: Comment[];
+}
+
+export type FeedSorting = 'hot' | 'new' | 'top';
+
+export interface Feed {
+    id: number;
+    ownerUsername: string;
+    defaultSorting: FeedSorting;
+}
+
+export interface SearchResults {
+    posts: Post[];
+    releases: Release[];
+    comments: Comment[];
+    channels: Channel[];
+    users: User[];
+}
+
+/**
+ * A bookmark, as listed by {@link getUserBookmarks} with decoding enabled.
+ */
+export interface Bookmark {
+    bookmarkedAt: Date;
+    post: Post;
+}
+
+/**
+ * Bookmark time to post map, or a list of {@link Bookmark}s, latest first, with decoding enabled.
+ */
+export type Bookmarks = {[bookmarkedTime: string]: Post} | Bookmark[];
+
+export type Subscription = Channel & {subscriptionTime?: Timestamp};
+
+export interface Star {
+    username: string;
+    stars: number;
+}
+
+/**
+ * What to send when creating an entity: the required fields, any of the others.
+ */
+export type NewUser = Partial<User> & Pick<User, 'username'>;
+export type NewChannel = Partial<Channel> & Pick<Channel, 'channelUsername' | 'name'>;
+export type NewPost = Partial<Post> & Pick<Post, 'originChannel' | 'title'>;
+export type NewRelease = Partial<Omit<Release, 'type'>> & Pick<Release, 'ownerChannel'>;
+export type NewComment = Partial<Comment> & Pick<Comment, 'content'>;
+
+// ---- responses
+
+export interface JSend<T = any> {
+    status: string;
+    data?: T;
+    message?: string;
+}
+
+export interface JSendFailData {
+    errorReason: string;
+    errorMessage: string;
+}
+
+export interface JSendFail extends JSend<JSendFailData> {
+    data: JSendFailData;
+}
+
+// ---- options
+
+export type SortingOrder = 'asc' | 'dsc';
+
+export type UserSortParameter = 'creation_time' | 'username' | 'first-name' | 'last-name';
+export type ChannelSortParameter = 'creation_time' | 'channelUsername' | 'name';
+export type PostSortParameter = 'creation_time' | 'channel_from' | 'posted_by' | 'title';
+export type ReleaseSortParameter = 'creation_time' | 'channel' | 'type';
+export type CommentSortParameter = 'creation_time';
+export type FeedSubscriptionSortParameter = 'username' | 'name' | 'sub-time';
+export type SearchSortParameter = 'creation_time' | 'rank';
+
+export type Priority = 'interactive' | 'normal' | 'background' | number;
+
+export interface RequestOptions {
+    /** aborts the request when signalled */
+    signal?: AbortSignal;
+    /** place in the client's request queue, see {@link PRIORITIES} */
+    priority?: Priority;
+}
+
+export interface ReadOptions extends RequestOptions {
+    /** false to not share the request with identical ones in flight */
+    dedupe?: boolean;
+}
+
+export interface ListOptions<S extends string> extends ReadOptions {
+    limit?: number;
+    offset?: number;
+    sortingOrder?: SortingOrder;
+    sortParameter?: S;
+}
+
+/**
+ * A relationship name, or a dot separated path of them such as 'channel.owner'.
+ */
+export type IncludePath<R extends string> = R | `${R}.${string}`;
+
+export type PostInclude = IncludePath<'author' | 'channel' | 'releases' | 'comments'>;
+export type ChannelInclude = IncludePath<'owner' | 'admins' | 'posts' | 'stickiedPosts' | 'releases' | 'officialReleases'>;
+export type CommentInclude = IncludePath<'author' | 'post' | 'replies'>;
+export type ReleaseInclude = IncludePath<'channel'>;
+
+export interface IncludeOptions<I extends string> {
+    include?: I[];
+    /** how many levels deep the includes may go, {@link DEFAULT_INCLUDE_DEPTH} by default */
+    includeDepth?: number;
+}
+
+export interface FeedPostsOptions extends ReadOptions, IncludeOptions<PostInclude> {
+    limit?: number;
+    offset?: number;
+    sorting?: FeedSorting | '';
+    onlyIds?: boolean;
+}
+
+export interface ChannelListOptions<S extends string> extends ReadOptions {
+    limit?: number;
+    offset?: number;
+    sorting?: S | '';
+    onlyIds?: boolean;
+}
+
+/**
+ * Image to upload: a Buffer, Blob or File, a readable stream in node, or a FormData
+ * holding it under 'image' in browsers.
+ */
+export type ImageInput = Uint8Array | Blob | FormData | ReadableLike;
+
+export interface ReadableLike {
+    on(event: string, listener: (...args: any[]) => void): unknown;
+    pipe<T>(destination: T, options?: {end?: boolean}): T;
+}
+
+// ---- errors
+
+export interface ErrorField {
+    field: string;
+    message: string;
+}
+
+export interface RequestSummary {
+    url: string;
+    method: string;
+}
+
+export interface ErrorDetails {
+    cause?: Error;
+    request?: RequestSummary;
+}
+
+export class Issue1Error extends Error {
+    constructor(message: string, details?: ErrorDetails);
+    cause?: Error;
+    request?: RequestSummary;
+}
+
+export class Issue1FailError extends Issue1Error {
+    constructor(jSend: JSendFail, status: number, details?: ErrorDetails & {headers?: Record<string, string>});
+    status: number;
+    headers?: Record<string, string>;
+    errorReason: string;
+    errorMessage: string;
+    data: JSendFailData;
+    jSend: JSendFail;
+}
+
+export class Issue1HttpError extends Issue1Error {
+    constructor(message: string, response: {status: number, statusText: string, headers: Record<string, string>, data: any},
+                details?: ErrorDetails);
+    status: number;
+    statusText: string;
+    headers: Record<string, string>;
+    data: any;
+}
+
+export class Issue1NetworkError extends Issue1Error {
+    constructor(message: string, details?: ErrorDetails & {code?: string});
+    code?: string;
+}
+
+export class Issue1TimeoutError extends Issue1NetworkError {
+    constructor(message: string, details?: ErrorDetails & {code?: string, timeout?: number});
+    timeout?: number;
+}
+
+export class Issue1ValidationError extends Issue1Error {
+    constructor(message: string, errors?: ErrorField[], details?: ErrorDetails);
+    errors: ErrorField[];
+}
+
+export class Issue1AbortError extends Issue1Error {
+    constructor(details?: ErrorDetails);
+}
+
+export class Issue1DecodeError extends Issue1Error {
+    constructor(message: string, errors?: ErrorField[], details?: ErrorDetails & {data?: any});
+    errors: ErrorField[];
+    data: any;
+}
+
+export function isIssue1Error(error: unknown): error is Issue1Error;
+export function isAborted(error: unknown): error is Issue1AbortError;
+export function isUnauthorized(error: unknown): error is Issue1FailError | Issue1HttpError;
+export function isForbidden(error: unknown): error is Issue1FailError | Issue1HttpError;
+export function isNotFound(error: unknown): error is Issue1FailError | Issue1HttpError;
+
+// ---- connection, transports and middleware
+
+export interface RequestDescriptor {
+    method: string;
+    url: string;
+    baseURL: string;
+    path: string;
+    headers: Record<string, string>;
+    params?: Record<string, any>;
+    data?: any;
+    responseType?: string;
+    transformRequest?: Array<(data: any, headers: any) => any>;
+    signal?: AbortSignal;
+    dedupe?: boolean;
+    priority?: Priority;
+}
+
+export interface TransportResponse {
+    status: number;
+    statusText: string;
+    /** lower cased header names */
+    headers: Record<string, string>;
+    data: any;
+}
+
+export type Transport = (request: RequestDescriptor) => Promise<TransportResponse>;
+
+export type Middleware = (request: RequestDescriptor, next: (request?: RequestDescriptor) => Promise<JSend>) => Promise<JSend | any>;
+
+export interface RetryPolicy {
+    maxAttempts: number;
+    baseDelay: number;
+    maxDelay: number;
+    jitter: number;
+    retryStatusCodes: number[];
+    retryNetworkCodes: string[];
+    methods: string[];
+    onRetry?: (retry: {attempt: number, delay: number, error: Issue1Error, request: RequestSummary}) => void;
+}
+
+export interface Connection {
+    baseURL: string;
+    retry?: RetryPolicy;
+    transport: Transport;
+    cache?: Cache;
+    queue?: RequestQueue;
+    middleware: Middleware[];
+    validate: boolean;
+    decode: boolean;
+    maxUploadSize?: number;
+    use(middleware: Middleware): Connection;
+    toString(): string;
+}
+
+/**
+ * Where service functions send their requests: a url to the issue-1-REST server or a {@link Connection} to it.
+ */
+export type BaseURL = string | Connection;
+
+export interface ConnectionConfig {
+    transport?: 'axios' | 'fetch' | Transport;
+    fetch?: (input: any, init?: any) => Promise<any>;
+    retry?: Partial<RetryPolicy> | boolean;
+    queue?: RequestQueueConfig | RequestQueue;
+    dedupe?: boolean;
+    validate?: boolean;
+    decode?: boolean;
+    cache?: CacheConfig | boolean | Cache;
+    timeout?: number;
+    headers?: Record<string, string>;
+    userAgent?: string;
+    httpAgent?: object;
+    httpsAgent?: object;
+    proxy?: {host: string, port: number, auth?: {username: string, password: string}} | boolean;
+    maxContentLength?: number;
+    maxUploadSize?: number;
+    responseType?: string;
+}
+
+export function NewConnection(baseURL: string, config?: ConnectionConfig): Connection;
+export function resolveConnection(baseURL: BaseURL): Connection;
+
+export const DEFAULT_RETRY_POLICY: Readonly<RetryPolicy>;
+
+export function loggingMiddleware(config?: {
+    logger?: {info: (...args: any[]) => void, error: (...args: any[]) => void},
+    redact?: string[],
+}): Middleware;
+export function headersMiddleware(headers: Record<string, string> | ((request: RequestDescriptor) => Record<string, string>)): Middleware;
+
+export function NewAxiosTransport(instance?: (config: object) => Promise<any>): Transport;
+export function NewFetchTransport(config?: {
+    fetch?: (input: any, init?: any) => Promise<any>,
+    timeout?: number,
+    headers?: Record<string, string>,
+    responseType?: 'json' | 'text' | 'arraybuffer' | 'blob' | 'stream',
+    maxContentLength?: number,
+}): Transport;
+
+export interface MultipartPart {
+    name: string;
+    value: string | Uint8Array | Blob | ReadableLike;
+    filename?: string;
+    contentType?: string;
+    knownLength?: number;
+}
+
+export interface MultipartBody {
+    parts: MultipartPart[];
+    append(name: string, value: MultipartPart['value'],
+           options?: {filename?: string, contentType?: string, knownLength?: number}): MultipartBody;
+}
+
+export function NewMultipartBody(): MultipartBody;
+export function isMultipartBody(data: unknown): data is MultipartBody;
+export function isStreamingBody(data: unknown): data is MultipartBody;
+export function checkUploadSize(body: MultipartBody, maxUploadSize?: number): MultipartBody;
+export function toFormData(body: MultipartBody): FormData;
+export function toNodeFormData(body: MultipartBody): {data: Uint8Array | ReadableLike, headers: Record<string, string>};
+
+// ---- session
+
+export interface Session {
+    baseURL: BaseURL;
+    username?: string;
+    password?: string;
+    authToken?: string;
+    /** milliseconds since epoch, undefined if unknown */
+    expiresAt?: number;
+    login(username?: string, password?: string, options?: RequestOptions): Promise<string>;
+    refresh(options?: RequestOptions): Promise<string>;
+    logout(options?: RequestOptions): Promise<JSend | undefined>;
+    clear(): void;
+    getAuthToken(): Promise<string | undefined>;
+    withAuthToken<T>(authToken: string | undefined, call: (authToken: string) => Promise<T>): Promise<T>;
+}
+
+export function NewSession(baseURL: BaseURL, config?: {
+    username?: string,
+    password?: string,
+    authToken?: string,
+    refreshMargin?: number,
+}): Session;
+export function decodeTokenExpiry(authToken: string | undefined): number | undefined;
+
+// ---- cache, queue and store
+
+export interface CacheEntry {
+    path: string;
+    response: TransportResponse;
+    etag?: string;
+    expiresAt: number;
+}
+
+type MaybePromise<T> = T | Promise<T>;
+
+export interface CacheStore {
+    get(key: string): MaybePromise<CacheEntry | undefined>;
+    set(key: string, entry: CacheEntry): MaybePromise<void>;
+    delete(key: string): MaybePromise<void>;
+    keys(): MaybePromise<string[]>;
+    clear(): MaybePromise<void>;
+}
+
+export interface CacheConfig {
+    store?: CacheStore;
+    ttl?: {[resource: string]: number};
+    staleWhileRevalidate?: number;
+}
+
+export interface Cache {
+    store: CacheStore;
+    wrap(transport: Transport): Transport;
+    invalidate(pattern: string): Promise<void>;
+    clear(): Promise<void>;
+}
+
+export const DEFAULT_CACHE_TTLS: Readonly<{
+    users: number,
+    channels: number,
+    posts: number,
+    comments: number,
+    releases: number,
+    feeds: number,
+    search: number,
+}>;
+
+export function NewCache(config?: CacheConfig): Cache;
+export function NewMemoryCacheStore(config?: {maxEntries?: number}): CacheStore;
+
+export interface RequestQueueConfig {
+    rate?: number;
+    interval?: number;
+    burst?: number;
+    maxConcurrent?: number;
+}
+
+export interface RequestQueueStats {
+    queued: number;
+    running: number;
+    lastWait: number;
+    averageWait: number;
+    maxWait: number;
+    oldestWait: number;
+}
+
+export interface RequestQueue {
+    wrap(transport: Transport): Transport;
+    stats(): RequestQueueStats;
+}
+
+export const PRIORITIES: Readonly<{interactive: 0, normal: 1, background: 2}>;
+
+export function NewRequestQueue(config?: RequestQueueConfig): RequestQueue;
+
+export interface EntityTypes {
+    users: User;
+    channels: Channel;
+    posts: Post;
+    releases: Release;
+    comments: Comment;
+}
+
+export type EntityType = keyof EntityTypes;
+
+export type EntityListener<T> = (entity: Readonly<T> | undefined, change: {type: EntityType, key: string | number}) => void;
+
+export interface EntityStore {
+    ingest<T>(data: T): T;
+    get<K extends EntityType>(type: K, key: string | number): Readonly<EntityTypes[K]> | undefined;
+    select<K extends EntityType>(type: K, predicate?: (entity: Readonly<EntityTypes[K]>) => boolean): Array<Readonly<EntityTypes[K]>>;
+    subscribe<K extends EntityType>(type: K, key: string | number, listener: EntityListener<EntityTypes[K]>): () => void;
+    subscribe<K extends EntityType>(type: K, listener: EntityListener<EntityTypes[K]>): () => void;
+    remove(type: EntityType, key: string | number): void;
+    clear(): void;
+    middleware: Middleware;
+}
+
+export const ENTITY_TYPES: Readonly<{[K in EntityType]: {key: string, matches: (entity: object) => boolean}}>;
+
+export function NewEntityStore(): EntityStore;
+export function entityTypeOf(entity: object): EntityType | undefined;
+
+// ---- pagination
+
+export interface PageIterator<T> extends AsyncIterable<T> {
+    pages(): AsyncIterator<T[]>;
+    collect(options?: {max?: number}): Promise<T[]>;
+}
+
+export function paginate<T>(fetchPage: (page: {limit: number, offset: number}) => Promise<T[] | undefined>, config?: {
+    pageSize?: number,
+    offset?: number,
+    key?: (item: T) => any,
+}): PageIterator<T>;
+
+export interface Paginator<T, P extends object = Record<string, any>> {
+    page: number;
+    pageSize: number;
+    items: T[];
+    hasMore: boolean;
+    hasPrev: boolean;
+    loading: boolean;
+    params: P;
+    load(): Promise<T[]>;
+    next(): Promise<T[]>;
+    prev(): Promise<T[]>;
+    goTo(page: number): Promise<T[]>;
+    refresh(): Promise<T[]>;
+    setParams(params: Partial<P>): Promise<T[]>;
+    toQueryString(): string;
+}
+
+export function NewPaginator<T, P extends object = Record<string, any>>(
+    fetchPage: (params: P & {limit: number, offset: number}) => Promise<T[] | undefined>, config?: {
+        page?: number,
+        pageSize?: number,
+        params?: P,
+        prefetch?: boolean,
+        query?: string | URLSearchParams,
+    }): Paginator<T, P>;
+
+interface IterateOptions<S extends string> extends RequestOptions {
+    pattern?: string;
+    pageSize?: number;
+    sortingOrder?: SortingOrder;
+    sortParameter?: S;
+}
+
+interface PaginatorOptions<S extends string> extends IterateOptions<S> {
+    page?: number;
+    prefetch?: boolean;
+    query?: string | URLSearchParams;
+}
+
+type SearchParams<S extends string> = {pattern?: string, sortingOrder?: SortingOrder, sortParameter?: S};
+
+// ---- includes, validation and decoding
+
+export interface Relationship {
+    type: EntityType;
+    one?: (entity: any) => string | number | undefined;
+    many?: (entity: any) => Array<string | number> | undefined;
+    list?: (fetch: any, entity: any) => Promise<any[]>;
+    args?: (entity: any) => any[];
+}
+
+export const RELATIONSHIPS: Readonly<{[K in EntityType]: {[name: string]: Relationship}}>;
+export const DEFAULT_INCLUDE_DEPTH: number;
+
+export function includeRelated<T extends object | object[]>(baseURL: BaseURL, type: EntityType, data: T, include?: string[], options?: RequestOptions & {
+    authToken?: string,
+    maxDepth?: number,
+}): Promise<T>;
+
+export interface FieldRule {
+    type: 'string' | 'number' | 'boolean' | 'date' | 'array' | 'object';
+    required?: boolean;
+    integer?: boolean;
+    min?: number;
+    max?: number;
+    enum?: ReadonlyArray<any>;
+    items?: FieldRule;
+    schema?: SchemaName;
+}
+
+export type SchemaName = 'User' | 'Channel' | 'Post' | 'Release' | 'Metadata' | 'ExtraMetadata' | 'Comment';
+
+export const SCHEMAS: Readonly<{[K in SchemaName]: {[field: string]: FieldRule}}>;
+export const ENUMS: Readonly<{
+    sortingOrder: ReadonlyArray<SortingOrder>,
+    feedSorting: ReadonlyArray<FeedSorting>,
+    releaseType: ReadonlyArray<ReleaseType>,
+}>;
+export const SORT_PARAMETERS: Readonly<{
+    users: ReadonlyArray<UserSortParameter>,
+    channels: ReadonlyArray<ChannelSortParameter>,
+    posts: ReadonlyArray<PostSortParameter>,
+    releases: ReadonlyArray<ReleaseSortParameter>,
+    comments: ReadonlyArray<CommentSortParameter>,
+    feedSubscriptions: ReadonlyArray<FeedSubscriptionSortParameter>,
+    search: ReadonlyArray<SearchSortParameter>,
+}>;
+
+export function checkEntity(schema: SchemaName, entity: unknown, options?: {partial?: boolean, field?: string}): ErrorField[];
+export function checkValue(field: string, value: unknown, rule: FieldRule, options?: {partial?: boolean}): ErrorField[];
+export function checkListOptions(items: keyof typeof SORT_PARAMETERS, options: {
+    limit?: number,
+    offset?: number,
+    sortingOrder?: string,
+    sortParameter?: string,
+}): ErrorField[];
+
+export type Decoder = (data: any, errors: ErrorField[], field?: string) => any;
+export type DecodedType = 'User' | 'Channel' | 'Post' | 'Release' | 'Comment'
+    | 'Array<User>' | 'Array<Channel>' | 'Array<Post>' | 'Array<Release>' | 'Array<Comment>'
+    | 'Bookmarks' | 'Subscriptions' | 'SearchResults';
+
+export const DECODERS: Readonly<{[K in DecodedType]: Decoder}>;
+export function decodeResponse(baseURL: BaseURL, type: DecodedType | undefined, data: any): any;
+
+// ---- auth service
+
+export function getAuthToken(baseURL: BaseURL, username: string, password: string, options?: RequestOptions): Promise<string>;
+export function refreshAuthToken(baseURL: BaseURL, authToken: string, options?: RequestOptions): Promise<string>;
+export function logout(baseURL: BaseURL, authToken: string, options?: RequestOptions): Promise<JSend>;
+
+export interface AuthServiceClient {
+    baseURL: BaseURL;
+    /** if set, calls that omit the authToken act on the session's token, and getAuthToken logs it in */
+    session?: Session;
+    getAuthToken(username: string, password: string, options?: RequestOptions): Promise<string>;
+    refreshAuthToken(authToken?: string, options?: RequestOptions): Promise<string>;
+    logout(authToken?: string, options?: RequestOptions): Promise<JSend | undefined>;
+}
+
+export function NewAuthServiceClient(baseURL: BaseURL, session?: Session): AuthServiceClient;
+
+// ---- user service
+
+export function getUser(baseURL: BaseURL, username: string, authToken?: string, options?: ReadOptions): Promise<User>;
+export function getUsers(baseURL: BaseURL, options?: ListOptions<UserSortParameter>): Promise<User[]>;
+export function searchUsers(baseURL: BaseURL, pattern?: string, options?: ListOptions<UserSortParameter>): Promise<User[]>;
+export function addUser(baseURL: BaseURL, user: NewUser, options?: RequestOptions): Promise<User>;
+export function updateUser(baseURL: BaseURL, username: string, user: Partial<User>, authToken: string, options?: RequestOptions): Promise<User>;
+export function deleteUser(baseURL: BaseURL, username: string, authToken: string, options?: RequestOptions): Promise<JSend>;
+export function addPostBookmark(baseURL: BaseURL, username: string, postID: number, authToken: string, options?: RequestOptions): Promise<JSend>;
+export function getUserBookmarks(baseURL: BaseURL, username: string, authToken: string, options?: ReadOptions): Promise<Bookmarks>;
+export function deleteBookmark(baseURL: BaseURL, username: string, postID: number, authToken: string, options?: RequestOptions): Promise<JSend>;
+export function addProfilePicture(baseURL: BaseURL, username: string, authToken: string, imageData: ImageInput, imageName?: string,
+                                  options?: RequestOptions): Promise<string>;
+export function removeProfilePicture(baseURL: BaseURL, username: string, authToken: string, options?: RequestOptions): Promise<JSend>;
+
+export interface UserServiceClient {
+    baseURL: BaseURL;
+    session: Session;
+    getUser(username: string, authToken?: string, options?: ReadOptions): Promise<User>;
+    addUser(user: NewUser, options?: RequestOptions): Promise<User>;
+    searchUsers(pattern?: string, options?: ListOptions<UserSortParameter>): Promise<User[]>;
+    getUsers(options?: ListOptions<UserSortParameter>): Promise<User[]>;
+    updateUser(username: string, user: Partial<User>, authToken?: string, options?: RequestOptions): Promise<User>;
+    deleteUser(username: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    addPostBookmark(username: string, postID: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    getUserBookmarks(username: string, authToken?: string, options?: ReadOptions): Promise<Bookmarks>;
+    deleteBookmark(username: string, postID: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    addProfilePicture(username: string, authToken: string | undefined, imageData: ImageInput, imageName?: string,
+                      options?: RequestOptions): Promise<string>;
+    removeProfilePicture(username: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    iterateUsers(options?: IterateOptions<UserSortParameter>): PageIterator<User>;
+    paginateUsers(options?: PaginatorOptions<UserSortParameter>): Paginator<User, SearchParams<UserSortParameter>>;
+}
+
+export function NewUserServiceClient(baseURL: BaseURL, session?: Session): UserServiceClient;
+
+// ---- channel service
+
+export function getChannel(baseURL: BaseURL, channelUsername: string, authToken?: string,
+                           options?: ReadOptions & IncludeOptions<ChannelInclude>): Promise<Channel>;
+export function getChannels(baseURL: BaseURL, options?: ListOptions<ChannelSortParameter> & IncludeOptions<ChannelInclude>): Promise<Channel[]>;
+export function searchChannels(baseURL: BaseURL, pattern?: string,
+                               options?: ListOptions<ChannelSortParameter> & IncludeOptions<ChannelInclude>): Promise<Channel[]>;
+export function addChannel(baseURL: BaseURL, channel: NewChannel, authToken: string, options?: RequestOptions): Promise<Channel>;
+export function updateChannel(baseURL: BaseURL, channelUsername: string, channel: Partial<Channel>, authToken: string,
+                              options?: RequestOptions): Promise<Channel>;
+export function deleteChannel(baseURL: BaseURL, channelUsername: string, authToken: string, options?: RequestOptions): Promise<JSend>;
+export function addAdminToChannel(baseURL: BaseURL, channelUsername: string, adminUsername: string, authToken: string,
+                                  options?: RequestOptions): Promise<JSend>;
+export function removeAdminFromChannel(baseURL: BaseURL, channelUsername: string, adminUsername: string, authToken: string,
+                                       options?: RequestOptions): Promise<JSend>;
+export function changeChannelOwner(baseURL: BaseURL, channelUsername: string, newOwner: string, authToken: string,
+                                   options?: RequestOptions): Promise<JSend>;
+export function addReleaseToChannelOfficialCatalog(baseURL: BaseURL, channelUsername: string, releaseID: number, originPostID: number,
+                                                   authToken: string, options?: RequestOptions): Promise<JSend>;
+export function removeReleaseFromChannelOfficialCatalog(baseURL: BaseURL, channelUsername: string, releaseID: number, authToken: string,
+                                                        options?: RequestOptions): Promise<JSend>;
+export function stickyPost(baseURL: BaseURL, channelUsername: string, postID: number, authToken: string,
+                           options?: RequestOptions): Promise<JSend>;
+export function removeStickiedPost(baseURL: BaseURL, channelUsername: string, postID: number, authToken: string,
+                                   options?: RequestOptions): Promise<JSend>;
+export function getChannelPosts(baseURL: BaseURL, channelUsername: string,
+                                options: ChannelListOptions<PostSortParameter> & IncludeOptions<PostInclude> & {onlyIds: true}): Promise<number[]>;
+export function getChannelPosts(baseURL: BaseURL, channelUsername: string,
+                                options?: ChannelListOptions<PostSortParameter> & IncludeOptions<PostInclude> & {onlyIds?: false}): Promise<Post[]>;
+export function getChannelPost(baseURL: BaseURL, channelUsername: string, postID: number,
+                               options?: ReadOptions & IncludeOptions<PostInclude>): Promise<Post>;
+export function getCatalog(baseURL: BaseURL, channelUsername: string, authToken: string,
+                           options: ChannelListOptions<ReleaseSortParameter> & {onlyIds: true}): Promise<number[]>;
+export function getCatalog(baseURL: BaseURL, channelUsername: string, authToken: string,
+                           options?: ChannelListOptions<ReleaseSortParameter> & {onlyIds?: false}): Promise<Release[]>;
+export function getOfficialCatalog(baseURL: BaseURL, channelUsername: string,
+                                   options: ChannelListOptions<ReleaseSortParameter> & {onlyIds: true}): Promise<number[]>;
+export function getOfficialCatalog(baseURL: BaseURL, channelUsername: string,
+                                   options?: ChannelListOptions<ReleaseSortParameter> & {onlyIds?: false}): Promise<Release[]>;
+export function getReleaseFromCatalog(baseURL: BaseURL, channelUsername: string, releaseID: number, authToken: string,
+                                      options?: ReadOptions): Promise<Release>;
+export function getReleaseFromOfficialCatalog(baseURL: BaseURL, channelUsername: string, releaseID: number,
+                                              options?: ReadOptions): Promise<Release>;
+export function getStickiedPosts(baseURL: BaseURL, channelUsername: string, options?: ReadOptions & IncludeOptions<PostInclude>): Promise<Post[]>;
+export function getAdmins(baseURL: BaseURL, channelUsername: string, authToken: string, options?: ReadOptions): Promise<string[]>;
+export function getOwner(baseURL: BaseURL, channelUsername: string, authToken: string, options?: ReadOptions): Promise<string>;
+export function addDisplayPicture(baseURL: BaseURL, channelUsername: string, authToken: string, imageData: ImageInput, imageName?: string,
+                                  options?: RequestOptions): Promise<string>;
+export function removeDisplayPicture(baseURL: BaseURL, channelUsername: string, authToken: string, options?: RequestOptions): Promise<JSend>;
+
+export interface ChannelServiceClient {
+    baseURL: BaseURL;
+    session: Session;
+    addChannel(channel: NewChannel, authToken?: string, options?: RequestOptions): Promise<Channel>;
+    getChannel(channelUsername: string, authToken?: string,
+               options?: ReadOptions & IncludeOptions<ChannelInclude>): Promise<Channel>;
+    searchChannels(pattern?: string, options?: ListOptions<ChannelSortParameter> & IncludeOptions<ChannelInclude>): Promise<Channel[]>;
+    getChannels(options?: ListOptions<ChannelSortParameter> & IncludeOptions<ChannelInclude>): Promise<Channel[]>;
+    updateChannel(channelUsername: string, channel: Partial<Channel>, authToken?: string, options?: RequestOptions): Promise<Channel>;
+    /** @deprecated misnamed, use updateChannel */
+    updateUser(channelUsername: string, channel: Partial<Channel>, authToken?: string, options?: RequestOptions): Promise<Channel>;
+    deleteChannel(channelUsername: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    addAdminToChannel(channelUsername: string, adminUsername: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    removeAdminFromChannel(channelUsername: string, adminUsername: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    changeChannelOwner(channelUsername: string, newOwner: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    addReleaseToChannelOfficialCatalog(channelUsername: string, releaseID: number, originPostID: number, authToken?: string,
+                                       options?: RequestOptions): Promise<JSend>;
+    removeReleaseFromChannelOfficialCatalog(channelUsername: string, releaseID: number, authToken?: string,
+                                            options?: RequestOptions): Promise<JSend>;
+    stickyPost(channelUsername: string, postID: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    removeStickiedPost(channelUsername: string, postID: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    getChannelPosts(channelUsername: string,
+                    options: ChannelListOptions<PostSortParameter> & IncludeOptions<PostInclude> & {onlyIds: true}): Promise<number[]>;
+    getChannelPosts(channelUsername: string,
+                    options?: ChannelListOptions<PostSortParameter> & IncludeOptions<PostInclude> & {onlyIds?: false}): Promise<Post[]>;
+    getChannelPost(channelUsername: string, postID: number, options?: ReadOptions & IncludeOptions<PostInclude>): Promise<Post>;
+    getCatalog(channelUsername: string, authToken: string | undefined,
+               options: ChannelListOptions<ReleaseSortParameter> & {onlyIds: true}): Promise<number[]>;
+    getCatalog(channelUsername: string, authToken?: string,
+               options?: ChannelListOptions<ReleaseSortParameter> & {onlyIds?: false}): Promise<Release[]>;
+    getOfficialCatalog(channelUsername: string, options: ChannelListOptions<ReleaseSortParameter> & {onlyIds: true}): Promise<number[]>;
+    getOfficialCatalog(channelUsername: string, options?: ChannelListOptions<ReleaseSortParameter> & {onlyIds?: false}): Promise<Release[]>;
+    getReleaseFromCatalog(channelUsername: string, releaseID: number, authToken?: string, options?: ReadOptions): Promise<Release>;
+    getReleaseFromOfficialCatalog(channelUsername: string, releaseID: number, options?: ReadOptions): Promise<Release>;
+    getStickiedPosts(channelUsername: string, options?: ReadOptions & IncludeOptions<PostInclude>): Promise<Post[]>;
+    getAdmins(channelUsername: string, authToken?: string, options?: ReadOptions): Promise<string[]>;
+    getOwner(channelUsername: string, authToken?: string, options?: ReadOptions): Promise<string>;
+    addDisplayPicture(channelUsername: string, authToken: string | undefined, imageData: ImageInput, imageName?: string,
+                      options?: RequestOptions): Promise<string>;
+    removeDisplayPicture(channelUsername: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    iterateChannels(options?: IterateOptions<ChannelSortParameter>): PageIterator<Channel>;
+    paginateChannels(options?: PaginatorOptions<ChannelSortParameter>): Paginator<Channel, SearchParams<ChannelSortParameter>>;
+    iterateChannelPosts(channelUsername: string, options: RequestOptions & {
+        pageSize?: number, sorting?: PostSortParameter | '', onlyIds: true,
+    }): PageIterator<number>;
+    iterateChannelPosts(channelUsername: string, options?: RequestOptions & {
+        pageSize?: number, sorting?: PostSortParameter | '', onlyIds?: false,
+    }): PageIterator<Post>;
+}
+
+export function NewChannelServiceClient(baseURL: BaseURL, session?: Session): ChannelServiceClient;
+
+// ---- post service
+
+export function getPost(baseURL: BaseURL, id: number, options?: ReadOptions & IncludeOptions<PostInclude>): Promise<Post>;
+export function getPosts(baseURL: BaseURL, options?: ListOptions<PostSortParameter> & IncludeOptions<PostInclude>): Promise<Post[]>;
+export function searchPosts(baseURL: BaseURL, pattern?: string,
+                            options?: ListOptions<PostSortParameter> & IncludeOptions<PostInclude>): Promise<Post[]>;
+export function addPost(baseURL: BaseURL, post: NewPost, authToken: string, options?: RequestOptions): Promise<Post>;
+export function updatePost(baseURL: BaseURL, id: number, post: Partial<Post>, authToken: string, options?: RequestOptions): Promise<Post>;
+export function deletePost(baseURL: BaseURL, id: number, authToken: string, options?: RequestOptions): Promise<JSend>;
+export function getPostReleases(baseURL: BaseURL, id: number, options?: ReadOptions): Promise<Release[]>;
+export function getPostStars(baseURL: BaseURL, id: number, options?: ReadOptions): Promise<Star[]>;
+export function getPostStarOfUser(baseURL: BaseURL, id: number, username: string, options?: ReadOptions): Promise<Star>;
+export function starPost(baseURL: BaseURL, id: number, starCount: number, username: string, authToken: string,
+                         options?: RequestOptions): Promise<Star>;
+
+export interface PostServiceClient {
+    baseURL: BaseURL;
+    session: Session;
+    getPost(id: number, options?: ReadOptions & IncludeOptions<PostInclude>): Promise<Post>;
+    searchPosts(pattern?: string, options?: ListOptions<PostSortParameter> & IncludeOptions<PostInclude>): Promise<Post[]>;
+    getPosts(options?: ListOptions<PostSortParameter> & IncludeOptions<PostInclude>): Promise<Post[]>;
+    addPost(post: NewPost, authToken?: string, options?: RequestOptions): Promise<Post>;
+    deletePost(id: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    updatePost(id: number, post: Partial<Post>, authToken?: string, options?: RequestOptions): Promise<Post>;
+    getPostReleases(id: number, options?: ReadOptions): Promise<Release[]>;
+    getPostStars(id: number, options?: ReadOptions): Promise<Star[]>;
+    getPostStarOfUser(id: number, username: string, options?: ReadOptions): Promise<Star>;
+    starPost(id: number, starCount: number, username: string, authToken?: string, options?: RequestOptions): Promise<Star>;
+    iteratePosts(options?: IterateOptions<PostSortParameter>): PageIterator<Post>;
+    paginatePosts(options?: PaginatorOptions<PostSortParameter>): Paginator<Post, SearchParams<PostSortParameter>>;
+}
+
+export function NewPostServiceClient(baseURL: BaseURL, session?: Session): PostServiceClient;
+
+// ---- comment service
+
+export type CommentListOptions = ListOptions<CommentSortParameter> & IncludeOptions<CommentInclude>;
+
+export function getComment(baseURL: BaseURL, id: number, postID: number, options?: ReadOptions & IncludeOptions<CommentInclude>): Promise<Comment>;
+export function getComments(baseURL: BaseURL, postID: number, options?: CommentListOptions): Promise<Comment[]>;
+export function getReplies(baseURL: BaseURL, commentID: number, postID: number, options?: CommentListOptions): Promise<Comment[]>;
+export function addComment(baseURL: BaseURL, comment: NewComment, postID: number, authToken: string, options?: RequestOptions): Promise<Comment>;
+export function addReply(baseURL: BaseURL, comment: NewComment, postID: number, commentID: number, authToken: string,
+                         options?: RequestOptions): Promise<Comment>;
+export function updateComment(baseURL: BaseURL, id: number, postID: number, comment: Partial<Comment>, authToken: string,
+                              options?: RequestOptions): Promise<Comment>;
+export function deleteComment(baseURL: BaseURL, id: number, postID: number, authToken: string, options?: RequestOptions): Promise<JSend>;
+
+export interface CommentNode {
+    comment: Comment;
+    /** 0 for comments on the post itself */
+    depth: number;
+    replies: CommentNode[];
+    replyCount: number | undefined;
+    hasMoreReplies: boolean;
+    cursor: {offset: number, limit: number};
+    loadMoreReplies(options?: {limit?: number}): Promise<CommentNode[]>;
+}
+
+export interface CommentThread {
+    postID: number;
+    comments: CommentNode[];
+    commentCount: number | undefined;
+    hasMoreComments: boolean;
+    cursor: {offset: number, limit: number};
+    loadMoreComments(options?: {limit?: number}): Promise<CommentNode[]>;
+    find(id: number): CommentNode | undefined;
+    insert(comment: Comment): CommentNode | undefined;
+}
+
+export interface CommentThreadOptions extends RequestOptions {
+    maxDepth?: number;
+    repliesPerLevel?: number;
+    sort?: {sortParameter?: CommentSortParameter, sortingOrder?: SortingOrder};
+}
+
+export function getCommentThread(baseURL: BaseURL, postID: number, options?: CommentThreadOptions): Promise<CommentThread>;
+
+export interface CommentServiceClient {
+    baseURL: BaseURL;
+    session: Session;
+    addComment(comment: NewComment, postID: number, authToken?: string, options?: RequestOptions): Promise<Comment>;
+    addReply(comment: NewComment, postID: number, commentID: number, authToken?: string, options?: RequestOptions): Promise<Comment>;
+    getComment(id: number, postID: number, options?: ReadOptions & IncludeOptions<CommentInclude>): Promise<Comment>;
+    getComments(postID: number, options?: CommentListOptions): Promise<Comment[]>;
+    getReplies(commentID: number, postID: number, options?: CommentListOptions): Promise<Comment[]>;
+    updateComment(id: number, postID: number, comment: Partial<Comment>, authToken?: string, options?: RequestOptions): Promise<Comment>;
+    deleteComment(id: number, postID: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    iterateComments(postID: number, options?: Omit<IterateOptions<CommentSortParameter>, 'pattern'>): PageIterator<Comment>;
+    paginateComments(postID: number, options?: Omit<PaginatorOptions<CommentSortParameter>, 'pattern'>):
+        Paginator<Comment, {sortingOrder?: SortingOrder, sortParameter?: CommentSortParameter}>;
+    iterateReplies(commentID: number, postID: number, options?: Omit<IterateOptions<CommentSortParameter>, 'pattern'>): PageIterator<Comment>;
+    getCommentThread(postID: number, options?: CommentThreadOptions): Promise<CommentThread>;
+}
+
+export function NewCommentServiceClient(baseURL: BaseURL, session?: Session): CommentServiceClient;
+
+// ---- feed service
+
+export function getFeed(baseURL: BaseURL, username: string, authToken: string, options?: ReadOptions): Promise<Feed>;
+export function getFeedPosts(baseURL: BaseURL, username: string, authToken: string,
+                             options: FeedPostsOptions & {onlyIds: true}): Promise<number[]>;
+export function getFeedPosts(baseURL: BaseURL, username: string, authToken: string,
+                             options?: FeedPostsOptions & {onlyIds?: false}): Promise<Post[]>;
+export function getFeedSubscriptions(baseURL: BaseURL, username: string, authToken: string,
+                                     options?: ListOptions<FeedSubscriptionSortParameter>): Promise<Subscription[]>;
+export function subscribeFeedToChannel(baseURL: BaseURL, username: string, channelname: string, authToken: string,
+                                       options?: RequestOptions): Promise<JSend>;
+export function unsubscribeFeedFromChannel(baseURL: BaseURL, username: string, channelname: string, authToken: string,
+                                           options?: RequestOptions): Promise<JSend>;
+export function setDefaultFeedSorting(baseURL: BaseURL, username: string, defaultSorting: FeedSorting, authToken: string,
+                                      options?: RequestOptions): Promise<JSend>;
+
+export interface FeedServiceClient {
+    baseURL: BaseURL;
+    session: Session;
+    getFeedPosts(username: string, authToken: string | undefined, options: FeedPostsOptions & {onlyIds: true}): Promise<number[]>;
+    getFeedPosts(username: string, authToken?: string, options?: FeedPostsOptions & {onlyIds?: false}): Promise<Post[]>;
+    getFeed(username: string, authToken?: string, options?: ReadOptions): Promise<Feed>;
+    getFeedSubscriptions(username: string, authToken?: string,
+                         options?: ListOptions<FeedSubscriptionSortParameter>): Promise<Subscription[]>;
+    setDefaultFeedSorting(username: string, defaultSorting: FeedSorting, authToken?: string,
+                          options?: RequestOptions): Promise<JSend>;
+    subscribeFeedToChannel(username: string, channelname: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    unsubscribeFeedFromChannel(username: string, channelname: string, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    iterateFeedPosts(username: string, authToken: string | undefined, options: RequestOptions & {
+        pageSize?: number, sorting?: FeedSorting | '', onlyIds: true,
+    }): PageIterator<number>;
+    iterateFeedPosts(username: string, authToken?: string, options?: RequestOptions & {
+        pageSize?: number, sorting?: FeedSorting | '', onlyIds?: false,
+    }): PageIterator<Post>;
+    paginateFeedPosts(username: string, authToken?: string, options?: RequestOptions & {
+        page?: number, pageSize?: number, sorting?: FeedSorting | '', onlyIds?: boolean, prefetch?: boolean, query?: string | URLSearchParams,
+    }): Paginator<Post | number, {sorting?: FeedSorting | ''}>;
+    iterateFeedSubscriptions(username: string, authToken?: string,
+                             options?: Omit<IterateOptions<FeedSubscriptionSortParameter>, 'pattern'>): PageIterator<Subscription>;
+}
+
+export function NewFeedServiceClient(baseURL: BaseURL, session?: Session): FeedServiceClient;
+
+// ---- release service
+
+export function getRelease(baseURL: BaseURL, id: number, authToken?: string, options?: ReadOptions & IncludeOptions<ReleaseInclude>): Promise<Release>;
+export function getReleases(baseURL: BaseURL, options?: ListOptions<ReleaseSortParameter>): Promise<Release[]>;
+export function searchReleases(baseURL: BaseURL, pattern?: string, options?: ListOptions<ReleaseSortParameter>): Promise<Release[]>;
+export function addTextRelease(baseURL: BaseURL, release: NewRelease, authToken: string, options?: RequestOptions): Promise<Release>;
+export function addImageRelease(baseURL: BaseURL, release: NewRelease, authToken: string, imageData: ImageInput, imageName?: string,
+                                options?: RequestOptions): Promise<Release>;
+export function updateRelease(baseURL: BaseURL, id: number, release: Partial<Release>, authToken: string,
+                              options?: RequestOptions): Promise<Release>;
+export function updateImageRelease(baseURL: BaseURL, id: number, release: Partial<Release>, authToken: string, imageData: ImageInput,
+                                   imageName?: string, options?: RequestOptions): Promise<Release>;
+export function deleteRelease(baseURL: BaseURL, id: number, authToken: string, options?: RequestOptions): Promise<JSend>;
+
+export interface ReleaseServiceClient {
+    baseURL: BaseURL;
+    session: Session;
+    getRelease(id: number, authToken?: string, options?: ReadOptions & IncludeOptions<ReleaseInclude>): Promise<Release>;
+    addTextRelease(release: NewRelease, authToken?: string, options?: RequestOptions): Promise<Release>;
+    addImageRelease(release: NewRelease, authToken: string | undefined, imageData: ImageInput, imageName?: string,
+                    options?: RequestOptions): Promise<Release>;
+    searchReleases(pattern?: string, options?: ListOptions<ReleaseSortParameter>): Promise<Release[]>;
+    getReleases(options?: ListOptions<ReleaseSortParameter>): Promise<Release[]>;
+    updateRelease(id: number, release: Partial<Release>, authToken?: string, options?: RequestOptions): Promise<Release>;
+    updateImageRelease(id: number, release: Partial<Release>, authToken: string | undefined, imageData: ImageInput, imageName?: string,
+                       options?: RequestOptions): Promise<Release>;
+    deleteRelease(id: number, authToken?: string, options?: RequestOptions): Promise<JSend>;
+    iterateReleases(options?: IterateOptions<ReleaseSortParameter>): PageIterator<Release>;
+    paginateReleases(options?: PaginatorOptions<ReleaseSortParameter>): Paginator<Release, SearchParams<ReleaseSortParameter>>;
+}
+
+export function NewReleaseServiceClient(baseURL: BaseURL, session?: Session): ReleaseServiceClient;
+
+// ---- search service
+
+export function searchIssue1(baseURL: BaseURL, pattern: string, options?: ListOptions<SearchSortParameter>): Promise<SearchResults>;
+
+export interface ResultTypes {
+    post: Post;
+    release: Release;
+    comment: Comment;
+    channel: Channel;
+    user: User;
+}
+
+export type ResultType = keyof ResultTypes;
+
+export const RESULT_TYPES: Readonly<{[T in ResultType]: {list: keyof SearchResults, fields: {[field: string]: number}}}>;
+
+export interface HighlightRange {
+    start: number;
+    end: number;
+}
+
+export type RankedResult = {[T in ResultType]: {
+    type: T,
+    item: ResultTypes[T],
+    score: number,
+    position: number,
+    highlights: {[field: string]: HighlightRange[]},
+}}[ResultType];
+
+export function rankSearchResults(results: SearchResults, options?: {pattern?: string, sortParameter?: SearchSortParameter}): RankedResult[];
+export function highlightMatches(text: string, pattern: string): HighlightRange[];
+export function searchRanked(baseURL: BaseURL, pattern: string, options?: ListOptions<SearchSortParameter>): Promise<RankedResult[]>;
+
+export type SearchOperator = 'type' | 'from' | 'in' | 'sort' | 'limit';
+
+export const SEARCH_OPERATORS: Readonly<{[name: string]: SearchOperator}>;
+
+export type SearchToken =
+    | {kind: 'term' | 'phrase', value: string, raw: string}
+    | {kind: 'operator', operator: SearchOperator, value: string, raw: string};
+
+export interface ParsedSearchQuery {
+    text: string;
+    tokens: SearchToken[];
+    terms: string[];
+    phrases: string[];
+    types: Array<keyof SearchResults>;
+    from?: string;
+    in?: string;
+    sort?: string;
+    limit?: number;
+    pattern: string;
+    errors: Array<{field: SearchOperator, message: string, raw: string}>;
+}
+
+export interface SearchQueryResults extends SearchResults {
+    query: ParsedSearchQuery;
+}
+
+export function parseSearchQuery(text?: string): ParsedSearchQuery;
+export function searchQuery(baseURL: BaseURL, text: string | ParsedSearchQuery, options?: ReadOptions): Promise<SearchQueryResults>;
+
+export interface SearchServiceClient {
+    baseURL: BaseURL;
+    searchIssue1(pattern: string, options?: ListOptions<SearchSortParameter>): Promise<SearchResults>;
+    searchQuery(text: string | ParsedSearchQuery, options?: ReadOptions): Promise<SearchQueryResults>;
+    searchRanked(pattern: string, options?: ListOptions<SearchSortParameter>): Promise<RankedResult[]>;
+    paginateRanked(options?: PaginatorOptions<SearchSortParameter>): Paginator<RankedResult, SearchParams<SearchSortParameter>>;
+}
+
+export function NewSearchServiceClient(baseURL: BaseURL): SearchServiceClient;
+
+// ---- query
+
+export interface QueryResources {
+    users: {item: User, sort: UserSortParameter, include: never, args: []};
+    channels: {item: Channel, sort: ChannelSortParameter, include: ChannelInclude, args: []};
+    posts: {item: Post, sort: PostSortParameter, include: PostInclude, args: []};
+    releases: {item: Release, sort: ReleaseSortParameter, include: never, args: []};
+    comments: {item: Comment, sort: CommentSortParameter, include: CommentInclude, args: [postID: number]};
+    replies: {item: Comment, sort: CommentSortParameter, include: CommentInclude, args: [commentID: number, postID: number]};
+    feedSubscriptions: {item: Subscription, sort: FeedSubscriptionSortParameter, include: never, args: [username: string]};
+    search: {item: never, sort: SearchSortParameter, include: never, args: []};
+}
+
+export type QueryResource = keyof QueryResources;
+
+export const QUERY_RESOURCES: Readonly<{[R in QueryResource]: {route: string, items: keyof typeof SORT_PARAMETERS}}>;
+
+export interface QueryRunOptions extends ReadOptions {
+    authToken?: string;
+}
+
+export interface Query<R extends QueryResource> {
+    resource: R;
+    matching(pattern: string): Query<R>;
+    sortBy(sortParameter: QueryResources[R]['sort']): Query<R>;
+    asc(): Query<R>;
+    desc(): Query<R>;
+    page(page: number, pageSize?: number): Query<R>;
+    include(...paths: QueryResources[R]['include'][]): Query<R>;
+    toOptions(): ListOptions<QueryResources[R]['sort']> & IncludeOptions<QueryResources[R]['include']>;
+    toParams(): {limit?: number, offset?: number, sort?: string, pattern?: string};
+    toURL(): string;
+    execute(options?: QueryRunOptions): Promise<R extends 'search' ? SearchResults : QueryResources[R]['item'][]>;
+    iterate(options?: Omit<QueryRunOptions, 'dedupe'> & {pageSize?: number}): PageIterator<QueryResources[R]['item']>;
+}
+
+export function NewQuery<R extends QueryResource>(client: Issue1Client, resource: R, ...args: QueryResources[R]['args']): Query<R>;
+
+// ---- autocomplete
+
+export type MentionKind = 'user' | 'channel';
+
+export const MENTION_KINDS: Readonly<{[sigil: string]: {
+    kind: MentionKind,
+    key: 'username' | 'channelUsername',
+    matches(entity: object): boolean,
+    search(baseURL: BaseURL, pattern?: string, options?: ListOptions<string>): Promise<Array<User | Channel>>,
+}}>;
+
+export type Suggestion =
+    | {kind: 'user', name: string, text: string, entity?: User}
+    | {kind: 'channel', name: string, text: string, entity?: Channel};
+
+export interface AutocompleteConfig {
+    delay?: number;
+    limit?: number;
+    minLength?: number;
+    ttl?: number;
+}
+
+export interface AutocompleteService {
+    suggest(text: string, options?: {signal?: AbortSignal}): Promise<Suggestion[]>;
+    suggestLocal(text: string): Suggestion[];
+    remember(kind: MentionKind, name: string): void;
+    cancel(): void;
+    clear(): void;
+    middleware: Middleware;
+}
+
+export function NewAutocompleteService(baseURL: BaseURL, config?: AutocompleteConfig): AutocompleteService;
+
+// ---- client
+
+export interface Issue1ClientConfig extends ConnectionConfig {
+    username?: string;
+    password?: string;
+    authToken?: string;
+    refreshMargin?: number;
+    store?: boolean | EntityStore;
+    autocomplete?: boolean | AutocompleteConfig;
+}
+
+export interface Issue1Client {
+    baseURL: string;
+    connection: Connection;
+    session: Session;
+    cache?: Cache;
+    queue?: RequestQueue;
+    store?: EntityStore;
+    autocomplete?: AutocompleteService;
+    use(middleware: Middleware): Issue1Client;
+    login(username?: string, password?: string): Promise<string>;
+    logout(): Promise<JSend | undefined>;
+    query<R extends QueryResource>(resource: R, ...args: QueryResources[R]['args']): Query<R>;
+    authService: AuthServiceClient;
+    userService: UserServiceClient;
+    postService: PostServiceClient;
+    feedService: FeedServiceClient;
+    channelService: ChannelServiceClient;
+    commentService: CommentServiceClient;
+    searchService: SearchServiceClient;
+    releaseService: ReleaseServiceClient;
+}
+
+export function NewIssue1Client(baseURL: string, config?: Issue1ClientConfig): Issue1Client;
@@ -1,6 +1,6 @@
 'use strict';
 
-import { makeRequest, attachAuthTokenToHeader } from "./utilites.js";
+import {NewRouteFunction} from "./routes.js";
 
 export {
     NewAuthServiceClient,
@@ -13,29 +13,41 @@ export {
 
 /**
  * Make a new Auth Service CLient that calls to the given url.
- * @param {string} baseURL 
+ * @param {string | Connection} baseURL 
+ * @param {Session} [session] - if given, calls that omit the authToken act on the session's token, and
+ * getAuthToken logs it in.
  */
-function NewAuthServiceClient(baseURL) {
+function NewAuthServiceClient(baseURL, session) {
     var client = {
         baseURL,
+        session,
         /**
-         * Fetch the JWT token for the specifed user.
+         * Fetch the JWT token for the specifed user, logging the session in with it if there's one.
          */
-        async getAuthToken(username, password) {
-            return getAuthToken(client.baseURL, username, password);
+        async getAuthToken(username, password, {signal, priority} = {}) {
+            if (client.session) {
+                return client.session.login(username, password, {signal, priority});
+            }
+            return getAuthToken(client.baseURL, username, password, {signal, priority});
         },
         /**
          * Use the passed in token to get a new, fresher, token.
          */
-        async refreshAuthToken(authToken) {
-            return refreshAuthToken(client.baseURL,authToken);
+        async refreshAuthToken(authToken, {signal, priority} = {}) {
+            if (!authToken && client.session) {
+                return client.session.refresh({signal, priority});
+            }
+            return refreshAuthToken(client.baseURL,authToken, {signal, priority});
         },
         /**
          *Invalidate the given token to prevent further usage.
          * @see logout
          */
-        async logout(authToken) {
-            return logout(client.baseURL, authToken );
+        async logout(authToken, {signal, priority} = {}) {
+            if (!authToken && client.session) {
+                return client.session.logout({signal, priority});
+            }
+            return logout(client.baseURL, authToken, {signal, priority});
         },
     };
     return client;
@@ -47,45 +59,30 @@ function NewAuthServiceClient(baseURL) {
  * @param {string} baseURL - Url to the issue-1-REST server.
  * @param {string} username - The username of the user to fetch the AuthToken for.
  * @param {string} password - The password of the user to fetch the AuthToken for.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function getAuthToken(baseURL, username, password) {
-    var response = await makeRequest(
-        `${baseURL}/token-auth`,
-        {
-            method: 'post',
-            data: { username, password }
-        });
-    return response.data.token;
-}
+const getAuthToken = NewRouteFunction('getAuthToken');
 
 
 /**
  * Use the passed in token to get a new, fresher, token.
  * @param {string} baseURL 
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function refreshAuthToken(baseURL, authToken) {
-    var response = await makeRequest(
-        `${baseURL}/token-auth-refresh`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken)
-        });
-    return response.data.token;
-}
+const refreshAuthToken = NewRouteFunction('refreshAuthToken');
 
 
 /**
  * Invalidate the given token to prevent further usage.
  * @param {string} baseURL 
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function logout(baseURL, authToken) {
-    var response = await makeRequest(
-        `${baseURL}/logout`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken)
-        });
-    return response;
-}
\ No newline at end of file
+const logout = NewRouteFunction('logout');
\ No newline at end of file
@@ -0,0 +1,286 @@
+'use strict';
+
+import {Issue1AbortError, isAborted} from "./errors.js";
+import {searchUsers} from "./user.js";
+import {searchChannels} from "./channel.js";
+
+export {
+    NewAutocompleteService,
+    MENTION_KINDS
+};
+
+/**
+ * What can be mentioned, by the character a mention starts with: the entity, the property
+ * it's mentioned by and the search that finds more of them.
+ */
+const MENTION_KINDS = Object.freeze({
+    '@': {kind: 'user', key: 'username', matches: entity => 'username' in entity && !('channelUsername' in entity), search: searchUsers},
+    '#': {kind: 'channel', key: 'channelUsername', matches: entity => 'channelUsername' in entity && 'name' in entity, search: searchChannels},
+});
+
+// names other entities mention users and channels under, e.g. the author of a post
+const REFERENCES = Object.freeze({
+    postedByUsername: 'user',
+    commenter: 'user',
+    ownerUsername: 'user',
+    originChannel: 'channel',
+    ownerChannel: 'channel',
+});
+
+/**
+ * @typedef {object} Suggestion
+ * A user or channel to complete a mention with.
+ *
+ * @property {'user' | 'channel'} kind
+ * @property {string} name - the username or channelUsername
+ * @property {string} text - what to put in the composer, e.g. `@loveless`
+ * @property {User | Channel} [entity] - as last seen, if it was
+ */
+
+/**
+ * @typedef {object} AutocompleteService
+ * Mention suggestions for a composer, made by {@link NewAutocompleteService}.
+ *
+ * @property {function(string, {signal: AbortSignal}=): Promise<Array<Suggestion>>} suggest - suggestions
+ * for the mention being typed, e.g. `@lov` or `#axe`, both kinds for text without either. Rejects with an
+ * {@link Issue1AbortError} when a later call or `cancel` overtakes it.
+ * @property {function(string): Array<Suggestion>} suggestLocal - suggestions from what's been seen, without waiting
+ * @property {function('user' | 'channel', string)} remember - mark the name as just used, e.g. when it's picked
+ * @property {function()} cancel - drop the pending suggestion
+ * @property {function()} clear - forget what's been seen and searched
+ * @property {Middleware} middleware - indexes the users and channels in the responses it sees
+ */
+
+/**
+ * Make a new AutocompleteService searching the given url.
+ * Calls to `suggest` are debounced, a later one cancelling the earlier's search. The results whose
+ * names contain the prefix are cached by it, and a prefix whose results all fit in a page answers
+ * the longer ones without searching. Users and channels the client has seen, through the service's
+ * middleware, are suggested alongside when their names start with what's typed: names equal to it
+ * first, then those starting with it, then the rest of what was searched, each ordered by how
+ * recently they were seen or picked.
+ * @param {string | Connection} baseURL
+ * @param {Object} [config]
+ * @param {number} [config.delay=150] - milliseconds to wait for typing to pause before searching
+ * @param {number} [config.limit=8] - suggestions to make, and results to search for
+ * @param {number} [config.minLength=1] - characters to type, after the @ or #, before searching
+ * @param {number} [config.ttl=60000] - milliseconds searched prefixes are cached for
+ * @return {AutocompleteService}
+ */
+function NewAutocompleteService(baseURL, {delay = 150, limit = 8, minLength = 1, ttl = 60000} = {}) {
+    // name to {kind, name, entity, seen}, seen orders them by recency, 0 for those only searched
+    const index = {user: new Map(), channel: new Map()};
+    // the same names as {lower, name}, sorted by lower to find those starting with a prefix
+    const sorted = {user: [], channel: []};
+    const searched = new Map();
+    // signals of the service's own searches, whose results don't count as seen
+    const ownSignals = new WeakSet();
+    let seen = 0;
+    let pending;
+
+    // the first position whose name isn't before lower
+    function lowerBound(kind, lower) {
+        let low = 0;
+        let high = sorted[kind].length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (sorted[kind][middle].lower < lower) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    function startingWith(kind, prefix) {
+        const names = [];
+        for (let position = lowerBound(kind, prefix); position < sorted[kind].length
+            && sorted[kind][position].lower.startsWith(prefix); position++) {
+            names.push(sorted[kind][position].name);
+        }
+        return names;
+    }
+
+    function record(kind, name, entity, recent) {
+        const indexed = index[kind].get(name);
+        if (!indexed) {
+            const lower = name.toLowerCase();
+            sorted[kind].splice(lowerBound(kind, lower), 0, {lower, name});
+        }
+        index[kind].set(name, {
+            kind,
+            name,
+            entity: entity || (indexed && indexed.entity),
+            seen: recent ? ++seen : (indexed ? indexed.seen : 0),
+        });
+    }
+
+    function walk(data, recent) {
+        if (Array.isArray(data)) {
+            data.forEach(item => walk(item, recent));
+            return;
+        }
+        if (data === null || typeof data !== 'object') {
+            return;
+        }
+        const mention = Object.values(MENTION_KINDS).find(({matches}) => matches(data));
+        if (mention && typeof data[mention.key] === 'string') {
+            record(mention.kind, data[mention.key], data, recent);
+        }
+        Object.keys(REFERENCES)
+            .filter(key => typeof data[key] === 'string' && data[key])
+            .forEach(key => record(REFERENCES[key], data[key], undefined, recent));
+        Object.values(data).forEach(value => walk(value, recent));
+    }
+
+    function parse(text) {
+        const sigil = `${text}`.charAt(0);
+        if (MENTION_KINDS[sigil]) {
+            return {mentions: [MENTION_KINDS[sigil]], prefix: `${text}`.slice(1)};
+        }
+        return {mentions: Object.values(MENTION_KINDS), prefix: `${text}`};
+    }
+
+    // local names only match by their start, those searched for anywhere in the name
+    function rank(kind, prefix, found = []) {
+        const wanted = prefix.toLowerCase();
+        return [...new Set([...startingWith(kind, wanted), ...found])].map(name => {
+            const lower = name.toLowerCase();
+            return {
+                ...(index[kind].get(name) || {kind, name, seen: 0}),
+                tier: lower === wanted ? 0 : lower.startsWith(wanted) ? 1 : 2,
+            };
+        });
+    }
+
+    function merge(ranked) {
+        return [].concat(...ranked)
+            .sort((a, b) => a.tier - b.tier || b.seen - a.seen || a.name.localeCompare(b.name))
+            .slice(0, limit)
+            .map(({kind, name, entity}) => ({
+                kind,
+                name,
+                text: `${kind === 'user' ? '@' : '#'}${name}`,
+                ...(entity ? {entity} : {}),
+            }));
+    }
+
+    function cached(kind, prefix) {
+        const now = Date.now();
+        for (let length = prefix.length; length >= minLength; length--) {
+            const key = `${kind}:${prefix.slice(0, length).toLowerCase()}`;
+            const entry = searched.get(key);
+            if (entry && entry.expiresAt <= now) {
+                searched.delete(key);
+            } else if (entry && length === prefix.length) {
+                return entry.names;
+            } else if (entry && entry.complete) {
+                // the longer prefix can only match some of what the shorter one did
+                const wanted = prefix.toLowerCase();
+                return entry.names.filter(name => name.toLowerCase().includes(wanted));
+            }
+        }
+        return undefined;
+    }
+
+    async function search(mention, prefix, signal) {
+        const names = cached(mention.kind, prefix);
+        if (names) {
+            return names;
+        }
+        ownSignals.add(signal);
+        const found = await mention.search(baseURL, prefix, {limit, signal, priority: 'interactive'});
+        walk(found, false);
+        // the server matches other fields too, keeping just the names makes a prefix answer
+        // the same whether it's searched or narrowed down from a shorter one
+        const wanted = prefix.toLowerCase();
+        const entry = {
+            names: found.map(entity => entity[mention.key]).filter(name => name.toLowerCase().includes(wanted)),
+            complete: found.length < limit,
+            expiresAt: Date.now() + ttl,
+        };
+        searched.set(`${mention.kind}:${prefix.toLowerCase()}`, entry);
+        return entry.names;
+    }
+
+    function suggestLocal(text) {
+        const {mentions, prefix} = parse(text);
+        return merge(mentions.map(({kind}) => rank(kind, prefix)));
+    }
+
+    function cancel() {
+        if (pending) {
+            pending.cancel();
+            pending = undefined;
+        }
+    }
+
+    const service = {
+        suggest(text, {signal} = {}) {
+            cancel();
+            const {mentions, prefix} = parse(text);
+            if (prefix.length < minLength) {
+                return Promise.resolve(suggestLocal(text));
+            }
+            const controller = new AbortController();
+            let timer;
+            let onAbort;
+            const call = new Promise((resolve, reject) => {
+                onAbort = () => {
+                    clearTimeout(timer);
+                    if (signal) {
+                        signal.removeEventListener('abort', onAbort);
+                    }
+                    controller.abort();
+                    reject(new Issue1AbortError());
+                };
+                if (signal && signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                if (signal) {
+                    signal.addEventListener('abort', onAbort);
+                }
+                timer = setTimeout(async () => {
+                    try {
+                        const found = await Promise.all(mentions.map(mention => search(mention, prefix, controller.signal)));
+                        resolve(merge(mentions.map(({kind}, position) => rank(kind, prefix, found[position]))));
+                    } catch (error) {
+                        reject(controller.signal.aborted && !isAborted(error) ? new Issue1AbortError({cause: error}) : error);
+                    } finally {
+                        if (signal) {
+                            signal.removeEventListener('abort', onAbort);
+                        }
+                        if (pending && pending.call === call) {
+                            pending = undefined;
+                        }
+                    }
+                }, delay);
+            });
+            pending = {call, cancel: onAbort};
+            return call;
+        },
+        suggestLocal,
+        remember(kind, name) {
+            record(kind, name, undefined, true);
+        },
+        cancel,
+        clear() {
+            cancel();
+            index.user.clear();
+            index.channel.clear();
+            sorted.user.length = 0;
+            sorted.channel.length = 0;
+            searched.clear();
+        },
+        async middleware(request, next) {
+            const result = await next();
+            if (result && result.status === 'success' && !(request.signal && ownSignals.has(request.signal))) {
+                walk(result.data, true);
+            }
+            return result;
+        },
+    };
+    return service;
+}
@@ -0,0 +1,304 @@
+'use strict';
+
+import {requestKey} from "./transport.js";
+
+export {
+    NewCache,
+    NewMemoryCacheStore,
+    DEFAULT_CACHE_TTLS
+};
+
+/**
+ * @typedef {object} CacheStore
+ * Where a {@link Cache} keeps its entries. Methods may return promises, for stores
+ * backed by something asynchronous like IndexedDB.
+ *
+ * @property {function(string): (CacheEntry | undefined | Promise<CacheEntry | undefined>)} get
+ * @property {function(string, CacheEntry): (void | Promise<void>)} set
+ * @property {function(string): (void | Promise<void>)} delete
+ * @property {function(): (Array<string> | Promise<Array<string>>)} keys
+ * @property {function(): (void | Promise<void>)} clear
+ */
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {string} path - path of the cached resource, used for invalidation
+ * @property {TransportResponse} response
+ * @property {string} [etag]
+ * @property {number} expiresAt - milliseconds since epoch after which the entry is stale
+ */
+
+/**
+ * @typedef {object} Cache
+ * Opt-in cache of read responses, made by {@link NewCache}.
+ *
+ * @property {CacheStore} store
+ * @property {function(Transport): Transport} wrap - returns a transport answering from the cache
+ * @property {function(string): Promise<void>} invalidate - drop entries for the given path pattern
+ * @property {function(): Promise<void>} clear
+ */
+
+/**
+ * Milliseconds each resource is cached for. Resources missing here, or set to 0,
+ * aren't cached, which includes anything token related.
+ */
+const DEFAULT_CACHE_TTLS = Object.freeze({
+    users: 60 * 1000,
+    channels: 60 * 1000,
+    posts: 30 * 1000,
+    comments: 15 * 1000,
+    releases: 5 * 60 * 1000,
+    feeds: 0,
+    search: 0,
+});
+
+/**
+ * Which resource a path segment names, the last one in a path decides its TTL.
+ */
+const SEGMENT_RESOURCES = {
+    users: 'users',
+    bookmarks: 'users',
+    channels: 'channels',
+    posts: 'posts',
+    Posts: 'posts',
+    stickiedPosts: 'posts',
+    comments: 'comments',
+    replies: 'comments',
+    releases: 'releases',
+    catalog: 'releases',
+    catalogs: 'releases',
+    official: 'releases',
+    feed: 'feeds',
+    search: 'search',
+};
+
+/**
+ * Paths, besides the mutated resource itself and its collection, whose responses a
+ * successful mutation makes stale. `*` matches a single segment, a trailing `/**` any
+ * number of them, none included.
+ */
+const RELATED_PATHS = [
+    ['/posts/**', [
+        '/channels/*/Posts/**',
+        '/channels/*/stickiedPosts',
+        '/users/*/feed/posts',
+        '/users/*/bookmarks',
+        '/search',
+    ]],
+    ['/releases/**', [
+        '/channels/*/catalog',
+        '/channels/*/catalogs/**',
+        '/channels/*/official/**',
+        '/posts/*/releases',
+        '/search',
+    ]],
+    ['/channels/*/official/**', ['/releases/**', '/posts/*/releases']],
+    ['/channels/*', ['/users/*/feed/channels', '/users/*/feed/posts', '/search']],
+    ['/users/*', ['/search']],
+];
+
+/**
+ * Make a new in memory {@link CacheStore} that evicts the least recently used entry
+ * once full.
+ * @param {Object} [config]
+ * @param {number} [config.maxEntries=500]
+ * @return {CacheStore}
+ */
+function NewMemoryCacheStore({maxEntries = 500} = {}) {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (entry !== undefined) {
+                // re-insert to mark it as the most recently used
+                entries.delete(key);
+                entries.set(key, entry);
+            }
+            return entry;
+        },
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        keys() {
+            return [...entries.keys()];
+        },
+        clear() {
+            entries.clear();
+        },
+    };
+}
+
+/**
+ * Make a new Cache for GET responses of the read endpoints.
+ * Fresh entries are answered from the store. Stale ones are answered too, for as long
+ * as `staleWhileRevalidate` allows, while being refreshed in the background. Entries with
+ * an ETag are revalidated with If-None-Match instead of being fetched again.
+ * Successful mutations drop the entries they affect, e.g. `stickyPost` drops the channel's
+ * stickied posts and `addComment` the post's comments.
+ * Responses to authenticated requests are cached per token.
+ * @param {Object} [config]
+ * @param {CacheStore} [config.store] - defaults to {@link NewMemoryCacheStore}
+ * @param {Object<string, number>} [config.ttl] - milliseconds per resource, merged over {@link DEFAULT_CACHE_TTLS}
+ * @param {number} [config.staleWhileRevalidate=0] - milliseconds past expiry a stale entry may still be answered
+ * @return {Cache}
+ */
+function NewCache({store = NewMemoryCacheStore(), ttl = {}, staleWhileRevalidate = 0} = {}) {
+    const ttls = {...DEFAULT_CACHE_TTLS, ...ttl};
+    // bumped on every invalidation so responses fetched before it aren't stored after it
+    let generation = 0;
+    const revalidating = new Map();
+
+    const cache = {
+        store,
+        /**
+         * Put the cache in front of the given transport.
+         * @param {Transport} transport
+         * @return {Transport}
+         */
+        wrap(transport) {
+            return async request => {
+                const path = pathOf(request);
+                if (request.method.toLowerCase() !== 'get') {
+                    const response = await transport(request);
+                    if (response.status >= 200 && response.status < 300) {
+                        await invalidateAfter(path);
+                    }
+                    return response;
+                }
+                const lifetime = ttls[resourceOf(path)] || 0;
+                if (!lifetime) {
+                    return transport(request);
+                }
+                const key = requestKey(request);
+                const entry = await store.get(key);
+                const now = Date.now();
+                if (entry && now < entry.expiresAt) {
+                    return cloneResponse(entry.response);
+                }
+                if (entry && now < entry.expiresAt + staleWhileRevalidate) {
+                    if (!revalidating.has(key)) {
+                        const revalidation = fetchAndStore(transport, request, key, path, lifetime, entry)
+                            .catch(() => undefined)
+                            .then(() => revalidating.delete(key));
+                        revalidating.set(key, revalidation);
+                    }
+                    return cloneResponse(entry.response);
+                }
+                return fetchAndStore(transport, request, key, path, lifetime, entry);
+            };
+        },
+        /**
+         * Drop the entries of every path matching the given pattern.
+         * @param {string} pattern - a path, `*` matching a single segment and a trailing `/**` any number of them.
+         * @return {Promise<void>}
+         */
+        async invalidate(pattern) {
+            generation++;
+            const regex = compilePattern(pattern);
+            const keys = await store.keys();
+            for (const key of keys) {
+                const entry = await store.get(key);
+                if (entry && regex.test(entry.path)) {
+                    await store.delete(key);
+                }
+            }
+        },
+        /**
+         * Drop every entry.
+         * @return {Promise<void>}
+         */
+        async clear() {
+            generation++;
+            await store.clear();
+        },
+    };
+
+    async function fetchAndStore(transport, request, key, path, lifetime, entry) {
+        const startedAt = generation;
+        const conditional = entry && entry.etag ?
+            {...request, headers: {...request.headers, 'If-None-Match': entry.etag}} :
+            request;
+        const response = await transport(conditional);
+        if (response.status === 304 && entry) {
+            if (startedAt === generation) {
+                await store.set(key, {...entry, expiresAt: Date.now() + lifetime});
+            }
+            return cloneResponse(entry.response);
+        }
+        const cacheable = response.status >= 200 && response.status < 300 &&
+            !!response.data && response.data.status === 'success';
+        if (cacheable && startedAt === generation) {
+            await store.set(key, {
+                path,
+                response: cloneResponse(response),
+                etag: response.headers && response.headers.etag,
+                expiresAt: Date.now() + lifetime,
+            });
+        }
+        return response;
+    }
+
+    async function invalidateAfter(path) {
+        const [collection, id] = path.split('/').filter(segment => segment);
+        if (!collection) {
+            return;
+        }
+        const patterns = [`/${collection}`];
+        if (id) {
+            patterns.push(`/${collection}/${id}/**`);
+        }
+        RELATED_PATHS
+            .filter(([mutated]) => compilePattern(mutated).test(path))
+            .forEach(([, related]) => patterns.push(...related));
+        for (const pattern of patterns) {
+            await cache.invalidate(pattern);
+        }
+    }
+
+    return cache;
+}
+
+/**
+ * Callers get their own copy so changing a result doesn't change the cache.
+ */
+function cloneResponse(response) {
+    return {...response, data: JSON.parse(JSON.stringify(response.data))};
+}
+
+/**
+ * Path of the requested resource, relative to the base url.
+ */
+function pathOf({url, baseURL}) {
+    const relative = baseURL && url.startsWith(baseURL) ?
+        url.slice(baseURL.length) :
+        /^(?:[a-z][a-z\d+.-]*:\/\/[^/?#]*)?(.*)$/i.exec(url)[1];
+    return relative.replace(/[?#].*$/, '').replace(/\/+$/, '') || '/';
+}
+
+function resourceOf(path) {
+    const segments = path.split('/');
+    if (segments.includes('feed')) {
+        return 'feeds';
+    }
+    return segments
+        .map(segment => SEGMENT_RESOURCES[segment])
+        .filter(resource => resource)
+        .pop();
+}
+
+function compilePattern(pattern) {
+    const anyDepth = pattern.endsWith('/**');
+    const segments = (anyDepth ? pattern.slice(0, -3) : pattern)
+        .split('/')
+        .map(segment => segment === '*' ?
+            '[^/]+' :
+            segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${segments.join('/')}${anyDepth ? '(?:/.*)?' : ''}$`);
+}
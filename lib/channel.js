@@ -1,5 +1,6 @@
-﻿import {attachAuthTokenToHeader, makeRequest} from "./utilites.js";
-import {attachImageToRequest, generateQueryParams} from "./utilites";
+﻿import {NewSession} from "./session.js";
+import {paginate, NewPaginator} from "./paginate.js";
+import {NewRouteFunction, NewRouteMethods} from "./routes.js";
 
 export {
     addChannel,
@@ -49,62 +50,22 @@ export {
  *
  */
 
-function NewChannelServiceClient(baseURL) {
+/**
+ * Make a new Channel Service Client that calls to the given url.
+ * Methods calling the API are made from {@link ROUTES}, those taking an authToken fall back
+ * to the session's token when it's omitted.
+ * @param {string | Connection} baseURL
+ * @param {Session} [session] - session holding the auth token, see {@link NewSession}
+ */
+function NewChannelServiceClient(baseURL, session = NewSession(baseURL)) {
     let client = {
         baseURL,
+        session,
         /**
-         * Create a new channel.
-         */
-        async addChannel(baseURL, channel, authToken) {
-            return addChannel(client.baseURL, channel, authToken);
-        },
-        /**
-         *Returns the channel under the given channelUsername.
+         * @deprecated misnamed, use updateChannel
          */
-        async getChannel(baseURL, channelUsername, authToken = "") {
-            return getChannel(client.baseURL, channelUsername, authToken);
-        },
-        /**
-         * Search for channels according to the specified pattern.
-         */
-        async searchChannels(pattern = "", {limit, offset, sortingOrder, sortParameter} = {}) {
-            return searchChannels(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Get all channels using the specified pagination.
-         */
-        async getChannels({limit, offset, sortingOrder, sortParameter} = {}) {
-            return getChannels(client.baseURL, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Update the channel under the given username according to the values on the given object.
-         */
-        async updateUser(channelUsername, channel, authToken) {
-            return updateChannel(client.baseURL, channelUsername, channel, authToken);
-        },
-        /**
-         * Sends a a request to remove the channel under the given username.
-         */
-        async deleteChannel(channelUsername, authToken) {
-            return deleteChannel(client.baseURL, channelUsername, authToken);
-        },
-        /**
-         * Adds the given user to the channel's admin list.
-         */
-        async addAdminToChannel(channelUsername, adminUsername, authToken) {
-            return addAdminToChannel(client.baseURL, channelUsername, adminUsername, authToken);
-        },
-        /**
-         * Removes the given user to the channel's admin list.
-         */
-        async removeAdminFromChannel(channelUsername, adminUsername, authToken) {
-            return removeAdminFromChannel(client.baseURL, channelUsername, adminUsername, authToken);
-        },
-        /**
-         * Changes a channel's owner.
-         */
-        async changeChannelOwner(channelUsername, newOwner, authToken) {
-            return changeChannelOwner(client.baseURL, channelUsername, newOwner, authToken);
+        async updateUser(channelUsername, channel, authToken, {signal, priority} = {}) {
+            return client.updateChannel(channelUsername, channel, authToken, {signal, priority});
         },
         /*/!**
          * Remove the given release from the channel's catalog.
@@ -113,100 +74,32 @@ function NewChannelServiceClient(baseURL) {
             return removeReleaseFromChannelCatalog(client.baseURL, channelUsername, releaseID, authToken);
         },*/
         /**
-         * Add a release to the channel's official catalog.
-         */
-        async addReleaseToChannelOfficialCatalog(channelUsername, releaseID, originPostID, authToken) {
-            return addReleaseToChannelOfficialCatalog(client.baseURL, channelUsername, releaseID, originPostID, authToken);
-        },
-        /**
-         * Remove the given release from the channel's official catalog.
-         */
-        async removeReleaseFromChannelOfficialCatalog(channelUsername, releaseID, authToken) {
-            return removeReleaseFromChannelOfficialCatalog(client.baseURL, channelUsername, releaseID, authToken);
-        },
-        /**
-         * Sticky a post.
-         */
-        async stickyPost(channelUsername, postID, authToken) {
-            return stickyPost(client.baseURL, channelUsername, postID, authToken);
-        },
-        /**
-         * Un-sticky a post.
-         */
-        async removeStickiedPost(channelUsername, postID, authToken) {
-            return removeStickiedPost(client.baseURL, channelUsername, postID, authToken);
-        },
-        /**
-         * Get posts from the channel sorted and paginated according to the given parameters.
-         * Pagination is not yet implemented for this route. Sorry.
-         */
-        async getChannelPosts(channelUsername, {limit, offset, sorting, onlyIds = false} = {}) {
-            return getChannelPosts(client.baseURL, channelUsername, {limit, offset, sorting, onlyIds});
-        },
-        /**
-         * Get the post under the given id from the channel.
-         */
-        async getChannelPost(channelUsername, postID) {
-            return getChannelPost(client.baseURL, channelUsername, postID);
-        },
-        /**
-         * Get's the full release catalog of a channel. Authorization required.
-         * Pagination is not yet implemented for this route. Sorry.
-         */
-        async getCatalog(channelUsername, authToken, {limit, offset, sorting, onlyIds = false} = {}) {
-            return getCatalog(client.baseURL, channelUsername, authToken, {limit, offset, sorting, onlyIds});
-        },
-        /**
-         * Get's the official release catalog of a channel.
-         * Pagination is not yet implemented for this route. Sorry.
-         */
-        async getOfficialCatalog(channelUsername, {limit, offset, sorting, onlyIds = false} = {}) {
-            return getOfficialCatalog(client.baseURL, channelUsername, {limit, offset, sorting, onlyIds});
-        },
-        /**
-         * Fetches the specified release from the channel catalog.
-         */
-        async getReleaseFromCatalog(channelUsername, releaseID, authToken) {
-            return getReleaseFromCatalog(client.baseURL, channelUsername, releaseID, authToken);
-        },
-        /**
-         * Fetches the specified release from the channel official catalog.
-         */
-        async getReleaseFromOfficialCatalog(channelUsername, releaseID) {
-            return getReleaseFromOfficialCatalog(client.baseURL, channelUsername, releaseID);
-        },
-        /**
-         * Fetches the stickied posts of the channel.
+         * Iterate over every channel matching the pattern, all of them if it's empty, a page at a time.
+         * @return {PageIterator}
          */
-        async getStickiedPosts(channelUsername) {
-            return getStickiedPosts(client.baseURL, channelUsername);
+        iterateChannels({pattern = "", pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.searchChannels(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}), {pageSize});
         },
         /**
-         * Get the admins of a channel. Authorization required.
+         * Make a {@link Paginator} over the channels matching the pattern, all of them if it's empty.
+         * @return {Paginator}
          */
-        async getAdmins(channelUsername, authToken) {
-            return getAdmins(client.baseURL, channelUsername, authToken);
+        paginateChannels({pattern, page, pageSize, sortingOrder, sortParameter, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({pattern = "", limit, offset, sortingOrder, sortParameter}) =>
+                client.searchChannels(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {page, pageSize, prefetch, query, params: {pattern, sortingOrder, sortParameter}});
         },
         /**
-         * Get the owner of a channel. Authorization required.
+         * Iterate over every post of the channel, a page at a time.
+         * @return {PageIterator}
          */
-        async getOwner(channelUsername, authToken) {
-            return getOwner(client.baseURL, channelUsername, authToken);
-        },
-        /**
-         * Sets the provided image as the channel's profile picture.
-         */
-        async addDisplayPicture(username, authToken, imageData, imageName = 'client-js.jpg') {
-            return addDisplayPicture(client.baseURL, username, authToken, imageData, imageName);
-        },
-        /**
-         * Removes the user's channel's picture.
-         */
-        async removeDisplayPicture(username, authToken) {
-            return removeDisplayPicture(client.baseURL, username, authToken);
+        iterateChannelPosts(channelUsername, {pageSize, sorting, onlyIds, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.getChannelPosts(channelUsername, {limit, offset, sorting, onlyIds, signal, priority}), {pageSize});
         },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'channelService'));
 }
 
 /**
@@ -214,18 +107,12 @@ function NewChannelServiceClient(baseURL) {
  * @param {string} baseURL
  * @param {Channel} channel - owner username should match with the owner of the authToken
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Channel>}
  */
-async function addChannel(baseURL, channel, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels`,
-        {
-            method: 'post',
-            headers: attachAuthTokenToHeader(authToken),
-            data: channel,
-        }))
-        .data;
-}
+const addChannel = NewRouteFunction('addChannel');
 
 /**
  * Returns the channel under the given channelUsername.
@@ -233,16 +120,15 @@ async function addChannel(baseURL, channel, authToken) {
  * @param {string} channelUsername
  * @param {string} [authToken] - if provided and if it's the token of a channel admin,
  * private channel info will also be returned.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [options.include] - related entities to add, see {@link includeRelated}
+ * @param {number} [options.includeDepth=3] - how many levels deep the includes may go
  * @return {Promise<Channel>}
  */
-async function getChannel(baseURL, channelUsername, authToken = "") {
-    let response = (await makeRequest(
-        `${baseURL}/channels/${channelUsername}`,
-        {
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-    return response.data;
-}
+const getChannel = NewRouteFunction('getChannel');
 
 /**
  * Search for channels according to the specified pattern.
@@ -253,18 +139,13 @@ async function getChannel(baseURL, channelUsername, authToken = "") {
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channelUsername' or 'name'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @return {Promise<Array<Channel>>}
  */
-async function searchChannels(baseURL, pattern = "",
-                              {limit, offset, sortingOrder, sortParameter} = {}) {
-    let response = await makeRequest(
-        `${baseURL}/channels`,
-        {
-            method: 'get',
-            params: generateQueryParams({pattern, limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const searchChannels = NewRouteFunction('searchChannels');
 
 /**
  * Get all channels the specified pagination.
@@ -274,11 +155,13 @@ async function searchChannels(baseURL, pattern = "",
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channelUsername' or 'name'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @returns {Promise<Array<Channel>>}
  */
-async function getChannels(baseURL, {limit, offset, sortingOrder, sortParameter} = {}) {
-    return searchChannels(baseURL, "", {limit, offset, sortingOrder, sortParameter})
-}
+const getChannels = NewRouteFunction('getChannels');
 
 /**
  * Update the channel under the given username according to the values on the given object.
@@ -286,18 +169,12 @@ async function getChannels(baseURL, {limit, offset, sortingOrder, sortParameter}
  * @param {string} channelUsername
  * @param {Channel} channel - new values to be updated
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Channel>}
  */
-async function updateChannel(baseURL, channelUsername, channel, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-            data: channel
-        }))
-        .data;
-}
+const updateChannel = NewRouteFunction('updateChannel');
 
 /**
  * Sends a a request to remove the channel under the given username.
@@ -305,16 +182,12 @@ async function updateChannel(baseURL, channelUsername, channel, authToken) {
  * @param {string} baseURL
  * @param {string} channelUsername
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function deleteChannel(baseURL, channelUsername, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-}
+const deleteChannel = NewRouteFunction('deleteChannel');
 
 /**
  * Adds the given user to the channel's admin list.
@@ -322,16 +195,12 @@ async function deleteChannel(baseURL, channelUsername, authToken) {
  * @param {string} channelUsername
  * @param {string} adminUsername - the new admin
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function addAdminToChannel(baseURL, channelUsername, adminUsername, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/admins/${adminUsername}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
+const addAdminToChannel = NewRouteFunction('addAdminToChannel');
 
 /**
  * Remove the given user from the channel's admin list.
@@ -339,16 +208,12 @@ async function addAdminToChannel(baseURL, channelUsername, adminUsername, authTo
  * @param {string} channelUsername
  * @param {string} adminUsername - the outgoing admin
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function removeAdminFromChannel(baseURL, channelUsername, adminUsername, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/admins/${adminUsername}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
+const removeAdminFromChannel = NewRouteFunction('removeAdminFromChannel');
 
 /**
  * Changes a channel's owner.
@@ -356,16 +221,12 @@ async function removeAdminFromChannel(baseURL, channelUsername, adminUsername, a
  * @param {string} channelUsername
  * @param {string} newOwner - the new owner
  * @param {string} authToken - must belong to previous owner
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function changeChannelOwner(baseURL, channelUsername, newOwner, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/owners/${newOwner}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
+const changeChannelOwner = NewRouteFunction('changeChannelOwner');
 
 /*
 
@@ -379,7 +240,8 @@ async function changeChannelOwner(baseURL, channelUsername, newOwner, authToken)
  *!/
 async function removeReleaseFromChannelCatalog(baseURL, channelUsername, releaseID, authToken) {
     return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/catalogs/${releaseID}`,
+        baseURL,
+        `/channels/${channelUsername}/catalogs/${releaseID}`,
         {
             method: 'delete',
             headers: attachAuthTokenToHeader(authToken),
@@ -394,17 +256,12 @@ async function removeReleaseFromChannelCatalog(baseURL, channelUsername, release
  * @param {number} releaseID - the release
  * @param {number} originPostID - the post from which the release is from
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function addReleaseToChannelOfficialCatalog(baseURL, channelUsername, releaseID, originPostID, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/official/${releaseID}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-            data: {postID: originPostID}
-        });
-}
+const addReleaseToChannelOfficialCatalog = NewRouteFunction('addReleaseToChannelOfficialCatalog');
 
 /**
  * Remove the given release from the channel's official catalog.
@@ -412,16 +269,12 @@ async function addReleaseToChannelOfficialCatalog(baseURL, channelUsername, rele
  * @param {string} channelUsername
  * @param {number} releaseID - the outgoing release
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function removeReleaseFromChannelOfficialCatalog(baseURL, channelUsername, releaseID, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/official/${releaseID}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
+const removeReleaseFromChannelOfficialCatalog = NewRouteFunction('removeReleaseFromChannelOfficialCatalog');
 
 /**
  * Sticky a post.
@@ -429,16 +282,12 @@ async function removeReleaseFromChannelOfficialCatalog(baseURL, channelUsername,
  * @param {string} channelUsername
  * @param {number} postID - the post
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function stickyPost(baseURL, channelUsername, postID, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/stickiedPosts/${postID}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
+const stickyPost = NewRouteFunction('stickyPost');
 
 /**
  * Un-sticky a post.
@@ -446,16 +295,12 @@ async function stickyPost(baseURL, channelUsername, postID, authToken) {
  * @param {string} channelUsername
  * @param {number} postID - the post
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function removeStickiedPost(baseURL, channelUsername, postID, authToken) {
-    return await makeRequest(
-        `${baseURL}/channels/${channelUsername}/stickiedPosts/${postID}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
+const removeStickiedPost = NewRouteFunction('removeStickiedPost');
 
 
 /**
@@ -468,34 +313,28 @@ async function removeStickiedPost(baseURL, channelUsername, postID, authToken) {
  * @param {Number} [requestConfig.offset=0] - not yet implemented.
  * @param {string} [requestConfig.sorting=""] - not yet implemented.
  * @param {boolean} [requestConfig.onlyIds=false] - not yet implemented
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @returns {Promise<Array<Post>>}
  */
-async function getChannelPosts(baseURL, channelUsername,
-                               {limit, offset, sorting = "", onlyIds = false} = {}
-) {
-    let response = await makeRequest(
-        `${baseURL}/channels/${channelUsername}/Posts`,
-        {
-            params: generateQueryParams({limit, offset, sortParameter: sorting, onlyIds}),
-        });
-    return response.data;
-}
+const getChannelPosts = NewRouteFunction('getChannelPosts');
 
 /**
  * Get the post under the given id from the channel
  * @param {string} baseURL
  * @param {string} channelUsername
  * @param {number} postID - the post
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [options.include] - related entities to add, see {@link includeRelated}
+ * @param {number} [options.includeDepth=3] - how many levels deep the includes may go
  * @return {Promise<Post>}
  */
-async function getChannelPost(baseURL, channelUsername, postID) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/Posts/${postID}`,
-        {
-            method: 'get',
-        }))
-        .data;
-}
+const getChannelPost = NewRouteFunction('getChannelPost');
 
 /**
  * Get's the full release catalog of a channel. Authorization required.
@@ -508,19 +347,12 @@ async function getChannelPost(baseURL, channelUsername, postID) {
  * @param {Number} [requestConfig.offset=0] - not yet implemented.
  * @param {string} [requestConfig.sorting=""] - not yet implemented.
  * @param {boolean} [requestConfig.onlyIds=false] - not yet implemented
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<Release>>}
  */
-async function getCatalog(baseURL, channelUsername, authToken,
-                          {limit, offset, sorting = "", onlyIds = false} = {}
-) {
-    let response = await makeRequest(
-        `${baseURL}/channels/${channelUsername}/catalog`,
-        {
-            headers: attachAuthTokenToHeader(authToken),
-            params: generateQueryParams({limit, offset, sortParameter: sorting, onlyIds}),
-        });
-    return response.data;
-}
+const getCatalog = NewRouteFunction('getCatalog');
 
 
 /**
@@ -533,18 +365,12 @@ async function getCatalog(baseURL, channelUsername, authToken,
  * @param {Number} [requestConfig.offset=0] - not yet implemented.
  * @param {string} [requestConfig.sorting=""] - not yet implemented.
  * @param {boolean} [requestConfig.onlyIds=false] - not yet implemented
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<Release>>}
  */
-async function getOfficialCatalog(baseURL, channelUsername,
-                                  {limit, offset, sorting = "", onlyIds = false} = {}
-) {
-    let response = await makeRequest(
-        `${baseURL}/channels/${channelUsername}/official`,
-        {
-            params: generateQueryParams({limit, offset, sortParameter: sorting, onlyIds}),
-        });
-    return response.data;
-}
+const getOfficialCatalog = NewRouteFunction('getOfficialCatalog');
 
 /**
  * Fetches the specified release from the channel catalog. Authorization required.
@@ -552,82 +378,66 @@ async function getOfficialCatalog(baseURL, channelUsername,
  * @param {string} channelUsername
  * @param {string} authToken - must belong to an admin
  * @param {number} releaseID - the post
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Release>}
  */
-async function getReleaseFromCatalog(baseURL, channelUsername, releaseID, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/catalogs/${releaseID}`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken),
-        }))
-        .data;
-}
+const getReleaseFromCatalog = NewRouteFunction('getReleaseFromCatalog');
 
 /**
  * Fetches the specified release from the channel official catalog.
  * @param {string} baseURL
  * @param {string} channelUsername
  * @param {number} releaseID - the post
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Release>}
  */
-async function getReleaseFromOfficialCatalog(baseURL, channelUsername, releaseID) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/official/${releaseID}`,
-        {
-            method: 'get',
-        }))
-        .data;
-}
+const getReleaseFromOfficialCatalog = NewRouteFunction('getReleaseFromOfficialCatalog');
 
 /**
  * Fetches the stickied posts of the channel..
  * @param {string} baseURL
  * @param {string} channelUsername
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [options.include] - related entities to add, see {@link includeRelated}
+ * @param {number} [options.includeDepth=3] - how many levels deep the includes may go
  * @return {Promise<Post>}
  */
-async function getStickiedPosts(baseURL, channelUsername) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/stickiedPosts`,
-        {
-            method: 'get',
-        }))
-        .data;
-}
+const getStickiedPosts = NewRouteFunction('getStickiedPosts');
 
 /**
  * Get the admins of a channel. Authorization required.
  * @param {string} baseURL
  * @param {string} channelUsername
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Array<string>>} - array of usernames
  */
-async function getAdmins(baseURL, channelUsername, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/admins`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken),
-        }))
-        .data;
-}
+const getAdmins = NewRouteFunction('getAdmins');
 
 /**
  * Get the owner of a channel. Authorization required.
  * @param {string} baseURL
  * @param {string} channelUsername
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<string>} - username
  */
-async function getOwner(baseURL, channelUsername, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/owners`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken),
-        }))
-        .data;
-}
+const getOwner = NewRouteFunction('getOwner');
 
 
 /**
@@ -637,24 +447,11 @@ async function getOwner(baseURL, channelUsername, authToken) {
  * @param {string} authToken - must belong to an admin
  * @param {Blob | FormData | Buffer | Readable} imageData
  * @param {string} imageName - name under which the image will be saved on the server
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function addDisplayPicture(baseURL,
-                                 channelUsername, authToken,
-                                 imageData, imageName = 'client-js.jpg') {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/picture`,
-        {
-            method: 'put',
-            ...await attachImageToRequest(
-                imageData,
-                {
-                    headers: attachAuthTokenToHeader(authToken),
-                    imageName
-                }
-            ),
-        }))
-        .data;
-}
+const addDisplayPicture = NewRouteFunction('addDisplayPicture');
 
 
 /**
@@ -662,12 +459,8 @@ async function addDisplayPicture(baseURL,
  * @param {string} baseURL
  * @param {string} channelUsername
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function removeDisplayPicture(baseURL, channelUsername, authToken) {
-    return (await makeRequest(
-        `${baseURL}/channels/${channelUsername}/picture`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        }));
-}
+const removeDisplayPicture = NewRouteFunction('removeDisplayPicture');
@@ -8,6 +8,11 @@ import {NewChannelServiceClient} from "./channel";
 import {NewCommentServiceClient} from "./comment";
 import {NewReleaseServiceClient} from "./release";
 import {NewSearchServiceClient} from "./search";
+import {NewSession} from "./session";
+import {NewConnection} from "./connection";
+import {NewEntityStore} from "./store";
+import {NewQuery} from "./query";
+import {NewAutocompleteService} from "./autocomplete";
 
 export {NewIssue1Client};
 export * from './auth';
@@ -18,18 +23,139 @@ export * from './channel';
 export * from './comment';
 export * from './search';
 export * from './release';
+export * from './session';
+export * from './errors';
+export * from './connection';
+export {DEFAULT_RETRY_POLICY} from './retry';
+export {loggingMiddleware, headersMiddleware} from './middleware';
+export {NewAxiosTransport, NewFetchTransport} from './transport';
+export {NewMultipartBody, isMultipartBody, isStreamingBody, checkUploadSize, toFormData, toNodeFormData} from './multipart';
+export {NewCache, NewMemoryCacheStore, DEFAULT_CACHE_TTLS} from './cache';
+export {NewRequestQueue, PRIORITIES} from './queue';
+export {paginate, NewPaginator} from './paginate';
+export {NewEntityStore, ENTITY_TYPES, entityTypeOf} from './store';
+export {includeRelated, RELATIONSHIPS, DEFAULT_INCLUDE_DEPTH} from './include';
+export {getCommentThread} from './thread';
+export {SCHEMAS, ENUMS, SORT_PARAMETERS, checkEntity, checkValue, checkListOptions} from './validate';
+export {DECODERS, decodeResponse} from './decode';
+export {NewQuery, QUERY_RESOURCES} from './query';
+export {rankSearchResults, highlightMatches, RESULT_TYPES} from './ranking';
+export {NewAutocompleteService, MENTION_KINDS} from './autocomplete';
 
-function NewIssue1Client(baseURL) {
-    return {
+/**
+ * Make a new Issue1 client that calls to the given url.
+ * The client owns a {@link Session}: given credentials or an existing token, it's attached
+ * to every authenticated call that doesn't explicitly pass one and refreshed as needed.
+ * @param {string} baseURL - Url to the issue-1-REST server.
+ * @param {Object} [config]
+ * @param {string} [config.username]
+ * @param {string} [config.password]
+ * @param {string} [config.authToken] - an existing token to use instead of logging in.
+ * @param {number} [config.refreshMargin] - how many milliseconds before expiry the token gets refreshed.
+ * @param {'axios' | 'fetch' | Transport} [config.transport=axios] - what sends the requests.
+ * 'fetch' does without axios, for browsers, node 18+, workers and React Native.
+ * @param {function} [config.fetch] - fetch implementation for the fetch transport.
+ * @param {Object | boolean} [config.retry=true] - retry policy for failed requests, see {@link RetryPolicy}.
+ * Pass false to disable retrying.
+ * @param {Object | RequestQueue} [config.queue] - rate limit and max concurrency shared by every service,
+ * see {@link NewRequestQueue}. `client.queue.stats()` tells how long requests wait.
+ * @param {boolean} [config.dedupe=true] - share one in-flight request between concurrent identical GETs.
+ * @param {boolean} [config.validate=true] - false to send arguments without checking them first,
+ * see {@link validateArguments}.
+ * @param {boolean} [config.decode=false] - opt-in decoding of responses into Dates, filled in lists and
+ * sorted bookmarks, see {@link decodeResponse}.
+ * @param {Object | boolean | Cache} [config.cache] - opt-in cache for read requests, see {@link NewCache}.
+ * @param {boolean | EntityStore} [config.store] - opt-in store of every entity the client sees, under
+ * `client.store`, see {@link NewEntityStore}.
+ * @param {Object | boolean} [config.autocomplete] - opt-in mention suggestions under `client.autocomplete`,
+ * true or its delay, limit, minLength and ttl, see {@link NewAutocompleteService}.
+ * @param {number} [config.timeout] - milliseconds before a request times out.
+ * @param {Object} [config.headers] - headers sent with every request.
+ * @param {string} [config.userAgent]
+ * @param {Object} [config.httpAgent] - node's http.Agent to send requests through.
+ * @param {Object} [config.httpsAgent] - node's https.Agent to send requests through.
+ * @param {Object | boolean} [config.proxy]
+ * @param {number} [config.maxContentLength] - max size, in bytes, of a response body.
+ * @param {number} [config.maxUploadSize] - max size, in bytes, of an uploaded image.
+ * @param {string} [config.responseType]
+ * @see NewConnection
+ */
+function NewIssue1Client(baseURL, {
+    username, password, authToken, refreshMargin, transport, fetch, retry = true, queue, dedupe, validate, decode, cache, store,
+    autocomplete, timeout, headers, userAgent, httpAgent, httpsAgent, proxy, maxContentLength, maxUploadSize, responseType
+} = {}) {
+    const connection = NewConnection(baseURL, {
+        transport, fetch, retry, queue, dedupe, validate, decode, cache,
+        timeout, headers, userAgent, httpAgent, httpsAgent, proxy, maxContentLength, maxUploadSize, responseType
+    });
+    const session = NewSession(connection, {username, password, authToken, refreshMargin});
+    const entityStore = createStore(store);
+    if (entityStore) {
+        connection.use(entityStore.middleware);
+    }
+    const autocompleteService = autocomplete ? NewAutocompleteService(connection, autocomplete === true ? {} : autocomplete) : undefined;
+    if (autocompleteService) {
+        connection.use(autocompleteService.middleware);
+    }
+    const client = {
         baseURL,
-        authService: NewAuthServiceClient(baseURL),
-        userService: NewUserServiceClient(baseURL),
-        postService: NewPostServiceClient(baseURL),
-        feedService: NewFeedServiceClient(baseURL),
-        channelService: NewChannelServiceClient(baseURL),
-        commentService: NewCommentServiceClient(baseURL),
-        searchService: NewSearchServiceClient(baseURL),
-        releaseService: NewReleaseServiceClient(baseURL),
+        connection,
+        session,
+        cache: connection.cache,
+        queue: connection.queue,
+        store: entityStore,
+        autocomplete: autocompleteService,
+        /**
+         * Add a middleware to the end of the client's request pipeline.
+         * @param {Middleware} middleware
+         * @return {Object} the client, for chaining
+         * @see Middleware
+         */
+        use(middleware) {
+            connection.use(middleware);
+            return client;
+        },
+        /**
+         * Log in using the given credentials, or the ones the client was created with.
+         * @return {Promise<string>} - the new token
+         */
+        async login(username, password) {
+            return session.login(username, password);
+        },
+        /**
+         * Invalidate the session's token and forget it.
+         */
+        async logout() {
+            return session.logout();
+        },
+        /**
+         * Start a {@link Query} over one of the list endpoints, e.g.
+         * `client.query('posts').matching('jazz').sortBy('posted_by').desc().page(2, 50).execute()`.
+         * @param {string} resource - one of {@link QUERY_RESOURCES}
+         * @param {...any} args - e.g. the postID of 'comments'
+         * @return {Query}
+         */
+        query(resource, ...args) {
+            return NewQuery(client, resource, ...args);
+        },
+        authService: NewAuthServiceClient(connection, session),
+        userService: NewUserServiceClient(connection, session),
+        postService: NewPostServiceClient(connection, session),
+        feedService: NewFeedServiceClient(connection, session),
+        channelService: NewChannelServiceClient(connection, session),
+        commentService: NewCommentServiceClient(connection, session),
+        searchService: NewSearchServiceClient(connection),
+        releaseService: NewReleaseServiceClient(connection, session),
     };
+    return client;
 }
 
+function createStore(store) {
+    if (!store) {
+        return undefined;
+    }
+    if (typeof store.ingest === 'function') {
+        return store;
+    }
+    return NewEntityStore();
+}
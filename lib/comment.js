@@ -1,7 +1,7 @@
-﻿import {
-    attachAuthTokenToHeader, generateQueryParams,
-    makeRequest
-} from "./utilites";
+﻿import {NewSession} from "./session.js";
+import {paginate, NewPaginator} from "./paginate.js";
+import {getCommentThread} from "./thread.js";
+import {NewRouteFunction, NewRouteMethods} from "./routes.js";
 
 export {
     addComment,
@@ -27,53 +27,52 @@ export {
  * @property {string} [creationTime]
  */
 
-function NewCommentServiceClient(baseURL) {
+/**
+ * Make a new Comment Service Client that calls to the given url.
+ * Methods calling the API are made from {@link ROUTES}, those taking an authToken fall back
+ * to the session's token when it's omitted.
+ * @param {string | Connection} baseURL
+ * @param {Session} [session] - session holding the auth token, see {@link NewSession}
+ */
+function NewCommentServiceClient(baseURL, session = NewSession(baseURL)) {
     const client = {
         baseURL,
+        session,
         /**
-         * Create a new comment.
-         */
-        async addComment(comment, postID, authToken) {
-            return addComment(client.baseURL, comment, postID, authToken);
-        },
-        /**
-         * Reply to a comment.
+         * Iterate over every comment on the post, a page at a time.
+         * @return {PageIterator}
          */
-        async addReply(comment, postID, commentID, authToken) {
-            return addReply(client.baseURL, comment, postID, commentID, authToken);
+        iterateComments(postID, {pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.getComments(postID, {limit, offset, sortingOrder, sortParameter, signal, priority}), {pageSize});
         },
         /**
-         * Returns the comment under the given id.
+         * Make a {@link Paginator} over the comments on the post.
+         * @return {Paginator}
          */
-        async getComment(id, postID) {
-            return getComment(client.baseURL, id, postID);
+        paginateComments(postID, {page, pageSize, sortingOrder, sortParameter, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({limit, offset, sortingOrder, sortParameter}) =>
+                client.getComments(postID, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {page, pageSize, prefetch, query, params: {sortingOrder, sortParameter}});
         },
         /**
-         * Get all comments of a post according the specified pagination
+         * Iterate over every reply to the comment, a page at a time.
+         * @return {PageIterator}
          */
-        async getComments(postID, {limit, offset, sortingOrder, sortParameter} = {}) {
-            return getComments(client.baseURL, postID, {limit, offset, sortingOrder, sortParameter})
+        iterateReplies(commentID, postID, {pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.getReplies(commentID, postID, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {pageSize});
         },
         /**
-         * Get all replies of a comment according the specified pagination.
+         * Fetch the discussion under the post as a {@link CommentThread}.
+         * @return {Promise<CommentThread>}
          */
-        async getReplies(commentID, postID, {limit, offset, sortingOrder, sortParameter} = {}) {
-            return getReplies(client.baseURL, commentID, postID, {limit, offset, sortingOrder, sortParameter})
-        },
-        /**
-         * Update the comment under the given id according to the values on the given object.
-         */
-        async updateComment(id, postID, comment, authToken) {
-            return updateComment(client.baseURL, id, postID, comment, authToken)
-        },
-        /**
-         * Sends a a request to remove the comment under the given id.
-         */
-        async deleteComment(id, postID, authToken) {
-            return deleteComment(client.baseURL, id, postID, authToken)
+        async getCommentThread(postID, {maxDepth, repliesPerLevel, sort, signal, priority} = {}) {
+            return getCommentThread(client.baseURL, postID, {maxDepth, repliesPerLevel, sort, signal, priority});
         },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'commentService'));
 }
 
 /**
@@ -82,18 +81,12 @@ function NewCommentServiceClient(baseURL) {
  * @param {Comment} comment
  * @param {number} postID
  * @param {string} authToken - must belong to an admin of the channel given under comment.originChannel
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Comment>}
  */
-async function addComment(baseURL, comment, postID, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${postID}/comments`,
-        {
-            method: 'post',
-            headers: attachAuthTokenToHeader(authToken),
-            data: comment,
-        }))
-        .data;
-}
+const addComment = NewRouteFunction('addComment');
 
 /**
  * Reply to a comment.
@@ -102,31 +95,27 @@ async function addComment(baseURL, comment, postID, authToken) {
  * @param {number} postID
  * @param {number} commentID - comment to which to reply to
  * @param {string} authToken - must belong to an admin of the channel given under comment.originChannel
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Comment>}
  */
-async function addReply(baseURL, comment, postID, commentID, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${postID}/comments/${commentID}/replies`,
-        {
-            method: 'post',
-            headers: attachAuthTokenToHeader(authToken),
-            data: comment,
-        }))
-        .data;
-}
+const addReply = NewRouteFunction('addReply');
 
 /**
  * Returns the comment under the given id.
  * @param {string} baseURL
  * @param {number} id
  * @param {number} postID - post from
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [options.include] - related entities to add, see {@link includeRelated}
+ * @param {number} [options.includeDepth=3] - how many levels deep the includes may go
  * @return {Promise<Comment>}
  */
-async function getComment(baseURL, id, postID) {
-    return (await makeRequest(
-        `${baseURL}/posts/${postID}/comments/${id}`))
-        .data;
-}
+const getComment = NewRouteFunction('getComment');
 
 /**
  * Get all comments of a post according the specified pagination.
@@ -137,18 +126,13 @@ async function getComment(baseURL, id, postID) {
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - only 'creation_time' for now.
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @return {Promise<Array<Comment>>}
  */
-async function getComments(baseURL, postID,
-                           {limit, offset, sortingOrder, sortParameter} = {}) {
-    let response = await makeRequest(
-        `${baseURL}/posts/${postID}/comments`,
-        {
-            method: 'get',
-            params: generateQueryParams({limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const getComments = NewRouteFunction('getComments');
 
 /**
  * Get all replies of a comment according the specified pagination.
@@ -160,19 +144,13 @@ async function getComments(baseURL, postID,
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - only 'creation_time' for now.
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @return {Promise<Array<Comment>>}
  */
-async function getReplies(baseURL, commentID, postID,
-                          {limit, offset, sortingOrder, sortParameter} = {}) {
-
-    let response = await makeRequest(
-        `${baseURL}/posts/${postID}/comments/${commentID}/replies`,
-        {
-            method: 'get',
-            params: generateQueryParams({limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const getReplies = NewRouteFunction('getReplies');
 
 /**
  * Update the comment under the given id according to the values on the given object.
@@ -181,18 +159,12 @@ async function getReplies(baseURL, commentID, postID,
  * @param {number} postID - post to which the comment belongs
  * @param {Comment} comment - new values to be updated
  * @param {string} authToken - must belong to the commenter
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Comment>}
  */
-async function updateComment(baseURL, id, postID, comment, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${postID}/comments/${id}`,
-        {
-            method: 'patch',
-            headers: attachAuthTokenToHeader(authToken),
-            data: comment
-        }))
-        .data;
-}
+const updateComment = NewRouteFunction('updateComment');
 
 
 /**
@@ -202,13 +174,9 @@ async function updateComment(baseURL, id, postID, comment, authToken) {
  * @param {number} id
  * @param {number} postID - post the comment's from
  * @param {string} authToken - must belong to the commenter
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function deleteComment(baseURL, id, postID, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${postID}/comments/${id}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-}
+const deleteComment = NewRouteFunction('deleteComment');
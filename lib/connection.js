@@ -0,0 +1,175 @@
+'use strict';
+
+import axios from 'axios';
+import {normalizeRetryPolicy} from "./retry.js";
+import {Issue1Error} from "./errors.js";
+import {NewAxiosTransport, NewFetchTransport} from "./transport.js";
+import {NewCache} from "./cache.js";
+import {withDedupe} from "./dedupe.js";
+import {NewRequestQueue} from "./queue.js";
+
+export {
+    NewConnection,
+    resolveConnection
+};
+
+/**
+ * @typedef {object} Connection
+ * Per client settings for reaching an issue-1-REST server, made by {@link NewConnection}.
+ * Every service function accepts one in place of its baseURL.
+ *
+ * @property {string} baseURL
+ * @property {RetryPolicy} [retry]
+ * @property {Transport} transport - sends the requests
+ * @property {Cache} [cache] - answers read requests when enabled
+ * @property {RequestQueue} [queue] - rate limits requests when enabled
+ * @property {Array<Middleware>} middleware - run, in order, on every request
+ * @property {boolean} validate - whether arguments are checked before being sent, see {@link validateArguments}
+ * @property {boolean} decode - whether responses are decoded into rich types, see {@link decodeResponse}
+ * @property {number} [maxUploadSize] - max size, in bytes, of an uploaded image, see {@link checkUploadSize}
+ */
+
+/**
+ * Make a new Connection to the given url with its own {@link Transport}.
+ * @param {string} baseURL - Url to the issue-1-REST server, including any base path.
+ * @param {Object} [config]
+ * @param {'axios' | 'fetch' | Transport} [config.transport=axios] - what sends the requests, either
+ * a fresh {@link axios} instance, the fetch API or a custom {@link Transport}. The agent and proxy
+ * settings only apply to axios.
+ * @param {function} [config.fetch] - fetch implementation for the fetch transport, defaults to the global one.
+ * @param {Object | boolean} [config.retry] - retry policy, see {@link RetryPolicy}. Disabled if falsy.
+ * @param {Object | RequestQueue} [config.queue] - rate limit and max concurrency, either a queue made
+ * by {@link NewRequestQueue} or the config to make one with. Disabled if falsy.
+ * @param {boolean} [config.dedupe=true] - share one in-flight request between concurrent identical GETs,
+ * see {@link withDedupe}. Single calls opt out with `dedupe: false`.
+ * @param {boolean} [config.validate=true] - check entities and options against {@link SCHEMAS} and
+ * the endpoints' enums before sending them, throwing {@link Issue1ValidationError}s.
+ * @param {boolean} [config.decode=false] - turn timestamps into Dates, fill in missing lists and check
+ * the shape of responses, see {@link decodeResponse}.
+ * @param {Object | boolean | Cache} [config.cache] - response cache, either made by {@link NewCache} or
+ * the config to make one with, true for the defaults. Disabled if falsy.
+ * @param {number} [config.timeout=0] - milliseconds before a request times out, 0 for never.
+ * @param {Object} [config.headers] - headers sent with every request.
+ * @param {string} [config.userAgent] - sent as the User-Agent header. Browsers ignore it.
+ * @param {Object} [config.httpAgent] - node's http.Agent to send requests through.
+ * @param {Object} [config.httpsAgent] - node's https.Agent to send requests through.
+ * @param {{host: string, port: number, auth: {username: string, password: string}} | boolean} [config.proxy]
+ * - proxy server to use in node, false to ignore the environment's proxy settings.
+ * @param {number} [config.maxContentLength] - max size, in bytes, of a response body.
+ * @param {number} [config.maxUploadSize] - max size, in bytes, of an uploaded image. Checked before
+ * sending when the size is known and while streaming otherwise.
+ * @param {string} [config.responseType=json] - default response type.
+ * @return {Connection}
+ */
+function NewConnection(baseURL, {
+    transport = 'axios', fetch, retry, queue, dedupe = true, validate = true, decode = false, cache,
+    timeout, headers, userAgent, httpAgent, httpsAgent, proxy, maxContentLength, maxUploadSize, responseType = 'json'
+} = {}) {
+    const defaults = {
+        timeout,
+        headers: {
+            ...headers,
+        },
+        httpAgent,
+        httpsAgent,
+        proxy,
+        maxContentLength,
+        responseType,
+    };
+    if (userAgent) {
+        defaults.headers['User-Agent'] = userAgent;
+    }
+    // leave out what wasn't set so axios' own defaults apply
+    Object.keys(defaults)
+        .filter(key => defaults[key] === undefined)
+        .forEach(key => delete defaults[key]);
+    const connection = {
+        baseURL,
+        retry: normalizeRetryPolicy(retry),
+        transport: createTransport(transport, defaults, fetch),
+        cache: createCache(cache),
+        queue: createQueue(queue),
+        middleware: [],
+        validate: validate !== false,
+        decode: !!decode,
+        maxUploadSize,
+        /**
+         * Add a middleware to the end of the pipeline.
+         * @param {Middleware} middleware
+         * @return {Connection}
+         */
+        use(middleware) {
+            connection.middleware.push(middleware);
+            return connection;
+        },
+        toString() {
+            return baseURL;
+        },
+    };
+    // the queue only holds back what reaches the server, the cache and dedupe get to answer first
+    if (connection.queue) {
+        connection.transport = connection.queue.wrap(connection.transport);
+    }
+    if (dedupe) {
+        connection.transport = withDedupe(connection.transport);
+    }
+    if (connection.cache) {
+        connection.transport = connection.cache.wrap(connection.transport);
+    }
+    return connection;
+}
+
+function createCache(cache) {
+    if (!cache) {
+        return undefined;
+    }
+    if (typeof cache.wrap === 'function') {
+        return cache;
+    }
+    return NewCache(cache === true ? {} : cache);
+}
+
+function createQueue(queue) {
+    if (!queue) {
+        return undefined;
+    }
+    if (typeof queue.wrap === 'function') {
+        return queue;
+    }
+    return NewRequestQueue(queue);
+}
+
+function createTransport(transport, defaults, fetch) {
+    if (typeof transport === 'function') {
+        return transport;
+    }
+    switch (transport) {
+        case 'axios':
+            return NewAxiosTransport(axios.create(defaults));
+        case 'fetch':
+            return NewFetchTransport({fetch, ...defaults});
+        default:
+            throw new Issue1Error(`issue1.REST.client: unknown transport '${transport}'`);
+    }
+}
+
+const globalAxiosTransport = NewAxiosTransport(axios);
+
+/**
+ * Returns the given connection, or one using the global {@link axios} if given a url.
+ * @param {string | Connection} baseURL
+ * @return {Connection}
+ */
+function resolveConnection(baseURL) {
+    if (typeof baseURL === 'string') {
+        return {
+            baseURL,
+            transport: globalAxiosTransport,
+            middleware: [],
+            toString() {
+                return baseURL;
+            },
+        };
+    }
+    return baseURL;
+}
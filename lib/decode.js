@@ -0,0 +1,162 @@
+'use strict';
+
+import {Issue1DecodeError} from "./errors.js";
+import {resolveConnection} from "./connection.js";
+import {SCHEMAS, checkEntity} from "./validate.js";
+
+export {
+    DECODERS,
+    decodeResponse
+};
+
+/**
+ * Fields every response entity has, whatever the view the server sends.
+ */
+const IDENTIFYING_FIELDS = Object.freeze({
+    User: ['username'],
+    Channel: ['channelUsername', 'name'],
+    Post: ['id', 'originChannel', 'title'],
+    Release: ['id', 'ownerChannel', 'type'],
+    Comment: ['id', 'originPost', 'commenter'],
+});
+
+/**
+ * @typedef {object} Bookmark
+ * @property {Date} bookmarkedAt
+ * @property {Post} post
+ */
+
+/**
+ * How the responses of the endpoints are decoded, by the type they return: each entity
+ * type, a list of them as `Array<Type>`, 'Bookmarks', 'Subscriptions' and 'SearchResults'.
+ * Each decoder pushes what's wrong with the data onto `errors` and returns the decoded data.
+ */
+const DECODERS = Object.freeze({
+    ...Object.fromEntries(Object.keys(IDENTIFYING_FIELDS).flatMap(schema => [
+        [schema, (data, errors, field) => decodeEntity(schema, data, errors, field)],
+        [`Array<${schema}>`, (data, errors, field) => decodeList(schema, data, errors, field)],
+    ])),
+    /**
+     * The bookmark time to post map as a list of {@link Bookmark}s, latest first.
+     */
+    Bookmarks(data, errors, field = '') {
+        if (!isObject(data)) {
+            errors.push({field: field || 'bookmarks', message: 'must be an object'});
+            return data;
+        }
+        return Object.keys(data)
+            .map(time => {
+                const bookmarkedAt = new Date(time);
+                if (Number.isNaN(bookmarkedAt.getTime())) {
+                    errors.push({field: `${field}[${time}]`, message: 'must be keyed by a date'});
+                }
+                return {bookmarkedAt, post: decodeEntity('Post', data[time], errors, `${field}[${time}]`)};
+            })
+            .sort((a, b) => b.bookmarkedAt - a.bookmarkedAt);
+    },
+    /**
+     * Channels with the time the feed subscribed to them.
+     */
+    Subscriptions(data, errors, field = '') {
+        return decodeList('Channel', data, errors, field).map((channel, index) => {
+            if (!isObject(channel) || channel.subscriptionTime === undefined) {
+                return channel;
+            }
+            const subscriptionTime = new Date(channel.subscriptionTime);
+            if (Number.isNaN(subscriptionTime.getTime())) {
+                errors.push({field: `${field}[${index}].subscriptionTime`, message: 'must be a date'});
+            }
+            return {...channel, subscriptionTime};
+        });
+    },
+    SearchResults(data, errors, field = '') {
+        if (!isObject(data)) {
+            errors.push({field: field || 'results', message: 'must be an object'});
+            return data;
+        }
+        const lists = {posts: 'Post', releases: 'Release', comments: 'Comment', channels: 'Channel', users: 'User'};
+        const decoded = {...data};
+        Object.keys(lists).forEach(name => {
+            decoded[name] = data[name] === undefined || data[name] === null ?
+                [] :
+                decodeList(lists[name], data[name], errors, field ? `${field}.${name}` : name);
+        });
+        return decoded;
+    },
+});
+
+/**
+ * Decode the response data as the given type if the connection has decoding enabled,
+ * returning it as is otherwise: timestamps become Dates, missing lists empty arrays and
+ * the bookmarks map a sorted list. The data is checked along the way, so a server
+ * sending something else is reported here rather than deep in the calling code.
+ * @param {string | Connection} baseURL
+ * @param {string | undefined} type - one of {@link DECODERS}, undefined to leave the data alone
+ * @param {any} data
+ * @return {any}
+ * @throws {Issue1DecodeError} listing each offending field under `errors`
+ */
+function decodeResponse(baseURL, type, data) {
+    if (!type || !resolveConnection(baseURL).decode) {
+        return data;
+    }
+    const errors = [];
+    const decoded = DECODERS[type](data, errors, '');
+    if (errors.length > 0) {
+        throw new Issue1DecodeError(
+            `issue1.REST.client: response isn't a valid ${type}: ` +
+            errors.map(({field, message}) => `${field} ${message}`).join(', '),
+            errors,
+            {data});
+    }
+    return decoded;
+}
+
+function decodeList(schema, data, errors, field) {
+    if (!Array.isArray(data)) {
+        errors.push({field: field || schema, message: 'must be an array'});
+        return data;
+    }
+    return data.map((item, index) => decodeEntity(schema, item, errors, `${field}[${index}]`));
+}
+
+function decodeEntity(schema, data, errors, field = '') {
+    if (!isObject(data)) {
+        errors.push({field: field || schema, message: 'must be an object'});
+        return data;
+    }
+    const found = [
+        ...IDENTIFYING_FIELDS[schema]
+            .filter(name => data[name] === undefined || data[name] === null)
+            .map(name => ({field: field ? `${field}.${name}` : name, message: 'is missing'})),
+        ...checkEntity(schema, data, {partial: true, field}),
+    ];
+    errors.push(...found);
+    return found.length > 0 ? data : convert(schema, data);
+}
+
+/**
+ * Dates to Date, missing lists to empty arrays, nested objects likewise.
+ */
+function convert(schema, entity) {
+    const rules = SCHEMAS[schema];
+    const decoded = {...entity};
+    Object.keys(rules).forEach(name => {
+        const rule = rules[name];
+        const value = entity[name];
+        if (value === undefined || value === null) {
+            if (rule.type === 'array') {
+                decoded[name] = [];
+            }
+        } else if (rule.type === 'date') {
+            decoded[name] = new Date(value);
+        } else if (rule.type === 'object') {
+            decoded[name] = convert(rule.schema, value);
+        }
+    });
+    return decoded;
+}
+
+function isObject(data) {
+    return data !== null && typeof data === 'object' && !Array.isArray(data);
+}
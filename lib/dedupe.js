@@ -0,0 +1,83 @@
+'use strict';
+
+import {Issue1AbortError} from "./errors.js";
+import {requestKey, requestSummary} from "./transport.js";
+
+export {
+    withDedupe
+};
+
+/**
+ * Put the given transport behind one that shares a single in-flight request between
+ * concurrent identical GETs, those with the same url, query and authorization.
+ * Requests with `dedupe: false`, or a response type other than JSON, are sent on their own.
+ * Aborting one of the sharing requests only rejects that one; the shared request is
+ * aborted once every request sharing it is.
+ * @param {Transport} transport
+ * @return {Transport}
+ */
+function withDedupe(transport) {
+    const inFlight = new Map();
+
+    return request => {
+        const json = !request.responseType || request.responseType === 'json';
+        if (request.method.toLowerCase() !== 'get' || request.dedupe === false || !json) {
+            return transport(request);
+        }
+        const key = requestKey(request);
+        let shared = inFlight.get(key);
+        if (!shared) {
+            const created = share(transport, request, () => {
+                if (inFlight.get(key) === created) {
+                    inFlight.delete(key);
+                }
+            });
+            inFlight.set(key, created);
+            shared = created;
+        }
+        return shared.subscribe(request);
+    };
+}
+
+function share(transport, request, done) {
+    const controller = new AbortController();
+    let subscribers = 0;
+    let aborted = 0;
+    const response = new Promise(resolve => resolve(transport({...request, signal: controller.signal})));
+    response.then(done, done);
+
+    return {
+        subscribe({signal}) {
+            subscribers++;
+            if (!signal) {
+                return response.then(cloneResponse);
+            }
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    reject(new Issue1AbortError({request: requestSummary(request)}));
+                    if (++aborted === subscribers) {
+                        // later requests start over instead of joining an aborted one
+                        done();
+                        controller.abort();
+                    }
+                };
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, {once: true});
+                response
+                    .then(cloneResponse)
+                    .then(resolve, reject)
+                    .finally(() => signal.removeEventListener('abort', onAbort));
+            });
+        },
+    };
+}
+
+/**
+ * Each caller gets its own copy so changing a result doesn't change the others'.
+ */
+function cloneResponse(response) {
+    return {...response, data: response.data === undefined ? undefined : JSON.parse(JSON.stringify(response.data))};
+}
@@ -0,0 +1,185 @@
+'use strict';
+
+export {DEFAULT_FIXTURES};
+
+/**
+ * Initial state of a new {@link Emulator}, mirroring the seeded database the
+ * test suite was written against.
+ * Channels list their admins, stickied posts and official releases, as a releaseID to
+ * postID map; everything else is linked through the owning entity's reference.
+ */
+const DEFAULT_FIXTURES = {
+    users: [
+        {
+            username: 'Cobotbol',
+            email: 'paper.bug@hot.ping',
+            password: 'password',
+            firstName: 'Jeff',
+            lastName: 'Poisonne',
+            creationTime: '2020-01-01T10:00:00Z',
+        },
+        {
+            username: 'loveless',
+            email: 'loveless@issue1.test',
+            password: 'password',
+            firstName: 'Loveless',
+            lastName: 'Jones',
+            bio: 'Sleeps through the afternoons.',
+            creationTime: '2020-01-02T10:00:00Z',
+        },
+        {
+            username: 'rembrandt',
+            email: 'rembrandt@issue1.test',
+            password: 'password',
+            firstName: 'Rembrandt',
+            lastName: 'Harmensz',
+            creationTime: '2020-01-03T10:00:00Z',
+        },
+    ],
+    channels: [
+        {
+            channelUsername: 'axesteel',
+            name: 'Anaerobic Love',
+            description: 'Still Waiting In The Car',
+            ownerUsername: 'Cobotbol',
+            adminUsernames: ['Cobotbol', 'loveless'],
+            stickiedPostIDs: [],
+            official: {74: 7},
+            creationTime: '2020-01-05T10:00:00Z',
+        },
+        {
+            channelUsername: 'icehead',
+            name: 'Baba Yaga',
+            description: 'Blood Flowing In The Streets',
+            ownerUsername: 'Cobotbol',
+            adminUsernames: ['Cobotbol'],
+            stickiedPostIDs: [],
+            official: {},
+            creationTime: '2020-01-06T10:00:00Z',
+        },
+        {
+            channelUsername: 'moribund',
+            name: 'Moribund',
+            description: 'Soon to be gone',
+            ownerUsername: 'Cobotbol',
+            adminUsernames: ['Cobotbol'],
+            stickiedPostIDs: [],
+            official: {},
+            creationTime: '2020-01-06T11:00:00Z',
+        },
+        {
+            channelUsername: 'faberge',
+            name: 'Faberge Eggs',
+            description: 'Ornate and fragile',
+            ownerUsername: 'rembrandt',
+            adminUsernames: ['rembrandt'],
+            stickiedPostIDs: [],
+            official: {},
+            creationTime: '2020-01-07T10:00:00Z',
+        },
+    ],
+    posts: [
+        {
+            id: 3,
+            postedByUsername: 'rembrandt',
+            originChannel: 'faberge',
+            title: 'The Night Watch',
+            description: 'Love in the time of lanterns.',
+            contentsID: [],
+            stars: {loveless: 4},
+            creationTime: '2020-02-01T10:00:00Z',
+        },
+        {
+            id: 6,
+            postedByUsername: 'rembrandt',
+            originChannel: 'axesteel',
+            title: 'Guest Spot',
+            description: 'Sitting in for a while.',
+            contentsID: [],
+            stars: {},
+            creationTime: '2020-02-02T10:00:00Z',
+        },
+        {
+            id: 7,
+            postedByUsername: 'Cobotbol',
+            originChannel: 'axesteel',
+            title: 'Have mercy, love.',
+            description: 'Mercy, darling.',
+            contentsID: [74],
+            stars: {loveless: 5},
+            creationTime: '2020-02-03T10:00:00Z',
+        },
+        {
+            id: 8,
+            postedByUsername: 'Cobotbol',
+            originChannel: 'axesteel',
+            title: 'Draft',
+            description: 'Posted by mistake.',
+            contentsID: [],
+            stars: {},
+            creationTime: '2020-02-04T10:00:00Z',
+        },
+        {
+            id: 9,
+            postedByUsername: 'loveless',
+            originChannel: 'axesteel',
+            title: 'House Rules',
+            description: 'Read before posting.',
+            contentsID: [],
+            stars: {},
+            creationTime: '2020-02-05T10:00:00Z',
+        },
+    ],
+    comments: [
+        {
+            id: 18,
+            commenter: 'Cobotbol',
+            originPost: 7,
+            content: 'I found you lying where I drowned you.',
+            replyTo: -1,
+            creationTime: '2020-02-03T11:00:00Z',
+        },
+        {
+            id: 19,
+            commenter: 'Cobotbol',
+            originPost: 7,
+            content: 'Never mind.',
+            replyTo: -1,
+            creationTime: '2020-02-03T12:00:00Z',
+        },
+        {
+            id: 20,
+            commenter: 'loveless',
+            originPost: 7,
+            content: 'Down by the water.',
+            replyTo: 18,
+            creationTime: '2020-02-03T13:00:00Z',
+        },
+    ],
+    releases: [
+        {
+            id: 74,
+            ownerChannel: 'axesteel',
+            type: 'text',
+            content: 'Long ago, in a car park far away...',
+            metadata: {
+                title: 'Project Mercy',
+                releaseDate: '2020-02-03T00:00:00Z',
+                genreDefining: 'Fiction',
+                description: 'A love story, of sorts.',
+            },
+            creationTime: '2020-02-03T09:00:00Z',
+        },
+        {
+            id: 75,
+            ownerChannel: 'axesteel',
+            type: 'image',
+            content: 'images/release-75.jpg',
+            metadata: {
+                title: 'Unreleased Cover',
+                genreDefining: 'Art',
+            },
+            creationTime: '2020-02-04T09:00:00Z',
+        },
+    ],
+};
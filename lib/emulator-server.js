@@ -0,0 +1,131 @@
+'use strict';
+
+import http from 'http';
+import {NewEmulator} from "./emulator.js";
+
+export {
+    startEmulatorServer
+};
+
+/**
+ * Serve the given emulator over HTTP, for clients that need a url such as the test suite.
+ * Answers CORS preflights so browsers, and JSDOM, can reach it.
+ * Run this file with node to start one on the port given as argument, 8080 by default.
+ * @param {Emulator} [emulator]
+ * @param {Object} [config]
+ * @param {number} [config.port=8080] - 0 picks a free port, see `server.address().port`.
+ * @param {string} [config.host]
+ * @return {Promise<http.Server>} - listening, with the emulator under `server.emulator`
+ */
+function startEmulatorServer(emulator = NewEmulator(), {port = 8080, host} = {}) {
+    const server = http.createServer((req, res) => {
+        handleRequest(emulator, req, res).catch(err => {
+            writeResponse(req, res, 500, {status: 'error', message: err.message});
+        });
+    });
+    server.emulator = emulator;
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.removeListener('error', reject);
+            resolve(server);
+        });
+    });
+}
+
+async function handleRequest(emulator, req, res) {
+    if (req.method === 'OPTIONS') {
+        writeResponse(req, res, 204);
+        return;
+    }
+    const body = await readBody(req);
+    const contentType = req.headers['content-type'] || '';
+    let data, form;
+    if (/^multipart\/form-data/i.test(contentType)) {
+        form = parseMultipart(body, contentType);
+    } else if (body.length > 0) {
+        try {
+            data = JSON.parse(body.toString());
+        } catch (err) {
+            writeResponse(req, res, 400, {status: 'error', message: 'request body is not valid JSON'});
+            return;
+        }
+    }
+    const url = new URL(req.url, 'http://emulator');
+    const query = {};
+    url.searchParams.forEach((value, key) => query[key] = value);
+    const response = await emulator.handle({
+        method: req.method,
+        path: url.pathname,
+        query,
+        headers: req.headers,
+        data,
+        form,
+    });
+    writeResponse(req, res, response.status, response.status === 304 ? undefined : response.data, response.headers);
+}
+
+function writeResponse(req, res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': req.headers.origin || '*',
+        'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Authorization, Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Expose-Headers': 'ETag',
+        ...headers,
+        ...(body === undefined ? {} : {'Content-Type': 'application/json'}),
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Just enough of multipart/form-data for the client's uploads: text fields are kept
+ * as strings, files only by name and size.
+ */
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    const form = {};
+    if (!match) {
+        return form;
+    }
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        start += delimiter.length;
+        // the closing delimiter is followed by '--'
+        if (body.slice(start, start + 2).toString() === '--') {
+            break;
+        }
+        const end = body.indexOf(delimiter, start);
+        if (end === -1) {
+            break;
+        }
+        // drop the CRLFs around the part
+        const part = body.slice(start + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const head = part.slice(0, headerEnd).toString();
+        const value = part.slice(headerEnd + 4);
+        const name = /;\s*name="([^"]*)"/i.exec(head);
+        const filename = /filename="([^"]*)"/i.exec(head);
+        if (name) {
+            form[name[1]] = filename ? {filename: filename[1], size: value.length} : value.toString();
+        }
+        start = end;
+    }
+    return form;
+}
+
+if (process.argv[1] && /emulator-server\.js$/.test(process.argv[1])) {
+    const port = Number(process.argv[2] || process.env.PORT || 8080);
+    startEmulatorServer(NewEmulator(), {port}).then(server => {
+        console.log(`issue-1-REST emulator listening on http://localhost:${server.address().port}`);
+    });
+}
@@ -0,0 +1,1387 @@
+'use strict';
+
+import {DEFAULT_FIXTURES} from "./emulator-fixtures.js";
+
+export {
+    NewEmulator,
+    DEFAULT_FIXTURES
+};
+
+/**
+ * @typedef {object} Emulator
+ * In memory stand-in for issue-1-REST, made by {@link NewEmulator}. It answers every
+ * route the client calls with the same jSend bodies, statuses and errorReasons.
+ *
+ * @property {Object} state - users, channels, posts, comments, releases and feeds, keyed by id
+ * @property {Transport} transport - answers requests in process, see {@link NewConnection}
+ */
+
+/**
+ * @typedef {object} EmulatorRequest
+ * @property {string} method
+ * @property {string} path - path of the resource, without the base path
+ * @property {Object} [query] - query parameters
+ * @property {Object} [headers]
+ * @property {any} [data] - the parsed JSON body
+ * @property {Object<string, string | {filename: string, size: number}>} [form] - fields of a multipart
+ * body, file parts only keep their name and size
+ */
+
+/**
+ * Make a new Emulator holding a copy of the given fixtures.
+ * Use its transport to skip the network altogether or serve it through
+ * {@link startEmulatorServer} for clients that need a url.
+ * @param {Object} [config]
+ * @param {Object} [config.fixtures] - initial state, shaped like {@link DEFAULT_FIXTURES}.
+ * @param {number} [config.tokenLifetime=900000] - milliseconds an auth token stays valid.
+ * @param {string} [config.basePath] - prefix stripped from request paths, e.g. '/api'.
+ * @return {Emulator}
+ */
+function NewEmulator({fixtures = DEFAULT_FIXTURES, tokenLifetime = 15 * 60 * 1000, basePath = ''} = {}) {
+    const secret = Math.random().toString(36).slice(2);
+    let tokenCount = 0;
+
+    const emulator = {
+        state: undefined,
+        /**
+         * Throw away all changes and start over from the fixtures.
+         */
+        reset() {
+            emulator.state = loadFixtures(fixtures);
+        },
+        /**
+         * Answer a single request.
+         * @param {EmulatorRequest} request
+         * @return {Promise<TransportResponse>}
+         */
+        async handle({method, path, query = {}, headers = {}, data, form}) {
+            if (basePath && path.startsWith(basePath)) {
+                path = path.slice(basePath.length);
+            }
+            const token = bearerToken(headers);
+            const claims = verifyToken(token) || {};
+            const context = {
+                emulator,
+                state: emulator.state,
+                query,
+                data: clone(data),
+                form,
+                viewer: claims.username,
+                tokenID: claims.jti,
+                hasToken: !!token,
+            };
+            let status, body;
+            try {
+                [status, body] = route(method.toLowerCase(), path, context);
+            } catch (err) {
+                if (!(err instanceof Rejection)) {
+                    throw err;
+                }
+                [status, body] = [err.status, err.body];
+            }
+            const responseHeaders = {'content-type': 'application/json'};
+            if (method.toLowerCase() === 'get' && status === 200) {
+                responseHeaders.etag = `W/"${hash(JSON.stringify(body))}"`;
+                if (headerValue(headers, 'if-none-match') === responseHeaders.etag) {
+                    return {status: 304, statusText: STATUS_TEXT[304], headers: responseHeaders, data: ''};
+                }
+            }
+            return {
+                status,
+                statusText: STATUS_TEXT[status] || '',
+                headers: responseHeaders,
+                data: clone(body),
+            };
+        },
+        /**
+         * A {@link Transport} answering requests in process.
+         * @param {RequestDescriptor} request
+         * @return {Promise<TransportResponse>}
+         */
+        async transport(request) {
+            if (request.signal && request.signal.aborted) {
+                const error = new Error("request aborted");
+                error.name = 'AbortError';
+                throw error;
+            }
+            const {path, query} = splitURL(request.url);
+            const isForm = request.data && Array.isArray(request.data.parts);
+            return emulator.handle({
+                method: request.method,
+                path,
+                query: {...query, ...withoutUndefined(request.params)},
+                headers: request.headers,
+                data: isForm ? undefined : request.data,
+                form: isForm ? await formFromParts(request.data.parts) : undefined,
+            });
+        },
+        /**
+         * Issue a token for the given user, as `/token-auth` would.
+         * @param {string} username
+         * @return {string}
+         */
+        issueToken(username) {
+            const now = Date.now();
+            const payload = {
+                username,
+                iat: Math.floor(now / 1000),
+                exp: Math.floor((now + tokenLifetime) / 1000),
+                jti: `${++tokenCount}`,
+            };
+            const unsigned = `${encodeBase64URL({alg: 'HS256', typ: 'JWT'})}.${encodeBase64URL(payload)}`;
+            return `${unsigned}.${sign(unsigned)}`;
+        },
+    };
+
+    /**
+     * Returns the claims of the given token, undefined if it's invalid.
+     */
+    function verifyToken(token) {
+        if (!token) {
+            return undefined;
+        }
+        const [header, payload, signature] = token.split('.');
+        if (!payload || sign(`${header}.${payload}`) !== signature) {
+            return undefined;
+        }
+        let claims;
+        try {
+            claims = JSON.parse(decodeBase64URL(payload));
+        } catch (err) {
+            return undefined;
+        }
+        if (claims.exp * 1000 <= Date.now() || emulator.state.revokedTokens.has(claims.jti) ||
+            !emulator.state.users[claims.username]) {
+            return undefined;
+        }
+        return claims;
+    }
+
+    function sign(text) {
+        return hash(`${secret}.${text}`);
+    }
+
+    emulator.reset();
+    return emulator;
+}
+
+/*
+ * State
+ */
+
+function loadFixtures(fixtures) {
+    const {users = [], channels = [], posts = [], comments = [], releases = []} = clone(fixtures);
+    const state = {
+        users: {},
+        channels: {},
+        posts: {},
+        comments: {},
+        releases: {},
+        feeds: {},
+        revokedTokens: new Set(),
+        lastID: 0,
+    };
+    users.forEach(user => addUserToState(state, user));
+    channels.forEach(channel => state.channels[channel.channelUsername] = {
+        adminUsernames: [channel.ownerUsername],
+        stickiedPostIDs: [],
+        official: {},
+        ...channel,
+    });
+    posts.forEach(post => state.posts[post.id] = {contentsID: [], stars: {}, ...post});
+    comments.forEach(comment => state.comments[comment.id] = {replyTo: -1, ...comment});
+    releases.forEach(release => state.releases[release.id] = {metadata: {}, ...release});
+    state.lastID = Math.max(0, ...[posts, comments, releases]
+        .reduce((all, items) => all.concat(items), [])
+        .map(item => item.id));
+    return state;
+}
+
+function addUserToState(state, user) {
+    state.users[user.username] = {
+        ...user,
+        creationTime: user.creationTime || new Date().toISOString(),
+        bookmarks: user.bookmarks || {},
+    };
+    state.feeds[user.username] = {
+        id: Object.keys(state.feeds).length + 1,
+        ownerUsername: user.username,
+        defaultSorting: 'hot',
+        subscriptions: {},
+    };
+}
+
+function nextID(state) {
+    return ++state.lastID;
+}
+
+/*
+ * Routing
+ */
+
+const routes = [
+    ['post', '/token-auth', login],
+    ['get', '/token-auth-refresh', refreshToken],
+    ['get', '/logout', logout],
+
+    ['get', '/users', searchUsers],
+    ['post', '/users', addUser],
+    ['get', '/users/:username', getUser],
+    ['put', '/users/:username', updateUser],
+    ['delete', '/users/:username', deleteUser],
+    ['get', '/users/:username/bookmarks', getBookmarks],
+    ['put', '/users/:username/bookmarks/:postID', addBookmark],
+    ['delete', '/users/:username/bookmarks/:postID', deleteBookmark],
+    ['put', '/users/:username/picture', setUserPicture],
+    ['delete', '/users/:username/picture', removeUserPicture],
+    ['get', '/users/:username/feed', getFeed],
+    ['put', '/users/:username/feed', setFeedSorting],
+    ['get', '/users/:username/feed/posts', getFeedPosts],
+    ['get', '/users/:username/feed/channels', getFeedSubscriptions],
+    ['post', '/users/:username/feed/channels', subscribeFeed],
+    ['delete', '/users/:username/feed/channels/:channelUsername', unsubscribeFeed],
+
+    ['get', '/channels', searchChannels],
+    ['post', '/channels', addChannel],
+    ['get', '/channels/:channelUsername', getChannel],
+    ['put', '/channels/:channelUsername', updateChannel],
+    ['delete', '/channels/:channelUsername', deleteChannel],
+    ['get', '/channels/:channelUsername/admins', getAdmins],
+    ['put', '/channels/:channelUsername/admins/:username', addAdmin],
+    ['delete', '/channels/:channelUsername/admins/:username', removeAdmin],
+    ['get', '/channels/:channelUsername/owners', getOwner],
+    ['put', '/channels/:channelUsername/owners/:username', changeOwner],
+    ['get', '/channels/:channelUsername/Posts', getChannelPosts],
+    ['get', '/channels/:channelUsername/Posts/:postID', getChannelPost],
+    ['get', '/channels/:channelUsername/stickiedPosts', getStickiedPosts],
+    ['put', '/channels/:channelUsername/stickiedPosts/:postID', stickyPost],
+    ['delete', '/channels/:channelUsername/stickiedPosts/:postID', removeStickiedPost],
+    ['get', '/channels/:channelUsername/catalog', getCatalog],
+    ['get', '/channels/:channelUsername/catalogs/:releaseID', getCatalogRelease],
+    ['get', '/channels/:channelUsername/official', getOfficialCatalog],
+    ['get', '/channels/:channelUsername/official/:releaseID', getOfficialRelease],
+    ['put', '/channels/:channelUsername/official/:releaseID', addOfficialRelease],
+    ['delete', '/channels/:channelUsername/official/:releaseID', removeOfficialRelease],
+    ['put', '/channels/:channelUsername/picture', setChannelPicture],
+    ['delete', '/channels/:channelUsername/picture', removeChannelPicture],
+
+    ['get', '/posts', searchPosts],
+    ['post', '/posts', addPost],
+    ['get', '/posts/:postID', getPost],
+    ['put', '/posts/:postID', updatePost],
+    ['delete', '/posts/:postID', deletePost],
+    ['get', '/posts/:postID/releases', getPostReleases],
+    ['get', '/posts/:postID/stars', getPostStars],
+    ['put', '/posts/:postID/stars', starPost],
+    ['get', '/posts/:postID/stars/:username', getPostStar],
+    ['get', '/posts/:postID/comments', getComments],
+    ['post', '/posts/:postID/comments', addComment],
+    ['get', '/posts/:postID/comments/:commentID', getComment],
+    ['patch', '/posts/:postID/comments/:commentID', updateComment],
+    ['delete', '/posts/:postID/comments/:commentID', deleteComment],
+    ['get', '/posts/:postID/comments/:commentID/replies', getReplies],
+    ['post', '/posts/:postID/comments/:commentID/replies', addReply],
+
+    ['get', '/releases', searchReleases],
+    ['post', '/releases', addRelease],
+    ['get', '/releases/:releaseID', getRelease],
+    ['patch', '/releases/:releaseID', updateRelease],
+    ['delete', '/releases/:releaseID', deleteRelease],
+
+    ['get', '/search', search],
+].map(([method, pattern, handler]) => ({
+    method,
+    handler,
+    names: (pattern.match(/:\w+/g) || []).map(name => name.slice(1)),
+    regex: new RegExp(`^${pattern.replace(/:\w+/g, '([^/]+)')}/?$`),
+}));
+
+function route(method, path, context) {
+    const matching = routes
+        .map(route => ({route, match: route.regex.exec(path)}))
+        .filter(({match}) => match);
+    if (matching.length === 0) {
+        throw new Rejection(404, {status: 'error', message: `no route for ${path}`});
+    }
+    const found = matching.find(({route}) => route.method === method);
+    if (!found) {
+        throw new Rejection(405, {status: 'error', message: `method ${method.toUpperCase()} not allowed`});
+    }
+    context.params = {};
+    found.route.names.forEach((name, i) => context.params[name] = decodeSegment(found.match[i + 1]));
+    return found.route.handler(context);
+}
+
+/*
+ * Responses
+ */
+
+const STATUS_TEXT = {
+    200: 'OK',
+    201: 'Created',
+    304: 'Not Modified',
+    400: 'Bad Request',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'Not Found',
+    405: 'Method Not Allowed',
+    409: 'Conflict',
+};
+
+/**
+ * Thrown by handlers to answer with an error.
+ */
+class Rejection {
+    constructor(status, body) {
+        this.status = status;
+        this.body = body;
+    }
+}
+
+function success(data = null, status = 200) {
+    return [status, {status: 'success', data}];
+}
+
+function fail(status, errorReason, errorMessage) {
+    return new Rejection(status, {status: 'fail', data: {errorReason, errorMessage}});
+}
+
+function notFound(errorReason, what) {
+    return fail(404, errorReason, `${what} not found`);
+}
+
+/*
+ * Access
+ */
+
+function requireViewer(context) {
+    if (!context.viewer) {
+        throw fail(401, 'authToken', context.hasToken ?
+            'authToken is invalid or expired' :
+            'authToken is required');
+    }
+    return context.viewer;
+}
+
+function requireSelf(context, username) {
+    if (requireViewer(context) !== username) {
+        throw fail(403, 'username', 'not authorized to act on behalf of this user');
+    }
+}
+
+function isAdmin(channel, username) {
+    return !!username && channel.adminUsernames.includes(username);
+}
+
+function requireAdmin(context, channel) {
+    if (!isAdmin(channel, requireViewer(context))) {
+        throw fail(403, 'username', 'user is not an admin of the channel');
+    }
+}
+
+function requireOwner(context, channel) {
+    if (requireViewer(context) !== channel.ownerUsername) {
+        throw fail(403, 'username', 'user is not the owner of the channel');
+    }
+}
+
+/*
+ * Lookups
+ */
+
+function findUser(state, username) {
+    const user = state.users[username];
+    if (!user) {
+        throw notFound('username', `user ${username}`);
+    }
+    return user;
+}
+
+function findChannel(state, channelUsername) {
+    const channel = state.channels[channelUsername];
+    if (!channel) {
+        throw notFound('channelUsername', `channel ${channelUsername}`);
+    }
+    return channel;
+}
+
+function findPost(state, postID, reason = 'postID') {
+    const post = state.posts[postID];
+    if (!post) {
+        throw notFound(reason, `post ${postID}`);
+    }
+    return post;
+}
+
+function findComment(state, postID, commentID) {
+    const comment = state.comments[commentID];
+    if (!comment || `${comment.originPost}` !== `${postID}`) {
+        throw notFound('commentID', `comment ${commentID}`);
+    }
+    return comment;
+}
+
+function findRelease(state, releaseID) {
+    const release = state.releases[releaseID];
+    if (!release) {
+        throw notFound('releaseID', `release ${releaseID}`);
+    }
+    return release;
+}
+
+function isOfficial(state, release) {
+    const channel = state.channels[release.ownerChannel];
+    return !!channel && channel.official[release.id] !== undefined;
+}
+
+/*
+ * Views, the shape entities are sent in
+ */
+
+function viewUser(user, viewer) {
+    const {password, bookmarks, email, ...rest} = user;
+    return viewer === user.username ? {...rest, email} : rest;
+}
+
+function viewChannel(state, channel, viewer) {
+    const {official, adminUsernames, ownerUsername, ...rest} = channel;
+    const view = {
+        ...rest,
+        postIDs: postsOfChannel(state, channel.channelUsername).map(post => post.id),
+        officialReleaseIDs: Object.keys(official).map(Number),
+    };
+    if (isAdmin(channel, viewer)) {
+        view.ownerUsername = ownerUsername;
+        view.adminUsernames = adminUsernames;
+        view.releaseIDs = Object.values(state.releases)
+            .filter(release => release.ownerChannel === channel.channelUsername)
+            .map(release => release.id);
+    }
+    return view;
+}
+
+function viewPost(state, post) {
+    return {
+        ...post,
+        commentsID: Object.values(state.comments)
+            .filter(comment => comment.originPost === post.id && comment.replyTo === -1)
+            .map(comment => comment.id),
+    };
+}
+
+function postsOfChannel(state, channelUsername) {
+    return Object.values(state.posts).filter(post => post.originChannel === channelUsername);
+}
+
+function starCount(post) {
+    return Object.values(post.stars).reduce((sum, stars) => sum + stars, 0);
+}
+
+/**
+ * Post descriptions and comment contents are markdown and come back rendered,
+ * the real server's renderer leaves a trailing newline on posts.
+ */
+function renderMarkdown(text) {
+    const escaped = `${text}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+    return `<p>${escaped}</p>`;
+}
+
+/*
+ * Queries
+ */
+
+const SORT_FIELDS = {
+    creation_time: 'creationTime',
+    username: 'username',
+    'first-name': 'firstName',
+    'last-name': 'lastName',
+    name: 'name',
+    title: 'title',
+    channel_username: 'channelUsername',
+    release_date: 'releaseDate',
+};
+
+/**
+ * Apply the sort, offset and limit query parameters to the given items.
+ */
+function paginate(items, {sort, limit, offset}, {defaultSort = 'creation_time', sortPosts = false} = {}) {
+    let [, parameter = defaultSort, order] = /^(.*?)(?:_(asc|dsc))?$/.exec(sort || defaultSort);
+    let sorted;
+    if (sortPosts && ['hot', 'top', 'new'].includes(parameter)) {
+        sorted = sortByFeedOrder(items, parameter);
+    } else {
+        const field = SORT_FIELDS[parameter] || parameter;
+        sorted = [...items].sort((a, b) => compare(a[field], b[field]));
+        if (order === 'dsc') {
+            sorted.reverse();
+        }
+    }
+    const start = Number(offset) || 0;
+    const count = Number(limit) || 25;
+    return sorted.slice(start, start + count);
+}
+
+function sortByFeedOrder(posts, sorting) {
+    const byTime = (a, b) => compare(b.creationTime, a.creationTime);
+    switch (sorting) {
+        case 'new':
+            return [...posts].sort(byTime);
+        case 'top':
+            return [...posts].sort((a, b) => starCount(b) - starCount(a) || byTime(a, b));
+        default:
+            // hot: stars weighed down by age in days
+            return [...posts].sort((a, b) => hotness(b) - hotness(a) || byTime(a, b));
+    }
+}
+
+function hotness(post) {
+    const days = (Date.now() - Date.parse(post.creationTime)) / (24 * 60 * 60 * 1000);
+    return starCount(post) / (days + 2);
+}
+
+function compare(a, b) {
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined) {
+        return 1;
+    }
+    if (b === undefined) {
+        return -1;
+    }
+    return `${a}`.localeCompare(`${b}`, undefined, {numeric: true});
+}
+
+function matches(pattern, ...values) {
+    if (!pattern) {
+        return true;
+    }
+    const needle = `${pattern}`.toLowerCase();
+    return values.some(value => value !== undefined && value !== null &&
+        `${value}`.toLowerCase().includes(needle));
+}
+
+function onlyIDs(query, items) {
+    return query.onlyPKeys === true || query.onlyPKeys === 'true' ?
+        items.map(item => item.id) :
+        items;
+}
+
+function requireFields(object, ...fields) {
+    const field = fields.find(field => !object || object[field] === undefined || object[field] === '');
+    if (field) {
+        throw fail(400, field, `${field} is required`);
+    }
+}
+
+function pictureURL(owner, filename) {
+    return `images/${owner}-${filename || 'picture.jpg'}`;
+}
+
+/*
+ * Auth handlers
+ */
+
+function login({emulator, state, data}) {
+    const {username, password} = data || {};
+    const user = state.users[username];
+    if (!user || user.password !== password) {
+        throw fail(401, 'credentials', 'incorrect username or password');
+    }
+    return success({token: emulator.issueToken(username)});
+}
+
+function refreshToken(context) {
+    const username = requireViewer(context);
+    return success({token: context.emulator.issueToken(username)});
+}
+
+function logout(context) {
+    requireViewer(context);
+    context.state.revokedTokens.add(context.tokenID);
+    return success(null);
+}
+
+/*
+ * User handlers
+ */
+
+function searchUsers({state, query}) {
+    const users = Object.values(state.users)
+        .filter(user => matches(query.pattern, user.username, user.firstName, user.middleName, user.lastName,
+            user.bio));
+    return success(paginate(users, query).map(user => viewUser(user)));
+}
+
+function addUser({state, data}) {
+    requireFields(data, 'username', 'password');
+    if (!/^\w{5,22}$/.test(data.username)) {
+        throw fail(400, 'username', 'username must be 5 to 22 letters, digits or underscores');
+    }
+    if (`${data.password}`.length < 8) {
+        throw fail(400, 'password', 'password must be at least 8 characters long');
+    }
+    if (state.users[data.username] || state.channels[data.username]) {
+        throw fail(409, 'username', 'username is occupied');
+    }
+    const {username, email, password, firstName, middleName, lastName, bio} = data;
+    addUserToState(state, {username, email, password, firstName, middleName, lastName, bio});
+    return success(viewUser(state.users[username], username), 201);
+}
+
+function getUser({state, params, viewer}) {
+    return success(viewUser(findUser(state, params.username), viewer));
+}
+
+function updateUser(context) {
+    const {state, params, data = {}} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    ['email', 'password', 'firstName', 'middleName', 'lastName', 'bio']
+        .filter(field => data[field] !== undefined)
+        .forEach(field => user[field] = data[field]);
+    return success(viewUser(user, user.username));
+}
+
+function deleteUser(context) {
+    const {state, params} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    delete state.users[user.username];
+    delete state.feeds[user.username];
+    return success(null);
+}
+
+function getBookmarks(context) {
+    const {state, params} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    const bookmarks = {};
+    Object.keys(user.bookmarks)
+        .filter(postID => state.posts[postID])
+        .forEach(postID => bookmarks[user.bookmarks[postID]] = viewPost(state, state.posts[postID]));
+    return success(bookmarks);
+}
+
+function addBookmark(context) {
+    const {state, params} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    const post = findPost(state, params.postID);
+    user.bookmarks[post.id] = new Date().toISOString();
+    return success(null);
+}
+
+function deleteBookmark(context) {
+    const {state, params} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    delete user.bookmarks[params.postID];
+    return success(null);
+}
+
+function setUserPicture(context) {
+    const {state, params, form} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    const image = requireImage(form);
+    user.pictureURL = pictureURL(user.username, image.filename);
+    return success(user.pictureURL);
+}
+
+function removeUserPicture(context) {
+    const {state, params} = context;
+    const user = findUser(state, params.username);
+    requireSelf(context, user.username);
+    delete user.pictureURL;
+    return success(null);
+}
+
+function requireImage(form) {
+    const image = form && form.image;
+    if (!image || typeof image !== 'object') {
+        throw fail(400, 'image', 'image is required');
+    }
+    return image;
+}
+
+/*
+ * Feed handlers
+ */
+
+function findFeed(context) {
+    const {state, params} = context;
+    findUser(state, params.username);
+    requireSelf(context, params.username);
+    return state.feeds[params.username];
+}
+
+function getFeed(context) {
+    const {subscriptions, ...feed} = findFeed(context);
+    return success(feed);
+}
+
+function setFeedSorting(context) {
+    const feed = findFeed(context);
+    const {defaultSorting} = context.data || {};
+    if (!['hot', 'new', 'top'].includes(defaultSorting)) {
+        throw fail(400, 'defaultSorting', "defaultSorting must be one of 'hot', 'new' or 'top'");
+    }
+    feed.defaultSorting = defaultSorting;
+    return success(null);
+}
+
+function getFeedPosts(context) {
+    const feed = findFeed(context);
+    const {state, query} = context;
+    const posts = Object.keys(feed.subscriptions)
+        .reduce((all, channelUsername) => all.concat(postsOfChannel(state, channelUsername)), []);
+    const page = paginate(posts, {...query, sort: query.sort || feed.defaultSorting}, {sortPosts: true});
+    return success(onlyIDs(query, page.map(post => viewPost(state, post))));
+}
+
+function getFeedSubscriptions(context) {
+    const feed = findFeed(context);
+    const {state, query} = context;
+    const channels = Object.keys(feed.subscriptions)
+        .filter(channelUsername => state.channels[channelUsername])
+        .map(channelUsername => ({
+            ...viewChannel(state, state.channels[channelUsername]),
+            subscriptionTime: feed.subscriptions[channelUsername],
+        }));
+    return success(paginate(channels, query, {defaultSort: 'channel_username'}));
+}
+
+function subscribeFeed(context) {
+    const feed = findFeed(context);
+    const {channelname} = context.data || {};
+    requireFields(context.data, 'channelname');
+    findChannel(context.state, channelname);
+    feed.subscriptions[channelname] = new Date().toISOString();
+    return success(null);
+}
+
+function unsubscribeFeed(context) {
+    const feed = findFeed(context);
+    delete feed.subscriptions[context.params.channelUsername];
+    return success(null);
+}
+
+/*
+ * Channel handlers
+ */
+
+function searchChannels({state, query, viewer}) {
+    const channels = Object.values(state.channels)
+        .filter(channel => matches(query.pattern, channel.channelUsername, channel.name, channel.description));
+    return success(paginate(channels, query).map(channel => viewChannel(state, channel, viewer)));
+}
+
+function addChannel(context) {
+    const {state, data} = context;
+    const viewer = requireViewer(context);
+    requireFields(data, 'channelUsername', 'name');
+    if (!/^\w{5,22}$/.test(data.channelUsername)) {
+        throw fail(400, 'channelUsername', 'channelUsername must be 5 to 22 letters, digits or underscores');
+    }
+    if (state.channels[data.channelUsername] || state.users[data.channelUsername]) {
+        throw fail(409, 'channelUsername', 'channelUsername is occupied');
+    }
+    const channel = {
+        channelUsername: data.channelUsername,
+        name: data.name,
+        description: data.description,
+        // the creator owns the channel, whoever the body names
+        ownerUsername: viewer,
+        adminUsernames: [viewer],
+        stickiedPostIDs: [],
+        official: {},
+        creationTime: new Date().toISOString(),
+    };
+    state.channels[channel.channelUsername] = channel;
+    return success(viewChannel(state, channel, viewer), 201);
+}
+
+function getChannel({state, params, viewer}) {
+    return success(viewChannel(state, findChannel(state, params.channelUsername), viewer));
+}
+
+function updateChannel(context) {
+    const {state, params, data = {}} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    ['name', 'description']
+        .filter(field => data[field] !== undefined)
+        .forEach(field => channel[field] = data[field]);
+    return success(viewChannel(state, channel, context.viewer));
+}
+
+function deleteChannel(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireOwner(context, channel);
+    delete state.channels[channel.channelUsername];
+    return success(null);
+}
+
+function getAdmins(context) {
+    const channel = findChannel(context.state, context.params.channelUsername);
+    requireAdmin(context, channel);
+    return success(channel.adminUsernames);
+}
+
+function addAdmin(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireOwner(context, channel);
+    findUser(state, params.username);
+    if (!channel.adminUsernames.includes(params.username)) {
+        channel.adminUsernames.push(params.username);
+    }
+    return success(null);
+}
+
+function removeAdmin(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireOwner(context, channel);
+    if (params.username === channel.ownerUsername) {
+        throw fail(400, 'adminUsername', 'the owner can not be removed from the admins');
+    }
+    if (!channel.adminUsernames.includes(params.username)) {
+        throw notFound('adminUsername', `admin ${params.username}`);
+    }
+    channel.adminUsernames = channel.adminUsernames.filter(admin => admin !== params.username);
+    return success(null);
+}
+
+function getOwner(context) {
+    const channel = findChannel(context.state, context.params.channelUsername);
+    requireAdmin(context, channel);
+    return success(channel.ownerUsername);
+}
+
+function changeOwner(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireOwner(context, channel);
+    findUser(state, params.username);
+    channel.ownerUsername = params.username;
+    if (!channel.adminUsernames.includes(params.username)) {
+        channel.adminUsernames.push(params.username);
+    }
+    return success(null);
+}
+
+function getChannelPosts({state, params, query}) {
+    findChannel(state, params.channelUsername);
+    const posts = paginate(postsOfChannel(state, params.channelUsername), query,
+        {defaultSort: 'new', sortPosts: true});
+    return success(onlyIDs(query, posts.map(post => viewPost(state, post))));
+}
+
+function findChannelPost(state, params) {
+    findChannel(state, params.channelUsername);
+    const post = findPost(state, params.postID);
+    if (post.originChannel !== params.channelUsername) {
+        throw notFound('postID', `post ${params.postID}`);
+    }
+    return post;
+}
+
+function getChannelPost({state, params}) {
+    return success(viewPost(state, findChannelPost(state, params)));
+}
+
+function getStickiedPosts({state, params}) {
+    const channel = findChannel(state, params.channelUsername);
+    return success(channel.stickiedPostIDs
+        .filter(postID => state.posts[postID])
+        .map(postID => viewPost(state, state.posts[postID])));
+}
+
+function stickyPost(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    const post = findChannelPost(state, params);
+    if (!channel.stickiedPostIDs.includes(post.id)) {
+        if (channel.stickiedPostIDs.length >= 2) {
+            throw fail(400, 'postID', 'a channel can have at most 2 stickied posts');
+        }
+        channel.stickiedPostIDs.push(post.id);
+    }
+    return success(null);
+}
+
+function removeStickiedPost(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    channel.stickiedPostIDs = channel.stickiedPostIDs.filter(postID => `${postID}` !== `${params.postID}`);
+    return success(null);
+}
+
+function catalogOf(state, channelUsername) {
+    return Object.values(state.releases).filter(release => release.ownerChannel === channelUsername);
+}
+
+function getCatalog(context) {
+    const {state, params, query} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    return success(onlyIDs(query, paginate(catalogOf(state, channel.channelUsername), query)));
+}
+
+function findCatalogRelease(state, params) {
+    const release = findRelease(state, params.releaseID);
+    if (release.ownerChannel !== params.channelUsername) {
+        throw notFound('releaseID', `release ${params.releaseID}`);
+    }
+    return release;
+}
+
+function getCatalogRelease(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    return success(findCatalogRelease(state, params));
+}
+
+function getOfficialCatalog({state, params, query}) {
+    const channel = findChannel(state, params.channelUsername);
+    const releases = catalogOf(state, channel.channelUsername)
+        .filter(release => channel.official[release.id] !== undefined);
+    return success(onlyIDs(query, paginate(releases, query)));
+}
+
+function getOfficialRelease({state, params}) {
+    const channel = findChannel(state, params.channelUsername);
+    const release = findCatalogRelease(state, params);
+    if (channel.official[release.id] === undefined) {
+        throw notFound('releaseID', `official release ${params.releaseID}`);
+    }
+    return success(release);
+}
+
+function addOfficialRelease(context) {
+    const {state, params, data = {}} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    const release = findCatalogRelease(state, params);
+    requireFields(data, 'postID');
+    const post = findPost(state, data.postID);
+    if (post.originChannel !== channel.channelUsername) {
+        throw fail(400, 'postID', 'post is not from the channel');
+    }
+    channel.official[release.id] = post.id;
+    if (!post.contentsID.includes(release.id)) {
+        post.contentsID.push(release.id);
+    }
+    return success(null);
+}
+
+function removeOfficialRelease(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    delete channel.official[params.releaseID];
+    return success(null);
+}
+
+function setChannelPicture(context) {
+    const {state, params, form} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    const image = requireImage(form);
+    channel.pictureURL = pictureURL(channel.channelUsername, image.filename);
+    return success(channel.pictureURL);
+}
+
+function removeChannelPicture(context) {
+    const {state, params} = context;
+    const channel = findChannel(state, params.channelUsername);
+    requireAdmin(context, channel);
+    delete channel.pictureURL;
+    return success(null);
+}
+
+/*
+ * Post handlers
+ */
+
+function searchPosts({state, query}) {
+    const posts = Object.values(state.posts)
+        .filter(post => matches(query.pattern, post.title, post.description));
+    return success(paginate(posts, query).map(post => viewPost(state, post)));
+}
+
+function addPost(context) {
+    const {state, data} = context;
+    requireFields(data, 'originChannel', 'title');
+    const channel = findChannel(state, data.originChannel);
+    requireAdmin(context, channel);
+    const post = {
+        id: nextID(state),
+        postedByUsername: context.viewer,
+        originChannel: channel.channelUsername,
+        title: data.title,
+        description: data.description === undefined ? undefined : `${renderMarkdown(data.description)}\n`,
+        contentsID: [],
+        stars: {},
+        creationTime: new Date().toISOString(),
+    };
+    (data.contentsID || []).forEach(releaseID => findCatalogRelease(state, {
+        channelUsername: channel.channelUsername,
+        releaseID
+    }));
+    post.contentsID = [...(data.contentsID || [])];
+    state.posts[post.id] = post;
+    return success(viewPost(state, post), 201);
+}
+
+function getPost({state, params}) {
+    return success(viewPost(state, findPost(state, params.postID)));
+}
+
+function requirePoster(context, post) {
+    const viewer = requireViewer(context);
+    const channel = context.state.channels[post.originChannel];
+    if (viewer !== post.postedByUsername && !(channel && isAdmin(channel, viewer))) {
+        throw fail(403, 'username', 'user is neither the poster nor an admin of the channel');
+    }
+}
+
+function updatePost(context) {
+    const {state, params, data = {}} = context;
+    const post = findPost(state, params.postID);
+    requirePoster(context, post);
+    if (data.title !== undefined) {
+        post.title = data.title;
+    }
+    if (data.description !== undefined) {
+        post.description = `${renderMarkdown(data.description)}\n`;
+    }
+    return success(viewPost(state, post));
+}
+
+function deletePost(context) {
+    const {state, params} = context;
+    const post = findPost(state, params.postID);
+    requirePoster(context, post);
+    delete state.posts[post.id];
+    Object.values(state.comments)
+        .filter(comment => comment.originPost === post.id)
+        .forEach(comment => delete state.comments[comment.id]);
+    return success(null);
+}
+
+function getPostReleases({state, params}) {
+    const post = findPost(state, params.postID);
+    return success(post.contentsID
+        .filter(releaseID => state.releases[releaseID])
+        .map(releaseID => state.releases[releaseID]));
+}
+
+function getPostStars({state, params}) {
+    const post = findPost(state, params.postID);
+    return success(Object.keys(post.stars).map(username => ({username, stars: post.stars[username]})));
+}
+
+function starPost(context) {
+    const {state, params, data = {}} = context;
+    const post = findPost(state, params.postID);
+    const viewer = requireViewer(context);
+    const username = data.username || viewer;
+    if (username !== viewer) {
+        throw fail(403, 'username', 'not authorized to star on behalf of this user');
+    }
+    const stars = Number(data.stars);
+    if (!Number.isInteger(stars) || stars < 0 || stars > 5) {
+        throw fail(400, 'stars', 'stars must be an integer between 0 and 5');
+    }
+    if (stars === 0) {
+        delete post.stars[username];
+    } else {
+        post.stars[username] = stars;
+    }
+    return success({username, stars});
+}
+
+function getPostStar({state, params}) {
+    const post = findPost(state, params.postID);
+    if (post.stars[params.username] === undefined) {
+        throw notFound('username', `star of ${params.username}`);
+    }
+    return success({username: params.username, stars: post.stars[params.username]});
+}
+
+/*
+ * Comment handlers
+ */
+
+function getComments({state, params, query}) {
+    const post = findPost(state, params.postID);
+    const comments = Object.values(state.comments)
+        .filter(comment => comment.originPost === post.id && comment.replyTo === -1);
+    return success(paginate(comments, query));
+}
+
+function newComment(context, post, replyTo) {
+    const {state, data} = context;
+    const viewer = requireViewer(context);
+    requireFields(data, 'content');
+    const comment = {
+        id: nextID(state),
+        commenter: viewer,
+        originPost: post.id,
+        content: renderMarkdown(data.content),
+        replyTo,
+        creationTime: new Date().toISOString(),
+    };
+    state.comments[comment.id] = comment;
+    return success(comment, 201);
+}
+
+function addComment(context) {
+    return newComment(context, findPost(context.state, context.params.postID), -1);
+}
+
+function addReply(context) {
+    const {state, params} = context;
+    const post = findPost(state, params.postID);
+    const comment = findComment(state, post.id, params.commentID);
+    return newComment(context, post, comment.id);
+}
+
+function getComment({state, params}) {
+    return success(findComment(state, params.postID, params.commentID));
+}
+
+function requireCommenter(context, comment) {
+    if (requireViewer(context) !== comment.commenter) {
+        throw fail(403, 'username', 'user is not the commenter');
+    }
+}
+
+function updateComment(context) {
+    const {state, params, data = {}} = context;
+    const comment = findComment(state, params.postID, params.commentID);
+    requireCommenter(context, comment);
+    requireFields(data, 'content');
+    comment.content = renderMarkdown(data.content);
+    return success(comment);
+}
+
+function deleteComment(context) {
+    const {state, params} = context;
+    const comment = findComment(state, params.postID, params.commentID);
+    requireCommenter(context, comment);
+    delete state.comments[comment.id];
+    return success(null);
+}
+
+function getReplies({state, params, query}) {
+    const comment = findComment(state, params.postID, params.commentID);
+    const replies = Object.values(state.comments).filter(reply => reply.replyTo === comment.id);
+    return success(paginate(replies, query));
+}
+
+/*
+ * Release handlers
+ */
+
+function searchReleases({state, query}) {
+    const releases = Object.values(state.releases)
+        .filter(release => isOfficial(state, release))
+        .filter(release => matches(query.pattern, release.metadata.title, release.metadata.description,
+            release.metadata.genreDefining, release.type === 'text' ? release.content : undefined));
+    return success(paginate(releases, query));
+}
+
+/**
+ * Release bodies are JSON, or for image releases a multipart form with the JSON under 'JSON'.
+ */
+function releaseBody({data, form}) {
+    if (!form) {
+        return data || {};
+    }
+    try {
+        return JSON.parse(form.JSON || '{}');
+    } catch (err) {
+        throw fail(400, 'JSON', 'JSON field is not valid JSON');
+    }
+}
+
+function addRelease(context) {
+    const {state, form} = context;
+    const data = releaseBody(context);
+    requireFields(data, 'ownerChannel', 'type');
+    const channel = findChannel(state, data.ownerChannel);
+    requireAdmin(context, channel);
+    let content;
+    if (data.type === 'image') {
+        content = pictureURL(`release-${state.lastID + 1}`, requireImage(form).filename);
+    } else if (data.type === 'text') {
+        requireFields(data, 'content');
+        content = data.content;
+    } else {
+        throw fail(400, 'type', "type must be either 'text' or 'image'");
+    }
+    const release = {
+        id: nextID(state),
+        ownerChannel: channel.channelUsername,
+        type: data.type,
+        content,
+        metadata: data.metadata || {},
+        creationTime: new Date().toISOString(),
+    };
+    state.releases[release.id] = release;
+    return success(release, 201);
+}
+
+function getRelease({state, params}) {
+    return success(findRelease(state, params.releaseID));
+}
+
+function updateRelease(context) {
+    const {state, params, form} = context;
+    const release = findRelease(state, params.releaseID);
+    const channel = findChannel(state, release.ownerChannel);
+    requireAdmin(context, channel);
+    const data = releaseBody(context);
+    if (data.metadata) {
+        release.metadata = {...release.metadata, ...data.metadata};
+    }
+    if (release.type === 'text' && data.content !== undefined) {
+        release.content = data.content;
+    }
+    if (release.type === 'image' && form && form.image) {
+        release.content = pictureURL(`release-${release.id}`, form.image.filename);
+    }
+    return success(release);
+}
+
+function deleteRelease(context) {
+    const {state, params} = context;
+    const release = findRelease(state, params.releaseID);
+    const channel = findChannel(state, release.ownerChannel);
+    requireAdmin(context, channel);
+    delete state.releases[release.id];
+    delete channel.official[release.id];
+    Object.values(state.posts)
+        .forEach(post => post.contentsID = post.contentsID.filter(releaseID => releaseID !== release.id));
+    return success(null);
+}
+
+/*
+ * Search handler
+ */
+
+function search(context) {
+    const {state, query} = context;
+    const page = {...query, limit: query.limit, offset: query.offset};
+    const [, posts] = searchPosts({state, query: page});
+    const [, releases] = searchReleases({state, query: page});
+    const [, channels] = searchChannels({state, query: page});
+    const [, users] = searchUsers({state, query: page});
+    const comments = paginate(Object.values(state.comments)
+        .filter(comment => matches(query.pattern, comment.content)), page);
+    return success({
+        posts: posts.data,
+        releases: releases.data,
+        comments,
+        channels: channels.data,
+        users: users.data,
+    });
+}
+
+/*
+ * Helpers
+ */
+
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+    return key && headers[key];
+}
+
+function bearerToken(headers) {
+    const match = /^Bearer\s+(\S+)$/i.exec(headerValue(headers, 'authorization') || '');
+    return match ? match[1] : undefined;
+}
+
+/**
+ * FNV-1a, good enough for signing the emulator's own tokens and for ETags.
+ */
+function hash(text) {
+    let hash = 0x811c9dc5;
+    for (const char of text) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (err) {
+        return segment;
+    }
+}
+
+function splitURL(url) {
+    const [, path = '/', search = ''] = /^(?:[a-z][a-z\d+.-]*:\/\/[^/?#]*)?([^?#]*)\??([^#]*)/i.exec(url);
+    const query = {};
+    search.split('&')
+        .filter(pair => pair)
+        .map(pair => pair.split('=').map(part => decodeSegment(part.replace(/\+/g, ' '))))
+        .forEach(([key, value = '']) => query[key] = value);
+    return {path: path || '/', query};
+}
+
+// streamed parts are read through, as a server would, and measured
+async function formFromParts(parts) {
+    const form = {};
+    for (const {name, value, filename, knownLength} of parts) {
+        let size = knownLength;
+        if (value && typeof value.pipe === 'function') {
+            size = 0;
+            for await (const chunk of value) {
+                size += chunk.length;
+            }
+        }
+        form[name] = filename ? {filename, size} : `${value}`;
+    }
+    return form;
+}
+
+function withoutUndefined(object = {}) {
+    const result = {};
+    Object.keys(object || {})
+        .filter(key => object[key] !== undefined && object[key] !== null)
+        .forEach(key => result[key] = `${object[key]}`);
+    return result;
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function encodeBase64URL(object) {
+    const json = JSON.stringify(object);
+    const base64 = typeof Buffer !== 'undefined' ?
+        Buffer.from(json).toString('base64') :
+        btoa(unescape(encodeURIComponent(json)));
+    return base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function decodeBase64URL(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return typeof Buffer !== 'undefined' ?
+        Buffer.from(base64, 'base64').toString() :
+        decodeURIComponent(escape(atob(base64)));
+}
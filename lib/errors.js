@@ -0,0 +1,203 @@
+'use strict';
+
+export {
+    Issue1Error,
+    Issue1FailError,
+    Issue1HttpError,
+    Issue1NetworkError,
+    Issue1TimeoutError,
+    Issue1ValidationError,
+    Issue1AbortError,
+    Issue1DecodeError,
+    isIssue1Error,
+    isAborted,
+    isUnauthorized,
+    isForbidden,
+    isNotFound
+};
+
+/**
+ * Base class of every error thrown by the client.
+ */
+class Issue1Error extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {Error} [details.cause] - the underlying error, if any
+     * @param {{url: string, method: string}} [details.request] - the request that failed
+     */
+    constructor(message, {cause, request} = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.cause = cause;
+        this.request = request;
+    }
+}
+
+/**
+ * Thrown when issue-1-REST responds with a jSend `fail`, i.e. the server understood
+ * the request and refused it. `errorReason` usually names the offending field or
+ * condition, e.g. 'username' or 'credentials'.
+ */
+class Issue1FailError extends Issue1Error {
+    /**
+     * @param {jSendFail} jSend - the response body
+     * @param {number} status - HTTP status of the response
+     * @param {Object} [details]
+     * @param {Object} [details.headers] - headers of the response
+     */
+    constructor(jSend, status, details = {}) {
+        const data = jSend.data || {};
+        super(data.errorMessage || jSend.message || `request failed: ${data.errorReason}`, details);
+        this.status = status;
+        this.headers = details.headers;
+        this.errorReason = data.errorReason;
+        this.errorMessage = data.errorMessage;
+        /** @type {jSendFailData} */
+        this.data = data;
+        this.jSend = jSend;
+    }
+}
+
+/**
+ * Thrown when the server responds with an error status that isn't a jSend `fail`.
+ */
+class Issue1HttpError extends Issue1Error {
+    /**
+     * @param {string} message
+     * @param {{status: number, statusText: string, headers: Object, data: any}} response
+     * @param {Object} [details]
+     */
+    constructor(message, {status, statusText, headers, data}, details = {}) {
+        super(message, details);
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.data = data;
+    }
+}
+
+/**
+ * Thrown when no response could be had from the server.
+ */
+class Issue1NetworkError extends Issue1Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {string} [details.code] - system error code such as 'ENOTFOUND' or 'ECONNRESET'
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.code = details.code;
+    }
+}
+
+/**
+ * Thrown when the server took longer to respond than allowed.
+ */
+class Issue1TimeoutError extends Issue1NetworkError {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.timeout] - the timeout that elapsed, in milliseconds
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.timeout = details.timeout;
+    }
+}
+
+/**
+ * Thrown before a request is sent when its arguments are invalid.
+ */
+class Issue1ValidationError extends Issue1Error {
+    /**
+     * @param {string} message
+     * @param {Array<{field: string, message: string}>} [errors] - each offending field
+     * @param {Object} [details]
+     */
+    constructor(message, errors = [], details = {}) {
+        super(message, details);
+        this.errors = errors;
+    }
+}
+
+/**
+ * Thrown when a request gets cancelled through its AbortSignal.
+ */
+class Issue1AbortError extends Issue1Error {
+    /**
+     * @param {Object} [details]
+     */
+    constructor(details = {}) {
+        super("issue1.REST.client: request aborted", details);
+    }
+}
+
+/**
+ * Thrown when a response doesn't have the shape its endpoint is documented to return,
+ * with decoding enabled.
+ */
+class Issue1DecodeError extends Issue1Error {
+    /**
+     * @param {string} message
+     * @param {Array<{field: string, message: string}>} [errors] - each offending field
+     * @param {Object} [details]
+     * @param {any} [details.data] - the response data as received
+     */
+    constructor(message, errors = [], details = {}) {
+        super(message, details);
+        this.errors = errors;
+        this.data = details.data;
+    }
+}
+
+/**
+ * Whether the given error was thrown by the client.
+ * @param {any} error
+ * @return {boolean}
+ */
+function isIssue1Error(error) {
+    return error instanceof Issue1Error;
+}
+
+/**
+ * Whether the request was cancelled through its AbortSignal.
+ * @param {any} error
+ * @return {boolean}
+ */
+function isAborted(error) {
+    return error instanceof Issue1AbortError;
+}
+
+/**
+ * Whether the server rejected the request for lack of a valid auth token.
+ * @param {any} error
+ * @return {boolean}
+ */
+function isUnauthorized(error) {
+    return hasStatus(error, 401);
+}
+
+/**
+ * Whether the server refused the request because the authenticated user lacks rights to it.
+ * @param {any} error
+ * @return {boolean}
+ */
+function isForbidden(error) {
+    return hasStatus(error, 403);
+}
+
+/**
+ * Whether the requested resource doesn't exist.
+ * @param {any} error
+ * @return {boolean}
+ */
+function isNotFound(error) {
+    return hasStatus(error, 404);
+}
+
+function hasStatus(error, status) {
+    return (error instanceof Issue1FailError || error instanceof Issue1HttpError) &&
+        error.status === status;
+}
@@ -1,7 +1,8 @@
 'use strict';
 
-import {attachAuthTokenToHeader, makeRequest} from "./utilites.js";
-import {generateQueryParams} from "./utilites";
+import {NewSession} from "./session.js";
+import {paginate, NewPaginator} from "./paginate.js";
+import {NewRouteFunction, NewRouteMethods} from "./routes.js";
 
 export {
     getFeedPosts,
@@ -23,53 +24,44 @@ export {
  * @property {string} defaultSorting - either 'hot', 'new' or 'top'
  */
 
-function NewFeedServiceClient(baseURL) {
+/**
+ * Make a new Feed Service Client that calls to the given url.
+ * Methods calling the API are made from {@link ROUTES}, those taking an authToken fall back
+ * to the session's token when it's omitted.
+ * @param {string | Connection} baseURL
+ * @param {Session} [session] - session holding the auth token, see {@link NewSession}
+ */
+function NewFeedServiceClient(baseURL, session = NewSession(baseURL)) {
     const client = {
         baseURL,
+        session,
         /**
-         * Get posts from the user's feed sorted and paginated according to the given parameters.
-         */
-        async getFeedPosts(username, token, {limit, offset, sorting, onlyIds = false} = {}) {
-            return getFeedPosts(client.baseURL, username, token, {limit, offset, sorting, onlyIds});
-        },
-        /**
-         * Returns the sorting setting for the feed of the given user.
+         * Iterate over every post in the user's feed, a page at a time.
+         * @return {PageIterator}
          */
-        async getFeed(username, authToken) {
-            return getFeed(client.baseURL, username, authToken);
+        iterateFeedPosts(username, authToken, {pageSize, sorting, onlyIds, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.getFeedPosts(username, authToken, {limit, offset, sorting, onlyIds, signal, priority}), {pageSize});
         },
         /**
-         * Returns a list of channels from the given's user feed sorted according to the the passed parameters.
+         * Make a {@link Paginator} over the posts in the user's feed.
+         * @return {Paginator}
          */
-        async getFeedSubscriptions(baseURL, username, authToken,
-                                   {limit, offset, sortingOrder, sortParameter} = {}) {
-            return getFeedSubscriptions(client.baseURL, username, authToken, {
-                limit,
-                offset,
-                sortingOrder,
-                sortParameter
-            })
+        paginateFeedPosts(username, authToken, {page, pageSize, sorting, onlyIds, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({limit, offset, sorting}) =>
+                client.getFeedPosts(username, authToken, {limit, offset, sorting, onlyIds, signal, priority}),
+                {page, pageSize, prefetch, query, params: {sorting}});
         },
         /**
-         * Sets the default sorting method for the feed of the given user.
+         * Iterate over every channel the user's feed is subscribed to, a page at a time.
+         * @return {PageIterator}
          */
-        async setDefaultFeedSorting(baseURL, username, defaultSorting, authToken) {
-            return setDefaultFeedSorting(client.baseURL, username, defaultSorting, authToken);
-        },
-        /**
-         * Add the specified channel to the list of channel's the feed will aggregate into a the given user's feed.
-         */
-        async subscribeFeedToChannel(username, channelname, authToken) {
-            return subscribeFeedToChannel(client.baseURL, username, channelname, authToken);
-        },
-        /**
-         * Removes the specified channel to the list of channel's the feed will aggregate into a the given user's feed.
-         */
-        async unsubscribeFeedFromChannel(username, channelname, authToken) {
-            return unsubscribeFeedFromChannel(client.baseURL, username, channelname, authToken);
+        iterateFeedSubscriptions(username, authToken, {pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) => client.getFeedSubscriptions(username, authToken,
+                {limit, offset, sortingOrder, sortParameter, signal, priority}), {pageSize});
         },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'feedService'));
 }
 
 /**
@@ -78,14 +70,13 @@ function NewFeedServiceClient(baseURL) {
  * @param {string} baseURL
  * @param {string} username
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Feed>} - feed sorting setting
  */
-async function getFeed(baseURL, username, authToken) {
-    let response = (await makeRequest(
-        `${baseURL}/users/${username}/feed`,
-        {headers: attachAuthTokenToHeader(authToken)}));
-    return response.data;
-}
+const getFeed = NewRouteFunction('getFeed');
 
 /**
  * Get posts from the user's feed sorted and paginated according to the given parameters.
@@ -98,19 +89,13 @@ async function getFeed(baseURL, username, authToken) {
  * @param {string} [requestConfig.sorting=""] - either 'hot', 'new' or 'top'. Give an empty string to use the user's default
  * sorting.
  * @param {boolean} [requestConfig.onlyIds=false] - return only the id's of the posts instead of full post object
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @returns {Promise<Array<Post>>}
  */
-async function getFeedPosts(baseURL, username, authToken,
-                            {limit, offset, sorting = "", onlyIds = false} = {}
-) {
-    let response = await makeRequest(
-        `${baseURL}/users/${username}/feed/posts`,
-        {
-            headers: attachAuthTokenToHeader(authToken),
-            params: generateQueryParams({limit, offset, sortParameter: sorting, onlyIds}),
-        });
-    return response.data;
-}
+const getFeedPosts = NewRouteFunction('getFeedPosts');
 
 /**
  * Returns a list of channels from the given's user feed sorted according
@@ -123,20 +108,12 @@ async function getFeedPosts(baseURL, username, authToken,
  * @param {number} [config.offset=0]
  * @param {string} [config.sortingOrder=asc] - either 'asc' or 'dsc'
  * @param {string} [config.sortParameter=username] - either 'username', 'name' or 'sub-time'
+ * @param {AbortSignal} [config.signal] - aborts the request when signalled
+ * @param {boolean} [config.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [config.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Object>}
  */
-async function getFeedSubscriptions(baseURL, username, authToken,
-                                    {limit, offset, sortingOrder, sortParameter} = {}) {
-
-    let response = await makeRequest(
-        `${baseURL}/users/${username}/feed/channels`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken),
-            params: generateQueryParams({limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const getFeedSubscriptions = NewRouteFunction('getFeedSubscriptions');
 
 /**
  * Add the specified channel to the list of channel's the feed will aggregate into a the given user's feed.
@@ -144,19 +121,12 @@ async function getFeedSubscriptions(baseURL, username, authToken,
  * @param username
  * @param channelname - channel username
  * @param authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function subscribeFeedToChannel(baseURL, username, channelname, authToken) {
-    return await makeRequest(
-        `${baseURL}/users/${username}/feed/channels`,
-        {
-            method: 'post',
-            headers: attachAuthTokenToHeader(authToken),
-            data: {
-                channelname
-            }
-        });
-}
+const subscribeFeedToChannel = NewRouteFunction('subscribeFeedToChannel');
 
 /**
  * Sets the default sorting method for the feed of the given user.
@@ -164,19 +134,12 @@ async function subscribeFeedToChannel(baseURL, username, channelname, authToken)
  * @param {string} username
  * @param {string} defaultSorting - either 'hot', 'new' or 'top'.
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function setDefaultFeedSorting(baseURL, username, defaultSorting, authToken) {
-    return await makeRequest(
-        `${baseURL}/users/${username}/feed`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-            data: {
-                defaultSorting,
-            }
-        });
-}
+const setDefaultFeedSorting = NewRouteFunction('setDefaultFeedSorting');
 
 
 /**
@@ -185,13 +148,9 @@ async function setDefaultFeedSorting(baseURL, username, defaultSorting, authToke
  * @param username
  * @param channelname - channel username
  * @param authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function unsubscribeFeedFromChannel(baseURL, username, channelname, authToken) {
-    return await makeRequest(
-        `${baseURL}/users/${username}/feed/channels/${channelname}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        });
-}
\ No newline at end of file
+const unsubscribeFeedFromChannel = NewRouteFunction('unsubscribeFeedFromChannel');
\ No newline at end of file
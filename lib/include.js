@@ -0,0 +1,202 @@
+'use strict';
+
+import {Issue1ValidationError, isForbidden, isNotFound} from "./errors.js";
+import {getUser} from "./user.js";
+import {getPost} from "./post.js";
+import {getChannel} from "./channel.js";
+import {getComment, getReplies} from "./comment.js";
+import {getRelease} from "./release.js";
+
+export {
+    includeRelated,
+    RELATIONSHIPS,
+    DEFAULT_INCLUDE_DEPTH
+};
+
+/**
+ * Deepest include path accepted by default, e.g. 'channel.posts.author' is 3 deep.
+ */
+const DEFAULT_INCLUDE_DEPTH = 3;
+
+/**
+ * What each entity type can include: the type of the referenced entities and how to
+ * get their keys, `one` for a single reference and `many` for a list of them.
+ * `list` fetches the related entities in one go instead.
+ */
+const RELATIONSHIPS = Object.freeze({
+    posts: {
+        author: {type: 'users', one: post => post.postedByUsername},
+        channel: {type: 'channels', one: post => post.originChannel},
+        releases: {type: 'releases', many: post => post.contentsID},
+        comments: {type: 'comments', many: post => post.commentsID, args: post => [post.id]},
+    },
+    channels: {
+        owner: {type: 'users', one: channel => channel.ownerUsername},
+        admins: {type: 'users', many: channel => channel.adminUsernames},
+        posts: {type: 'posts', many: channel => channel.postIDs},
+        stickiedPosts: {type: 'posts', many: channel => channel.stickiedPostIDs},
+        releases: {type: 'releases', many: channel => channel.releaseIDs},
+        officialReleases: {type: 'releases', many: channel => channel.officialReleaseIDs},
+    },
+    comments: {
+        author: {type: 'users', one: comment => comment.commenter},
+        post: {type: 'posts', one: comment => comment.originPost},
+        replies: {
+            type: 'comments',
+            list: (fetch, comment) => fetch.replies(comment.id, comment.originPost),
+        },
+    },
+    releases: {
+        channel: {type: 'channels', one: release => release.ownerChannel},
+    },
+    users: {},
+});
+
+/**
+ * @typedef {object} IncludeError
+ * A reference that couldn't be resolved, listed under `includeErrors` on the entity holding it.
+ * @property {string} include - path of the include, e.g. 'channel.posts'
+ * @property {string | number} [key] - the referenced entity's key
+ * @property {Issue1FailError} error
+ */
+
+/**
+ * Resolve the given includes on the entity, or each entity in the list, and add them
+ * under the include's name, e.g. `post.author` for 'author'. Nested includes are dot
+ * separated: 'channel.owner' includes the channel and its owner.
+ * Related entities are fetched in parallel, each one once. References to entities that are
+ * missing or forbidden are left out and listed under `includeErrors`; other failures reject.
+ * @param {string | Connection} baseURL
+ * @param {string} type - of the given entities, one of {@link RELATIONSHIPS}
+ * @param {Object | Array<Object>} data
+ * @param {Array<string>} [include]
+ * @param {Object} [options]
+ * @param {string} [options.authToken] - used to fetch the related entities
+ * @param {number} [options.maxDepth=3]
+ * @param {AbortSignal} [options.signal]
+ * @param {string | number} [options.priority]
+ * @return {Promise<Object | Array<Object>>} the given data
+ * @throws {Issue1ValidationError} for unknown or too deep includes
+ */
+async function includeRelated(baseURL, type, data, include, {
+    authToken, maxDepth = DEFAULT_INCLUDE_DEPTH, signal, priority
+} = {}) {
+    if (!include || include.length === 0 || !data) {
+        return data;
+    }
+    const tree = parseIncludes(type, include, maxDepth);
+    const fetch = NewFetcher(baseURL, authToken, {signal, priority});
+    await expand(fetch, type, Array.isArray(data) ? data : [data], tree, '');
+    return data;
+}
+
+function parseIncludes(type, include, maxDepth) {
+    const tree = {};
+    include.forEach(path => {
+        const names = `${path}`.split('.');
+        if (names.length > maxDepth) {
+            throw new Issue1ValidationError(
+                `issue1.REST.client: include '${path}' is deeper than ${maxDepth}`,
+                [{field: 'include', message: `at most ${maxDepth} levels deep`}]);
+        }
+        let node = tree;
+        let nodeType = type;
+        names.forEach(name => {
+            const relationship = RELATIONSHIPS[nodeType][name];
+            if (!relationship) {
+                throw new Issue1ValidationError(
+                    `issue1.REST.client: ${nodeType} can't include '${name}'`,
+                    [{field: 'include', message: `unknown relationship '${name}' in '${path}'`}]);
+            }
+            node[name] = node[name] || {};
+            node = node[name];
+            nodeType = relationship.type;
+        });
+    });
+    return tree;
+}
+
+async function expand(fetch, type, entities, tree, prefix) {
+    await Promise.all(Object.keys(tree).map(async name => {
+        const relationship = RELATIONSHIPS[type][name];
+        const include = prefix + name;
+        const related = [];
+        await Promise.all(entities.filter(entity => entity && typeof entity === 'object').map(async entity => {
+            if (relationship.list) {
+                entity[name] = await settle(entity, include, undefined,
+                    () => relationship.list(fetch, entity)) || [];
+                related.push(...entity[name]);
+                return;
+            }
+            const keys = relationship.one ?
+                [relationship.one(entity)] :
+                relationship.many(entity) || [];
+            const args = relationship.args ? relationship.args(entity) : [];
+            const found = await Promise.all(keys
+                .filter(key => key !== undefined && key !== null && key !== '')
+                .map(key => settle(entity, include, key, () => fetch[relationship.type](key, ...args))));
+            const resolved = found.filter(value => value !== undefined);
+            entity[name] = relationship.one ? resolved[0] : resolved;
+            related.push(...resolved);
+        }));
+        if (Object.keys(tree[name]).length > 0) {
+            await expand(fetch, relationship.type, related, tree[name], `${include}.`);
+        }
+    }));
+}
+
+/**
+ * Run the lookup, noting missing or forbidden entities on the referencing one instead of failing.
+ */
+async function settle(entity, include, key, lookup) {
+    try {
+        return await lookup();
+    } catch (error) {
+        if (!isNotFound(error) && !isForbidden(error)) {
+            throw error;
+        }
+        if (!entity.includeErrors) {
+            entity.includeErrors = [];
+        }
+        entity.includeErrors.push({include, key, error});
+        return undefined;
+    }
+}
+
+/**
+ * Getters for each type, fetching every entity once no matter how often it's referenced.
+ * Each gets its own copy, so the same entity can be expanded differently in two places.
+ */
+function NewFetcher(baseURL, authToken, {signal, priority}) {
+    const fetched = new Map();
+    const once = (key, lookup) => {
+        if (!fetched.has(key)) {
+            fetched.set(key, lookup());
+        }
+        return fetched.get(key).then(clone);
+    };
+    const options = {signal, priority};
+    return {
+        users: username => once(`users/${username}`, () => getUser(baseURL, username, authToken, options)),
+        channels: channelUsername => once(`channels/${channelUsername}`,
+            () => getChannel(baseURL, channelUsername, authToken, options)),
+        posts: id => once(`posts/${id}`, () => getPost(baseURL, id, options)),
+        releases: id => once(`releases/${id}`, () => getRelease(baseURL, id, authToken, options)),
+        comments: (id, postID) => once(`comments/${postID}/${id}`, () => getComment(baseURL, id, postID, options)),
+        replies: (id, postID) => once(`replies/${postID}/${id}`, () => getReplies(baseURL, id, postID, options)),
+    };
+}
+
+// deep copy that keeps decoded Dates
+function clone(value) {
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Array.isArray(value)) {
+        return value.map(clone);
+    }
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, clone(field)]));
+    }
+    return value;
+}
@@ -0,0 +1,90 @@
+'use strict';
+
+export {
+    runMiddleware,
+    loggingMiddleware,
+    headersMiddleware
+};
+
+/**
+ * @callback Middleware
+ * Sees every request a client makes before it's sent and its result afterwards.
+ * Call `next` to pass the request, as is or modified, down the pipeline and get the parsed
+ * jSend back. Not calling it short-circuits the request; returning something else or throwing
+ * replaces the result.
+ *
+ * @param {RequestDescriptor} request
+ * @param {function(RequestDescriptor=): Promise<jSend>} next
+ * @return {Promise<jSend | any>}
+ */
+
+/**
+ * Pass the request through the given middleware, first to last, ending at `send`.
+ * @param {Array<Middleware>} middleware
+ * @param {RequestDescriptor} request
+ * @param {function(RequestDescriptor): Promise<jSend>} send
+ * @return {Promise<jSend | any>}
+ */
+async function runMiddleware(middleware, request, send) {
+    function dispatch(index, request) {
+        if (index >= middleware.length) {
+            return send(request);
+        }
+        return Promise.resolve(middleware[index](
+            request,
+            (nextRequest = request) => dispatch(index + 1, nextRequest)
+        ));
+    }
+
+    return dispatch(0, request);
+}
+
+/**
+ * Middleware that logs every request, its outcome and how long it took.
+ * Auth tokens are redacted from the logged headers.
+ * @param {Object} [config]
+ * @param {{info: function, error: function}} [config.logger=console]
+ * @param {Array<string>} [config.redact] - names of headers whose values are left out of the log
+ * @return {Middleware}
+ */
+function loggingMiddleware({logger = console, redact = ['authorization']} = {}) {
+    const redacted = redact.map(name => name.toLowerCase());
+    return async (request, next) => {
+        const start = Date.now();
+        const headers = {};
+        Object.keys(request.headers || {}).forEach(name => {
+            headers[name] = redacted.includes(name.toLowerCase()) ? '[redacted]' : request.headers[name];
+        });
+        logger.info(`issue1.REST.client: ${request.method.toUpperCase()} ${request.url}`, {
+            headers,
+            params: request.params,
+        });
+        try {
+            const result = await next();
+            logger.info(`issue1.REST.client: ${request.method.toUpperCase()} ${request.url} ` +
+                `${result && result.status} in ${Date.now() - start}ms`);
+            return result;
+        } catch (err) {
+            logger.error(`issue1.REST.client: ${request.method.toUpperCase()} ${request.url} ` +
+                `failed in ${Date.now() - start}ms: ${err.message}`);
+            throw err;
+        }
+    };
+}
+
+/**
+ * Middleware that adds the given headers to every request. Headers the request
+ * already carries take precedence.
+ * @param {Object | function(RequestDescriptor): Object} headers - headers to add, or a
+ * function returning them for each request, e.g. for correlation ids.
+ * @return {Middleware}
+ */
+function headersMiddleware(headers) {
+    return async (request, next) => next({
+        ...request,
+        headers: {
+            ...(typeof headers === 'function' ? headers(request) : headers),
+            ...request.headers,
+        },
+    });
+}
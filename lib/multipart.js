@@ -0,0 +1,214 @@
+'use strict';
+
+import {isNode} from "browser-or-node";
+import {PassThrough, Transform, pipeline} from "stream";
+import FormDataNode from "form-data";
+import {Issue1ValidationError} from "./errors.js";
+
+export {
+    NewMultipartBody,
+    isMultipartBody,
+    isStreamingBody,
+    checkUploadSize,
+    toNodeFormData,
+    toFormData
+};
+
+/**
+ * @typedef {object} MultipartPart
+ * @property {string} name - key of the part
+ * @property {string | Buffer | Blob | Readable} value - Readables are streamed, in node
+ * @property {string} [filename] - set for file parts, without it servers won't treat the part as a file
+ * @property {string} [contentType]
+ * @property {number} [knownLength] - size of the value in bytes, streams without one are sent chunked
+ */
+
+/**
+ * @typedef {object} MultipartBody
+ * Transport independent description of a multipart/form-data request body,
+ * made by {@link NewMultipartBody} and encoded by each transport.
+ *
+ * @property {Array<MultipartPart>} parts
+ */
+
+/**
+ * Make a new, empty, multipart body.
+ * @return {MultipartBody}
+ */
+function NewMultipartBody() {
+    const body = {
+        parts: [],
+        /**
+         * Add a part to the body.
+         * @param {string} name
+         * @param {string | Buffer | Blob | Readable} value
+         * @param {Object} [options]
+         * @param {string} [options.filename]
+         * @param {string} [options.contentType]
+         * @param {number} [options.knownLength]
+         * @return {MultipartBody}
+         */
+        append(name, value, {filename, contentType, knownLength} = {}) {
+            body.parts.push({name, value, filename, contentType, knownLength});
+            return body;
+        },
+    };
+    Object.defineProperty(body, MULTIPART, {value: true});
+    return body;
+}
+
+const MULTIPART = typeof Symbol === 'function' ? Symbol('issue1.multipart') : '__issue1Multipart';
+
+/**
+ * Whether the given request data is a {@link MultipartBody}.
+ * @param {any} data
+ * @return {boolean}
+ */
+function isMultipartBody(data) {
+    return !!data && data[MULTIPART] === true;
+}
+
+/**
+ * Whether the given request data is a {@link MultipartBody} with a stream in it. Those can
+ * only be sent once, so they aren't retried.
+ * @param {any} data
+ * @return {boolean}
+ */
+function isStreamingBody(data) {
+    return isMultipartBody(data) && data.parts.some(({value}) => isStream(value));
+}
+
+function isStream(value) {
+    return !!value && typeof value.pipe === 'function';
+}
+
+/**
+ * Hold the body to a max upload size. Parts of known size are checked right away, streams
+ * while they're read, failing with an {@link Issue1ValidationError} as soon as the total goes
+ * over. Streams ending without any data fail too, an empty file is never what's meant.
+ * @param {MultipartBody} body
+ * @param {number} [maxUploadSize] - in bytes, no limit if left out
+ * @return {MultipartBody} with its streams replaced by checked ones
+ * @throws {Issue1ValidationError} when the parts of known size are already over
+ */
+function checkUploadSize(body, maxUploadSize) {
+    const limit = maxUploadSize > 0 ? maxUploadSize : Infinity;
+    let known = 0;
+    const over = body.parts.find(part => (known += partSize(part) || 0) > limit);
+    if (over) {
+        throw tooLarge(over.name, limit);
+    }
+    // streams are counted as they're read, whatever length they claimed
+    let total = body.parts
+        .filter(({value}) => !isStream(value))
+        .reduce((size, part) => size + (partSize(part) || 0), 0);
+    const checked = NewMultipartBody();
+    body.parts.forEach(({name, value, filename, contentType, knownLength}) => {
+        if (!isStream(value)) {
+            checked.append(name, value, {filename, contentType, knownLength});
+            return;
+        }
+        let read = 0;
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                read += chunk.length;
+                total += chunk.length;
+                callback(total > limit ? tooLarge(name, limit) : undefined, chunk);
+            },
+            flush(callback) {
+                callback(read === 0 ? new Issue1ValidationError(
+                    `issue1.REST.client: the stream under '${name}' has no data`,
+                    [{field: name, message: 'empty stream'}]) : undefined);
+            },
+        });
+        // destroys the source when the meter fails, and the meter when the source does
+        pipeline(value, meter, () => undefined);
+        checked.append(name, meter, {filename, contentType, knownLength});
+    });
+    return checked;
+}
+
+function partSize({value, knownLength}) {
+    if (knownLength !== undefined) {
+        return knownLength;
+    }
+    if (typeof value === 'string') {
+        return isNode ? Buffer.byteLength(value) : new Blob([value]).size;
+    }
+    if (isNode && value instanceof Buffer) {
+        return value.length;
+    }
+    if (typeof Blob !== 'undefined' && value instanceof Blob) {
+        return value.size;
+    }
+    return undefined;
+}
+
+function tooLarge(field, limit) {
+    return new Issue1ValidationError(
+        `issue1.REST.client: upload is over the max upload size of ${limit} bytes`,
+        [{field, message: `must be at most ${limit} bytes`}]);
+}
+
+/**
+ * Encode the body using the `form-data` package, for sending through node's http.
+ * Bodies with streams are encoded as they're sent, with backpressure, the rest into a Buffer.
+ * The content length is only set when every part's is known.
+ * @param {MultipartBody} body
+ * @return {{data: Buffer | Readable, headers: Object}}
+ */
+function toNodeFormData(body) {
+    const formData = new FormDataNode();
+    body.parts.forEach(({name, value, filename, contentType, knownLength}) => {
+        if (!filename) {
+            formData.append(name, value);
+            return;
+        }
+        formData.append(name, value, {
+            knownLength,
+            contentType,
+            filename,
+            header: {
+                'Content-Transfer-Encoding': 'binary'
+            }
+        });
+    });
+    if (!isStreamingBody(body)) {
+        return {
+            data: formData.getBuffer(),
+            headers: formData.getHeaders(),
+        };
+    }
+    const headers = formData.getHeaders();
+    // form-data only knows to measure files and http responses, other streams count as empty
+    const measured = body.parts.every(({value, knownLength}) => !isStream(value) || knownLength !== undefined);
+    if (measured && formData.hasKnownLength()) {
+        headers['content-length'] = `${formData.getLengthSync()}`;
+    }
+    // form-data's stream predates async iteration and doesn't end its destination on errors
+    const data = new PassThrough();
+    formData.on('error', error => data.destroy(error));
+    formData.pipe(data);
+    return {data, headers};
+}
+
+/**
+ * Encode the body as a standard FormData, as used by browsers and fetch.
+ * The content type header, boundary included, is left for the platform to set.
+ * @param {MultipartBody} body
+ * @return {FormData}
+ */
+function toFormData(body) {
+    const formData = new FormData();
+    body.parts.forEach(({name, value, filename, contentType}) => {
+        if (!filename) {
+            formData.append(name, value);
+            return;
+        }
+        if (isNode && value instanceof Buffer) {
+            value = new Blob([value], {type: contentType});
+        }
+        formData.append(name, value, filename);
+    });
+    return formData;
+}
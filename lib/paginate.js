@@ -0,0 +1,260 @@
+'use strict';
+
+import {calculateLimitOffset} from "./utilites.js";
+import {Issue1ValidationError} from "./errors.js";
+
+export {
+    paginate,
+    itemKey,
+    NewPaginator
+};
+
+/**
+ * @typedef {object} PageIterator
+ * Walks a paginated list endpoint, page by page, until it runs out. Use it with
+ * `for await` to get the items one by one. Made by {@link paginate}.
+ *
+ * @property {function(): AsyncIterator<Array<any>>} pages - iterates whole pages instead of items
+ * @property {function({max: number}=): Promise<Array<any>>} collect - gathers the items into an array,
+ * stopping after `max` of them if given
+ */
+
+/**
+ * Make a {@link PageIterator} over the pages `fetchPage` returns.
+ * A page shorter than `pageSize` is taken to be the last one. Items already seen on an
+ * earlier page are left out, as new content arriving while paging pushes items from one
+ * page to the next.
+ * @param {function({limit: number, offset: number}): Promise<Array<any>>} fetchPage
+ * @param {Object} [config]
+ * @param {number} [config.pageSize=25]
+ * @param {number} [config.offset=0] - where to start
+ * @param {function(any): any} [config.key] - identifies an item when de-duplicating, see {@link itemKey}
+ * @return {PageIterator}
+ */
+function paginate(fetchPage, {pageSize = 25, offset = 0, key = itemKey} = {}) {
+    async function* pages() {
+        const seen = new Set();
+        let pageOffset = offset;
+        while (true) {
+            const page = (await fetchPage({limit: pageSize, offset: pageOffset})) || [];
+            const fresh = page.filter(item => {
+                const id = key(item);
+                if (seen.has(id)) {
+                    return false;
+                }
+                seen.add(id);
+                return true;
+            });
+            if (fresh.length > 0) {
+                yield fresh;
+            }
+            if (page.length < pageSize) {
+                return;
+            }
+            pageOffset += page.length;
+        }
+    }
+
+    async function* items() {
+        for await (const page of pages()) {
+            yield* page;
+        }
+    }
+
+    return {
+        [Symbol.asyncIterator]: items,
+        pages,
+        async collect({max = Infinity} = {}) {
+            const collected = [];
+            if (max <= 0) {
+                return collected;
+            }
+            for await (const item of items()) {
+                collected.push(item);
+                if (collected.length >= max) {
+                    break;
+                }
+            }
+            return collected;
+        },
+    };
+}
+
+/**
+ * Default identity of a listed item: its id, or username for users and channels. Lists
+ * of ids, as returned with `onlyIds`, are their own keys.
+ * @param {any} item
+ * @return {any}
+ */
+function itemKey(item) {
+    if (item === null || typeof item !== 'object') {
+        return item;
+    }
+    if (item.id !== undefined) {
+        return item.id;
+    }
+    if (item.channelUsername !== undefined) {
+        return item.channelUsername;
+    }
+    return item.username !== undefined ? item.username : item;
+}
+
+/**
+ * @typedef {object} Paginator
+ * A list view's position in a paginated list endpoint, made by {@link NewPaginator}.
+ * Page numbers start at 1. Methods resolve with the items of the page they land on.
+ *
+ * @property {number} page - current page
+ * @property {number} pageSize
+ * @property {Array<any>} items - items of the current page, empty until the first load
+ * @property {boolean} hasMore - whether a following page likely exists, i.e. the current one was full
+ * @property {boolean} hasPrev
+ * @property {boolean} loading
+ * @property {Object} params - what, besides the page, the list is fetched with, e.g. a search pattern
+ * @property {function(): Promise<Array<any>>} load - fetch the current page
+ * @property {function(): Promise<Array<any>>} next - stays put when there's no more
+ * @property {function(): Promise<Array<any>>} prev - stays put on the first page
+ * @property {function(number): Promise<Array<any>>} goTo
+ * @property {function(): Promise<Array<any>>} refresh - fetch the current page again, dropping what was prefetched
+ * @property {function(Object): Promise<Array<any>>} setParams - change the params and go back to the first page
+ * @property {function(): string} toQueryString - page, page size and params, to put in a url
+ */
+
+/**
+ * Make a {@link Paginator} over the pages `fetchPage` returns.
+ * The page after the current one is fetched in the background, unless `prefetch` is false,
+ * so moving forward is instant.
+ * @param {function(Object): Promise<Array<any>>} fetchPage - called with `limit`, `offset` and the params
+ * @param {Object} [config]
+ * @param {number} [config.page=1]
+ * @param {number} [config.pageSize=25]
+ * @param {Object} [config.params]
+ * @param {boolean} [config.prefetch=true]
+ * @param {string | URLSearchParams} [config.query] - a query string made by `toQueryString`,
+ * its values take precedence over the other config
+ * @return {Paginator}
+ */
+function NewPaginator(fetchPage, {page = 1, pageSize = 25, params = {}, prefetch = true, query} = {}) {
+    const state = {page, pageSize, params: {...params}};
+    readQueryString(state, query);
+    validatePage(state.page);
+    validatePage(state.pageSize, 'pageSize');
+    let items = [];
+    let hasMore = false;
+    let loading = 0;
+    // makes results of loads that were overtaken by a later one be dropped
+    let loads = 0;
+    let prefetched;
+
+    function fetchNumber(number) {
+        const {limit, offset} = calculateLimitOffset(number, state.pageSize);
+        return Promise.resolve(fetchPage({...state.params, limit, offset})).then(page => page || []);
+    }
+
+    async function load(number) {
+        validatePage(number);
+        const version = ++loads;
+        const ahead = prefetched && prefetched.page === number ? prefetched.items : undefined;
+        prefetched = undefined;
+        loading++;
+        let page;
+        try {
+            page = ahead ? await ahead.catch(() => fetchNumber(number)) : await fetchNumber(number);
+        } finally {
+            loading--;
+        }
+        if (version !== loads) {
+            return page;
+        }
+        state.page = number;
+        items = page;
+        hasMore = page.length >= state.pageSize;
+        if (hasMore && prefetch) {
+            const following = fetchNumber(number + 1);
+            // failures are left for when the page is actually needed
+            following.catch(() => undefined);
+            prefetched = {page: number + 1, items: following};
+        }
+        return page;
+    }
+
+    const paginator = {
+        get page() {
+            return state.page;
+        },
+        get pageSize() {
+            return state.pageSize;
+        },
+        get items() {
+            return items;
+        },
+        get hasMore() {
+            return hasMore;
+        },
+        get hasPrev() {
+            return state.page > 1;
+        },
+        get loading() {
+            return loading > 0;
+        },
+        get params() {
+            return {...state.params};
+        },
+        load() {
+            return load(state.page);
+        },
+        async next() {
+            return hasMore ? load(state.page + 1) : items;
+        },
+        async prev() {
+            return state.page > 1 ? load(state.page - 1) : items;
+        },
+        goTo(number) {
+            return load(number);
+        },
+        refresh() {
+            prefetched = undefined;
+            return load(state.page);
+        },
+        setParams(params) {
+            state.params = {...params};
+            prefetched = undefined;
+            return load(1);
+        },
+        toQueryString() {
+            return toQueryString(state);
+        },
+    };
+    return paginator;
+}
+
+function validatePage(page, field = 'page') {
+    if (!Number.isInteger(page) || page < 1) {
+        throw new Issue1ValidationError(
+            `issue1.REST.client: invalid ${field} ${page}`,
+            [{field, message: 'must be a whole number starting from 1'}]);
+    }
+}
+
+function toQueryString({page, pageSize, params}) {
+    const query = new URLSearchParams();
+    query.set('page', `${page}`);
+    query.set('pageSize', `${pageSize}`);
+    Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .forEach(key => query.set(key, `${params[key]}`));
+    return query.toString();
+}
+
+function readQueryString(state, query) {
+    if (!query) {
+        return;
+    }
+    new URLSearchParams(query).forEach((value, key) => {
+        if (key === 'page' || key === 'pageSize') {
+            state[key] = Number(value);
+        } else {
+            state.params[key] = value;
+        }
+    });
+}
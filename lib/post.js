@@ -1,7 +1,8 @@
 'use strict';
 
-import {attachAuthTokenToHeader, makeRequest} from "./utilites.js";
-import {generateQueryParams} from "./utilites";
+import {NewSession} from "./session.js";
+import {paginate, NewPaginator} from "./paginate.js";
+import {NewRouteFunction, NewRouteMethods} from "./routes.js";
 
 export {
     getPost,
@@ -34,45 +35,17 @@ export {
  */
 
 
-function NewPostServiceClient(baseURL) {
+/**
+ * Make a new Post Service Client that calls to the given url.
+ * Methods calling the API are made from {@link ROUTES}, those taking an authToken fall back
+ * to the session's token when it's omitted.
+ * @param {string | Connection} baseURL
+ * @param {Session} [session] - session holding the auth token, see {@link NewSession}
+ */
+function NewPostServiceClient(baseURL, session = NewSession(baseURL)) {
     let client = {
         baseURL,
-        /**
-         * Returns the post under the given id.
-         */
-        async getPost(id) {
-            return getPost(client.baseURL, id);
-        },
-        /**
-         * Search for posts according to the specified pattern.
-         */
-        async searchPosts(pattern = "", {limit, offset, sortingOrder, sortParameter} = {}) {
-            return searchPosts(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Get all posts using the specified pagination.
-         */
-        async getPosts({limit, offset, sortingOrder, sortParameter} = {}) {
-            return getPosts(client.baseURL, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Create a new post.
-         */
-        async addPost(post, authToken) {
-            return addPost(client.baseURL, post, authToken);
-        },
-        /**
-         * Sends a a request to remove the post under the given id.
-         */
-        async deletePost(id, authToken) {
-            return deletePost(client.baseURL, id, authToken);
-        },
-        /**
-         * Sends a a request to remove the post under the given id.
-         */
-        async updatePost(id, post, authToken) {
-            return updatePost(client.baseURL, id, post, authToken);
-        },
+        session,
        /* /!**
          * Get the comments for the post under the given id.
          *!/
@@ -80,44 +53,39 @@ function NewPostServiceClient(baseURL) {
             return getPostComments(client.baseURL, id);
         },*/
         /**
-         * Get the releases for the post under the given id.
-         */
-        async getPostReleases(id) {
-            return getPostReleases(client.baseURL, id);
-        },
-        /**
-         * Get the star information for the post under the given id.
+         * Iterate over every post matching the pattern, all of them if it's empty, a page at a time.
+         * @return {PageIterator}
          */
-        async getPostStars(id) {
-            return getPostStars(client.baseURL, id);
+        iteratePosts({pattern = "", pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.searchPosts(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}), {pageSize});
         },
         /**
-         * Get the star information for the post under the given id for the specified user.
+         * Make a {@link Paginator} over the posts matching the pattern, all of them if it's empty.
+         * @return {Paginator}
          */
-        async getPostStarOfUser(id, username) {
-            return getPostStarOfUser(client.baseURL, id, username);
-        },
-        /**
-         * Modifies the star information for the post under the given id for the specified user.
-         */
-		async starPost(id, starCount,username, authToken) {
-            return starPost(client.baseURL, id, starCount,username, authToken);
+        paginatePosts({pattern, page, pageSize, sortingOrder, sortParameter, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({pattern = "", limit, offset, sortingOrder, sortParameter}) =>
+                client.searchPosts(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {page, pageSize, prefetch, query, params: {pattern, sortingOrder, sortParameter}});
         },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'postService'));
 }
 
 /**
  * Returns the post under the given id.
  * @param {string} baseURL
  * @param {number} id
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [options.include] - related entities to add, see {@link includeRelated}
+ * @param {number} [options.includeDepth=3] - how many levels deep the includes may go
  * @return {Promise<Post>}
  */
-async function getPost(baseURL, id) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}`))
-        .data;
-}
+const getPost = NewRouteFunction('getPost');
 
 /**
  * Search for posts according to the specified pattern.
@@ -128,19 +96,13 @@ async function getPost(baseURL, id) {
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channel_from', 'posted_by' or 'title'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @return {Promise<Array<Post>>}
  */
-async function searchPosts(baseURL, pattern = "",
-                           {limit, offset, sortingOrder, sortParameter} = {}) {
-
-    let response = await makeRequest(
-        `${baseURL}/posts`,
-        {
-            method: 'get',
-            params: generateQueryParams({pattern, limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const searchPosts = NewRouteFunction('searchPosts');
 
 /**
  * Get all posts using the specified pagination.
@@ -150,29 +112,25 @@ async function searchPosts(baseURL, pattern = "",
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channel_from', 'posted_by' or 'title'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [requestConfig.include] - related entities to add, see {@link includeRelated}
  * @returns {Promise<Array<Post>>}
  */
-async function getPosts(baseURL, {limit, offset, sortingOrder, sortParameter} = {}) {
-    return searchPosts(baseURL, "", {limit, offset, sortingOrder, sortParameter})
-}
+const getPosts = NewRouteFunction('getPosts');
 
 /**
  * Create a new post.
  * @param {string} baseURL
  * @param {Post} post
  * @param {string} authToken - must belong to an admin of the channel given under post.originChannel
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Post>}
  */
-async function addPost(baseURL, post, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts`,
-        {
-            method: 'post',
-            headers: attachAuthTokenToHeader(authToken),
-            data: post,
-        }))
-        .data;
-}
+const addPost = NewRouteFunction('addPost');
 
 /**
  * Sends a a request to remove the post under the given id.
@@ -180,16 +138,12 @@ async function addPost(baseURL, post, authToken) {
  * @param {string} baseURL
  * @param {number} id
  * @param {string} authToken - must belong to an admin of the post's channel
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function deletePost(baseURL, id, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-}
+const deletePost = NewRouteFunction('deletePost');
 
 /**
  * Update the post under the given id according to the values on the given object.
@@ -197,18 +151,12 @@ async function deletePost(baseURL, id, authToken) {
  * @param {number} id
  * @param {Post} post - new values to be updated
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Post>}
  */
-async function updatePost(baseURL, id, post, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-            data: post
-        }))
-        .data;
-}
+const updatePost = NewRouteFunction('updatePost');
 /*
 
 /!**
@@ -219,7 +167,8 @@ async function updatePost(baseURL, id, post, authToken) {
  *!/
 async function getPostComments(baseURL, id) {
     return (await makeRequest(
-        `${baseURL}/posts/${id}/comments`,
+        baseURL,
+        `/posts/${id}/comments`,
         {
             method: 'get',
         }))
@@ -231,31 +180,25 @@ async function getPostComments(baseURL, id) {
  * Get the releases for the post under the given id.
  * @param {string} baseURL
  * @param {number} id
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<Release>>}
  */
-async function getPostReleases(baseURL, id) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}/releases`,
-        {
-            method: 'get',
-        }))
-        .data;
-}
+const getPostReleases = NewRouteFunction('getPostReleases');
 
 /**
  * Get the star information for the post under the given id.
  * @param {string} baseURL
  * @param {number} id
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<{username: string, stars: number}>>}
  */
-async function getPostStars(baseURL, id) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}/stars`,
-        {
-            method: 'get',
-        }))
-        .data;
-}
+const getPostStars = NewRouteFunction('getPostStars');
 
 /**
  * Get the star information for the post under the given id for
@@ -263,16 +206,13 @@ async function getPostStars(baseURL, id) {
  * @param {string} baseURL
  * @param {number} id
  * @param {string} username
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<{username: string, stars: number}>}
  */
-async function getPostStarOfUser(baseURL, id, username) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}/stars/${username}`,
-        {
-            method: 'get',
-        }))
-        .data;
-}
+const getPostStarOfUser = NewRouteFunction('getPostStarOfUser');
 
 /**
  * Modifies the star information for the post under the given id for
@@ -282,18 +222,9 @@ async function getPostStarOfUser(baseURL, id, username) {
  * @param {number} starCount - maximum of 5 stars per user
  * @param {string} username - user which star count has to be updated to
  * @param {string} authToken - must belong to the holder of the username
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<{username: string, stars: number}>}
  */
-async function starPost(baseURL, id, starCount, username, authToken) {
-    return (await makeRequest(
-        `${baseURL}/posts/${id}/stars`,
-        {
-            method: 'put',
-			headers: attachAuthTokenToHeader(authToken),
-			data:{
-            	username: username,
-				stars: starCount,
-			},
-        }))
-        .data;
-}
+const starPost = NewRouteFunction('starPost');
@@ -0,0 +1,165 @@
+'use strict';
+
+import {calculateLimitOffset} from "./utilites.js";
+import {Issue1ValidationError} from "./errors.js";
+import {resolveConnection} from "./connection.js";
+import {validateArguments, checkValue, checkListOptions, ENUMS, SORT_PARAMETERS} from "./validate.js";
+import {ROUTES, fillPath} from "./routes.js";
+import {paginate} from "./paginate.js";
+
+export {
+    NewQuery,
+    QUERY_RESOURCES
+};
+
+/**
+ * What each resource a {@link Query} lists is fetched with: the route and the items it lists,
+ * one of {@link SORT_PARAMETERS}. Its other arguments, e.g. the post of 'comments', are given
+ * when making the query.
+ */
+const QUERY_RESOURCES = Object.freeze({
+    users: {route: 'searchUsers', items: 'users'},
+    channels: {route: 'searchChannels', items: 'channels'},
+    posts: {route: 'searchPosts', items: 'posts'},
+    releases: {route: 'searchReleases', items: 'releases'},
+    comments: {route: 'getComments', items: 'comments'},
+    replies: {route: 'getReplies', items: 'comments'},
+    feedSubscriptions: {route: 'getFeedSubscriptions', items: 'feedSubscriptions'},
+    search: {route: 'searchIssue1', items: 'search'},
+});
+
+/**
+ * @typedef {object} Query
+ * A list request put together a step at a time, e.g.
+ * `client.query('posts').matching('jazz').sortBy('posted_by').desc().page(2, 50)`.
+ * Each step checks what it's given and returns the query, for chaining. Made by {@link NewQuery}.
+ *
+ * @property {string} resource - one of {@link QUERY_RESOURCES}
+ * @property {function(string): Query} matching - the search pattern, for resources that are searched
+ * @property {function(string): Query} sortBy - one of the resource's {@link SORT_PARAMETERS}
+ * @property {function(): Query} asc
+ * @property {function(): Query} desc
+ * @property {function(number, number=): Query} page - page number, from 1, and size, 25 by default
+ * @property {function(...string): Query} include - related entities to add, see {@link includeRelated}
+ * @property {function(): Object} toOptions - the options the query passes to the list function
+ * @property {function(): Object} toParams - the query params sent, see {@link generateQueryParams}
+ * @property {function(): string} toURL - the request's url, to share or open elsewhere
+ * @property {function(Object=): Promise<Array<any> | SearchResults>} execute - fetch the page
+ * @property {function(Object=): PageIterator} iterate - walk every page from the query's one on
+ */
+
+/**
+ * Make a {@link Query} over one of the client's list endpoints.
+ * @param {Issue1Client} client
+ * @param {string} resource - one of {@link QUERY_RESOURCES}
+ * @param {...any} args - what the resource's list function takes besides the pattern, e.g. the
+ * postID of 'comments', the commentID and postID of 'replies' or the username of 'feedSubscriptions'
+ * @return {Query}
+ * @throws {Issue1ValidationError} for unknown resources
+ */
+function NewQuery(client, resource, ...args) {
+    const config = QUERY_RESOURCES[resource];
+    if (!config) {
+        throw new Issue1ValidationError(
+            `issue1.REST.client: can't query '${resource}'`,
+            [{field: 'resource', message: `must be one of ${Object.keys(QUERY_RESOURCES).join(', ')}`}]);
+    }
+    const route = ROUTES[config.route];
+    const argNames = route.args.filter(name => name !== 'pattern');
+    const state = {pattern: undefined, sortParameter: undefined, sortingOrder: undefined, limit: undefined, offset: undefined};
+    let include;
+
+    const connection = () => client.connection || client.baseURL;
+    const check = (step, errors) => validateArguments(connection(), `query('${resource}').${step}`, () => errors);
+
+    const query = {
+        resource,
+        matching(pattern) {
+            if (!route.args.includes('pattern')) {
+                throw unsupported('matching', 'pattern', `${resource} can't be searched`);
+            }
+            check('matching', checkValue('pattern', pattern, {type: 'string'}));
+            state.pattern = pattern;
+            return query;
+        },
+        sortBy(sortParameter) {
+            check('sortBy', checkValue('sortParameter', sortParameter, {type: 'string', enum: SORT_PARAMETERS[config.items]}));
+            state.sortParameter = sortParameter;
+            return query;
+        },
+        asc() {
+            state.sortingOrder = ENUMS.sortingOrder[0];
+            return query;
+        },
+        desc() {
+            state.sortingOrder = ENUMS.sortingOrder[1];
+            return query;
+        },
+        page(page, pageSize = 25) {
+            check('page', [
+                ...checkValue('page', page, {type: 'number', integer: true, min: 1}),
+                ...checkValue('pageSize', pageSize, {type: 'number', integer: true, min: 1}),
+            ]);
+            Object.assign(state, calculateLimitOffset(page, pageSize));
+            return query;
+        },
+        include(...paths) {
+            if (!route.include) {
+                throw unsupported('include', 'include', `${resource} can't include related entities`);
+            }
+            include = [...(include || []), ...paths];
+            return query;
+        },
+        toOptions() {
+            // generateQueryParams drops an order without a parameter to sort by
+            if (state.sortingOrder && !state.sortParameter) {
+                check('toOptions', [{field: 'sortingOrder', message: 'needs a sortBy'}]);
+            }
+            check('toOptions', checkListOptions(config.items, state));
+            const {limit, offset, sortingOrder, sortParameter} = state;
+            return {limit, offset, sortingOrder, sortParameter, ...(include ? {include} : {})};
+        },
+        toParams() {
+            return route.query(values(), query.toOptions());
+        },
+        toURL() {
+            const params = new URLSearchParams(query.toParams()).toString();
+            const url = `${resolveConnection(connection()).baseURL}${fillPath(route.path, values())}`;
+            return params ? `${url}?${params}` : url;
+        },
+        async execute({signal, dedupe, priority, authToken} = {}) {
+            return run(query.toOptions(), {signal, dedupe, priority, authToken});
+        },
+        iterate({pageSize, signal, priority, authToken} = {}) {
+            if (resource === 'search') {
+                throw unsupported('iterate', 'resource', `${resource} results aren't a list`);
+            }
+            const options = query.toOptions();
+            return paginate(({limit, offset}) => run({...options, limit, offset}, {signal, priority, authToken}),
+                {pageSize: pageSize || options.limit || 25, offset: options.offset || 0});
+        },
+    };
+
+    function values() {
+        return {
+            ...Object.fromEntries(argNames.map((name, index) => [name, args[index]])),
+            pattern: state.pattern,
+        };
+    }
+
+    // through the client's service, so the session's used
+    function run(options, {signal, dedupe, priority, authToken}) {
+        const positional = [
+            ...route.args.map(name => values()[name]),
+            ...(route.auth ? [authToken] : []),
+        ];
+        return client[route.service][config.route](...positional, {...options, signal, dedupe, priority});
+    }
+
+    function unsupported(step, field, message) {
+        return new Issue1ValidationError(`issue1.REST.client: query('${resource}').${step}: ${field} ${message}`,
+            [{field, message}]);
+    }
+
+    return query;
+}
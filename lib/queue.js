@@ -0,0 +1,154 @@
+'use strict';
+
+import {Issue1AbortError, Issue1ValidationError} from "./errors.js";
+import {requestSummary} from "./transport.js";
+
+export {
+    NewRequestQueue,
+    PRIORITIES
+};
+
+/**
+ * Named request priorities, lower goes first. Any number works as well.
+ */
+const PRIORITIES = Object.freeze({
+    interactive: 0,
+    normal: 1,
+    background: 2,
+});
+
+/**
+ * @typedef {object} RequestQueue
+ * Holds requests back to keep within a rate limit and a number of concurrent requests,
+ * made by {@link NewRequestQueue}.
+ *
+ * @property {function(Transport): Transport} wrap - returns a transport whose requests go through the queue
+ * @property {function(): RequestQueueStats} stats
+ */
+
+/**
+ * @typedef {object} RequestQueueStats
+ * @property {number} queued - requests waiting for their turn
+ * @property {number} running - requests sent and not yet answered
+ * @property {number} lastWait - milliseconds the last dequeued request waited
+ * @property {number} averageWait - milliseconds requests waited on average
+ * @property {number} maxWait - longest wait so far, in milliseconds
+ * @property {number} oldestWait - milliseconds the longest waiting queued request has been waiting for
+ */
+
+/**
+ * Make a new RequestQueue. The rate limit is a token bucket holding up to `burst` tokens
+ * and getting `rate` new ones every `interval`; each request sent takes one, retries included.
+ * Waiting requests are sent in order of their `priority`, see {@link PRIORITIES}, first come
+ * first served within one.
+ * @param {Object} [config]
+ * @param {number} [config.rate=Infinity] - requests per interval
+ * @param {number} [config.interval=1000] - milliseconds
+ * @param {number} [config.burst] - requests that may be sent at once, defaults to `rate`
+ * @param {number} [config.maxConcurrent=Infinity] - requests that may be in flight at once
+ * @return {RequestQueue}
+ */
+function NewRequestQueue({rate = Infinity, interval = 1000, burst = rate, maxConcurrent = Infinity} = {}) {
+    const waiting = [];
+    let tokens = burst;
+    let refilledAt = Date.now();
+    let running = 0;
+    let timer;
+    const waits = {last: 0, total: 0, count: 0, max: 0};
+
+    function refill() {
+        if (rate === Infinity) {
+            tokens = Infinity;
+            return;
+        }
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + (now - refilledAt) * rate / interval);
+        refilledAt = now;
+    }
+
+    function pump() {
+        refill();
+        while (waiting.length > 0 && running < maxConcurrent && tokens >= 1) {
+            const next = waiting.shift();
+            tokens--;
+            running++;
+            const wait = Date.now() - next.queuedAt;
+            waits.last = wait;
+            waits.total += wait;
+            waits.count++;
+            waits.max = Math.max(waits.max, wait);
+            next.start();
+        }
+        // wait for the next token, running requests pump again as they finish
+        if (waiting.length > 0 && running < maxConcurrent && !timer) {
+            timer = setTimeout(() => {
+                timer = undefined;
+                pump();
+            }, Math.ceil((1 - tokens) * interval / rate));
+        }
+    }
+
+    return {
+        wrap(transport) {
+            return request => new Promise((resolve, reject) => {
+                const {signal} = request;
+                const entry = {
+                    priority: priorityOf(request.priority),
+                    queuedAt: Date.now(),
+                    start() {
+                        if (signal) {
+                            signal.removeEventListener('abort', onAbort);
+                        }
+                        new Promise(resolve => resolve(transport(request)))
+                            .then(resolve, reject)
+                            .finally(() => {
+                                running--;
+                                pump();
+                            });
+                    },
+                };
+                const onAbort = () => {
+                    const index = waiting.indexOf(entry);
+                    if (index !== -1) {
+                        waiting.splice(index, 1);
+                        reject(new Issue1AbortError({request: requestSummary(request)}));
+                    }
+                };
+                if (signal) {
+                    signal.addEventListener('abort', onAbort, {once: true});
+                }
+                // after every request of the same or a higher priority
+                const index = waiting.findIndex(queued => queued.priority > entry.priority);
+                waiting.splice(index === -1 ? waiting.length : index, 0, entry);
+                pump();
+            });
+        },
+        /**
+         * @return {RequestQueueStats}
+         */
+        stats() {
+            return {
+                queued: waiting.length,
+                running,
+                lastWait: waits.last,
+                averageWait: waits.count ? waits.total / waits.count : 0,
+                maxWait: waits.max,
+                oldestWait: waiting.length ?
+                    Date.now() - Math.min(...waiting.map(entry => entry.queuedAt)) :
+                    0,
+            };
+        },
+    };
+}
+
+function priorityOf(priority = 'normal') {
+    if (typeof priority === 'number') {
+        return priority;
+    }
+    if (!(priority in PRIORITIES)) {
+        throw new Issue1ValidationError(
+            `issue1.REST.client: unknown priority '${priority}'`,
+            [{field: 'priority', message: `must be a number or one of ${Object.keys(PRIORITIES).join(', ')}`}]);
+    }
+    return PRIORITIES[priority];
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+export {
+    rankSearchResults,
+    highlightMatches,
+    RESULT_TYPES
+};
+
+/**
+ * The lists of {@link SearchResults}, by the type their items are tagged with when ranked.
+ * Their fields are what's scored and highlighted, weighted by how much a match in them counts.
+ * Fields under another object are given by path, e.g. 'metadata.title'.
+ */
+const RESULT_TYPES = Object.freeze({
+    post: {list: 'posts', fields: {title: 3, postedByUsername: 2, description: 1}},
+    release: {list: 'releases', fields: {'metadata.title': 3, 'metadata.description': 1}},
+    comment: {list: 'comments', fields: {commenter: 2, content: 1}},
+    channel: {list: 'channels', fields: {channelUsername: 3, name: 3, description: 1}},
+    user: {list: 'users', fields: {username: 3, firstName: 2, lastName: 2, bio: 1}},
+});
+
+/**
+ * @typedef {object} RankedResult
+ * An item of {@link SearchResults} in the merged list made by {@link rankSearchResults}.
+ *
+ * @property {'post' | 'release' | 'comment' | 'channel' | 'user'} type - one of {@link RESULT_TYPES}
+ * @property {Post | Release | Comment | Channel | User} item
+ * @property {number} score - how well it matches the pattern, 0 when it was ranked by the server
+ * @property {number} position - where it was in its own list
+ * @property {Object<string, Array<{start: number, end: number}>>} highlights - matches of the pattern,
+ * by field, see {@link highlightMatches}. Only fields with matches are present.
+ */
+
+/**
+ * Merge the lists of {@link SearchResults} into one ranked list.
+ * Sorted by 'rank', the server's order is kept: the first of each list, then the second and so on,
+ * in the order of {@link RESULT_TYPES}. Otherwise items are ordered by how well they match the
+ * pattern, a match of a whole field counting more than one at the start of a word, which counts
+ * more than one inside a word, ties keeping the server's order.
+ * @param {SearchResults} results
+ * @param {Object} [options]
+ * @param {string} [options.pattern] - what was searched for, each word is matched on its own
+ * @param {string} [options.sortParameter] - what the results were sorted by
+ * @return {Array<RankedResult>}
+ */
+function rankSearchResults(results, {pattern = '', sortParameter} = {}) {
+    const terms = termsOf(pattern);
+    const byServer = sortParameter === 'rank';
+    const ranked = [];
+    Object.keys(RESULT_TYPES).forEach((type, order) => {
+        const {list, fields} = RESULT_TYPES[type];
+        ((results && results[list]) || []).forEach((item, position) => {
+            const highlights = {};
+            let score = 0;
+            Object.keys(fields).forEach(field => {
+                const value = fieldValue(item, field);
+                const ranges = highlightRanges(value, terms);
+                if (ranges.length > 0) {
+                    highlights[field] = ranges;
+                    score += fields[field] * matchScore(value, ranges);
+                }
+            });
+            ranked.push({type, item, score: byServer ? 0 : score, position, highlights, order});
+        });
+    });
+    ranked.sort((a, b) => (byServer ? 0 : b.score - a.score) || a.position - b.position || a.order - b.order);
+    return ranked.map(({order, ...result}) => result);
+}
+
+/**
+ * Where the words of the pattern appear in the text, case-insensitively, e.g. to wrap them
+ * in `<mark>`. Overlapping and adjacent matches are joined.
+ * @param {string} text
+ * @param {string} pattern
+ * @return {Array<{start: number, end: number}>} sorted, `end` is exclusive
+ */
+function highlightMatches(text, pattern) {
+    return highlightRanges(text, termsOf(pattern));
+}
+
+function termsOf(pattern) {
+    return `${pattern || ''}`.toLowerCase().split(/\s+/).filter(term => term);
+}
+
+function fieldValue(item, field) {
+    const value = field.split('.').reduce((value, key) => value === undefined || value === null ? undefined : value[key], item);
+    return typeof value === 'string' ? value : undefined;
+}
+
+function highlightRanges(text, terms) {
+    if (!text || terms.length === 0) {
+        return [];
+    }
+    const ranges = [];
+    // matched on the text itself, lowercasing it can change its length, e.g. İ
+    terms.forEach(term => {
+        const matcher = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'giu');
+        for (let match = matcher.exec(text); match; match = matcher.exec(text)) {
+            ranges.push({start: match.index, end: match.index + match[0].length});
+            matcher.lastIndex = match.index + 1;
+        }
+    });
+    ranges.sort((a, b) => a.start - b.start);
+    return ranges.reduce((joined, range) => {
+        const last = joined[joined.length - 1];
+        if (last && range.start <= last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            joined.push({...range});
+        }
+        return joined;
+    }, []);
+}
+
+// 3 for the whole field, 2 for matches starting a word, 1 for the rest
+function matchScore(text, ranges) {
+    if (ranges.length === 1 && ranges[0].start === 0 && ranges[0].end === text.length) {
+        return 3;
+    }
+    return ranges.reduce((score, {start}) => score + (start === 0 || /\W/.test(text[start - 1]) ? 2 : 1), 0);
+}
@@ -1,8 +1,6 @@
-﻿import {
-    attachAuthTokenToHeader, attachImageToRequest,
-    generateQueryParams,
-    makeRequest
-} from "./utilites";
+﻿import {NewSession} from "./session.js";
+import {paginate, NewPaginator} from "./paginate.js";
+import {NewRouteFunction, NewRouteMethods} from "./routes.js";
 
 export {
     getRelease,
@@ -50,59 +48,36 @@ export {
  * @property {Array<string>} [genres]
  */
 
-function NewReleaseServiceClient(baseURL) {
+/**
+ * Make a new Release Service Client that calls to the given url.
+ * Methods calling the API are made from {@link ROUTES}, those taking an authToken fall back
+ * to the session's token when it's omitted.
+ * @param {string | Connection} baseURL
+ * @param {Session} [session] - session holding the auth token, see {@link NewSession}
+ */
+function NewReleaseServiceClient(baseURL, session = NewSession(baseURL)) {
     let client = {
         baseURL,
+        session,
         /**
-         * Returns the release under the given id.
-         */
-        async getRelease(id, authToken = "") {
-            return getRelease(client.baseURL, id, authToken);
-        },
-        /**
-         * Create a new text release.
-         */
-        async addTextRelease(release, authToken) {
-            return addTextRelease(client.baseURL, release, authToken);
-        },
-        /**
-         * Create a new image release.
-         */
-        async addImageRelease(release, authToken, imageData, imageName = 'client-js.jpg') {
-            return addImageRelease(client.baseURL, release, authToken, imageData, imageName);
-        },
-        /**
-         * Search for releases according to the specified pattern.
-         */
-        async searchReleases(pattern = "", {limit, offset, sortingOrder, sortParameter} = {}) {
-            return searchReleases(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Get all releases using the specified pagination.
-         */
-        async getReleases({limit, offset, sortingOrder, sortParameter} = {}) {
-            return getReleases(client.baseURL, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Update the release under the given id according to the values on the given object.
-         */
-        async updateRelease(id, release, authToken) {
-            return updateRelease(client.baseURL, id, release, authToken);
-        },
-        /**
-         * Update an image release under the given id according to the values on the given object while also replacing it's image using the provided data.
+         * Iterate over every release matching the pattern, all of them if it's empty, a page at a time.
+         * @return {PageIterator}
          */
-        async updateImageRelease(id, release, authToken, imageData, imageName = 'client-js.jpg') {
-            return updateImageRelease(client.baseURL, id, release, authToken, imageData, imageName);
+        iterateReleases({pattern = "", pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.searchReleases(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}), {pageSize});
         },
         /**
-         * Sends a a request to remove the release under the given id.
+         * Make a {@link Paginator} over the releases matching the pattern, all of them if it's empty.
+         * @return {Paginator}
          */
-        async deleteRelease(id, authToken) {
-            return deleteRelease(client.baseURL, id, authToken);
+        paginateReleases({pattern, page, pageSize, sortingOrder, sortParameter, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({pattern = "", limit, offset, sortingOrder, sortParameter}) =>
+                client.searchReleases(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {page, pageSize, prefetch, query, params: {pattern, sortingOrder, sortParameter}});
         },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'releaseService'));
 }
 
 /**
@@ -111,35 +86,27 @@ function NewReleaseServiceClient(baseURL) {
  * @param {number} id
  * @param {string} [authToken] - if provided and if it's the token of a channel admin,
  * allows access to unofficial releases of said channel.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @param {Array<string>} [options.include] - related entities to add, see {@link includeRelated}
+ * @param {number} [options.includeDepth=3] - how many levels deep the includes may go
  * @return {Promise<Release>}
  */
-async function getRelease(baseURL, id, authToken = "") {
-    let response = (await makeRequest(
-        `${baseURL}/releases/${id}`,
-        {
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-    return response.data;
-}
+const getRelease = NewRouteFunction('getRelease');
 
 /**
  * Create a new text release.
  * @param {string} baseURL
  * @param {Release} release
  * @param {string} authToken - must belong to an admin of the channel given under release.originChannel
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Release>}
  */
-async function addTextRelease(baseURL, release, authToken) {
-    release.type = 'text';
-    return (await makeRequest(
-        `${baseURL}/releases`,
-        {
-            method: 'post',
-            headers: attachAuthTokenToHeader(authToken),
-            data: release,
-        }))
-        .data;
-}
+const addTextRelease = NewRouteFunction('addTextRelease');
 
 /**
  * Create a new image release.
@@ -148,26 +115,12 @@ async function addTextRelease(baseURL, release, authToken) {
  * @param {string} authToken - must belong to an admin of the channel given under release.originChannel
  * @param {Blob | FormData | Buffer | Readable} imageData
  * @param {string} imageName - name under which the image will be saved on the server
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Release>}
  */
-async function addImageRelease(baseURL, release, authToken,
-                               imageData, imageName = 'client-js.jpg') {
-    release.type = 'image';
-    return (await makeRequest(
-        `${baseURL}/releases`,
-        {
-            method: 'post',
-            ...await attachImageToRequest(
-                imageData,
-                {
-                    otherData: release,
-                    headers: attachAuthTokenToHeader(authToken),
-                    imageName
-                }
-            ),
-        }))
-        .data;
-}
+const addImageRelease = NewRouteFunction('addImageRelease');
 
 /**
  * Search for releases according to the specified pattern.
@@ -177,20 +130,13 @@ async function addImageRelease(baseURL, release, authToken,
  * @param {Number} [requestConfig.limit=25]
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
- * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channel_from', 'posted_by' or 'title'
+ * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channel', or 'type'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Array<Release>>}
  */
-async function searchReleases(baseURL, pattern = "",
-                              {limit, offset, sortingOrder, sortParameter} = {}) {
-
-    let response = await makeRequest(
-        `${baseURL}/releases`,
-        {
-            method: 'get',
-            params: generateQueryParams({pattern, limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const searchReleases = NewRouteFunction('searchReleases');
 
 /**
  * Get all releases using the specified pagination.
@@ -200,11 +146,12 @@ async function searchReleases(baseURL, pattern = "",
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'channel', or 'type'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<Release>>}
  */
-async function getReleases(baseURL, {limit, offset, sortingOrder, sortParameter} = {}) {
-    return searchReleases(baseURL, "", {limit, offset, sortingOrder, sortParameter})
-}
+const getReleases = NewRouteFunction('getReleases');
 
 
 /**
@@ -213,18 +160,12 @@ async function getReleases(baseURL, {limit, offset, sortingOrder, sortParameter}
  * @param {number} id
  * @param {Release} release - new values to be updated
  * @param {string} authToken - must belong to an admin
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Release>}
  */
-async function updateRelease(baseURL, id, release, authToken) {
-    return (await makeRequest(
-        `${baseURL}/releases/${id}`,
-        {
-            method: 'patch',
-            headers: attachAuthTokenToHeader(authToken),
-            data: release
-        }))
-        .data;
-}
+const updateRelease = NewRouteFunction('updateRelease');
 
 /**
  * Update an image release under the given id according to the values on the given object
@@ -235,26 +176,12 @@ async function updateRelease(baseURL, id, release, authToken) {
  * @param {string} authToken - must belong to an admin of the channel given under release.originChannel
  * @param {Blob | FormData | Buffer | Readable} imageData
  * @param {string} imageName - name under which the image will be saved on the server
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Release>}
  */
-async function updateImageRelease(baseURL, id, release, authToken,
-                                  imageData, imageName = 'client-js.jpg') {
-    release.type = 'image';
-    return (await makeRequest(
-        `${baseURL}/releases/${id}`,
-        {
-            method: 'patch',
-            ...await attachImageToRequest(
-                imageData,
-                {
-                    otherData: release,
-                    headers: attachAuthTokenToHeader(authToken),
-                    imageName
-                }
-            ),
-        }))
-        .data;
-}
+const updateImageRelease = NewRouteFunction('updateImageRelease');
 
 
 /**
@@ -263,15 +190,11 @@ async function updateImageRelease(baseURL, id, release, authToken,
  * @param {string} baseURL
  * @param {number} id
  * @param {string} authToken - must belong to an admin of the releases's channel
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<{status: string}>}
  */
-async function deleteRelease(baseURL, id, authToken) {
-    return (await makeRequest(
-        `${baseURL}/releases/${id}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-}
+const deleteRelease = NewRouteFunction('deleteRelease');
 
 // TODO: update image release
\ No newline at end of file
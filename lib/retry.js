@@ -0,0 +1,163 @@
+'use strict';
+
+import {
+    Issue1AbortError,
+    Issue1FailError,
+    Issue1HttpError,
+    Issue1NetworkError,
+    Issue1TimeoutError
+} from "./errors.js";
+
+export {
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    withRetry,
+    parseRetryAfter
+};
+
+/**
+ * @typedef {object} RetryPolicy
+ * Decides which failed requests get sent again and how long to wait in between.
+ *
+ * @property {number} maxAttempts - total attempts, including the first one
+ * @property {number} baseDelay - milliseconds to wait before the first retry, doubled on each following one
+ * @property {number} maxDelay - upper bound for a single wait, longer Retry-After values aren't waited out
+ * @property {number} jitter - fraction, between 0 and 1, of each delay that's randomized
+ * @property {Array<number>} retryStatusCodes - HTTP statuses worth retrying
+ * @property {Array<string>} retryNetworkCodes - system error codes worth retrying. Network errors
+ * without a code, which is all of them in the browser, are retried as well.
+ * @property {Array<string>} methods - HTTP methods that are retried. POST and PATCH are left out
+ * since they aren't idempotent, add them to opt in.
+ * @property {function({attempt: number, delay: number, error: Issue1Error, request: {url: string, method: string}})} [onRetry]
+ * - called before waiting out each retry
+ */
+
+/**
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxAttempts: 3,
+    baseDelay: 300,
+    maxDelay: 10 * 1000,
+    jitter: 0.5,
+    retryStatusCodes: [502, 503, 504],
+    retryNetworkCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+    methods: ['get', 'head', 'options', 'put', 'delete'],
+    onRetry: undefined,
+});
+
+/**
+ * Fill in the blanks of the given retry config with the defaults.
+ * @param {Object | boolean} [retry] - false or undefined disables retrying, true uses the defaults.
+ * @return {RetryPolicy | undefined}
+ */
+function normalizeRetryPolicy(retry) {
+    if (!retry) {
+        return undefined;
+    }
+    const policy = {
+        ...DEFAULT_RETRY_POLICY,
+        ...(retry === true ? {} : retry),
+    };
+    policy.methods = policy.methods.map(method => method.toLowerCase());
+    return policy;
+}
+
+/**
+ * Call the given function, calling it again according to the policy for as long as
+ * it fails with a retryable error.
+ * @param {RetryPolicy | undefined} policy
+ * @param {{url: string, method: string}} request
+ * @param {function(): Promise<any>} send
+ * @param {AbortSignal} [signal] - cuts waiting for the next attempt short
+ * @return {Promise<any>}
+ */
+async function withRetry(policy, request, send, signal) {
+    if (!policy || !policy.methods.includes(request.method.toLowerCase())) {
+        return send();
+    }
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            if (attempt >= policy.maxAttempts || !isRetryable(policy, error)) {
+                throw error;
+            }
+            const delay = retryDelay(policy, attempt, error);
+            if (delay === undefined) {
+                throw error;
+            }
+            if (policy.onRetry) {
+                policy.onRetry({attempt, delay, error, request});
+            }
+            await sleep(delay, signal, request);
+        }
+    }
+}
+
+function isRetryable(policy, error) {
+    if (error instanceof Issue1TimeoutError) {
+        return false;
+    }
+    if (error instanceof Issue1NetworkError) {
+        return !error.code || policy.retryNetworkCodes.includes(error.code);
+    }
+    if (error instanceof Issue1HttpError || error instanceof Issue1FailError) {
+        return policy.retryStatusCodes.includes(error.status);
+    }
+    return false;
+}
+
+/**
+ * Milliseconds to wait before the next attempt, undefined if the server asked
+ * for a longer wait than the policy allows.
+ */
+function retryDelay(policy, attempt, error) {
+    const retryAfter = parseRetryAfter(error.headers && error.headers['retry-after']);
+    if (retryAfter !== undefined) {
+        return retryAfter <= policy.maxDelay ? retryAfter : undefined;
+    }
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+    return Math.round(delay * (1 - policy.jitter * Math.random()));
+}
+
+/**
+ * Parse the value of a Retry-After header.
+ * @param {string} [value] - either seconds or an HTTP date
+ * @return {number | undefined} - milliseconds to wait
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    if (/^\d+$/.test(`${value}`.trim())) {
+        return Number(value) * 1000;
+    }
+    const date = Date.parse(value);
+    if (isNaN(date)) {
+        return undefined;
+    }
+    return Math.max(0, date - Date.now());
+}
+
+function sleep(milliseconds, signal, request) {
+    return new Promise((resolve, reject) => {
+        if (!signal) {
+            setTimeout(resolve, milliseconds);
+            return;
+        }
+        if (signal.aborted) {
+            reject(new Issue1AbortError({request}));
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timeout);
+            reject(new Issue1AbortError({request}));
+        };
+        const timeout = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, milliseconds);
+        signal.addEventListener('abort', onAbort);
+    });
+}
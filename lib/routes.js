@@ -0,0 +1,766 @@
+'use strict';
+
+import {attachAuthTokenToHeader, attachImageToRequest, generateQueryParams, makeRequest} from "./utilites.js";
+import {validateArguments, checkEntity, checkValue, checkListOptions, ENUMS} from "./validate.js";
+import {decodeResponse} from "./decode.js";
+import {includeRelated} from "./include.js";
+import {resolveConnection} from "./connection.js";
+
+export {
+    ROUTES,
+    NewRouteFunction,
+    NewRouteMethods,
+    routeArity,
+    fillPath
+};
+
+/**
+ * @typedef {object} Route
+ * Describes an endpoint of issue-1-REST, from which {@link NewRouteFunction} makes the
+ * standalone function and {@link NewRouteMethods} the service client method calling it.
+ * The function takes the baseURL, the `args`, the authToken if the route takes one, the image
+ * data and name if it's multipart and finally the options.
+ *
+ * @property {string} service - the {@link Issue1Client} service the route belongs to, e.g. 'userService'
+ * @property {string} [method=get]
+ * @property {string} path - `:name` segments are replaced with the URL-encoded argument of that name
+ * @property {Array<string>} [args] - names of the positional arguments, after the baseURL
+ * @property {Object} [defaults] - values for arguments left undefined
+ * @property {'required' | 'optional'} [auth] - whether an authToken follows the arguments. Client methods
+ * fall back to their session's token.
+ * @property {string | function(Object): any} [body] - argument sent as the body, or what makes it from the
+ * arguments. Multipart routes send it along the image under 'JSON'.
+ * @property {boolean} [multipart] - whether the image data and its name follow the authToken
+ * @property {function(Object, Object): Object} [query] - query params from the arguments and the options
+ * @property {function(Object, Object): Array<{field: string, message: string}>} [validate] - checks the
+ * arguments and the options before anything is sent, see {@link validateArguments}
+ * @property {function(Object)} [prepare] - fills in the arguments before they're checked
+ * @property {string} [decode] - type of the response data, see {@link decodeResponse}. Lists asked for
+ * with `onlyIds` are left alone.
+ * @property {string} [include] - type of the returned entities, resolving the `include` option,
+ * see {@link includeRelated}
+ * @property {'data' | 'jSend' | 'token'} [returns=data] - what of the response is returned
+ */
+
+const IMAGE_NAME = 'client-js.jpg';
+
+const listQuery = ({pattern}, {limit, offset, sortingOrder, sortParameter}) =>
+    generateQueryParams({pattern, limit, offset, sortingOrder, sortParameter});
+
+// the feed's and channels' lists take a single sorting and may list ids only
+const sortingQuery = (args, {limit, offset, sorting = "", onlyIds = false}) =>
+    generateQueryParams({limit, offset, sortParameter: sorting, onlyIds});
+
+const listOptions = items => (args, {limit, offset, sortingOrder, sortParameter}) =>
+    checkListOptions(items, {limit, offset, sortingOrder, sortParameter});
+
+const entity = (schema, name, partial = false) => args => checkEntity(schema, args[name], {partial});
+
+/**
+ * Every endpoint the client calls, by the name of the function calling it.
+ */
+const ROUTES = Object.freeze({
+    // auth
+    getAuthToken: {
+        service: 'authService',
+        method: 'post',
+        path: '/token-auth',
+        args: ['username', 'password'],
+        body: ({username, password}) => ({username, password}),
+        returns: 'token',
+    },
+    refreshAuthToken: {
+        service: 'authService',
+        path: '/token-auth-refresh',
+        auth: 'required',
+        returns: 'token',
+    },
+    logout: {
+        service: 'authService',
+        path: '/logout',
+        auth: 'required',
+        returns: 'jSend',
+    },
+
+    // users
+    getUser: {
+        service: 'userService',
+        path: '/users/:username',
+        args: ['username'],
+        auth: 'optional',
+        decode: 'User',
+    },
+    searchUsers: {
+        service: 'userService',
+        path: '/users',
+        args: ['pattern'],
+        defaults: {pattern: ""},
+        query: listQuery,
+        validate: listOptions('users'),
+        decode: 'Array<User>',
+    },
+    getUsers: {
+        service: 'userService',
+        path: '/users',
+        query: listQuery,
+        validate: listOptions('users'),
+        decode: 'Array<User>',
+    },
+    addUser: {
+        service: 'userService',
+        method: 'post',
+        path: '/users',
+        args: ['user'],
+        body: 'user',
+        validate: entity('User', 'user'),
+        decode: 'User',
+    },
+    updateUser: {
+        service: 'userService',
+        method: 'put',
+        path: '/users/:username',
+        args: ['username', 'user'],
+        auth: 'required',
+        body: 'user',
+        validate: entity('User', 'user', true),
+        decode: 'User',
+    },
+    deleteUser: {
+        service: 'userService',
+        method: 'delete',
+        path: '/users/:username',
+        args: ['username'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    addPostBookmark: {
+        service: 'userService',
+        method: 'put',
+        path: '/users/:username/bookmarks/:postID',
+        args: ['username', 'postID'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    getUserBookmarks: {
+        service: 'userService',
+        path: '/users/:username/bookmarks',
+        args: ['username'],
+        auth: 'required',
+        decode: 'Bookmarks',
+    },
+    deleteBookmark: {
+        service: 'userService',
+        method: 'delete',
+        path: '/users/:username/bookmarks/:postID',
+        args: ['username', 'postID'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    addProfilePicture: {
+        service: 'userService',
+        method: 'put',
+        path: '/users/:username/picture',
+        args: ['username'],
+        auth: 'required',
+        multipart: true,
+    },
+    removeProfilePicture: {
+        service: 'userService',
+        method: 'delete',
+        path: '/users/:username/picture',
+        args: ['username'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+
+    // channels
+    getChannel: {
+        service: 'channelService',
+        path: '/channels/:channelUsername',
+        args: ['channelUsername'],
+        auth: 'optional',
+        decode: 'Channel',
+        include: 'channels',
+    },
+    searchChannels: {
+        service: 'channelService',
+        path: '/channels',
+        args: ['pattern'],
+        defaults: {pattern: ""},
+        query: listQuery,
+        validate: listOptions('channels'),
+        decode: 'Array<Channel>',
+        include: 'channels',
+    },
+    getChannels: {
+        service: 'channelService',
+        path: '/channels',
+        query: listQuery,
+        validate: listOptions('channels'),
+        decode: 'Array<Channel>',
+        include: 'channels',
+    },
+    addChannel: {
+        service: 'channelService',
+        method: 'post',
+        path: '/channels',
+        args: ['channel'],
+        auth: 'required',
+        body: 'channel',
+        validate: entity('Channel', 'channel'),
+        decode: 'Channel',
+    },
+    updateChannel: {
+        service: 'channelService',
+        method: 'put',
+        path: '/channels/:channelUsername',
+        args: ['channelUsername', 'channel'],
+        auth: 'required',
+        body: 'channel',
+        validate: entity('Channel', 'channel', true),
+        decode: 'Channel',
+    },
+    deleteChannel: {
+        service: 'channelService',
+        method: 'delete',
+        path: '/channels/:channelUsername',
+        args: ['channelUsername'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    addAdminToChannel: {
+        service: 'channelService',
+        method: 'put',
+        path: '/channels/:channelUsername/admins/:adminUsername',
+        args: ['channelUsername', 'adminUsername'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    removeAdminFromChannel: {
+        service: 'channelService',
+        method: 'delete',
+        path: '/channels/:channelUsername/admins/:adminUsername',
+        args: ['channelUsername', 'adminUsername'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    changeChannelOwner: {
+        service: 'channelService',
+        method: 'put',
+        path: '/channels/:channelUsername/owners/:newOwner',
+        args: ['channelUsername', 'newOwner'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    addReleaseToChannelOfficialCatalog: {
+        service: 'channelService',
+        method: 'put',
+        path: '/channels/:channelUsername/official/:releaseID',
+        args: ['channelUsername', 'releaseID', 'originPostID'],
+        auth: 'required',
+        body: ({originPostID}) => ({postID: originPostID}),
+        returns: 'jSend',
+    },
+    removeReleaseFromChannelOfficialCatalog: {
+        service: 'channelService',
+        method: 'delete',
+        path: '/channels/:channelUsername/official/:releaseID',
+        args: ['channelUsername', 'releaseID'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    stickyPost: {
+        service: 'channelService',
+        method: 'put',
+        path: '/channels/:channelUsername/stickiedPosts/:postID',
+        args: ['channelUsername', 'postID'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    removeStickiedPost: {
+        service: 'channelService',
+        method: 'delete',
+        path: '/channels/:channelUsername/stickiedPosts/:postID',
+        args: ['channelUsername', 'postID'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    getChannelPosts: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/Posts',
+        args: ['channelUsername'],
+        query: sortingQuery,
+        decode: 'Array<Post>',
+        include: 'posts',
+    },
+    getChannelPost: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/Posts/:postID',
+        args: ['channelUsername', 'postID'],
+        decode: 'Post',
+        include: 'posts',
+    },
+    getCatalog: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/catalog',
+        args: ['channelUsername'],
+        auth: 'required',
+        query: sortingQuery,
+        decode: 'Array<Release>',
+    },
+    getOfficialCatalog: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/official',
+        args: ['channelUsername'],
+        query: sortingQuery,
+        decode: 'Array<Release>',
+    },
+    getReleaseFromCatalog: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/catalogs/:releaseID',
+        args: ['channelUsername', 'releaseID'],
+        auth: 'required',
+        decode: 'Release',
+    },
+    getReleaseFromOfficialCatalog: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/official/:releaseID',
+        args: ['channelUsername', 'releaseID'],
+        decode: 'Release',
+    },
+    getStickiedPosts: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/stickiedPosts',
+        args: ['channelUsername'],
+        decode: 'Array<Post>',
+        include: 'posts',
+    },
+    getAdmins: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/admins',
+        args: ['channelUsername'],
+        auth: 'required',
+    },
+    getOwner: {
+        service: 'channelService',
+        path: '/channels/:channelUsername/owners',
+        args: ['channelUsername'],
+        auth: 'required',
+    },
+    addDisplayPicture: {
+        service: 'channelService',
+        method: 'put',
+        path: '/channels/:channelUsername/picture',
+        args: ['channelUsername'],
+        auth: 'required',
+        multipart: true,
+    },
+    removeDisplayPicture: {
+        service: 'channelService',
+        method: 'delete',
+        path: '/channels/:channelUsername/picture',
+        args: ['channelUsername'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+
+    // posts
+    getPost: {
+        service: 'postService',
+        path: '/posts/:id',
+        args: ['id'],
+        decode: 'Post',
+        include: 'posts',
+    },
+    searchPosts: {
+        service: 'postService',
+        path: '/posts',
+        args: ['pattern'],
+        defaults: {pattern: ""},
+        query: listQuery,
+        validate: listOptions('posts'),
+        decode: 'Array<Post>',
+        include: 'posts',
+    },
+    getPosts: {
+        service: 'postService',
+        path: '/posts',
+        query: listQuery,
+        validate: listOptions('posts'),
+        decode: 'Array<Post>',
+        include: 'posts',
+    },
+    addPost: {
+        service: 'postService',
+        method: 'post',
+        path: '/posts',
+        args: ['post'],
+        auth: 'required',
+        body: 'post',
+        validate: entity('Post', 'post'),
+        decode: 'Post',
+    },
+    updatePost: {
+        service: 'postService',
+        method: 'put',
+        path: '/posts/:id',
+        args: ['id', 'post'],
+        auth: 'required',
+        body: 'post',
+        validate: entity('Post', 'post', true),
+        decode: 'Post',
+    },
+    deletePost: {
+        service: 'postService',
+        method: 'delete',
+        path: '/posts/:id',
+        args: ['id'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    getPostReleases: {
+        service: 'postService',
+        path: '/posts/:id/releases',
+        args: ['id'],
+        decode: 'Array<Release>',
+    },
+    getPostStars: {
+        service: 'postService',
+        path: '/posts/:id/stars',
+        args: ['id'],
+    },
+    getPostStarOfUser: {
+        service: 'postService',
+        path: '/posts/:id/stars/:username',
+        args: ['id', 'username'],
+    },
+    starPost: {
+        service: 'postService',
+        method: 'put',
+        path: '/posts/:id/stars',
+        args: ['id', 'starCount', 'username'],
+        auth: 'required',
+        body: ({username, starCount}) => ({username, stars: starCount}),
+        validate: ({starCount, username}) => [
+            ...checkValue('starCount', starCount, {type: 'number', integer: true, min: 0, max: 5}),
+            ...checkValue('username', username, {type: 'string'}),
+        ],
+    },
+
+    // comments
+    getComment: {
+        service: 'commentService',
+        path: '/posts/:postID/comments/:id',
+        args: ['id', 'postID'],
+        decode: 'Comment',
+        include: 'comments',
+    },
+    getComments: {
+        service: 'commentService',
+        path: '/posts/:postID/comments',
+        args: ['postID'],
+        query: listQuery,
+        validate: listOptions('comments'),
+        decode: 'Array<Comment>',
+        include: 'comments',
+    },
+    getReplies: {
+        service: 'commentService',
+        path: '/posts/:postID/comments/:commentID/replies',
+        args: ['commentID', 'postID'],
+        query: listQuery,
+        validate: listOptions('comments'),
+        decode: 'Array<Comment>',
+        include: 'comments',
+    },
+    addComment: {
+        service: 'commentService',
+        method: 'post',
+        path: '/posts/:postID/comments',
+        args: ['comment', 'postID'],
+        auth: 'required',
+        body: 'comment',
+        validate: entity('Comment', 'comment'),
+        decode: 'Comment',
+    },
+    addReply: {
+        service: 'commentService',
+        method: 'post',
+        path: '/posts/:postID/comments/:commentID/replies',
+        args: ['comment', 'postID', 'commentID'],
+        auth: 'required',
+        body: 'comment',
+        validate: entity('Comment', 'comment'),
+        decode: 'Comment',
+    },
+    updateComment: {
+        service: 'commentService',
+        method: 'patch',
+        path: '/posts/:postID/comments/:id',
+        args: ['id', 'postID', 'comment'],
+        auth: 'required',
+        body: 'comment',
+        validate: entity('Comment', 'comment', true),
+        decode: 'Comment',
+    },
+    deleteComment: {
+        service: 'commentService',
+        method: 'delete',
+        path: '/posts/:postID/comments/:id',
+        args: ['id', 'postID'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+
+    // feeds
+    getFeed: {
+        service: 'feedService',
+        path: '/users/:username/feed',
+        args: ['username'],
+        auth: 'required',
+    },
+    getFeedPosts: {
+        service: 'feedService',
+        path: '/users/:username/feed/posts',
+        args: ['username'],
+        auth: 'required',
+        query: sortingQuery,
+        validate: (args, {limit, offset, sorting}) => [
+            ...checkListOptions('posts', {limit, offset}),
+            ...(sorting ? checkValue('sorting', sorting, {type: 'string', enum: ENUMS.feedSorting}) : []),
+        ],
+        decode: 'Array<Post>',
+        include: 'posts',
+    },
+    getFeedSubscriptions: {
+        service: 'feedService',
+        path: '/users/:username/feed/channels',
+        args: ['username'],
+        auth: 'required',
+        query: listQuery,
+        validate: listOptions('feedSubscriptions'),
+        decode: 'Subscriptions',
+    },
+    subscribeFeedToChannel: {
+        service: 'feedService',
+        method: 'post',
+        path: '/users/:username/feed/channels',
+        args: ['username', 'channelname'],
+        auth: 'required',
+        body: ({channelname}) => ({channelname}),
+        returns: 'jSend',
+    },
+    unsubscribeFeedFromChannel: {
+        service: 'feedService',
+        method: 'delete',
+        path: '/users/:username/feed/channels/:channelname',
+        args: ['username', 'channelname'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+    setDefaultFeedSorting: {
+        service: 'feedService',
+        method: 'put',
+        path: '/users/:username/feed',
+        args: ['username', 'defaultSorting'],
+        auth: 'required',
+        body: ({defaultSorting}) => ({defaultSorting}),
+        validate: ({defaultSorting}) =>
+            checkValue('defaultSorting', defaultSorting, {type: 'string', enum: ENUMS.feedSorting}),
+        returns: 'jSend',
+    },
+
+    // releases
+    getRelease: {
+        service: 'releaseService',
+        path: '/releases/:id',
+        args: ['id'],
+        auth: 'optional',
+        decode: 'Release',
+        include: 'releases',
+    },
+    searchReleases: {
+        service: 'releaseService',
+        path: '/releases',
+        args: ['pattern'],
+        defaults: {pattern: ""},
+        query: listQuery,
+        validate: listOptions('releases'),
+        decode: 'Array<Release>',
+    },
+    getReleases: {
+        service: 'releaseService',
+        path: '/releases',
+        query: listQuery,
+        validate: listOptions('releases'),
+        decode: 'Array<Release>',
+    },
+    addTextRelease: {
+        service: 'releaseService',
+        method: 'post',
+        path: '/releases',
+        args: ['release'],
+        auth: 'required',
+        body: 'release',
+        prepare: ({release}) => release.type = 'text',
+        validate: entity('Release', 'release'),
+        decode: 'Release',
+    },
+    addImageRelease: {
+        service: 'releaseService',
+        method: 'post',
+        path: '/releases',
+        args: ['release'],
+        auth: 'required',
+        multipart: true,
+        body: 'release',
+        prepare: ({release}) => release.type = 'image',
+        validate: entity('Release', 'release'),
+        decode: 'Release',
+    },
+    updateRelease: {
+        service: 'releaseService',
+        method: 'patch',
+        path: '/releases/:id',
+        args: ['id', 'release'],
+        auth: 'required',
+        body: 'release',
+        validate: entity('Release', 'release', true),
+        decode: 'Release',
+    },
+    updateImageRelease: {
+        service: 'releaseService',
+        method: 'patch',
+        path: '/releases/:id',
+        args: ['id', 'release'],
+        auth: 'required',
+        multipart: true,
+        body: 'release',
+        prepare: ({release}) => release.type = 'image',
+        validate: entity('Release', 'release', true),
+        decode: 'Release',
+    },
+    deleteRelease: {
+        service: 'releaseService',
+        method: 'delete',
+        path: '/releases/:id',
+        args: ['id'],
+        auth: 'required',
+        returns: 'jSend',
+    },
+
+    // search
+    searchIssue1: {
+        service: 'searchService',
+        path: '/search',
+        args: ['pattern'],
+        query: listQuery,
+        validate: listOptions('search'),
+        decode: 'SearchResults',
+    },
+});
+
+/**
+ * Make the standalone function calling the named route.
+ * The route's looked up on each call, so the service modules can make their functions while
+ * this one's still loading.
+ * @param {string} name - one of {@link ROUTES}
+ * @return {function(string | Connection, ...any): Promise<any>}
+ */
+function NewRouteFunction(name) {
+    return async function callRoute(baseURL, ...rest) {
+        const route = ROUTES[name];
+        const {method = 'get', args = [], defaults = {}} = route;
+        const values = {};
+        args.forEach((arg, index) => {
+            values[arg] = rest[index] === undefined ? defaults[arg] : rest[index];
+        });
+        let position = args.length;
+        const authToken = route.auth ? rest[position++] : undefined;
+        const imageData = route.multipart ? rest[position++] : undefined;
+        const imageName = route.multipart ? rest[position++] || IMAGE_NAME : undefined;
+        const options = rest[position] || {};
+        const {signal, dedupe, priority, include, includeDepth, onlyIds} = options;
+
+        if (route.prepare) {
+            route.prepare(values);
+        }
+        if (route.validate) {
+            validateArguments(baseURL, name, () => route.validate(values, options));
+        }
+        const body = typeof route.body === 'function' ? route.body(values) : values[route.body];
+        const headers = attachAuthTokenToHeader(authToken);
+        const response = await makeRequest(
+            baseURL,
+            fillPath(route.path, values),
+            {
+                method,
+                ...(route.multipart ?
+                    await attachImageToRequest(imageData, {
+                        headers, otherData: body, imageName, maxUploadSize: resolveConnection(baseURL).maxUploadSize,
+                    }) :
+                    {headers, data: body}),
+                params: route.query ? route.query(values, options) : undefined,
+                signal,
+                dedupe: method === 'get' ? dedupe : undefined,
+                priority,
+            });
+        if (route.returns === 'jSend') {
+            return response;
+        }
+        if (route.returns === 'token') {
+            return response.data.token;
+        }
+        const data = decodeResponse(baseURL, onlyIds ? undefined : route.decode, response.data);
+        if (!route.include) {
+            return data;
+        }
+        return includeRelated(baseURL, route.include, data, include, {signal, priority, authToken, maxDepth: includeDepth});
+    };
+}
+
+/**
+ * Make the methods of a service client, one for each of the service's routes. They take the
+ * arguments of the standalone functions less the baseURL, and fall back to the client's
+ * session when the authToken's omitted.
+ * @param {{baseURL: (string | Connection), session: Session}} client - read on each call
+ * @param {string} service - e.g. 'userService'
+ * @return {Object<string, function>}
+ */
+function NewRouteMethods(client, service) {
+    return Object.fromEntries(Object.keys(ROUTES)
+        .filter(name => ROUTES[name].service === service)
+        .map(name => {
+            const route = ROUTES[name];
+            const call = NewRouteFunction(name);
+            const tokenPosition = (route.args || []).length;
+            if (!route.auth) {
+                return [name, async (...rest) => call(client.baseURL, ...rest)];
+            }
+            return [name, async (...rest) => client.session.withAuthToken(rest[tokenPosition], token => {
+                const withToken = [...rest];
+                withToken[tokenPosition] = token;
+                return call(client.baseURL, ...withToken);
+            })];
+        }));
+}
+
+/**
+ * Number of parameters a route's function takes, baseURL and options included.
+ * @param {Route} route
+ * @return {number}
+ */
+function routeArity(route) {
+    return 1 + (route.args || []).length + (route.auth ? 1 : 0) + (route.multipart ? 2 : 0) + 1;
+}
+
+/**
+ * Replace the `:name` segments of the path with the URL-encoded values of the same name,
+ * so usernames and the like can't change the path.
+ * @param {string} path - e.g. '/users/:username/bookmarks/:postID'
+ * @param {Object} values
+ * @return {string}
+ */
+function fillPath(path, values) {
+    return path.replace(/:(\w+)/g, (segment, name) => encodeURIComponent(`${values[name]}`));
+}
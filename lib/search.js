@@ -1,4 +1,11 @@
-﻿import {generateQueryParams, makeRequest} from "./utilites";
+﻿import {NewRouteFunction, NewRouteMethods} from "./routes.js";
+import {SORT_PARAMETERS} from "./validate.js";
+import {searchPosts} from "./post.js";
+import {searchUsers} from "./user.js";
+import {searchChannels} from "./channel.js";
+import {searchReleases} from "./release.js";
+import {rankSearchResults} from "./ranking.js";
+import {NewPaginator} from "./paginate.js";
 
 /**
  * @typedef {object} SearchResults - describes results from  the search service
@@ -9,19 +16,36 @@
  * @property {Array<User>} users
  */
 
-export {searchIssue1, NewSearchServiceClient};
+export {searchIssue1, searchRanked, parseSearchQuery, searchQuery, SEARCH_OPERATORS, NewSearchServiceClient};
 
 function NewSearchServiceClient(baseURL) {
     const client = {
         baseURL,
         /**
-         * Search the breadth of Issue#1 for items that match the specified pattern.
+         * Run what was typed into a search box.
+         * @see {@link searchQuery}
          */
-        async searchIssue1(pattern, {limit, offset, sortingOrder, sortParameter} = {}) {
-            return searchIssue1(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter})
-        }
+        async searchQuery(text, {signal, dedupe, priority} = {}) {
+            return searchQuery(client.baseURL, text, {signal, dedupe, priority});
+        },
+        /**
+         * Search the breadth of Issue#1 for one ranked list of results.
+         * @see {@link searchRanked}
+         */
+        async searchRanked(pattern, {limit, offset, sortingOrder, sortParameter, signal, dedupe, priority} = {}) {
+            return searchRanked(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter, signal, dedupe, priority});
+        },
+        /**
+         * Make a {@link Paginator} over the ranked results for the pattern.
+         * @return {Paginator}
+         */
+        paginateRanked({pattern, page, pageSize, sortingOrder, sortParameter, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({pattern = "", limit, offset, sortingOrder, sortParameter}) =>
+                searchRanked(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {page, pageSize, prefetch, query, params: {pattern, sortingOrder, sortParameter}});
+        },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'searchService'));
 }
 
 /**
@@ -33,16 +57,251 @@ function NewSearchServiceClient(baseURL) {
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time' or 'rank'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {Promise<Array<Channel>>}
  */
-async function searchIssue1(baseURL, pattern,
-                            {limit, offset, sortingOrder, sortParameter} = {}) {
+const searchIssue1 = NewRouteFunction('searchIssue1');
+
+/**
+ * Search the breadth of Issue#1 for items that match the pattern, merged into one list
+ * by {@link rankSearchResults}, with the matches highlighted.
+ * The page is cut from the merged list: the lists are fetched from their start up to the
+ * end of the page, so later pages cost more.
+ * @param {string | Connection} baseURL
+ * @param {string} pattern
+ * @param {Object} [requestConfig]
+ * @param {Number} [requestConfig.limit=25]
+ * @param {Number} [requestConfig.offset=0] - in the merged list
+ * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
+ * @param {string} [requestConfig.sortParameter] - 'rank' keeps the server's order, see {@link rankSearchResults}
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @return {Promise<Array<RankedResult>>}
+ */
+async function searchRanked(baseURL, pattern, {limit = 25, offset = 0, sortingOrder, sortParameter, signal, dedupe, priority} = {}) {
+    const results = await searchIssue1(baseURL, pattern,
+        {limit: offset + limit, offset: 0, sortingOrder, sortParameter, signal, dedupe, priority});
+    return rankSearchResults(results, {pattern, sortParameter}).slice(offset, offset + limit);
+}
+
+
+/**
+ * The operators of the search box's query language, by the names they're typed under.
+ * Values with spaces are quoted, e.g. `in:"the lot"`.
+ */
+const SEARCH_OPERATORS = Object.freeze({
+    type: 'type',
+    from: 'from',
+    by: 'from',
+    author: 'from',
+    in: 'in',
+    channel: 'in',
+    sort: 'sort',
+    limit: 'limit',
+});
+
+// what `type:` takes, to the lists of {@link SearchResults}
+const SEARCH_TYPES = Object.freeze({
+    post: 'posts', posts: 'posts',
+    release: 'releases', releases: 'releases',
+    comment: 'comments', comments: 'comments',
+    channel: 'channels', channels: 'channels',
+    user: 'users', users: 'users',
+});
+
+// the lists searched on their own, SearchResults' others only come with searchIssue1
+const TYPE_SEARCHES = Object.freeze({
+    posts: searchPosts,
+    releases: searchReleases,
+    channels: searchChannels,
+    users: searchUsers,
+});
+
+// what `from:`, `in:` and phrases are matched against for each list, those missing one can't match it
+const SEARCH_FIELDS = Object.freeze({
+    posts: {
+        from: post => [post.postedByUsername],
+        in: post => [post.originChannel],
+        text: post => [post.title, post.description],
+    },
+    releases: {
+        in: release => [release.ownerChannel],
+        text: release => [release.content, ...(release.metadata ? [release.metadata.title, release.metadata.description] : [])],
+    },
+    comments: {
+        from: comment => [comment.commenter],
+        text: comment => [comment.content],
+    },
+    channels: {
+        text: channel => [channel.channelUsername, channel.name, channel.description],
+    },
+    users: {
+        text: user => [user.username, user.firstName, user.middleName, user.lastName, user.bio],
+    },
+});
+
+const SEARCH_SORTINGS = Object.freeze({
+    new: {sortParameter: 'creation_time', sortingOrder: 'dsc'},
+    old: {sortParameter: 'creation_time', sortingOrder: 'asc'},
+    relevance: {sortParameter: 'rank'},
+});
+
+/**
+ * @typedef {object} SearchToken
+ * A piece of the query, e.g. to show as a chip.
+ * @property {'term' | 'phrase' | 'operator'} kind
+ * @property {string} [operator] - one of {@link SEARCH_OPERATORS}' values, for operators
+ * @property {string} value - unquoted
+ * @property {string} raw - as typed
+ */
+
+/**
+ * @typedef {object} ParsedSearchQuery
+ * @property {string} text - the query as typed
+ * @property {Array<SearchToken>} tokens - in the order they were typed
+ * @property {Array<string>} terms
+ * @property {Array<string>} phrases - quoted in the query, they must appear as is
+ * @property {Array<string>} types - lists of {@link SearchResults} to search, all of them if empty
+ * @property {string} [from] - username of the author
+ * @property {string} [in] - channelUsername the items are from
+ * @property {string} [sort] - 'new', 'old', 'relevance' or a sortParameter, optionally suffixed with `_asc`
+ * or `_dsc`
+ * @property {number} [limit]
+ * @property {string} pattern - terms and phrases, as sent to the server
+ * @property {Array<{field: string, message: string, raw: string}>} errors - operators that were left out
+ */
+
+/**
+ * Parse what's typed into a search box, e.g. `type:channel jazz sort:new` or
+ * `from:Cobotbol in:axesteel "still waiting"`. See {@link SEARCH_OPERATORS} for the operators,
+ * everything else is searched for. Operators with values that don't make sense are left out
+ * and listed under `errors` rather than thrown, as the query's being typed.
+ * @param {string} text
+ * @return {ParsedSearchQuery}
+ */
+function parseSearchQuery(text = '') {
+    const parsed = {text: `${text}`, tokens: [], terms: [], phrases: [], types: [], pattern: '', errors: []};
+    // an operator, then a quoted or bare value, or nothing when the value's missing
+    const tokenizer = /(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+)|(?=\s|$))/g;
+    let match;
+    while ((match = tokenizer.exec(parsed.text)) !== null) {
+        const [raw, name, quoted, bare] = match;
+        if (!raw) {
+            tokenizer.lastIndex++;
+            continue;
+        }
+        const operator = name && SEARCH_OPERATORS[name.toLowerCase()];
+        if (!operator) {
+            const phrase = !name && quoted !== undefined;
+            const value = phrase ? quoted.trim() : raw;
+            if (value) {
+                parsed.tokens.push({kind: phrase ? 'phrase' : 'term', value, raw});
+                (phrase ? parsed.phrases : parsed.terms).push(value);
+            }
+            continue;
+        }
+        const value = (quoted !== undefined ? quoted : bare || '').trim();
+        const error = applyOperator(parsed, operator, value);
+        if (error) {
+            parsed.errors.push({field: operator, message: error, raw});
+        } else {
+            parsed.tokens.push({kind: 'operator', operator, value, raw});
+        }
+    }
+    parsed.pattern = [...parsed.terms, ...parsed.phrases].join(' ');
+    return parsed;
+}
+
+function applyOperator(parsed, operator, value) {
+    if (!value) {
+        return 'needs a value';
+    }
+    switch (operator) {
+        case 'type': {
+            const types = value.split(',').map(type => SEARCH_TYPES[type.toLowerCase()]);
+            if (types.includes(undefined)) {
+                return `must be one of ${Object.keys(SEARCH_TYPES).join(', ')}`;
+            }
+            parsed.types = [...new Set([...parsed.types, ...types])];
+            return undefined;
+        }
+        case 'limit': {
+            const limit = Number(value);
+            if (!Number.isInteger(limit) || limit < 1) {
+                return 'must be a whole number from 1';
+            }
+            parsed.limit = limit;
+            return undefined;
+        }
+        default:
+            parsed[operator] = value;
+            return undefined;
+    }
+}
+
+/**
+ * Search for what's typed into a search box, see {@link parseSearchQuery}.
+ * A single `type:` other than comments searches that list's endpoint, anything else searches
+ * the breadth of Issue#1 with {@link searchIssue1} and leaves out the lists not asked for.
+ * `from:`, `in:` and phrases are applied to the results, leaving out items they don't apply to,
+ * so fewer than `limit:` items may come back.
+ * @param {string | Connection} baseURL
+ * @param {string | ParsedSearchQuery} text
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @return {Promise<SearchResults>} with the parsed query under `query`
+ */
+async function searchQuery(baseURL, text, {signal, dedupe, priority} = {}) {
+    const parsed = typeof text === 'string' ? parseSearchQuery(text) : text;
+    const query = {...parsed, errors: [...parsed.errors]};
+    const [type] = query.types;
+    const single = query.types.length === 1 && TYPE_SEARCHES[type];
+    const items = single ? type : 'search';
+    const options = {limit: query.limit, ...sortingOf(query, items), signal, dedupe, priority};
+
+    let results;
+    if (single) {
+        results = {[type]: await TYPE_SEARCHES[type](baseURL, query.pattern, options)};
+    } else {
+        results = await searchIssue1(baseURL, query.pattern, options);
+    }
+    const filtered = {query};
+    Object.keys(SEARCH_FIELDS).forEach(list => {
+        const asked = query.types.length === 0 || query.types.includes(list);
+        filtered[list] = asked ? (results[list] || []).filter(item => matchesQuery(query, list, item)) : [];
+    });
+    return filtered;
+}
+
+function sortingOf(query, items) {
+    if (!query.sort) {
+        return {};
+    }
+    const [, parameter, order] = /^(.*?)(?:_(asc|dsc))?$/.exec(query.sort);
+    const {sortParameter, sortingOrder} = SEARCH_SORTINGS[query.sort.toLowerCase()] || {sortParameter: parameter, sortingOrder: order};
+    if (!SORT_PARAMETERS[items].includes(sortParameter)) {
+        // the server would refuse it, the search box shouldn't
+        query.errors.push({field: 'sort', message: `must be one of ${SORT_PARAMETERS[items].join(', ')}`, raw: query.sort});
+        return {};
+    }
+    return {sortParameter, sortingOrder};
+}
 
-    let response = await makeRequest(
-        `${baseURL}/search`,
-        {
-            method: 'get',
-            params: generateQueryParams({pattern, limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
+function matchesQuery(query, list, item) {
+    const fields = SEARCH_FIELDS[list];
+    const has = (values, wanted) => values.some(value =>
+        value !== undefined && value !== null && `${value}`.toLowerCase() === wanted.toLowerCase());
+    if (query.from && !(fields.from && has(fields.from(item), query.from))) {
+        return false;
+    }
+    if (query.in && !(fields.in && has(fields.in(item), query.in))) {
+        return false;
+    }
+    const text = fields.text(item).filter(value => value !== undefined && value !== null).join('\n').toLowerCase();
+    return query.phrases.every(phrase => text.includes(phrase.toLowerCase()));
 }
@@ -0,0 +1,206 @@
+'use strict';
+
+import {isNode} from "browser-or-node";
+import {getAuthToken, logout, refreshAuthToken} from "./auth.js";
+import {Issue1Error, isUnauthorized} from "./errors.js";
+
+export {
+    NewSession,
+    decodeTokenExpiry
+};
+
+/**
+ * @typedef {object} Session
+ * Holds the auth token used by a client, made by {@link NewSession}.
+ *
+ * @property {string} [authToken]
+ * @property {number} [expiresAt]
+ */
+
+/**
+ * Make a new Session that owns the auth token used by a client.
+ * Given credentials, the session logs in lazily on the first authenticated call
+ * and refreshes the token through `/token-auth-refresh` before it expires.
+ * @param {string | Connection} baseURL - Url to the issue-1-REST server or a {@link Connection} to it.
+ * @param {Object} [config]
+ * @param {string} [config.username] - credentials used for logging in.
+ * @param {string} [config.password]
+ * @param {string} [config.authToken] - an existing token to start the session with.
+ * @param {number} [config.refreshMargin=60000] - how many milliseconds before expiry the
+ * token gets refreshed.
+ */
+function NewSession(baseURL, {username, password, authToken, refreshMargin = 60 * 1000} = {}) {
+    // in flight login/refresh, shared by concurrent callers
+    let pending;
+
+    const session = {
+        baseURL,
+        username,
+        password,
+        authToken,
+        /**
+         * Time, in milliseconds since epoch, at which the current token expires.
+         * Undefined if unknown.
+         */
+        expiresAt: decodeTokenExpiry(authToken),
+        /**
+         * Log in using the given credentials, or the ones the session was created with.
+         * @param {string} [username]
+         * @param {string} [password]
+         * @param {{signal: AbortSignal, priority: (string | number)}} [options] - of the request, see {@link getAuthToken}
+         * @return {Promise<string>} - the new token
+         */
+        async login(username = session.username, password = session.password, {signal, priority} = {}) {
+            session.username = username;
+            session.password = password;
+            return track(getAuthToken(session.baseURL, username, password, {signal, priority}));
+        },
+        /**
+         * Use the current token to get a new, fresher, token.
+         * @param {{signal: AbortSignal, priority: (string | number)}} [options] - of the request, see {@link refreshAuthToken}
+         * @return {Promise<string>} - the new token
+         */
+        async refresh({signal, priority} = {}) {
+            if (pending) {
+                return pending;
+            }
+            if (!session.authToken) {
+                throw new Issue1Error("issue1.REST.client: no auth token to refresh");
+            }
+            return track(refreshAuthToken(session.baseURL, session.authToken, {signal, priority}));
+        },
+        /**
+         * Invalidate the current token on the server and forget it.
+         * @param {{signal: AbortSignal, priority: (string | number)}} [options] - of the request, see {@link logout}
+         * @return {Promise<jSend | undefined>}
+         */
+        async logout({signal, priority} = {}) {
+            const token = session.authToken;
+            session.clear();
+            if (token) {
+                return logout(session.baseURL, token, {signal, priority});
+            }
+        },
+        /**
+         * Forget the current token and credentials without contacting the server.
+         */
+        clear() {
+            pending = undefined;
+            session.authToken = undefined;
+            session.expiresAt = undefined;
+            session.username = undefined;
+            session.password = undefined;
+        },
+        /**
+         * Returns a usable token, logging in or refreshing first if needed.
+         * @return {Promise<string | undefined>} - undefined if the session has no token or credentials
+         */
+        async getAuthToken() {
+            if (pending) {
+                return pending;
+            }
+            if (!session.authToken) {
+                if (session.username && session.password) {
+                    return session.login();
+                }
+                return undefined;
+            }
+            if (session.expiresAt && session.expiresAt - refreshMargin <= Date.now()) {
+                try {
+                    return await session.refresh();
+                } catch (err) {
+                    // an expired token can't be refreshed, fall back to the credentials
+                    if (session.username && session.password) {
+                        return session.login();
+                    }
+                    throw err;
+                }
+            }
+            return session.authToken;
+        },
+        /**
+         * Run the given call with a token. An explicitly passed token is used as is,
+         * otherwise the session's token is used and, if the server rejects it,
+         * renewed before retrying the call once.
+         * @param {string | undefined} authToken - explicit token, takes precedence over the session
+         * @param {function(string): Promise<any>} call
+         * @return {Promise<any>}
+         */
+        async withAuthToken(authToken, call) {
+            if (authToken) {
+                return call(authToken);
+            }
+            const token = await session.getAuthToken();
+            try {
+                return await call(token);
+            } catch (err) {
+                if (!token || !isUnauthorized(err)) {
+                    throw err;
+                }
+                return call(await renew(token));
+            }
+        },
+    };
+
+    // the rejected token is renewed once, by whichever call it was rejected for first
+    async function renew(rejected) {
+        if (pending) {
+            return pending;
+        }
+        if (session.authToken && session.authToken !== rejected) {
+            return session.authToken;
+        }
+        if (session.username && session.password) {
+            return session.login();
+        }
+        try {
+            return await session.refresh();
+        } catch (err) {
+            session.clear();
+            throw err;
+        }
+    }
+
+    function track(tokenPromise) {
+        const current = tokenPromise.then(token => {
+            if (pending === current) {
+                session.authToken = token;
+                session.expiresAt = decodeTokenExpiry(token);
+                pending = undefined;
+            }
+            return token;
+        }, err => {
+            if (pending === current) {
+                pending = undefined;
+            }
+            throw err;
+        });
+        pending = current;
+        return current;
+    }
+
+    return session;
+}
+
+/**
+ * Read the expiry time of a JWT without verifying it.
+ * @param {string} authToken
+ * @return {number | undefined} - milliseconds since epoch, undefined if the token holds no `exp` claim.
+ */
+function decodeTokenExpiry(authToken) {
+    if (!authToken) {
+        return undefined;
+    }
+    const payload = authToken.split('.')[1];
+    if (!payload) {
+        return undefined;
+    }
+    try {
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const json = isNode ? Buffer.from(base64, 'base64').toString() : atob(base64);
+        const {exp} = JSON.parse(json);
+        return typeof exp === 'number' ? exp * 1000 : undefined;
+    } catch (err) {
+        return undefined;
+    }
+}
@@ -0,0 +1,204 @@
+'use strict';
+
+import {Issue1ValidationError} from "./errors.js";
+
+export {
+    NewEntityStore,
+    ENTITY_TYPES,
+    entityTypeOf
+};
+
+/**
+ * The entities a {@link EntityStore} keeps, by type: the property each is keyed by and
+ * what tells one apart in a response.
+ */
+const ENTITY_TYPES = Object.freeze({
+    users: {
+        key: 'username',
+        matches: entity => 'username' in entity && ('firstName' in entity || 'creationTime' in entity),
+    },
+    channels: {
+        key: 'channelUsername',
+        matches: entity => 'channelUsername' in entity && 'name' in entity,
+    },
+    posts: {
+        key: 'id',
+        matches: entity => 'originChannel' in entity && 'title' in entity,
+    },
+    releases: {
+        key: 'id',
+        matches: entity => 'ownerChannel' in entity && 'type' in entity,
+    },
+    comments: {
+        key: 'id',
+        matches: entity => 'originPost' in entity && 'commenter' in entity,
+    },
+});
+
+/**
+ * @callback EntityListener
+ * @param {Object | undefined} entity - the entity as it's now, undefined if it was removed
+ * @param {{type: string, key: string | number}} change
+ */
+
+/**
+ * @typedef {object} EntityStore
+ * One copy of every {@link User}, {@link Channel}, {@link Post}, {@link Release} and
+ * {@link Comment} the client has seen, made by {@link NewEntityStore}.
+ * Entities are frozen; a change replaces them with an updated copy.
+ *
+ * @property {function(any): any} ingest - store every entity found in the given response data
+ * @property {function(string, string | number): (Object | undefined)} get
+ * @property {function(string, function(Object): boolean=): Array<Object>} select - entities of the
+ * type, those the predicate accepts if given
+ * @property {function(string, (string | number | EntityListener), EntityListener=): function()} subscribe
+ * - listen to changes of one entity, or of every entity of the type when the key is left out.
+ * Returns a function that unsubscribes.
+ * @property {function(string, string | number)} remove
+ * @property {function()} clear
+ * @property {Middleware} middleware - keeps the store up to date with the responses it sees
+ */
+
+/**
+ * Make a new EntityStore. Attached to a client, through its middleware, it ingests every
+ * entity in every response, including the mixed results of {@link searchIssue1}, and drops
+ * entities whose deletion succeeded. What the server sends is merged into what's stored,
+ * since some views leave fields out.
+ * @return {EntityStore}
+ */
+function NewEntityStore() {
+    const entities = {};
+    const listeners = {};
+    Object.keys(ENTITY_TYPES).forEach(type => {
+        entities[type] = new Map();
+        listeners[type] = new Map();
+    });
+
+    function typeOf(type) {
+        if (!ENTITY_TYPES[type]) {
+            throw new Issue1ValidationError(
+                `issue1.REST.client: unknown entity type '${type}'`,
+                [{field: 'type', message: `must be one of ${Object.keys(ENTITY_TYPES).join(', ')}`}]);
+        }
+        return ENTITY_TYPES[type];
+    }
+
+    function notify(type, key, entity) {
+        [listeners[type].get(key), listeners[type].get(ANY)]
+            .filter(subscribed => subscribed)
+            .forEach(subscribed => [...subscribed].forEach(listener => listener(entity, {type, key})));
+    }
+
+    function upsert(type, entity) {
+        const key = entity[ENTITY_TYPES[type].key];
+        const stored = entities[type].get(key);
+        const merged = Object.freeze({...stored, ...entity});
+        if (stored && JSON.stringify(stored) === JSON.stringify(merged)) {
+            return;
+        }
+        entities[type].set(key, merged);
+        notify(type, key, merged);
+    }
+
+    function walk(data) {
+        if (Array.isArray(data)) {
+            data.forEach(walk);
+            return;
+        }
+        if (data === null || typeof data !== 'object') {
+            return;
+        }
+        const type = entityTypeOf(data);
+        if (type) {
+            upsert(type, data);
+            return;
+        }
+        Object.values(data).forEach(walk);
+    }
+
+    const store = {
+        ingest(data) {
+            walk(data);
+            return data;
+        },
+        get(type, key) {
+            key = normalizeKey(typeOf(type), key);
+            return entities[type].get(key);
+        },
+        select(type, predicate = () => true) {
+            typeOf(type);
+            return [...entities[type].values()].filter(predicate);
+        },
+        subscribe(type, key, listener) {
+            const definition = typeOf(type);
+            if (typeof key === 'function') {
+                [key, listener] = [ANY, key];
+            } else {
+                key = normalizeKey(definition, key);
+            }
+            if (!listeners[type].has(key)) {
+                listeners[type].set(key, new Set());
+            }
+            listeners[type].get(key).add(listener);
+            return () => listeners[type].get(key).delete(listener);
+        },
+        remove(type, key) {
+            key = normalizeKey(typeOf(type), key);
+            if (entities[type].delete(key)) {
+                notify(type, key, undefined);
+            }
+        },
+        clear() {
+            Object.keys(entities).forEach(type => {
+                [...entities[type].keys()].forEach(key => store.remove(type, key));
+            });
+        },
+        async middleware(request, next) {
+            const result = await next();
+            if (result && result.status === 'success') {
+                walk(result.data);
+                const deleted = request.method.toLowerCase() === 'delete' && deletedEntity(request.path);
+                if (deleted) {
+                    store.remove(deleted.type, deleted.key);
+                }
+            }
+            return result;
+        },
+    };
+    return store;
+}
+
+// listeners to every entity of a type
+const ANY = Symbol('any');
+
+/**
+ * The type of the given entity, if it's one an {@link EntityStore} keeps.
+ * @param {Object} entity
+ * @return {string | undefined}
+ */
+function entityTypeOf(entity) {
+    return Object.keys(ENTITY_TYPES).find(type => ENTITY_TYPES[type].matches(entity));
+}
+
+/**
+ * Ids come as numbers in responses but as strings in paths.
+ */
+function normalizeKey({key}, value) {
+    return key === 'id' && typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * The entity a successful DELETE of the given path removed, e.g. the comment for
+ * `/posts/7/comments/18`.
+ */
+function deletedEntity(path) {
+    const segments = path.split(/[?#]/)[0].split('/').filter(segment => segment);
+    if (segments.length < 2) {
+        return undefined;
+    }
+    const [type, key] = segments.slice(-2);
+    if (!ENTITY_TYPES[type]) {
+        return undefined;
+    }
+    return {type, key: normalizeKey(ENTITY_TYPES[type], decodeURIComponent(key))};
+}
@@ -0,0 +1,186 @@
+'use strict';
+
+import {getComments, getReplies} from "./comment.js";
+
+export {
+    getCommentThread
+};
+
+/**
+ * @typedef {object} CommentNode
+ * A comment in a {@link CommentThread} along with the replies loaded so far.
+ *
+ * @property {Comment} comment
+ * @property {number} depth - 0 for comments on the post itself
+ * @property {Array<CommentNode>} replies
+ * @property {number | undefined} replyCount - total replies, known once they've all been loaded
+ * @property {boolean} hasMoreReplies - whether there may be replies left to load
+ * @property {{offset: number, limit: number}} cursor - where the next page of replies starts
+ * @property {function({limit: number}=): Promise<Array<CommentNode>>} loadMoreReplies - loads the
+ * next page of replies, returning the new nodes
+ */
+
+/**
+ * @typedef {object} CommentThread
+ * The discussion under a post as a tree, made by {@link getCommentThread}.
+ *
+ * @property {number} postID
+ * @property {Array<CommentNode>} comments - top level comments
+ * @property {number | undefined} commentCount - total top level comments, known once they've all been loaded
+ * @property {boolean} hasMoreComments
+ * @property {{offset: number, limit: number}} cursor
+ * @property {function({limit: number}=): Promise<Array<CommentNode>>} loadMoreComments
+ * @property {function(number): (CommentNode | undefined)} find - the loaded node of the given comment
+ * @property {function(Comment): (CommentNode | undefined)} insert - add a comment, as returned
+ * by {@link addComment} or {@link addReply}, under its parent. Returns undefined if the parent isn't loaded.
+ */
+
+/**
+ * Fetch the comments of the post and their replies, down to `maxDepth` levels, as a
+ * {@link CommentThread}. Each level loads up to `repliesPerLevel` comments; nodes keep a
+ * cursor to load more of them later, which is also how replies below `maxDepth` get loaded.
+ * Replies of each level are fetched in parallel.
+ * @param {string | Connection} baseURL
+ * @param {number} postID
+ * @param {Object} [options]
+ * @param {number} [options.maxDepth=3] - levels of comments loaded up front, 1 for just the top level ones
+ * @param {number} [options.repliesPerLevel=10] - comments loaded per page, at every level
+ * @param {{sortParameter: string, sortingOrder: string}} [options.sort] - order of the comments at
+ * every level, see {@link getComments}
+ * @param {AbortSignal} [options.signal]
+ * @param {string | number} [options.priority]
+ * @return {Promise<CommentThread>}
+ */
+async function getCommentThread(baseURL, postID, {
+    maxDepth = 3, repliesPerLevel = 10, sort = {}, signal, priority
+} = {}) {
+    const {sortParameter, sortingOrder} = sort;
+    const nodes = new Map();
+    // what loads each node's replies, down to a given depth
+    const loaders = new WeakMap();
+    const newestFirst = sortingOrder === 'dsc';
+
+    // loads and attaches the next page under the given parent, the thread itself for the top level
+    async function loadPage(parent, fetchPage, depth, loadDepth, limit = repliesPerLevel) {
+        const page = await fetchPage({
+            limit,
+            offset: parent.cursor.offset,
+            sortParameter,
+            sortingOrder,
+            signal,
+            priority,
+        }) || [];
+        parent.cursor.offset += page.length;
+        // comments inserted since may show up again, their position having shifted
+        const added = page
+            .filter(comment => !nodes.has(comment.id))
+            .map(comment => NewNode(comment, depth));
+        added.forEach(node => nodes.set(node.comment.id, node));
+        parent.children.push(...added);
+        if (page.length < limit) {
+            parent.hasMore = false;
+            parent.count = parent.children.length;
+        }
+        if (depth + 1 < loadDepth) {
+            await Promise.all(added.map(node => loaders.get(node)(loadDepth)));
+        }
+        return added;
+    }
+
+    function NewNode(comment, depth) {
+        const node = {
+            comment,
+            depth,
+            replies: [],
+            replyCount: undefined,
+            hasMoreReplies: true,
+            cursor: {offset: 0, limit: repliesPerLevel},
+            async loadMoreReplies({limit = repliesPerLevel} = {}) {
+                return load(depth + 2, limit);
+            },
+        };
+        // loadPage speaks of children and counts, a node of replies
+        const parent = {
+            cursor: node.cursor,
+            get children() {
+                return node.replies;
+            },
+            set hasMore(hasMore) {
+                node.hasMoreReplies = hasMore;
+            },
+            set count(count) {
+                node.replyCount = count;
+            },
+        };
+
+        function load(loadDepth, limit) {
+            if (!node.hasMoreReplies) {
+                return Promise.resolve([]);
+            }
+            return loadPage(parent, options => getReplies(baseURL, comment.id, postID, options),
+                depth + 1, loadDepth, limit);
+        }
+
+        loaders.set(node, load);
+        return node;
+    }
+
+    const thread = {
+        postID,
+        comments: [],
+        commentCount: undefined,
+        hasMoreComments: true,
+        cursor: {offset: 0, limit: repliesPerLevel},
+        async loadMoreComments({limit = repliesPerLevel} = {}) {
+            if (!thread.hasMoreComments) {
+                return [];
+            }
+            return loadPage(root, options => getComments(baseURL, postID, options), 0, 1, limit);
+        },
+        find(id) {
+            return nodes.get(id);
+        },
+        insert(comment) {
+            if (nodes.has(comment.id)) {
+                return nodes.get(comment.id);
+            }
+            const isReply = comment.replyTo !== undefined && comment.replyTo !== -1;
+            const parentNode = isReply ? nodes.get(comment.replyTo) : undefined;
+            if (isReply && !parentNode) {
+                return undefined;
+            }
+            const node = NewNode(comment, parentNode ? parentNode.depth + 1 : 0);
+            // nothing to load below a brand new comment
+            node.hasMoreReplies = false;
+            node.replyCount = 0;
+            nodes.set(comment.id, node);
+            const siblings = parentNode ? parentNode.replies : thread.comments;
+            if (newestFirst) {
+                siblings.unshift(node);
+            } else {
+                siblings.push(node);
+            }
+            if (parentNode && parentNode.replyCount !== undefined) {
+                parentNode.replyCount++;
+            } else if (!parentNode && thread.commentCount !== undefined) {
+                thread.commentCount++;
+            }
+            return node;
+        },
+    };
+    const root = {
+        cursor: thread.cursor,
+        get children() {
+            return thread.comments;
+        },
+        set hasMore(hasMore) {
+            thread.hasMoreComments = hasMore;
+        },
+        set count(count) {
+            thread.commentCount = count;
+        },
+    };
+
+    await loadPage(root, options => getComments(baseURL, postID, options), 0, maxDepth);
+    return thread;
+}
@@ -0,0 +1,415 @@
+'use strict';
+
+import axios from 'axios';
+import {isNode} from "browser-or-node";
+import {
+    Issue1Error,
+    Issue1NetworkError,
+    Issue1TimeoutError,
+    Issue1ValidationError,
+    Issue1AbortError
+} from "./errors.js";
+import {isMultipartBody, isStreamingBody, toFormData, toNodeFormData} from "./multipart.js";
+
+export {
+    NewAxiosTransport,
+    NewFetchTransport,
+    requestSummary,
+    requestKey
+};
+
+/**
+ * @callback Transport
+ * Sends a single request and resolves with whatever the server responded, error
+ * statuses included. Interpreting the response is left to {@link makeRequest}.
+ * @param {RequestDescriptor} request
+ * @return {Promise<TransportResponse>}
+ * @throws {Issue1NetworkError | Issue1TimeoutError | Issue1AbortError | Issue1Error} when no response was had
+ */
+
+/**
+ * @typedef {object} TransportResponse
+ * @property {number} status
+ * @property {string} statusText
+ * @property {Object} headers - lower cased header names
+ * @property {any} data - the parsed body
+ */
+
+/**
+ * Make a transport sending requests through the given {@link axios} instance.
+ * @param {function} [instance] - defaults to the global axios
+ * @return {Transport}
+ */
+function NewAxiosTransport(instance = axios) {
+    return async function axiosTransport(request) {
+        const {method, url, params, responseType, transformRequest, signal} = request;
+        let {headers, data} = request;
+        let streaming = false;
+        if (isMultipartBody(data)) {
+            if (isNode) {
+                const encoded = toNodeFormData(data);
+                data = encoded.data;
+                headers = {...headers, ...encoded.headers};
+                streaming = isStreamingBody(request.data);
+            } else {
+                data = toFormData(data);
+            }
+        }
+        if (streaming && !streamsRequests(instance)) {
+            // XMLHttpRequest, which axios picks wherever there's one, e.g. jsdom, only sends whole bodies
+            data = await readStream(data, requestSummary(request));
+            streaming = false;
+        }
+        const config = {
+            method, url, headers, params, data, transformRequest,
+            // error statuses are responses too, they're told apart by the caller
+            validateStatus: () => true,
+        };
+        if (responseType) {
+            config.responseType = responseType;
+        }
+        // axios predates AbortSignal, bridge it to a cancel token
+        const cancelSource = signal || streaming ? axios.CancelToken.source() : undefined;
+        const onAbort = () => cancelSource.cancel();
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        if (cancelSource) {
+            config.cancelToken = cancelSource.token;
+        }
+        let bodyError;
+        if (streaming) {
+            // axios fails on a stream error but leaves the request hanging
+            data.on('error', error => {
+                bodyError = error;
+                cancelSource.cancel();
+            });
+        }
+        try {
+            const response = await instance(url, config);
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers || {},
+                data: response.data,
+            };
+        } catch (error) {
+            if (bodyError) {
+                throw bodyFailure(bodyError, requestSummary(request));
+            }
+            if (axios.isCancel(error)) {
+                throw new Issue1AbortError({cause: error, request: requestSummary(request)});
+            }
+            throw fromAxiosError(error, requestSummary(request));
+        } finally {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    };
+}
+
+/**
+ * Whether the axios instance sends requests through node's http, the only adapter taking a stream.
+ */
+function streamsRequests(instance) {
+    const adapter = instance.defaults && instance.defaults.adapter;
+    return adapter ? adapter.name === 'httpAdapter' : typeof XMLHttpRequest === 'undefined';
+}
+
+async function readStream(stream, request) {
+    const chunks = [];
+    try {
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+    } catch (error) {
+        throw bodyFailure(error, request);
+    }
+    return Buffer.concat(chunks);
+}
+
+/**
+ * The error to throw when a streamed request body fails, e.g. going over the max upload size.
+ */
+function bodyFailure(error, request) {
+    if (error instanceof Issue1ValidationError) {
+        return new Issue1ValidationError(error.message, error.errors, {request});
+    }
+    return new Issue1Error(`issue1.REST.client: reading the request body failed: ${error.message}`, {cause: error, request});
+}
+
+/**
+ * Convert an error thrown by axios, without a response, into the matching {@link Issue1Error}.
+ * @param {Error} error
+ * @param {{url: string, method: string}} request
+ * @return {Issue1Error}
+ */
+function fromAxiosError(error, request) {
+    if (typeof DOMException !== 'undefined' && error instanceof DOMException) {
+        if (error.name === "SyntaxError") {
+            return new Issue1ValidationError("Invalid input: unable to parse input.", [], {cause: error, request});
+        }
+        return new Issue1Error(`unexpected exception: DOMException thrown by axios: ${error.message}`, {
+            cause: error,
+            request
+        });
+    }
+
+    // the request was made but no response was received
+    if (!!error.request) {
+        if (error.code === 'ECONNABORTED' && /timeout/i.test(error.message)) {
+            return new Issue1TimeoutError(`issue1.REST.client: ${error.message}`, {
+                cause: error,
+                request,
+                code: error.code,
+                timeout: error.config && error.config.timeout,
+            });
+        }
+        return new Issue1NetworkError("issue1.REST.client: connection could not be made with issue1 REST", {
+            cause: error,
+            request,
+            code: error.code,
+        });
+    }
+
+    // something happened in setting up the request that triggered an Error
+    return new Issue1Error(`issue1.REST.client: setting up request failed: ${error.message}`, {
+        cause: error,
+        request
+    });
+}
+
+/**
+ * Make a transport sending requests through the fetch API, for environments that
+ * have it and would rather not bundle axios: browsers, node 18+, workers and React Native.
+ * @param {Object} [config]
+ * @param {function} [config.fetch] - fetch implementation, defaults to the global one.
+ * @param {number} [config.timeout=0] - milliseconds before a request times out, 0 for never.
+ * @param {Object} [config.headers] - headers sent with every request.
+ * @param {string} [config.responseType=json] - default response type, one of
+ * 'json', 'text', 'arraybuffer', 'blob' or 'stream'.
+ * @param {number} [config.maxContentLength] - max size, in bytes, of a response body.
+ * @return {Transport}
+ */
+function NewFetchTransport({
+    fetch = typeof globalThis !== 'undefined' ? globalThis.fetch : undefined,
+    timeout = 0, headers: defaultHeaders, responseType: defaultResponseType = 'json', maxContentLength
+} = {}) {
+    return async function fetchTransport(request) {
+        const summary = requestSummary(request);
+        if (typeof fetch !== 'function') {
+            throw new Issue1Error("issue1.REST.client: no fetch implementation available", {request: summary});
+        }
+        const {method, signal, responseType = defaultResponseType} = request;
+
+        let url, init;
+        try {
+            url = appendQuery(request.url, request.params);
+            init = {
+                method: method.toUpperCase(),
+                ...encodeBody(request, {...defaultHeaders, ...request.headers}),
+            };
+        } catch (error) {
+            throw new Issue1Error(`issue1.REST.client: setting up request failed: ${error.message}`, {
+                cause: error,
+                request: summary
+            });
+        }
+
+        let bodyError;
+        if (init.duplex) {
+            // a streamed body, fetch only tells it failed
+            init.body.on('error', error => bodyError = error);
+        }
+
+        // a single controller aborts on both the caller's signal and the timeout
+        let timedOut = false;
+        let timer;
+        const controller = (signal || timeout) && typeof AbortController !== 'undefined' ?
+            new AbortController() : undefined;
+        const onAbort = () => controller.abort();
+        if (controller) {
+            init.signal = controller.signal;
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+            if (timeout) {
+                timer = setTimeout(() => {
+                    timedOut = true;
+                    controller.abort();
+                }, timeout);
+            }
+        }
+
+        try {
+            const response = await fetch(url, init);
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: headersToObject(response.headers),
+                data: await decodeBody(response, responseType, maxContentLength, summary),
+            };
+        } catch (error) {
+            if (error instanceof Issue1Error) {
+                throw error;
+            }
+            if (bodyError) {
+                throw bodyFailure(bodyError, summary);
+            }
+            if (timedOut) {
+                throw new Issue1TimeoutError(`issue1.REST.client: timeout of ${timeout}ms exceeded`, {
+                    cause: error,
+                    request: summary,
+                    code: 'ECONNABORTED',
+                    timeout,
+                });
+            }
+            if (signal && signal.aborted) {
+                throw new Issue1AbortError({cause: error, request: summary});
+            }
+            throw new Issue1NetworkError("issue1.REST.client: connection could not be made with issue1 REST", {
+                cause: error,
+                request: summary,
+                // node's fetch keeps the system error as the cause
+                code: error.code || (error.cause && error.cause.code),
+            });
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    };
+}
+
+function appendQuery(url, params) {
+    if (!params) {
+        return url;
+    }
+    const query = new URLSearchParams();
+    Object.keys(params)
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .forEach(key => query.append(key, `${params[key]}`));
+    const queryString = query.toString();
+    if (!queryString) {
+        return url;
+    }
+    return `${url}${url.includes('?') ? '&' : '?'}${queryString}`;
+}
+
+/**
+ * Turn the request's data into a fetch body, setting the content type to match.
+ */
+function encodeBody({data, transformRequest}, headers) {
+    if (transformRequest) {
+        data = [].concat(transformRequest).reduce((data, transform) => transform(data, headers), data);
+    }
+    if (data === undefined || data === null) {
+        return {headers};
+    }
+    if (isNode && isStreamingBody(data)) {
+        // FormData can't hold streams, node's fetch takes one as the body instead
+        const encoded = toNodeFormData(data);
+        return {headers: {...withoutContentType(headers), ...encoded.headers}, body: encoded.data, duplex: 'half'};
+    }
+    if (isMultipartBody(data)) {
+        data = toFormData(data);
+    }
+    const isRaw = typeof data === 'string' ||
+        (typeof FormData !== 'undefined' && data instanceof FormData) ||
+        (typeof Blob !== 'undefined' && data instanceof Blob) ||
+        (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) ||
+        (typeof ArrayBuffer !== 'undefined' && (data instanceof ArrayBuffer || ArrayBuffer.isView(data)));
+    if (isRaw) {
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+            // fetch sets it, boundary included
+            headers = withoutContentType(headers);
+        }
+        return {headers, body: data};
+    }
+    if (!hasContentType(headers)) {
+        headers = {...headers, 'Content-Type': 'application/json;charset=utf-8'};
+    }
+    return {headers, body: JSON.stringify(data)};
+}
+
+function hasContentType(headers) {
+    return Object.keys(headers).some(key => key.toLowerCase() === 'content-type');
+}
+
+function withoutContentType(headers) {
+    const result = {};
+    Object.keys(headers)
+        .filter(key => key.toLowerCase() !== 'content-type')
+        .forEach(key => result[key] = headers[key]);
+    return result;
+}
+
+function headersToObject(headers) {
+    const result = {};
+    if (headers && typeof headers.forEach === 'function') {
+        headers.forEach((value, key) => result[key.toLowerCase()] = value);
+    }
+    return result;
+}
+
+/**
+ * Read the response body the way axios would for the same response type.
+ */
+async function decodeBody(response, responseType, maxContentLength, request) {
+    const contentLength = Number(response.headers && response.headers.get('content-length'));
+    if (maxContentLength > 0 && contentLength > maxContentLength) {
+        throw new Issue1NetworkError(`issue1.REST.client: maxContentLength size of ${maxContentLength} exceeded`, {
+            request
+        });
+    }
+    switch (responseType) {
+        case 'stream':
+            return response.body;
+        case 'blob':
+            return response.blob();
+        case 'arraybuffer':
+            return response.arrayBuffer();
+    }
+    const text = await response.text();
+    if (maxContentLength > 0 && text.length > maxContentLength) {
+        throw new Issue1NetworkError(`issue1.REST.client: maxContentLength size of ${maxContentLength} exceeded`, {
+            request
+        });
+    }
+    if (responseType !== 'json' || !text) {
+        return text;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        // like axios, hand back bodies that aren't JSON as is
+        return text;
+    }
+}
+
+/**
+ * The part of a request that's safe to attach to errors, i.e. no headers or body.
+ * @param {RequestDescriptor} request
+ * @return {{url: string, method: string}}
+ */
+function requestSummary({url, method}) {
+    return {url, method};
+}
+
+/**
+ * Identifies requests for the same thing by the same someone: method, url, query and
+ * authorization. Headers apart from Authorization and the body are ignored.
+ * @param {RequestDescriptor} request
+ * @return {string}
+ */
+function requestKey({method = 'get', url, params, headers = {}}) {
+    const query = Object.keys(params || {})
+        .filter(key => params[key] !== undefined && params[key] !== null)
+        .sort()
+        .map(key => `${key}=${params[key]}`)
+        .join('&');
+    const authorization = Object.keys(headers).find(key => key.toLowerCase() === 'authorization');
+    return `${method.toLowerCase()} ${url}?${query}|${authorization ? headers[authorization] : ''}`;
+}
@@ -1,6 +1,7 @@
 'use strict';
-import {attachAuthTokenToHeader, attachImageToRequest, makeRequest} from "./utilites.js";
-import {generateQueryParams} from "./utilites";
+import {NewSession} from "./session.js";
+import {paginate, NewPaginator} from "./paginate.js";
+import {NewRouteFunction, NewRouteMethods} from "./routes.js";
 
 export {
     addUser,
@@ -33,78 +34,36 @@ export {
  *
  */
 
-function NewUserServiceClient(baseURL) {
+/**
+ * Make a new User Service Client that calls to the given url.
+ * Methods calling the API are made from {@link ROUTES}, those taking an authToken fall back
+ * to the session's token when it's omitted.
+ * @param {string | Connection} baseURL
+ * @param {Session} [session] - session holding the auth token, see {@link NewSession}
+ */
+function NewUserServiceClient(baseURL, session = NewSession(baseURL)) {
     let client = {
         baseURL,
+        session,
         /**
-         * Get the the user under the given username.
-         * @see {@link getUser}
-         */
-        async getUser(username, token) {
-            return getUser(client.baseURL, username, token);
-        },
-        /**
-         * Sends a a request to create a user based on the passed in object.
-         */
-        async addUser(user) {
-            return addUser(client.baseURL, user);
-        },
-        /**
-         * Search for users according to the specified pattern.
-         */
-        async searchUsers(pattern = "", {limit, offset, sortingOrder, sortParameter} = {}) {
-            return searchUsers(client.baseURL, pattern, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Get all users using the specified pagination.
-         */
-        async getUsers({limit, offset, sortingOrder, sortParameter} = {}) {
-            return getUsers(client.baseURL, {limit, offset, sortingOrder, sortParameter});
-        },
-        /**
-         * Update the user under the given username according to the values on the given object.
-         */
-        async updateUser(username, user, authToken) {
-            return updateUser(client.baseURL, username, user, authToken);
-        },
-        /**
-         * Sends a a request to remove the user under the given username.
-         */
-        async deleteUser(username, authToken) {
-            return deleteUser(client.baseURL, username, authToken);
-        },
-        /***
-         * Adds the post under the given ID to the bookmark list of the user under the given username.
-         */
-        async addPostBookmark(username, postID, authToken) {
-            return addPostBookmark(client.baseURL, username, postID, authToken);
-        },
-        /***
-         * Retrieves the bookmarks of the specified user.
-         */
-        async getUserBookmarks(baseURL, username, authToken) {
-            return getUserBookmarks(client.baseURL, username, authToken);
-        },
-        /**
-         * Removes the given postID from the user's bookmark list.
+         * Iterate over every user matching the pattern, all of them if it's empty, a page at a time.
+         * @return {PageIterator}
          */
-        async deleteBookmark(baseURL, username, postID, authToken) {
-            return deleteBookmark(client.baseURL, username, postID, authToken);
+        iterateUsers({pattern = "", pageSize, sortingOrder, sortParameter, signal, priority} = {}) {
+            return paginate(({limit, offset}) =>
+                client.searchUsers(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}), {pageSize});
         },
         /**
-         * Sets the provided image as the users profile picture.
+         * Make a {@link Paginator} over the users matching the pattern, all of them if it's empty.
+         * @return {Paginator}
          */
-        async addProfilePicture(username, authToken, imageData, imageName = 'client-js.jpg') {
-            return addProfilePicture(client.baseURL, username, authToken, imageData, imageName);
-        },
-        /**
-         * Removes the user's profile picture.
-         */
-        async removeProfilePicture(username, authToken) {
-            return removeProfilePicture(client.baseURL, username, authToken);
+        paginateUsers({pattern, page, pageSize, sortingOrder, sortParameter, prefetch, query, signal, priority} = {}) {
+            return NewPaginator(({pattern = "", limit, offset, sortingOrder, sortParameter}) =>
+                client.searchUsers(pattern, {limit, offset, sortingOrder, sortParameter, signal, priority}),
+                {page, pageSize, prefetch, query, params: {pattern, sortingOrder, sortParameter}});
         },
     };
-    return client;
+    return Object.assign(client, NewRouteMethods(client, 'userService'));
 }
 
 /**
@@ -114,28 +73,25 @@ function NewUserServiceClient(baseURL) {
  * @param {string} username
  * @param {string} [authToken] - optional param. Will only return email and other confidential
  * data if correct token's provided for given user.
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<User | jSend>} user
  */
-async function getUser(baseURL, username, authToken = "") {
-    let response = (await makeRequest(
-        `${baseURL}/users/${username}`,
-        {headers: attachAuthTokenToHeader(authToken)}));
-    return response.data;
-}
+const getUser = NewRouteFunction('getUser');
 
 /**
  * Sends a a request to create a user based on the passed in object.
  * @async
  * @param {string} baseURL
  * @param {User} user user object
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<User | jSendFailData>} user
  */
-async function addUser(baseURL, user) {
-    return (await makeRequest(
-        `${baseURL}/users`,
-        {method: 'post', data: user}))
-        .data;
-}
+const addUser = NewRouteFunction('addUser');
 
 /**
  * Sends a a request to remove the user under the given username.
@@ -143,16 +99,12 @@ async function addUser(baseURL, user) {
  * @param {string} baseURL
  * @param {string} username
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<jSend>}
  */
-async function deleteUser(baseURL, username, authToken) {
-    return (await makeRequest(
-        `${baseURL}/users/${username}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken)
-        }));
-}
+const deleteUser = NewRouteFunction('deleteUser');
 
 /**
  * Update the user under the given username according to the values on the given object.
@@ -160,18 +112,12 @@ async function deleteUser(baseURL, username, authToken) {
  * @param {string} username
  * @param {User} user - new values to be updated
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<User>}
  */
-async function updateUser(baseURL, username, user, authToken) {
-    return (await makeRequest(
-        `${baseURL}/users/${username}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-            data: user
-        }))
-        .data;
-}
+const updateUser = NewRouteFunction('updateUser');
 
 /**
  * Search for users according to the specified pattern.
@@ -183,17 +129,12 @@ async function updateUser(baseURL, username, user, authToken) {
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'username', 'first-name' or 'last-name'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<User>>}
  */
-async function searchUsers(baseURL, pattern = "", {limit, offset, sortingOrder, sortParameter} = {}) {
-    let response = await makeRequest(
-        `${baseURL}/users`,
-        {
-            method: 'get',
-            params: generateQueryParams({pattern, limit, offset, sortingOrder, sortParameter}),
-        });
-    return response.data;
-}
+const searchUsers = NewRouteFunction('searchUsers');
 
 /**
  * Get all users using the specified pagination.
@@ -204,11 +145,12 @@ async function searchUsers(baseURL, pattern = "", {limit, offset, sortingOrder,
  * @param {Number} [requestConfig.offset=0]
  * @param {string} [requestConfig.sortingOrder] - either 'asc' or 'dsc'
  * @param {string} [requestConfig.sortParameter] - 'creation_time', 'username', 'first-name' or 'last-name'
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @returns {Promise<Array<User>>}
  */
-async function getUsers(baseURL, {limit, offset, sortingOrder, sortParameter} = {}) {
-    return searchUsers(baseURL, "", {limit, offset, sortingOrder, sortParameter})
-}
+const getUsers = NewRouteFunction('getUsers');
 
 /**
  * Adds the post under the given ID to the bookmark list of the user under the given username.
@@ -216,32 +158,25 @@ async function getUsers(baseURL, {limit, offset, sortingOrder, sortParameter} =
  * @param {string} username
  * @param {number} postID
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function addPostBookmark(baseURL, username, postID, authToken) {
-    return (await makeRequest(
-        `${baseURL}/users/${username}/bookmarks/${postID}`,
-        {
-            method: 'put',
-            headers: attachAuthTokenToHeader(authToken),
-        }));
-}
+const addPostBookmark = NewRouteFunction('addPostBookmark');
 
 /**
  * Retrieves the bookmarks of the specified user.
  * @param {string} baseURL
  * @param {string} username
  * @param {string} authToken
- * @return {{bookmarkedTime: Post}} - bookmark-time:post map
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {boolean} [options.dedupe] - false to not share the request with identical ones in flight
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
+ * @return {{bookmarkedTime: Post} | Array<Bookmark>} - bookmark-time:post map, or a list of
+ * {@link Bookmark}s, latest first, with decoding enabled
  */
-async function getUserBookmarks(baseURL, username, authToken) {
-    return (await makeRequest(
-        `${baseURL}/users/${username}/bookmarks`,
-        {
-            method: 'get',
-            headers: attachAuthTokenToHeader(authToken),
-        }))
-        .data;
-}
+const getUserBookmarks = NewRouteFunction('getUserBookmarks');
 
 
 /**
@@ -250,15 +185,11 @@ async function getUserBookmarks(baseURL, username, authToken) {
  * @param {string} username
  * @param {number} postID - id of the post
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function deleteBookmark(baseURL, username, postID, authToken) {
-    return (await makeRequest(
-        `${baseURL}/users/${username}/bookmarks/${postID}`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        }));
-}
+const deleteBookmark = NewRouteFunction('deleteBookmark');
 
 /**
  * Sets the provided image as the users profile picture.
@@ -267,25 +198,12 @@ async function deleteBookmark(baseURL, username, postID, authToken) {
  * @param {Blob | FormData | Buffer | Readable} imageData
  * @param {string} authToken
  * @param {string} imageName - name under which the image will be saved on the server
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  * @return {string} - link to the image on the server
  */
-async function addProfilePicture(baseURL,
-                                 username, authToken,
-                                 imageData, imageName = 'client-js.jpg') {
-    return (await makeRequest(
-        `${baseURL}/users/${username}/picture`,
-        {
-            method: 'put',
-            ...await attachImageToRequest(
-                imageData,
-                {
-                    headers: attachAuthTokenToHeader(authToken),
-                    imageName
-                }
-            ),
-        }))
-        .data;
-}
+const addProfilePicture = NewRouteFunction('addProfilePicture');
 
 
 /**
@@ -293,12 +211,8 @@ async function addProfilePicture(baseURL,
  * @param {string} baseURL
  * @param {string} username
  * @param {string} authToken
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - aborts the request when signalled
+ * @param {string | number} [options.priority=normal] - place in the client's request queue, see {@link PRIORITIES}
  */
-async function removeProfilePicture(baseURL, username, authToken) {
-    return (await makeRequest(
-        `${baseURL}/users/${username}/picture`,
-        {
-            method: 'delete',
-            headers: attachAuthTokenToHeader(authToken),
-        }));
-}
+const removeProfilePicture = NewRouteFunction('removeProfilePicture');
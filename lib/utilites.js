@@ -1,20 +1,27 @@
 'use strict';
 
-import axios from 'axios';
 import {isNode} from "browser-or-node";
-import FormDataNode from "form-data";
 import {Readable} from "stream";
+import {promises as fsPromises} from "fs";
+import {
+    Issue1FailError,
+    Issue1HttpError,
+    Issue1ValidationError,
+    Issue1AbortError
+} from "./errors.js";
+import {resolveConnection} from "./connection.js";
+import {requestSummary} from "./transport.js";
+import {NewMultipartBody, checkUploadSize, isStreamingBody} from "./multipart.js";
+import {withRetry} from "./retry.js";
+import {runMiddleware} from "./middleware.js";
 
 
-const CONNECTION_ERROR = Error("issue1.REST.client: connection could not be made with issue1 REST");
-
 export {
     makeRequest,
     attachAuthTokenToHeader,
     attachImageToRequest,
     generateQueryParams,
-    calculateLimitOffset,
-    CONNECTION_ERROR
+    calculateLimitOffset
 };
 
 
@@ -32,7 +39,9 @@ function attachAuthTokenToHeader(authToken, headers = {}) {
         // axios throws DOMExceptions for some issue instances in parsing 
     // headers. 
     else if (authToken.split(/\s/).length > 1) {
-        throw Error("Invalid authToken");
+        throw new Issue1ValidationError(
+            "Invalid authToken",
+            [{field: 'authToken', message: 'must not contain whitespace'}]);
     }
     headers.Authorization = "Bearer " + authToken;
     return headers;
@@ -75,6 +84,7 @@ function generateQueryParams({pattern, limit, offset, sortingOrder, sortParamete
 /**
  * Attach the given image to the request.
  * Usage: object spread operator on returned value into the makeRequest config object.
+ * The returned data is a {@link MultipartBody}, encoded by whichever transport ends up sending it.
  *
  *
  * @param {Blob | FormData | Buffer | Readable} imageData - image data for the multipart request, will be put under key 'image'
@@ -82,76 +92,80 @@ function generateQueryParams({pattern, limit, offset, sortingOrder, sortParamete
  * @param {Object} [config.headers] - other headers to append to the request
  * @param {Object | undefined} [config.otherData] - other data for the multipart request, will be put under key 'json'
  * @param {string} [config.imageName] - name under which the image will be saved on the server
+ * @param {number} [config.maxUploadSize] - in bytes, see {@link checkUploadSize}
  */
-async function attachImageToRequest(imageData, {headers = {}, otherData, imageName = 'client-js.jpg'}) {
-    function appendDataToFormData(formData, data, knownLength) {
-        formData.append("image", data, {
-            knownLength: knownLength,
-            contentType: 'image/*',
-            filename: imageName,
-            header: {
-                'Content-Transfer-Encoding': 'binary'
-            }
-        });
-    }
-
-    // for node environment
-    if (isNode) {
-        let formData = new FormDataNode();
-
-        if (otherData) {
-            formData.append("JSON", JSON.stringify(otherData));
-        }
-        if (imageData instanceof Buffer) {
-            appendDataToFormData(formData, imageData, imageData.length);
-        } else if (imageData instanceof Readable) {
-            //
-            let buffer = Buffer.alloc(0);
-            // wait till image data has been completely transferred to buffer 
-            await new Promise(resolve => {
-                imageData.on('data', chunk => {
-                    buffer = Buffer.concat([buffer, chunk], chunk.length + buffer.length);
-                });
-                imageData.on('end', () => resolve());
-            });
-            if (buffer.length === 0) {
-                throw new Error("Provided Readable stream has no data.");
-            }
-            appendDataToFormData(formData, buffer, buffer.length);
-        } else {
-            throw new Error("Only instances of Buffer or ReadStream supported for image data in node environment.");
-        }
-        return {
-            data: formData.getBuffer(),
-            headers: {
-                ...headers,
-                ...formData.getHeaders()
-            },
-        }
-    }
-    // for browser environment
-    if (imageData instanceof FormData) {
+async function attachImageToRequest(imageData, {headers = {}, otherData, imageName = 'client-js.jpg', maxUploadSize}) {
+    // a ready made FormData is sent as is
+    if (!isNode && imageData instanceof FormData) {
         if (!imageData.has('image')) {
-            throw new Error(`Instance of FormData provided as image data \ 
-                            but no item present under the key 'image'`);
+            throw new Issue1ValidationError(
+                `Instance of FormData provided as image data \ 
+                            but no item present under the key 'image'`,
+                [{field: 'imageData', message: "missing 'image' entry"}]);
         }
         return {
             data: imageData,
             headers,
         }
-    } else {
-        let formData = new FormData();
-        if (imageData instanceof Blob) {
-            appendDataToFormData(formData, imageData, imageData.size);
-        } else {
-            throw new Error("Only instances of FormData, Blob(File) supported for image data in browser environment.");
+    }
+
+    const body = NewMultipartBody();
+    if (otherData) {
+        body.append("JSON", JSON.stringify(otherData));
+    }
+    const appendImage = (data, knownLength) => body.append("image", data, {
+        knownLength,
+        contentType: 'image/*',
+        filename: imageName,
+    });
+
+    if (isNode && imageData instanceof Buffer) {
+        appendImage(imageData, imageData.length);
+    } else if (isNode && imageData instanceof Readable) {
+        // streamed as it's sent rather than read into memory first
+        const length = await streamLength(imageData);
+        if (length === 0) {
+            throw new Issue1ValidationError(
+                "Provided Readable stream has no data.",
+                [{field: 'imageData', message: 'empty stream'}]);
         }
-        return {
-            data: formData,
-            headers,
-        };
+        appendImage(imageData, length);
+    } else if (typeof Blob !== 'undefined' && imageData instanceof Blob) {
+        // form-data, used in node, doesn't know about Blobs
+        appendImage(isNode ? Buffer.from(await imageData.arrayBuffer()) : imageData, imageData.size);
+    } else if (isNode) {
+        throw new Issue1ValidationError(
+            "Only instances of Buffer, ReadStream or Blob supported for image data in node environment.",
+            [{field: 'imageData', message: 'unsupported type'}]);
+    } else {
+        throw new Issue1ValidationError(
+            "Only instances of FormData, Blob(File) supported for image data in browser environment.",
+            [{field: 'imageData', message: 'unsupported type'}]);
+    }
+    return {
+        data: checkUploadSize(body, maxUploadSize),
+        headers,
+    };
+}
 
+/**
+ * Size, in bytes, of what's left to read from the stream if it can be told without reading
+ * it: files not yet read from and http responses with a content length.
+ * @param {Readable} stream
+ * @return {Promise<number | undefined>}
+ */
+async function streamLength(stream) {
+    if (typeof stream.path === 'string' && !stream.bytesRead) {
+        try {
+            const {size} = await fsPromises.stat(stream.path);
+            const end = Number.isFinite(stream.end) ? Math.min(stream.end + 1, size) : size;
+            return Math.max(0, end - (stream.start || 0));
+        } catch (err) {
+            return undefined;
+        }
     }
+    const contentLength = stream.headers && stream.headers['content-length'];
+    return contentLength ? Number(contentLength) : undefined;
 }
 
 /**
@@ -178,143 +192,109 @@ async function attachImageToRequest(imageData, {headers = {}, otherData, imageNa
  */
 
 /**
- * Uses {@link axios} to make a request according to the given config.
+ * @typedef {object} RequestDescriptor
+ * Normalized description of a request, as seen by {@link Middleware}.
+ *
+ * @property {string} method
+ * @property {string} url - full url the request is sent to
+ * @property {string} baseURL
+ * @property {string} path
+ * @property {Object} headers
+ * @property {Object} [params]
+ * @property {any} [data]
+ * @property {string} [responseType]
+ * @property {Array<function>} [transformRequest]
+ * @property {AbortSignal} [signal]
+ * @property {boolean} [dedupe] - false to not share an in-flight request with identical ones
+ * @property {string | number} [priority] - place in the connection's {@link RequestQueue}
+ */
+
+/**
+ * Sends a request through the connection's middleware and then its {@link Transport},
+ * retrying it according to the connection's retry policy.
  * @async
- * @param {string} URL - url of the resource.
+ * @param {string | Connection} baseURL - url to the issue-1-REST server or a {@link Connection} to it.
+ * @param {string} path - path of the resource.
  * @param {object} [requestConfig]
  * @param {string} [requestConfig.method = get]
- * @param {string} [requestConfig.responseType = json]
+ * @param {string} [requestConfig.responseType] - defaults to the connection's
  * @param {object} [requestConfig.headers] - request headers
  * @param {object} [requestConfig.data]
  * @param {object} [requestConfig.params]
  * @param {Array<function>} [requestConfig.transformRequest]
+ * @param {AbortSignal} [requestConfig.signal] - aborts the request, and any pending retries, when signalled
+ * @param {boolean} [requestConfig.dedupe] - false to send the request even if an identical one is in flight
+ * @param {string | number} [requestConfig.priority=normal] - place in the connection's request queue, see {@link PRIORITIES}
  * @returns {Promise<object | jSend | any>} successful response
- * @throws {object | Error | jSendFail} when request fails
+ * @throws {Issue1FailError} when the server responds with a jSend fail
+ * @throws {Issue1AbortError} when the request gets aborted
+ * @throws {Issue1HttpError | Issue1NetworkError | Issue1ValidationError | Issue1Error} when request fails
  */
-async function makeRequest(URL, {method = 'get', responseType = 'json', headers, data, params, transformRequest} = {}) {
-    let config = {
+async function makeRequest(baseURL, path, {
+    method = 'get', responseType, headers, data, params, transformRequest, signal, dedupe, priority
+} = {}) {
+    const connection = resolveConnection(baseURL);
+    /** @type {RequestDescriptor} */
+    const request = {
         method,
+        url: `${connection.baseURL}${path}`,
+        baseURL: connection.baseURL,
+        path,
         headers: {
             ...headers,
         },
-        url: URL,
-        responseType,
-        data,
         params,
+        data,
+        responseType,
         transformRequest,
-        // mode: "cors",
-        // body: JSON.stringify(data),
+        signal,
+        dedupe,
+        priority,
     };
-    /*if(data){
-        console.log(data.toString());
-    }*/
-    try {
-        let response = await axios(URL, config);
-        /* console.log('response: ');
-         console.log(response);*/
-        if (response.data.status === "fail") {
-            // if it's a failure, throw it as an error
-            throw response.data;
-        }
-        return response.data;
-    } catch (error) {
-        // console.log(error);
-        // if error is jSendFail thrown at line 80
-        if (error.status === "fail") {
-            // rethrow it
-            throw error;
-        }
-
-        if (error instanceof DOMException) {
-            if (error.name === "SyntaxError") {
-                throw new Error("Invalid input: unable to parse input.");
-            } else {
-                let newError = Error("unexpected exception: DOMException thrown by axios. Attached to this error object under property {domException}");
-                newError.domException = error;
-                throw newError;
-            }
-        }
-
-        let description = '';
-        let response;
-        // if there was a response
-        // i.e. contanct was made with server
-        if (!!error.response) {
-            description += 'there was a response; ';
-
-            // if there's a jSend object on response
-            if (!!error.response.data) {
-                if (!!error.response.data.status) {
-                    // throw the jSend
-                    let jSend = error.response.data;
-                    jSend.errorCode = error.response.status;
-                    throw jSend;
-                }
-            }
-            // extract response data
-            response = {
-                status: error.response.status,
-                statusText: error.response.statusText,
-                headers: error.response.headers,
-                data: error.response.data,
-            };
-            // TODO: logging
-        }
-            // if there was a request
-        // i.e if request was valid
-        else if (!!error.request) {
-            // The request was made but no response was received
-            // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
-            // http.ClientRequest in node.js
-
-            description += 'no response was received; ';
-
-            // check if it's a connection error
-            if (error.code === 'ENOTFOUND') {
-                throw CONNECTION_ERROR;
-            }
-        } else {
-            // Something happened in setting up the request that triggered an Error
-            description += 'setting up request failed; ';
-        }
-
-        // selectively pick out some of the information from the
-        // axios error object
-        let {
-            message, name, nativeDescription: axiosDescription, number, code,
-            config: {
-                url, timeout,
-                headers: requestHeaders,
-                data: requestData,
-                method: requestMethod,
-                responseType: expectedType,
-            },
-        } = error.toJSON();
+    return runMiddleware(connection.middleware || [], request,
+        request => withRetry(
+            // a stream's been read by the time the request fails
+            isStreamingBody(request.data) ? undefined : connection.retry,
+            requestSummary(request),
+            () => sendRequest(connection, request),
+            request.signal));
+}
 
-        // if there's a description on the axios error
-        // add that to our custom description
-        if (!!axiosDescription) {
-            description += axiosDescription;
-        }
+/**
+ * Send the request through the connection's {@link Transport}, once.
+ * @param {Connection} connection
+ * @param {RequestDescriptor} request
+ * @return {Promise<jSend>}
+ */
+async function sendRequest(connection, request) {
+    if (request.signal && request.signal.aborted) {
+        throw new Issue1AbortError({request: requestSummary(request)});
+    }
+    const response = await connection.transport(request);
+    const error = toResponseError(response, requestSummary(request));
+    if (error) {
+        throw error;
+    }
+    return response.data;
+}
 
-        // throw a custom error
-        throw {
-            message,
-            name,
-            description,
-            response,
-            request: {
-                url,
-                method: requestMethod,
-                headers: requestHeaders,
-                data: requestData,
-                timeout,
-                responseType: expectedType,
-            },
-            number,
-            code,
-        };
+/**
+ * The {@link Issue1Error} the given response amounts to, if any.
+ * @param {TransportResponse} response
+ * @param {{url: string, method: string}} request
+ * @return {Issue1Error | undefined}
+ */
+function toResponseError({status, statusText, headers, data}, request) {
+    // if there's a jSend fail on the response, whatever the status
+    if (!!data && data.status === "fail") {
+        return new Issue1FailError(data, status, {request, headers});
+    }
+    if (status >= 200 && status < 300) {
+        return undefined;
     }
+    const message = (!!data && data.status === "error" && data.message) ||
+        `issue1.REST.client: request failed with status ${status}`;
+    return new Issue1HttpError(message, {status, statusText, headers, data}, {request});
 }
 
 /**
@@ -0,0 +1,246 @@
+'use strict';
+
+import {Issue1ValidationError} from "./errors.js";
+import {resolveConnection} from "./connection.js";
+
+export {
+    SCHEMAS,
+    ENUMS,
+    SORT_PARAMETERS,
+    checkEntity,
+    checkValue,
+    checkListOptions,
+    validateArguments
+};
+
+/**
+ * Values accepted by the endpoints taking one of a fixed set.
+ */
+const ENUMS = Object.freeze({
+    sortingOrder: Object.freeze(['asc', 'dsc']),
+    feedSorting: Object.freeze(['hot', 'new', 'top']),
+    releaseType: Object.freeze(['image', 'text']),
+});
+
+/**
+ * The `sortParameter`s each list endpoint accepts, by the kind of items listed.
+ */
+const SORT_PARAMETERS = Object.freeze({
+    users: Object.freeze(['creation_time', 'username', 'first-name', 'last-name']),
+    channels: Object.freeze(['creation_time', 'channelUsername', 'name']),
+    posts: Object.freeze(['creation_time', 'channel_from', 'posted_by', 'title']),
+    releases: Object.freeze(['creation_time', 'channel', 'type']),
+    comments: Object.freeze(['creation_time']),
+    feedSubscriptions: Object.freeze(['username', 'name', 'sub-time']),
+    search: Object.freeze(['creation_time', 'rank']),
+});
+
+/**
+ * @typedef {object} FieldRule
+ * What a field of an entity may hold.
+ * @property {string} type - 'string', 'number', 'boolean', 'date', 'array' or 'object'
+ * @property {boolean} [required] - when creating the entity, updates may leave anything out
+ * @property {boolean} [integer]
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {Array<any>} [enum]
+ * @property {FieldRule} [items] - rule for the elements of an array
+ * @property {string} [schema] - schema of an object, one of {@link SCHEMAS}
+ */
+
+/**
+ * Runtime versions of the {@link User}, {@link Channel}, {@link Post}, {@link Release},
+ * {@link Metadata} and {@link Comment} typedefs, as {@link FieldRule}s by field.
+ * Only what the client sends is checked: fields the server fills in, like ids and creation
+ * times, aren't required and fields not listed are let through.
+ */
+const SCHEMAS = Object.freeze({
+    User: {
+        username: {type: 'string', required: true},
+        email: {type: 'string'},
+        password: {type: 'string'},
+        firstName: {type: 'string'},
+        middleName: {type: 'string'},
+        lastName: {type: 'string'},
+        creationTime: {type: 'date'},
+        bio: {type: 'string'},
+        pictureURL: {type: 'string'},
+    },
+    Channel: {
+        channelUsername: {type: 'string', required: true},
+        name: {type: 'string', required: true},
+        description: {type: 'string'},
+        ownerUsername: {type: 'string'},
+        adminUsernames: {type: 'array', items: {type: 'string'}},
+        postIDs: {type: 'array', items: {type: 'number', integer: true}},
+        stickiedPostIDs: {type: 'array', items: {type: 'number', integer: true}},
+        releaseIDs: {type: 'array', items: {type: 'number', integer: true}},
+        officialReleaseIDs: {type: 'array', items: {type: 'number', integer: true}},
+        creationTime: {type: 'date'},
+        pictureURL: {type: 'string'},
+    },
+    Post: {
+        id: {type: 'number', integer: true},
+        postedByUsername: {type: 'string'},
+        originChannel: {type: 'string', required: true},
+        title: {type: 'string', required: true},
+        description: {type: 'string'},
+        contentsID: {type: 'array', items: {type: 'number', integer: true}},
+        commentsID: {type: 'array', items: {type: 'number', integer: true}},
+        creationTime: {type: 'date'},
+    },
+    Release: {
+        id: {type: 'number', integer: true},
+        ownerChannel: {type: 'string', required: true},
+        type: {type: 'string', required: true, enum: ENUMS.releaseType},
+        content: {type: 'string'},
+        metadata: {type: 'object', schema: 'Metadata'},
+        creationTime: {type: 'date'},
+    },
+    Metadata: {
+        title: {type: 'string'},
+        releaseDate: {type: 'date'},
+        genreDefining: {type: 'string'},
+        description: {type: 'string'},
+        other: {type: 'object', schema: 'ExtraMetadata'},
+    },
+    ExtraMetadata: {
+        authors: {type: 'array', items: {type: 'string'}},
+        genres: {type: 'array', items: {type: 'string'}},
+    },
+    Comment: {
+        id: {type: 'number', integer: true},
+        commenter: {type: 'string'},
+        originPost: {type: 'number', integer: true},
+        content: {type: 'string', required: true},
+        replyTo: {type: 'number', integer: true},
+        creationTime: {type: 'date'},
+    },
+});
+
+/**
+ * Check the entity against the named schema.
+ * @param {string} schema - one of {@link SCHEMAS}
+ * @param {Object} entity
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - for updates, where required fields may be left out
+ * @param {string} [options.field] - name of the entity, prefixed to the fields in the errors
+ * @return {Array<{field: string, message: string}>} each offending field, empty if there's none
+ */
+function checkEntity(schema, entity, {partial = false, field = ''} = {}) {
+    if (entity === null || typeof entity !== 'object' || Array.isArray(entity)) {
+        return [{field: field || schema, message: 'must be an object'}];
+    }
+    const rules = SCHEMAS[schema];
+    return Object.keys(rules).flatMap(name => {
+        const path = field ? `${field}.${name}` : name;
+        const value = entity[name];
+        if (value === undefined || value === null) {
+            return rules[name].required && !partial ? [{field: path, message: 'is required'}] : [];
+        }
+        return checkValue(path, value, rules[name], {partial});
+    });
+}
+
+/**
+ * Check a value against a {@link FieldRule}.
+ * @param {string} field - named in the errors
+ * @param {any} value
+ * @param {FieldRule} rule
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - leave required fields of nested objects alone
+ * @return {Array<{field: string, message: string}>}
+ */
+function checkValue(field, value, rule, {partial = false} = {}) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return [{field, message: 'must be a string'}];
+            }
+            break;
+        case 'number':
+            if (typeof value !== 'number' || Number.isNaN(value)) {
+                return [{field, message: 'must be a number'}];
+            }
+            if (rule.integer && !Number.isInteger(value)) {
+                return [{field, message: 'must be a whole number'}];
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return [{field, message: `must be at least ${rule.min}`}];
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return [{field, message: `must be at most ${rule.max}`}];
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return [{field, message: 'must be a boolean'}];
+            }
+            break;
+        case 'date':
+            if (!(value instanceof Date ? !Number.isNaN(value.getTime()) :
+                typeof value === 'string' && !Number.isNaN(Date.parse(value)))) {
+                return [{field, message: 'must be a Date or a date string'}];
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                return [{field, message: 'must be an array'}];
+            }
+            return value.flatMap((item, index) => checkValue(`${field}[${index}]`, item, rule.items, {partial}));
+        case 'object':
+            return checkEntity(rule.schema, value, {partial, field});
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return [{field, message: `must be one of ${rule.enum.join(', ')}`}];
+    }
+    return [];
+}
+
+/**
+ * Check the pagination and sorting options of a list endpoint.
+ * @param {string} items - what's listed, one of {@link SORT_PARAMETERS}
+ * @param {Object} options
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ * @param {string} [options.sortingOrder]
+ * @param {string} [options.sortParameter]
+ * @return {Array<{field: string, message: string}>}
+ */
+function checkListOptions(items, {limit, offset, sortingOrder, sortParameter}) {
+    const errors = [];
+    if (limit !== undefined) {
+        errors.push(...checkValue('limit', limit, {type: 'number', integer: true, min: 0}));
+    }
+    if (offset !== undefined) {
+        errors.push(...checkValue('offset', offset, {type: 'number', integer: true, min: 0}));
+    }
+    if (sortParameter) {
+        errors.push(...checkValue('sortParameter', sortParameter, {type: 'string', enum: SORT_PARAMETERS[items]}));
+        if (sortingOrder) {
+            errors.push(...checkValue('sortingOrder', sortingOrder, {type: 'string', enum: ENUMS.sortingOrder}));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Throw if the errors `check` finds aren't empty, unless validation was disabled on the
+ * connection. Called by the service functions before anything is sent.
+ * @param {string | Connection} baseURL
+ * @param {string} operation - named in the error's message
+ * @param {function(): Array<{field: string, message: string}>} check
+ * @throws {Issue1ValidationError} listing each offending field under `errors`
+ */
+function validateArguments(baseURL, operation, check) {
+    if (resolveConnection(baseURL).validate === false) {
+        return;
+    }
+    const errors = check();
+    if (errors.length > 0) {
+        throw new Issue1ValidationError(
+            `issue1.REST.client: invalid arguments to ${operation}: ` +
+            errors.map(({field, message}) => `${field} ${message}`).join(', '),
+            errors);
+    }
+}
@@ -56,8 +56,43 @@ import {
     updateChannel
 } from "../lib/channel";
 
-import {beforeAll, describe} from "@jest/globals";
+import {decodeTokenExpiry} from "../lib/session";
+import {NewIssue1Client} from "../lib/client";
+import {
+    Issue1AbortError,
+    Issue1DecodeError,
+    Issue1FailError,
+    Issue1HttpError,
+    Issue1NetworkError,
+    Issue1TimeoutError,
+    Issue1ValidationError,
+    isAborted,
+    isNotFound,
+    isUnauthorized
+} from "../lib/errors";
+
+import {NewConnection} from "../lib/connection";
+import {NewAxiosTransport} from "../lib/transport";
+import {NewEmulator} from "../lib/emulator";
+import {NewCache, NewMemoryCacheStore} from "../lib/cache";
+import {NewRequestQueue} from "../lib/queue";
+import {paginate} from "../lib/paginate";
+import {NewEntityStore} from "../lib/store";
+import {checkEntity} from "../lib/validate";
+import {ROUTES, routeArity} from "../lib/routes";
+import {startEmulatorServer} from "../lib/emulator-server";
+import {headersMiddleware, loggingMiddleware} from "../lib/middleware";
+
+import {afterAll, beforeAll, beforeEach, describe} from "@jest/globals";
 import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import ts from 'typescript';
+import axios from 'axios';
+import httpAdapter from 'axios/lib/adapters/http';
+import {Readable} from 'stream';
+import {NewMultipartBody, checkUploadSize} from "../lib/multipart";
+import * as issue1 from "../lib/client";
 import {
     addPost,
     deletePost,
@@ -76,7 +111,8 @@ import {
     getReplies,
     updateComment
 } from "../lib/comment";
-import {searchIssue1} from "../lib/search";
+import {searchIssue1, parseSearchQuery, searchQuery} from "../lib/search";
+import {rankSearchResults, highlightMatches} from "../lib/ranking";
 import {
     addImageRelease,
     addTextRelease,
@@ -85,7 +121,9 @@ import {
     updateRelease
 } from "../lib/release";
 
-const baseURL = "http://localhost:8080";
+// set ISSUE1_REST_URL to run against a real issue-1-REST server instead of the emulator
+let baseURL = process.env.ISSUE1_REST_URL;
+let emulatorServer;
 
 const testUser = {
     username: 'Cobotbol',
@@ -109,7 +147,7 @@ async function createAndAddTestUser() {
     try {
         await addUser(baseURL, testUser);
     } catch (err) {
-        if (!(!!err.data && err.data.errorMessage === "username is occupied")) {
+        if (!(err instanceof Issue1FailError && err.errorMessage === "username is occupied")) {
             throw err;
         }
     }
@@ -125,9 +163,21 @@ async function deleteTestUser() {
 }
 
 beforeAll(async () => {
+    if (!baseURL) {
+        emulatorServer = await startEmulatorServer(NewEmulator(), {port: 0});
+        baseURL = `http://localhost:${emulatorServer.address().port}`;
+    }
     await createAndAddTestUser()
 });
 
+afterAll(done => {
+    if (emulatorServer) {
+        emulatorServer.close(done);
+    } else {
+        done();
+    }
+});
+
 
 /* afterAll(async () => {
     deleteTestUser();
@@ -145,9 +195,8 @@ describe('authService', () => {
         try {
             await getAuthToken(baseURL, testUser.username, 'wrong-password');
         } catch (error) {
-            expect(error).to.have.property('data')
-                .that.has.property('errorReason')
-                .that.equals('credentials');
+            expect(error).to.be.an.instanceOf(Issue1FailError);
+            expect(error).to.have.property('errorReason', 'credentials');
         }
     });
 
@@ -162,9 +211,7 @@ describe('authService', () => {
             var authToken = "badtokenheyoh,let'sgo";
             await refreshAuthToken(baseURL, authToken);
         } catch (error) {
-            expect(error).to.have.property('response')
-                .that.has.property('status')
-                .that.equals(401);
+            expect(isUnauthorized(error)).to.be.true;
         }
     });
 
@@ -176,6 +223,1784 @@ describe('authService', () => {
 
 });
 
+describe('session', () => {
+    'use strict';
+
+    test('decodeTokenExpiry - reads exp claim', () => {
+        let payload = Buffer.from(JSON.stringify({exp: 1000})).toString('base64');
+        expect(decodeTokenExpiry(`header.${payload}.signature`)).to.equal(1000 * 1000);
+        expect(decodeTokenExpiry("badtokenheyoh,let'sgo")).to.be.undefined;
+    });
+
+    test('client - logs in with credentials', async () => {
+        let client = NewIssue1Client(baseURL, {username: testUser.username, password: testUser.password});
+        let feed = await client.feedService.getFeed(testUser.username);
+        expect(feed).to.have.property('ownerUsername', testUser.username);
+        expect(client.session.authToken).to.be.a('string');
+    });
+
+    test('client - uses existing token', async () => {
+        let client = NewIssue1Client(baseURL, {authToken});
+        let feed = await client.feedService.getFeed(testUser.username);
+        expect(feed).to.have.property('ownerUsername', testUser.username);
+    });
+
+    test('client - renews rejected token once', async () => {
+        let client = NewIssue1Client(baseURL, {username: testUser.username, password: testUser.password});
+        client.session.authToken = "badtokenheyoh,let'sgo";
+        let feed = await client.feedService.getFeed(testUser.username);
+        expect(feed).to.have.property('ownerUsername', testUser.username);
+        expect(client.session.authToken).to.not.equal("badtokenheyoh,let'sgo");
+    });
+
+    test('client - renews a token rejected by concurrent calls once', async () => {
+        let client = NewIssue1Client(baseURL, {username: testUser.username, password: testUser.password});
+        client.session.authToken = "badtokenheyoh,let'sgo";
+        let logins = 0;
+        client.use(async (request, next) => {
+            if (request.path === '/token-auth') {
+                logins++;
+            }
+            return next();
+        });
+        let feeds = await Promise.all([1, 2, 3].map(() => client.feedService.getFeed(testUser.username)));
+        feeds.forEach(feed => expect(feed).to.have.property('ownerUsername', testUser.username));
+        expect(logins).to.equal(1);
+    });
+
+    test('client - authService acts on the session', async () => {
+        let client = NewIssue1Client(baseURL);
+        let token = await client.authService.getAuthToken(testUser.username, testUser.password);
+        expect(client.session.authToken).to.equal(token);
+        let feed = await client.feedService.getFeed(testUser.username);
+        expect(feed).to.have.property('ownerUsername', testUser.username);
+        let controller = new AbortController();
+        controller.abort();
+        let aborted = await client.authService.refreshAuthToken(undefined, {signal: controller.signal}).catch(error => error);
+        expect(isAborted(aborted)).to.be.true;
+        expect(client.session.authToken).to.equal(token);
+    });
+
+    test('client - logout clears token', async () => {
+        let client = NewIssue1Client(baseURL, {username: testUser.username, password: testUser.password});
+        await client.login();
+        let response = await client.logout();
+        expect(response).to.have.property("status").that.equals("success");
+        expect(client.session.authToken).to.be.undefined;
+    });
+});
+
+describe('errors', () => {
+    'use strict';
+
+    test('connection error', async () => {
+        try {
+            await getUser("http://localhost:1", testUser.username);
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(error).to.be.an.instanceOf(Issue1NetworkError);
+            expect(error).to.be.an.instanceOf(Error);
+        }
+    });
+
+    test('invalid authToken', async () => {
+        try {
+            await getUser(baseURL, testUser.username, "bad token");
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(error).to.be.an.instanceOf(Issue1ValidationError);
+            expect(error.errors[0]).to.have.property('field', 'authToken');
+        }
+    });
+});
+
+/**
+ * Start a local server that answers with the given canned responses, in order.
+ * Each response is [status, headers, delay].
+ */
+function startCannedServer(responses, done) {
+    let server = http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || '*');
+        res.setHeader('Access-Control-Allow-Methods', req.headers['access-control-request-method'] || '*');
+        res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        let request = {method: req.method, url: req.url, headers: req.headers, size: 0};
+        server.requests.push(request);
+        req.on('data', chunk => request.size += chunk.length);
+        let [status, headers, delay = 0] = responses.shift() || [200, {}];
+        req.on('end', () => setTimeout(() => {
+            res.writeHead(status, {'Content-Type': 'application/json', ...headers});
+            res.end(JSON.stringify(status === 200 ?
+                {status: 'success', data: {username: testUser.username}} :
+                {status: 'error', message: 'unavailable'}));
+        }, delay));
+    });
+    server.requests = [];
+    server.listen(0, done);
+    return server;
+}
+
+describe('retry', () => {
+    'use strict';
+
+    let responses = [];
+    let server;
+    let retryURL;
+
+    beforeAll(done => {
+        server = startCannedServer(responses, () => {
+            retryURL = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('retries safe methods', async () => {
+        let retries = [];
+        responses.push([503, {}], [502, {}]);
+        let connection = NewConnection(retryURL, {
+            retry: {baseDelay: 1, onRetry: retry => retries.push(retry)}
+        });
+        let user = await getUser(connection, testUser.username);
+        expect(user).to.have.property('username', testUser.username);
+        expect(retries).to.have.lengthOf(2);
+        expect(retries[0].error).to.have.property('status', 503);
+    });
+
+    test('gives up after maxAttempts', async () => {
+        responses.push([503, {}], [503, {}], [503, {}]);
+        let connection = NewConnection(retryURL, {retry: {baseDelay: 1, maxAttempts: 2}});
+        try {
+            await getUser(connection, testUser.username);
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(error).to.have.property('status', 503);
+        }
+        expect(responses).to.have.lengthOf(1);
+        responses.length = 0;
+    });
+
+    test('does not retry POST', async () => {
+        responses.push([503, {}]);
+        let connection = NewConnection(retryURL, {retry: {baseDelay: 1}});
+        try {
+            await addPost(connection, {title: 'mercy', originChannel: testChannel.channelUsername}, authToken);
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(error).to.have.property('status', 503);
+        }
+    });
+
+    test('honours Retry-After', async () => {
+        let retries = [];
+        responses.push([503, {'Retry-After': '0'}]);
+        let connection = NewConnection(retryURL, {
+            retry: {baseDelay: 60 * 1000, onRetry: retry => retries.push(retry)}
+        });
+        await getUser(connection, testUser.username);
+        expect(retries[0]).to.have.property('delay', 0);
+    });
+});
+
+describe('abort', () => {
+    'use strict';
+
+    let responses = [];
+    let server;
+    let abortURL;
+
+    beforeAll(done => {
+        server = startCannedServer(responses, () => {
+            abortURL = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('already aborted signal', async () => {
+        let controller = new AbortController();
+        controller.abort();
+        try {
+            await getUser(abortURL, testUser.username, "", {signal: controller.signal});
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(isAborted(error)).to.be.true;
+        }
+    });
+
+    test('in flight request', async () => {
+        responses.push([200, {}, 500]);
+        let controller = new AbortController();
+        let request = searchUsers(abortURL, 'Poisonne', {signal: controller.signal});
+        setTimeout(() => controller.abort(), 50);
+        try {
+            await request;
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(error).to.be.an.instanceOf(Issue1AbortError);
+        }
+    });
+
+    test('pending retry', async () => {
+        responses.push([503, {}]);
+        let controller = new AbortController();
+        let connection = NewConnection(abortURL, {
+            retry: {baseDelay: 60 * 1000, onRetry: () => controller.abort()}
+        });
+        try {
+            await getUser(connection, testUser.username, "", {signal: controller.signal});
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(isAborted(error)).to.be.true;
+        }
+    });
+});
+
+describe('connection', () => {
+    'use strict';
+
+    let responses = [];
+    let server;
+    let connectionURL;
+
+    beforeAll(done => {
+        server = startCannedServer(responses, () => {
+            connectionURL = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('default headers', async () => {
+        let connection = NewConnection(connectionURL, {headers: {'X-Client': 'issue-1-client-js'}});
+        await getUser(connection, testUser.username);
+        let {headers} = server.requests[server.requests.length - 1];
+        expect(headers).to.have.property('x-client', 'issue-1-client-js');
+    });
+
+    test('timeout', async () => {
+        responses.push([200, {}, 500]);
+        let connection = NewConnection(connectionURL, {timeout: 50});
+        try {
+            await getUser(connection, testUser.username);
+            throw Error("request should have failed");
+        } catch (error) {
+            expect(error).to.be.an.instanceOf(Issue1TimeoutError);
+        }
+    });
+
+    test('clients keep their own settings', async () => {
+        let slow = NewIssue1Client(connectionURL, {timeout: 50, retry: false});
+        let patient = NewIssue1Client(connectionURL, {timeout: 5000, retry: false});
+        responses.push([200, {}, 200], [200, {}, 200]);
+        let [slowResult, patientResult] = await Promise.allSettled([
+            slow.userService.getUser(testUser.username),
+            patient.userService.getUser(testUser.username),
+        ]);
+        expect(slowResult.reason).to.be.an.instanceOf(Issue1TimeoutError);
+        expect(patientResult.value).to.have.property('username', testUser.username);
+    });
+});
+
+describe('middleware', () => {
+    'use strict';
+
+    let responses = [];
+    let server;
+    let middlewareURL;
+
+    beforeAll(done => {
+        server = startCannedServer(responses, () => {
+            middlewareURL = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    test('runs in order around the request', async () => {
+        let calls = [];
+        let client = NewIssue1Client(middlewareURL)
+            .use(async (request, next) => {
+                calls.push('first');
+                let result = await next();
+                calls.push('first done');
+                return result;
+            })
+            .use(async (request, next) => {
+                calls.push('second');
+                return next();
+            });
+        await client.userService.getUser(testUser.username);
+        expect(calls).to.deep.equal(['first', 'second', 'first done']);
+    });
+
+    test('injects headers', async () => {
+        let client = NewIssue1Client(middlewareURL)
+            .use(headersMiddleware(() => ({'X-Correlation-ID': 'abc'})));
+        await client.userService.getUser(testUser.username);
+        let {headers} = server.requests[server.requests.length - 1];
+        expect(headers).to.have.property('x-correlation-id', 'abc');
+    });
+
+    test('rewrites urls', async () => {
+        let client = NewIssue1Client("http://staging.invalid")
+            .use((request, next) => next({...request, url: `${middlewareURL}${request.path}`}));
+        let user = await client.userService.getUser(testUser.username);
+        expect(user).to.have.property('username', testUser.username);
+    });
+
+    test('short-circuits and replaces results', async () => {
+        let requestCount = server.requests.length;
+        let client = NewIssue1Client(middlewareURL)
+            .use(async () => ({status: 'success', data: {username: 'loveless'}}));
+        let user = await client.userService.getUser(testUser.username);
+        expect(user).to.have.property('username', 'loveless');
+        expect(server.requests).to.have.lengthOf(requestCount);
+    });
+
+    test('logs with redacted tokens', async () => {
+        let lines = [];
+        let logger = {info: (...args) => lines.push(args), error: (...args) => lines.push(args)};
+        let client = NewIssue1Client(middlewareURL, {authToken: 'secret'})
+            .use(loggingMiddleware({logger}));
+        await client.userService.getUser(testUser.username);
+        expect(lines).to.have.lengthOf(2);
+        expect(JSON.stringify(lines)).to.not.contain('secret');
+        expect(lines[0][1].headers).to.have.property('Authorization', '[redacted]');
+    });
+});
+
+describe('transport', () => {
+    'use strict';
+
+    const transportURL = "http://issue1.test";
+
+    function fakeFetch(...responses) {
+        const fetch = async (url, init) => {
+            fetch.calls.push({url, init});
+            const response = responses.shift();
+            if (response instanceof Error) {
+                throw response;
+            }
+            const [status, body, headers = {}] = response;
+            const text = typeof body === 'string' ? body : JSON.stringify(body);
+            return {
+                status,
+                statusText: `${status}`,
+                headers: {
+                    get: name => headers[name.toLowerCase()],
+                    forEach: callback => Object.keys(headers).forEach(key => callback(headers[key], key)),
+                },
+                text: async () => text,
+            };
+        };
+        fetch.calls = [];
+        return fetch;
+    }
+
+    test('fetch sends queries and JSON bodies', async () => {
+        let fetch = fakeFetch(
+            [200, {status: 'success', data: [{username: testUser.username}]}],
+            [200, {status: 'success', data: {username: testUser.username}}]);
+        let client = NewIssue1Client(transportURL, {transport: 'fetch', fetch, authToken: 'token'});
+        let users = await client.userService.getUsers({limit: 5, offset: 0});
+        expect(users).to.have.lengthOf(1);
+        expect(fetch.calls[0].url).to.equal(`${transportURL}/users?limit=5&offset=0`);
+        await client.userService.updateUser(testUser.username, {bio: 'bio'});
+        let {init} = fetch.calls[1];
+        expect(init.method).to.equal('PUT');
+        expect(init.headers).to.have.property('Authorization', 'Bearer token');
+        expect(init.headers).to.have.property('Content-Type').that.contains('application/json');
+        expect(JSON.parse(init.body)).to.deep.equal({bio: 'bio'});
+    });
+
+    test('fetch throws the same errors as axios', async () => {
+        let fetch = fakeFetch(
+            [404, {status: 'fail', data: {errorReason: 'username', errorMessage: 'user not found'}}],
+            [500, 'internal server error'],
+            new TypeError('Failed to fetch'));
+        let connection = NewConnection(transportURL, {transport: 'fetch', fetch, dedupe: false});
+        let errors = await Promise.all([0, 1, 2].map(() => getUser(connection, testUser.username)
+            .catch(error => error)));
+        expect(errors[0]).to.be.an.instanceOf(Issue1FailError);
+        expect(errors[0].errorReason).to.equal('username');
+        expect(isNotFound(errors[0])).to.be.true;
+        expect(errors[1]).to.be.an.instanceOf(Issue1HttpError);
+        expect(errors[1].status).to.equal(500);
+        expect(errors[2]).to.be.an.instanceOf(Issue1NetworkError);
+        expect(errors[2].request).to.deep.equal({url: `${transportURL}/users/${testUser.username}`, method: 'get'});
+    });
+
+    test('fetch times out and aborts', async () => {
+        let hangingFetch = (url, {signal}) => new Promise((resolve, reject) =>
+            signal.addEventListener('abort', () => reject(new Error('aborted'))));
+        let connection = NewConnection(transportURL, {transport: 'fetch', fetch: hangingFetch, timeout: 50});
+        let timeoutError = await getUser(connection, testUser.username).catch(error => error);
+        expect(timeoutError).to.be.an.instanceOf(Issue1TimeoutError);
+
+        let controller = new AbortController();
+        setTimeout(() => controller.abort(), 10);
+        let abortError = await getUser(connection, testUser.username, undefined, {signal: controller.signal})
+            .catch(error => error);
+        expect(abortError).to.be.an.instanceOf(Issue1AbortError);
+    });
+
+    test('fetch uploads multipart bodies', async () => {
+        let fetch = fakeFetch([200, {status: 'success', data: 'picture.jpg'}]);
+        let client = NewIssue1Client(transportURL, {transport: 'fetch', fetch, authToken: 'token'});
+        await client.userService.addProfilePicture(testUser.username, undefined, Buffer.from([1, 2, 3]), 'picture.jpg');
+        let {init} = fetch.calls[0];
+        expect(init.body).to.be.an.instanceOf(FormData);
+        expect(init.body.get('image').name).to.equal('picture.jpg');
+        expect(init.headers).to.not.have.property('Content-Type');
+    });
+
+    test('custom transports', async () => {
+        let requests = [];
+        let client = NewIssue1Client(transportURL, {
+            transport: async request => {
+                requests.push(request);
+                return {status: 200, statusText: 'OK', headers: {}, data: {status: 'success', data: {username: 'loveless'}}};
+            }
+        });
+        let user = await client.userService.getUser(testUser.username);
+        expect(user).to.have.property('username', 'loveless');
+        expect(requests[0]).to.include({method: 'get', url: `${transportURL}/users/${testUser.username}`});
+    });
+});
+
+describe('uploads', () => {
+    'use strict';
+
+    let server;
+    let uploadURL;
+    // axios only streams bodies through node's http, jsdom's XMLHttpRequest would get picked otherwise
+    const transport = () => NewAxiosTransport(axios.create({adapter: httpAdapter}));
+
+    beforeAll(done => {
+        server = startCannedServer([], () => {
+            uploadURL = `http://localhost:${server.address().port}`;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    beforeEach(() => {
+        server.requests.length = 0;
+    });
+
+    function chunks(count, size = 64 * 1024) {
+        return Readable.from([...Array(count)].map(() => Buffer.alloc(size, 1)));
+    }
+
+    test('streams files with their length and other streams chunked', async () => {
+        let connection = NewConnection(uploadURL, {transport: transport()});
+        await addProfilePicture(connection, testUser.username, 'token', fs.createReadStream("test/beachhouse.jpeg"));
+        let [file] = server.requests;
+        expect(Number(file.headers['content-length'])).to.equal(file.size);
+        expect(file.size).to.be.above(fs.statSync("test/beachhouse.jpeg").size);
+
+        await addProfilePicture(connection, testUser.username, 'token', chunks(4));
+        let [, stream] = server.requests;
+        expect(stream.headers).to.not.have.property('content-length');
+        expect(stream.headers).to.have.property('transfer-encoding', 'chunked');
+        expect(stream.size).to.be.above(4 * 64 * 1024);
+    });
+
+    test('refuses uploads over the max upload size', async () => {
+        let connection = NewConnection(uploadURL, {transport: transport(), maxUploadSize: 50 * 1024});
+        let known = await addProfilePicture(connection, testUser.username, 'token', fs.createReadStream("test/beachhouse.jpeg"))
+            .catch(error => error);
+        expect(known).to.be.an.instanceOf(Issue1ValidationError);
+        expect(server.requests).to.be.empty;
+
+        let streamed = await addProfilePicture(connection, testUser.username, 'token', chunks(4)).catch(error => error);
+        expect(streamed).to.be.an.instanceOf(Issue1ValidationError);
+        expect(streamed.errors).to.deep.equal([{field: 'image', message: 'must be at most 51200 bytes'}]);
+        expect(streamed.request).to.deep.equal({url: `${uploadURL}/users/${testUser.username}/picture`, method: 'put'});
+        let empty = await addProfilePicture(connection, testUser.username, 'token', chunks(0)).catch(error => error);
+        expect(empty.errors).to.deep.equal([{field: 'image', message: 'empty stream'}]);
+    });
+
+    test('counts parts of unknown size as nothing until they\'re read', async () => {
+        let body = NewMultipartBody()
+            .append('raw', new Uint8Array(10))
+            .append('image', Readable.from([Buffer.alloc(5000)]), {filename: 'a.jpeg'});
+        let [, image] = checkUploadSize(body, 100).parts;
+        let error = await (async () => {
+            for await (const chunk of image.value) {
+                expect(chunk).to.exist;
+            }
+        })().catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1ValidationError);
+        expect(error.errors).to.deep.equal([{field: 'image', message: 'must be at most 100 bytes'}]);
+
+        let known = NewMultipartBody()
+            .append('json', '{"title":1}')
+            .append('image', Buffer.alloc(500), {filename: 'a.jpeg'});
+        expect(() => checkUploadSize(known, 100)).to.throw(Issue1ValidationError)
+            .with.property('errors').that.deep.equals([{field: 'image', message: 'must be at most 100 bytes'}]);
+    });
+
+    test('doesn\'t retry streamed uploads', async () => {
+        let attempts = 0;
+        let connection = NewConnection(uploadURL, {
+            retry: {baseDelay: 1},
+            transport: async () => {
+                attempts++;
+                return {status: 503, statusText: 'Service Unavailable', headers: {}, data: ''};
+            },
+        });
+        await addProfilePicture(connection, testUser.username, 'token', Buffer.from([1, 2, 3])).catch(error => error);
+        expect(attempts).to.equal(3);
+        attempts = 0;
+        let error = await addProfilePicture(connection, testUser.username, 'token', chunks(1)).catch(error => error);
+        expect(error).to.have.property('status', 503);
+        expect(attempts).to.equal(1);
+    });
+
+    test('fetch streams the body in node', async () => {
+        let received = [];
+        let fetch = async (url, init) => {
+            for await (const chunk of init.body) {
+                received.push(chunk);
+            }
+            received.init = init;
+            return {
+                status: 200,
+                statusText: 'OK',
+                headers: {get: () => undefined, forEach: () => undefined},
+                text: async () => JSON.stringify({status: 'success', data: 'picture.jpg'}),
+            };
+        };
+        let connection = NewConnection(uploadURL, {transport: 'fetch', fetch});
+        await addProfilePicture(connection, testUser.username, 'token', chunks(2), 'picture.jpg');
+        expect(received.init).to.have.property('duplex', 'half');
+        expect(received.init.headers['content-type']).to.match(/^multipart\/form-data; boundary=/);
+        let body = Buffer.concat(received);
+        expect(body.length).to.be.above(2 * 64 * 1024);
+        expect(body.toString()).to.contain('filename="picture.jpg"');
+    });
+});
+
+describe('emulator', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('in process transport', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            username: testUser.username,
+            password: testUser.password
+        });
+        let feed = await client.feedService.getFeed(testUser.username);
+        expect(feed).to.have.property('ownerUsername', testUser.username);
+        let pictureURL = await client.channelService.addDisplayPicture(
+            testChannel.channelUsername, undefined, Buffer.from([1, 2, 3]), 'cover.jpg');
+        expect(pictureURL).to.be.a('string').that.contains('cover.jpg');
+    });
+
+    test('fails like the server', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, retry: false});
+        let notFound = await client.userService.getUser("fake baby").catch(error => error);
+        expect(notFound).to.be.an.instanceOf(Issue1FailError);
+        expect(notFound).to.have.property('errorReason', 'username');
+        expect(isNotFound(notFound)).to.be.true;
+        let unauthorized = await client.channelService.deleteChannel('icehead', "badtokenheyoh,let'sgo")
+            .catch(error => error);
+        expect(isUnauthorized(unauthorized)).to.be.true;
+        let wrongPassword = await client.login(testUser.username, 'wrong-password').catch(error => error);
+        expect(wrongPassword).to.have.property('errorReason', 'credentials');
+    });
+
+    test('reset', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {transport: emulator.transport, authToken: emulator.issueToken(testUser.username)});
+        await client.postService.deletePost(8);
+        emulator.reset();
+        let post = await client.postService.getPost(8);
+        expect(post).to.have.property('id', 8);
+    });
+});
+
+describe('cache', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    // counts the requests reaching the emulator
+    function countingTransport(emulator) {
+        const counting = async request => {
+            counting.requests.push(request);
+            return emulator.transport(request);
+        };
+        counting.requests = [];
+        return counting;
+    }
+
+    test('fresh responses are answered from the cache', async () => {
+        let transport = countingTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, cache: true});
+        let first = await client.postService.getPost(7);
+        first.title = "changed by the caller";
+        let second = await client.postService.getPost(7);
+        expect(second).to.have.property('title', 'Have mercy, love.');
+        expect(transport.requests).to.have.lengthOf(1);
+        await client.postService.getPost(3);
+        expect(transport.requests).to.have.lengthOf(2);
+    });
+
+    test('uncached resources', async () => {
+        let transport = countingTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, cache: {ttl: {posts: 0}}});
+        await client.postService.getPost(7);
+        await client.postService.getPost(7);
+        expect(transport.requests).to.have.lengthOf(2);
+    });
+
+    test('mutations invalidate', async () => {
+        let emulator = NewEmulator();
+        let transport = countingTransport(emulator);
+        let client = NewIssue1Client(emulatorURL, {
+            transport,
+            cache: true,
+            authToken: emulator.issueToken(testUser.username)
+        });
+        let stickied = await client.channelService.getStickiedPosts(testChannel.channelUsername);
+        expect(stickied).to.be.empty;
+        await client.channelService.stickyPost(testChannel.channelUsername, 7);
+        stickied = await client.channelService.getStickiedPosts(testChannel.channelUsername);
+        expect(stickied).to.have.lengthOf(1);
+
+        let comments = await client.commentService.getComments(7);
+        await client.commentService.addComment({content: "Still here."}, 7);
+        let newComments = await client.commentService.getComments(7);
+        expect(newComments).to.have.lengthOf(comments.length + 1);
+
+        await client.channelService.updateChannel(testChannel.channelUsername, {name: "Renamed"});
+        let channel = await client.channelService.getChannel(testChannel.channelUsername);
+        expect(channel).to.have.property('name', 'Renamed');
+    });
+
+    test('failed requests are not cached', async () => {
+        let transport = countingTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, cache: true, retry: false});
+        await client.userService.getUser("fake baby").catch(error => error);
+        let error = await client.userService.getUser("fake baby").catch(error => error);
+        expect(isNotFound(error)).to.be.true;
+        expect(transport.requests).to.have.lengthOf(2);
+    });
+
+    test('stale while revalidate and ETags', async () => {
+        let transport = countingTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {
+            transport,
+            cache: {ttl: {posts: 1}, staleWhileRevalidate: 60 * 1000}
+        });
+        await client.postService.getPost(7);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        let stale = await client.postService.getPost(7);
+        expect(stale).to.have.property('id', 7);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(transport.requests).to.have.lengthOf(2);
+        let revalidation = transport.requests[1];
+        expect(revalidation.headers).to.have.property('If-None-Match').that.is.a('string');
+
+        let cache = NewCache({ttl: {posts: 1}});
+        let response = await cache.wrap(transport)({
+            method: 'get', url: `${emulatorURL}/posts/7`, baseURL: emulatorURL, headers: {}
+        });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        let notModified = await cache.wrap(transport)({
+            method: 'get', url: `${emulatorURL}/posts/7`, baseURL: emulatorURL, headers: {}
+        });
+        expect(notModified).to.have.property('status', 200);
+        expect(notModified.data).to.deep.equal(response.data);
+    });
+
+    test('entries are kept per token', async () => {
+        let emulator = NewEmulator();
+        let transport = countingTransport(emulator);
+        let client = NewIssue1Client(emulatorURL, {transport, cache: true});
+        let anonymous = await client.userService.getUser(testUser.username);
+        expect(anonymous).to.not.have.property('email');
+        let own = await client.userService.getUser(testUser.username, emulator.issueToken(testUser.username));
+        expect(own).to.have.property('email', testUser.email);
+    });
+
+    test('memory store evicts the least recently used', async () => {
+        let store = NewMemoryCacheStore({maxEntries: 2});
+        store.set('a', 1);
+        store.set('b', 2);
+        store.get('a');
+        store.set('c', 3);
+        expect(store.keys()).to.have.members(['a', 'c']);
+    });
+
+    test('invalidate and clear', async () => {
+        let transport = countingTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, cache: true});
+        await client.postService.getPost(7);
+        await client.postService.getPost(3);
+        await client.cache.invalidate('/posts/7');
+        await client.postService.getPost(7);
+        await client.postService.getPost(3);
+        expect(transport.requests).to.have.lengthOf(3);
+        await client.cache.clear();
+        await client.postService.getPost(3);
+        expect(transport.requests).to.have.lengthOf(4);
+    });
+});
+
+describe('dedupe', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    // answers after a while, to have requests overlap
+    function slowTransport(emulator) {
+        const slow = async request => {
+            slow.requests.push(request);
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return emulator.transport(request);
+        };
+        slow.requests = [];
+        return slow;
+    }
+
+    test('concurrent identical reads share a request', async () => {
+        let transport = slowTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport});
+        let posts = await Promise.all([
+            client.postService.getPost(7),
+            client.postService.getPost(7),
+            client.postService.getPost(3),
+        ]);
+        expect(transport.requests).to.have.lengthOf(2);
+        expect(posts[0]).to.deep.equal(posts[1]);
+        expect(posts[0]).to.not.equal(posts[1]);
+        await client.postService.getPost(7);
+        expect(transport.requests).to.have.lengthOf(3);
+    });
+
+    test('opting out', async () => {
+        let transport = slowTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport});
+        await Promise.all([
+            client.postService.getPost(7),
+            client.postService.getPost(7, {dedupe: false}),
+        ]);
+        expect(transport.requests).to.have.lengthOf(2);
+
+        let unsharedTransport = slowTransport(NewEmulator());
+        let unshared = NewIssue1Client(emulatorURL, {transport: unsharedTransport, dedupe: false});
+        await Promise.all([unshared.postService.getPost(7), unshared.postService.getPost(7)]);
+        expect(unsharedTransport.requests).to.have.lengthOf(2);
+    });
+
+    test('shared per auth token', async () => {
+        let emulator = NewEmulator();
+        let transport = slowTransport(emulator);
+        let client = NewIssue1Client(emulatorURL, {transport});
+        let [anonymous, own] = await Promise.all([
+            client.userService.getUser(testUser.username),
+            client.userService.getUser(testUser.username, emulator.issueToken(testUser.username)),
+        ]);
+        expect(transport.requests).to.have.lengthOf(2);
+        expect(anonymous).to.not.have.property('email');
+        expect(own).to.have.property('email', testUser.email);
+    });
+
+    test('aborting one caller leaves the others be', async () => {
+        let transport = slowTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, retry: false});
+        let controller = new AbortController();
+        let aborted = client.postService.getPost(7, {signal: controller.signal}).catch(error => error);
+        let other = client.postService.getPost(7, {signal: new AbortController().signal});
+        controller.abort();
+        expect(await aborted).to.be.an.instanceOf(Issue1AbortError);
+        expect(await other).to.have.property('id', 7);
+        expect(transport.requests).to.have.lengthOf(1);
+        expect(transport.requests[0].signal.aborted).to.be.false;
+    });
+
+    test('aborting every caller aborts the request', async () => {
+        let transport = slowTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, retry: false});
+        let first = new AbortController();
+        let second = new AbortController();
+        let results = Promise.all([
+            client.postService.getPost(7, {signal: first.signal}).catch(error => error),
+            client.postService.getPost(7, {signal: second.signal}).catch(error => error),
+        ]);
+        first.abort();
+        second.abort();
+        let errors = await results;
+        errors.forEach(error => expect(error).to.be.an.instanceOf(Issue1AbortError));
+        expect(transport.requests[0].signal.aborted).to.be.true;
+        let post = await client.postService.getPost(7);
+        expect(post).to.have.property('id', 7);
+    });
+});
+
+describe('queue', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    // answers after a while, noting how many requests were in flight at once
+    function slowTransport(emulator, delay = 20) {
+        const slow = async request => {
+            slow.requests.push(request);
+            slow.running++;
+            slow.maxRunning = Math.max(slow.maxRunning, slow.running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            slow.running--;
+            return emulator.transport(request);
+        };
+        slow.requests = [];
+        slow.running = 0;
+        slow.maxRunning = 0;
+        return slow;
+    }
+
+    test('max concurrency', async () => {
+        let transport = slowTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, queue: {maxConcurrent: 2}});
+        let stars = await Promise.all([3, 6, 7, 8, 9].map(id => client.postService.getPostStars(id)));
+        expect(stars).to.have.lengthOf(5);
+        expect(transport.maxRunning).to.equal(2);
+        expect(client.queue.stats()).to.include({queued: 0, running: 0});
+        expect(client.queue.stats().maxWait).to.be.at.least(20);
+    });
+
+    test('rate limit', async () => {
+        let transport = slowTransport(NewEmulator(), 0);
+        let client = NewIssue1Client(emulatorURL, {transport, queue: {rate: 2, interval: 50}});
+        let start = Date.now();
+        await Promise.all([3, 6, 7, 8, 9].map(id => client.postService.getPost(id)));
+        // two right away, the other three at 25ms intervals
+        expect(Date.now() - start).to.be.at.least(70);
+        expect(transport.requests).to.have.lengthOf(5);
+    });
+
+    test('priorities', async () => {
+        let transport = slowTransport(NewEmulator());
+        let queue = NewRequestQueue({maxConcurrent: 1});
+        let client = NewIssue1Client(emulatorURL, {transport, queue});
+        let requests = [
+            client.postService.getPost(3),
+            client.postService.getPost(6, {priority: 'background'}),
+            client.postService.getPost(7, {priority: 'background'}),
+            client.postService.getPost(8, {priority: 'interactive'}),
+        ];
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(queue.stats()).to.include({queued: 3, running: 1});
+        await Promise.all(requests);
+        expect(transport.requests.map(request => request.url.split('/').pop()))
+            .to.deep.equal(['3', '8', '6', '7']);
+    });
+
+    test('aborting a queued request', async () => {
+        let transport = slowTransport(NewEmulator());
+        let client = NewIssue1Client(emulatorURL, {transport, retry: false, queue: {maxConcurrent: 1}});
+        let controller = new AbortController();
+        let first = client.postService.getPost(3);
+        let aborted = client.postService.getPost(7, {signal: controller.signal}).catch(error => error);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        controller.abort();
+        expect(await aborted).to.be.an.instanceOf(Issue1AbortError);
+        expect(client.queue.stats()).to.have.property('queued', 0);
+        await first;
+        expect(transport.requests).to.have.lengthOf(1);
+    });
+
+    test('unknown priority', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, queue: {}});
+        let error = await client.postService.getPost(7, {priority: 'urgent'}).catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1ValidationError);
+    });
+});
+
+describe('pagination', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('iterating items', async () => {
+        let emulator = NewEmulator();
+        let requests = [];
+        let client = NewIssue1Client(emulatorURL, {
+            transport: request => {
+                requests.push(request);
+                return emulator.transport(request);
+            }
+        });
+        let ids = [];
+        for await (const post of client.postService.iteratePosts({pageSize: 2, sortParameter: 'creation_time'})) {
+            ids.push(post.id);
+        }
+        expect(ids).to.deep.equal([3, 6, 7, 8, 9]);
+        expect(requests.map(request => request.params)).to.deep.equal([
+            {limit: 2, offset: 0, sort: 'creation_time'},
+            {limit: 2, offset: 2, sort: 'creation_time'},
+            {limit: 2, offset: 4, sort: 'creation_time'},
+        ]);
+    });
+
+    test('pages and collect', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            authToken: emulator.issueToken(testUser.username)
+        });
+        let pages = [];
+        for await (const page of client.channelService.iterateChannels({pageSize: 3}).pages()) {
+            pages.push(page.length);
+        }
+        expect(pages).to.deep.equal([3, 1]);
+        let users = await client.userService.iterateUsers({pageSize: 2}).collect({max: 3});
+        expect(users).to.have.lengthOf(3);
+        let comments = await client.commentService.iterateComments(7, {pageSize: 2}).collect();
+        expect(comments.map(comment => comment.id)).to.have.members([18, 19]);
+        let replies = await client.commentService.iterateReplies(18, 7, {pageSize: 2}).collect();
+        expect(replies.map(reply => reply.id)).to.deep.equal([20]);
+        let feedPosts = await client.feedService.iterateFeedPosts(testUser.username, undefined, {pageSize: 1})
+            .collect();
+        expect(feedPosts).to.be.an('array');
+    });
+
+    test('paginator', async () => {
+        let emulator = NewEmulator();
+        let requests = [];
+        let client = NewIssue1Client(emulatorURL, {
+            transport: request => {
+                requests.push(request);
+                return emulator.transport(request);
+            }
+        });
+        let paginator = client.postService.paginatePosts({pageSize: 2, sortParameter: 'creation_time'});
+        expect(paginator.items).to.be.empty;
+        let loading = paginator.load();
+        expect(paginator.loading).to.be.true;
+        expect((await loading).map(post => post.id)).to.deep.equal([3, 6]);
+        expect(paginator).to.include({page: 1, hasMore: true, hasPrev: false, loading: false});
+
+        let page = await paginator.next();
+        expect(page.map(post => post.id)).to.deep.equal([7, 8]);
+        // the second page was prefetched along with the first
+        expect(requests.filter(request => request.params.offset === 2)).to.have.lengthOf(1);
+        await paginator.next();
+        expect(paginator.items.map(post => post.id)).to.deep.equal([9]);
+        expect(paginator).to.include({page: 3, hasMore: false});
+        await paginator.next();
+        expect(paginator.page).to.equal(3);
+        await paginator.prev();
+        expect(paginator.page).to.equal(2);
+        await paginator.goTo(1);
+        expect(paginator.items.map(post => post.id)).to.deep.equal([3, 6]);
+        let error = await paginator.goTo(0).catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1ValidationError);
+    });
+
+    test('paginator query strings', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {transport: emulator.transport});
+        let paginator = client.channelService.paginateChannels({pageSize: 2, sortParameter: 'channelUsername'});
+        await paginator.load();
+        await paginator.next();
+        expect(paginator.toQueryString()).to.equal('page=2&pageSize=2&sortParameter=channelUsername');
+
+        let restored = client.channelService.paginateChannels({query: paginator.toQueryString(), prefetch: false});
+        let channels = await restored.load();
+        expect(restored).to.include({page: 2, pageSize: 2});
+        expect(channels.map(channel => channel.channelUsername)).to.deep.equal(['icehead', 'moribund']);
+    });
+
+    test('paginator refresh and params', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            authToken: emulator.issueToken(testUser.username)
+        });
+        let paginator = client.commentService.paginateComments(7, {sortParameter: 'creation_time', sortingOrder: 'dsc'});
+        let comments = await paginator.load();
+        await client.commentService.addComment({content: "Late to the party."}, 7);
+        expect(paginator.items).to.deep.equal(comments);
+        let refreshed = await paginator.refresh();
+        expect(refreshed).to.have.lengthOf(comments.length + 1);
+        let posts = client.postService.paginatePosts({pattern: 'mercy'});
+        expect(await posts.load()).to.have.lengthOf(1);
+        let all = await posts.setParams({});
+        expect(all.length).to.be.above(1);
+        expect(posts.page).to.equal(1);
+    });
+
+    test('items shifting between pages are only seen once', async () => {
+        let items = [{id: 3}, {id: 2}, {id: 1}];
+        let pages = paginate(async ({limit, offset}) => {
+            let page = items.slice(offset, offset + limit);
+            // something new arrives after the first page
+            items.unshift({id: 4});
+            return page;
+        }, {pageSize: 2});
+        let collected = await pages.collect();
+        expect(collected.map(item => item.id)).to.deep.equal([3, 2, 1]);
+    });
+});
+
+describe('store', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    function storeClient() {
+        let emulator = NewEmulator();
+        return NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            authToken: emulator.issueToken(testUser.username),
+            store: true
+        });
+    }
+
+    test('ingests every entity it sees', async () => {
+        let client = storeClient();
+        await client.searchService.searchIssue1('love');
+        expect(client.store.get('posts', 7)).to.have.property('title', 'Have mercy, love.');
+        expect(client.store.get('channels', testChannel.channelUsername)).to.have.property('name');
+        expect(client.store.get('users', 'loveless')).to.have.property('firstName', 'Loveless');
+        await client.channelService.getCatalog(testChannel.channelUsername);
+        expect(client.store.get('releases', '74')).to.have.property('type', 'text');
+        await client.commentService.getComments(7);
+        expect(client.store.select('comments', comment => comment.originPost === 7)).to.have.lengthOf(2);
+        await client.postService.getPostStars(7);
+        expect(client.store.select('users')).to.have.lengthOf(1);
+    });
+
+    test('mutations update the store', async () => {
+        let client = storeClient();
+        await client.postService.getPosts();
+        let changes = [];
+        let unsubscribe = client.store.subscribe('posts', 7, (post, change) => changes.push([post, change]));
+        let everyPost = [];
+        client.store.subscribe('posts', post => everyPost.push(post));
+
+        await client.postService.updatePost(7, {title: 'Have mercy.'});
+        expect(client.store.get('posts', 7)).to.have.property('title', 'Have mercy.');
+        expect(changes).to.have.lengthOf(1);
+        expect(changes[0][1]).to.deep.equal({type: 'posts', key: 7});
+        expect(Object.isFrozen(changes[0][0])).to.be.true;
+
+        // the same again changes nothing
+        await client.postService.getPost(7);
+        expect(changes).to.have.lengthOf(1);
+
+        await client.postService.deletePost(7);
+        expect(client.store.get('posts', 7)).to.be.undefined;
+        expect(changes[1][0]).to.be.undefined;
+
+        unsubscribe();
+        await client.postService.updatePost(8, {title: 'Draft two'});
+        expect(changes).to.have.lengthOf(2);
+        expect(everyPost).to.have.lengthOf(3);
+    });
+
+    test('standalone', () => {
+        let store = NewEntityStore();
+        let post = {id: 3, originChannel: 'faberge', title: 'The Night Watch', stars: {}};
+        expect(store.ingest({bookmarks: {'2020-01-01': post}})).to.deep.equal({bookmarks: {'2020-01-01': post}});
+        expect(store.get('posts', 3)).to.deep.equal(post);
+        store.ingest({id: 3, originChannel: 'faberge', title: 'The Day Watch'});
+        expect(store.get('posts', 3)).to.include({title: 'The Day Watch'}).and.have.property('stars');
+        store.clear();
+        expect(store.select('posts')).to.be.empty;
+        expect(() => store.get('bananas', 3)).to.throw(Issue1ValidationError);
+    });
+});
+
+describe('include', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('post with everything', async () => {
+        let emulator = NewEmulator();
+        let requests = [];
+        let client = NewIssue1Client(emulatorURL, {
+            transport: request => {
+                requests.push(request);
+                return emulator.transport(request);
+            }
+        });
+        let post = await client.postService.getPost(7, {include: ['releases', 'author', 'channel', 'comments.author']});
+        expect(post.releases.map(release => release.id)).to.deep.equal([74]);
+        expect(post.author).to.have.property('username', testUser.username);
+        expect(post.channel).to.have.property('channelUsername', testChannel.channelUsername);
+        expect(post.comments.map(comment => comment.id)).to.have.members([18, 19]);
+        post.comments.forEach(comment => expect(comment.author).to.have.property('username', testUser.username));
+        expect(post).to.not.have.property('includeErrors');
+        // the author is only fetched once, comments or not
+        expect(requests.filter(request => request.path === `/users/${testUser.username}`)).to.have.lengthOf(1);
+    });
+
+    test('lists and nested includes', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            authToken: emulator.issueToken(testUser.username)
+        });
+        await client.feedService.subscribeFeedToChannel(testUser.username, 'faberge');
+        let posts = await client.feedService.getFeedPosts(testUser.username, undefined,
+            {include: ['author', 'channel.posts']});
+        expect(posts).to.not.be.empty;
+        posts.forEach(post => {
+            expect(post.author).to.have.property('username', post.postedByUsername);
+            expect(post.channel.posts.map(channelPost => channelPost.id)).to.include(post.id);
+        });
+        let channel = await client.channelService.getChannel(testChannel.channelUsername, undefined,
+            {include: ['admins', 'officialReleases', 'posts']});
+        expect(channel.admins.map(admin => admin.username)).to.have.members(['Cobotbol', 'loveless']);
+        expect(channel.officialReleases).to.have.lengthOf(1);
+        expect(channel.posts).to.have.lengthOf(channel.postIDs.length);
+        let [comment] = await client.commentService.getComments(7, {include: ['replies.author'], sortParameter: 'creation_time'});
+        expect(comment.replies.map(reply => reply.author.username)).to.deep.equal(['loveless']);
+    });
+
+    test('missing references', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            authToken: emulator.issueToken(testUser.username)
+        });
+        await client.userService.deleteUser('rembrandt', emulator.issueToken('rembrandt'));
+        let post = await client.postService.getPost(3, {include: ['author', 'channel']});
+        expect(post.author).to.be.undefined;
+        expect(post.channel).to.have.property('channelUsername', 'faberge');
+        expect(post.includeErrors).to.have.lengthOf(1);
+        expect(post.includeErrors[0]).to.include({include: 'author', key: 'rembrandt'});
+        expect(isNotFound(post.includeErrors[0].error)).to.be.true;
+    });
+
+    test('invalid includes', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let unknown = await client.postService.getPost(7, {include: ['likes']}).catch(error => error);
+        expect(unknown).to.be.an.instanceOf(Issue1ValidationError);
+        let tooDeep = await client.postService.getPost(7, {include: ['channel.posts.channel.posts']})
+            .catch(error => error);
+        expect(tooDeep).to.be.an.instanceOf(Issue1ValidationError);
+        let deeper = await client.postService.getPost(7, {include: ['channel.posts.channel.posts'], includeDepth: 4});
+        expect(deeper.channel.posts[0].channel.posts).to.not.be.empty;
+        let shallower = await client.postService.getPost(7, {include: ['channel.owner'], includeDepth: 1})
+            .catch(error => error);
+        expect(shallower).to.be.an.instanceOf(Issue1ValidationError);
+    });
+});
+
+describe('validation', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    function recordingClient(config = {}) {
+        let emulator = NewEmulator();
+        let requests = [];
+        let client = NewIssue1Client(emulatorURL, {
+            transport: request => {
+                requests.push(request);
+                return emulator.transport(request);
+            },
+            authToken: emulator.issueToken(testUser.username),
+            ...config
+        });
+        return {client, requests};
+    }
+
+    test('invalid arguments are not sent', async () => {
+        let {client, requests} = recordingClient();
+        let error = await client.postService.starPost(7, 6, testUser.username).catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1ValidationError);
+        expect(error.errors).to.deep.equal([{field: 'starCount', message: 'must be at most 5'}]);
+        error = await client.feedService.setDefaultFeedSorting(testUser.username, 'best')
+            .catch(error => error);
+        expect(error.errors.map(({field}) => field)).to.deep.equal(['defaultSorting']);
+        error = await client.postService.searchPosts('', {sortParameter: 'stars', limit: -1}).catch(error => error);
+        expect(error.errors.map(({field}) => field)).to.have.members(['sortParameter', 'limit']);
+        expect(requests).to.be.empty;
+    });
+
+    test('every offending field is listed', async () => {
+        let {client} = recordingClient();
+        let error = await client.channelService.addChannel({name: 7, adminUsernames: ['loveless', 3]})
+            .catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1ValidationError);
+        expect(error.errors).to.deep.equal([
+            {field: 'channelUsername', message: 'is required'},
+            {field: 'name', message: 'must be a string'},
+            {field: 'adminUsernames[1]', message: 'must be a string'},
+        ]);
+        error = await client.releaseService.addTextRelease({
+            ownerChannel: testChannel.channelUsername,
+            content: 'text',
+            metadata: {releaseDate: 'someday', other: {genres: ['fiction', 1]}},
+        }).catch(error => error);
+        expect(error.errors.map(({field}) => field)).to.deep.equal(['metadata.releaseDate', 'metadata.other.genres[1]']);
+    });
+
+    test('updates may leave required fields out', async () => {
+        expect(checkEntity('Post', {title: 'Renamed'}, {partial: true})).to.be.empty;
+        expect(checkEntity('Post', {title: 'Renamed'})).to.deep.equal([{field: 'originChannel', message: 'is required'}]);
+        let {client} = recordingClient();
+        let post = await client.postService.updatePost(7, {title: 'Have mercy.'});
+        expect(post).to.have.property('title', 'Have mercy.');
+    });
+
+    test('disabled', async () => {
+        let {client, requests} = recordingClient({validate: false});
+        let error = await client.postService.starPost(7, 6, testUser.username).catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1FailError);
+        expect(requests).to.have.lengthOf(1);
+    });
+});
+
+describe('decoding', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    // answers every request with the given data
+    function stubTransport(data) {
+        return async () => ({status: 200, statusText: 'OK', headers: {}, data: {status: 'success', data}});
+    }
+
+    test('off by default', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let user = await client.userService.getUser(testUser.username);
+        expect(user.creationTime).to.be.a('string');
+    });
+
+    test('dates and missing lists', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, decode: true});
+        let user = await client.userService.getUser(testUser.username);
+        expect(user.creationTime).to.be.an.instanceOf(Date);
+        expect(user.creationTime.toISOString()).to.equal('2020-01-01T10:00:00.000Z');
+        // views for non-admins leave these out
+        let channel = await client.channelService.getChannel(testChannel.channelUsername);
+        expect(channel.adminUsernames).to.deep.equal([]);
+        expect(channel.releaseIDs).to.deep.equal([]);
+        let post = await client.postService.getPost(7, {include: ['author', 'releases']});
+        expect(post.creationTime).to.be.an.instanceOf(Date);
+        expect(post.author.creationTime).to.be.an.instanceOf(Date);
+        expect(post.releases[0].creationTime).to.be.an.instanceOf(Date);
+        let results = await client.searchService.searchIssue1('mercy');
+        expect(results.posts).to.not.be.empty;
+        results.posts.forEach(found => expect(found.creationTime).to.be.an.instanceOf(Date));
+    });
+
+    test('bookmarks', async () => {
+        let client = NewIssue1Client(emulatorURL, {
+            transport: stubTransport({
+                '2020-03-01T10:00:00Z': {id: 7, originChannel: 'axesteel', title: 'Have mercy, love.'},
+                '2020-03-02T10:00:00Z': {id: 3, originChannel: 'faberge', title: 'Wandering'},
+            }),
+            authToken: 'token',
+            decode: true
+        });
+        let bookmarks = await client.userService.getUserBookmarks(testUser.username);
+        expect(bookmarks.map(({post}) => post.id)).to.deep.equal([3, 7]);
+        expect(bookmarks[0].bookmarkedAt.toISOString()).to.equal('2020-03-02T10:00:00.000Z');
+        expect(bookmarks[0].post.contentsID).to.deep.equal([]);
+    });
+
+    test('unexpected shapes', async () => {
+        let client = NewIssue1Client(emulatorURL, {
+            transport: stubTransport([
+                {id: 7, originChannel: 'axesteel', title: 'Have mercy, love.'},
+                {id: 3, originChannel: 'faberge', creationTime: 'yesterday'},
+            ]),
+            decode: true
+        });
+        let error = await client.postService.getPosts().catch(error => error);
+        expect(error).to.be.an.instanceOf(Issue1DecodeError);
+        expect(error.errors).to.deep.equal([
+            {field: '[1].title', message: 'is missing'},
+            {field: '[1].creationTime', message: 'must be a Date or a date string'},
+        ]);
+        expect(error.data).to.have.lengthOf(2);
+        error = await client.userService.getUser(testUser.username).catch(error => error);
+        expect(error.errors).to.deep.equal([{field: 'User', message: 'must be an object'}]);
+    });
+});
+
+describe('comment thread', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('tree of comments and replies', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let thread = await client.commentService.getCommentThread(7, {sort: {sortParameter: 'creation_time'}});
+        expect(thread.comments.map(node => node.comment.id)).to.deep.equal([18, 19]);
+        expect(thread.commentCount).to.equal(2);
+        expect(thread.hasMoreComments).to.be.false;
+        let [first, second] = thread.comments;
+        expect(first.replies.map(node => node.comment.id)).to.deep.equal([20]);
+        expect(first).to.include({depth: 0, replyCount: 1, hasMoreReplies: false});
+        expect(first.replies[0]).to.include({depth: 1, replyCount: 0, hasMoreReplies: false});
+        expect(second).to.include({replyCount: 0, hasMoreReplies: false});
+        expect(thread.find(20)).to.equal(first.replies[0]);
+    });
+
+    test('loading more', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let thread = await client.commentService.getCommentThread(7, {
+            maxDepth: 1, repliesPerLevel: 1, sort: {sortParameter: 'creation_time'}
+        });
+        expect(thread.comments.map(node => node.comment.id)).to.deep.equal([18]);
+        expect(thread.hasMoreComments).to.be.true;
+        expect(thread.commentCount).to.be.undefined;
+        let [first] = thread.comments;
+        expect(first.replies).to.be.empty;
+        expect(first.hasMoreReplies).to.be.true;
+        expect(first.replyCount).to.be.undefined;
+
+        let replies = await first.loadMoreReplies();
+        expect(replies.map(node => node.comment.id)).to.deep.equal([20]);
+        expect(first.cursor.offset).to.equal(1);
+        await first.loadMoreReplies();
+        expect(first).to.include({replyCount: 1, hasMoreReplies: false});
+
+        let more = await thread.loadMoreComments({limit: 5});
+        expect(more.map(node => node.comment.id)).to.deep.equal([19]);
+        expect(thread.commentCount).to.equal(2);
+        expect(await thread.loadMoreComments()).to.be.empty;
+    });
+
+    test('inserting new comments', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {
+            transport: emulator.transport,
+            authToken: emulator.issueToken('loveless')
+        });
+        let thread = await client.commentService.getCommentThread(7, {sort: {sortParameter: 'creation_time'}});
+        let reply = await client.commentService.addReply({content: 'agreed'}, 7, 18);
+        let node = thread.insert(reply);
+        expect(node).to.include({depth: 1, replyCount: 0, hasMoreReplies: false});
+        expect(thread.find(18).replies.map(child => child.comment.id)).to.deep.equal([20, reply.id]);
+        expect(thread.find(18).replyCount).to.equal(2);
+        expect(thread.insert(reply)).to.equal(node);
+        expect(thread.find(18).replyCount).to.equal(2);
+
+        let comment = await client.commentService.addComment({content: 'first'}, 7);
+        thread.insert(comment);
+        expect(thread.comments).to.have.lengthOf(3);
+        expect(thread.commentCount).to.equal(3);
+        expect(thread.insert({id: 1000, replyTo: 999, content: 'orphan'})).to.be.undefined;
+    });
+});
+
+describe('routes', () => {
+    'use strict';
+
+    const transportURL = "http://issue1.test";
+
+    // answers every request with an empty success, keeping the requests
+    function recordingClient(options = {}) {
+        let requests = [];
+        let client = NewIssue1Client(transportURL, {
+            transport: async request => {
+                requests.push(request);
+                return {status: 200, statusText: 'OK', headers: {}, data: {status: 'success', data: {}}};
+            },
+            ...options,
+        });
+        return {client, requests};
+    }
+
+    test('every route is reachable from the client', () => {
+        let client = NewIssue1Client(transportURL);
+        Object.keys(ROUTES).forEach(name => {
+            expect(client, name).to.have.property(ROUTES[name].service);
+            expect(client[ROUTES[name].service][name], name).to.be.a('function');
+        });
+    });
+
+    test('path segments are encoded', async () => {
+        let {client, requests} = recordingClient({authToken: 'token'});
+        await client.userService.getUser('a b/../c');
+        await client.userService.deleteBookmark('what?', 3);
+        await getFeed(client.connection, '#hash', 'token');
+        expect(requests.map(request => request.url)).to.deep.equal([
+            `${transportURL}/users/a%20b%2F..%2Fc`,
+            `${transportURL}/users/what%3F/bookmarks/3`,
+            `${transportURL}/users/%23hash/feed`,
+        ]);
+    });
+
+    test('client methods take the arguments of the functions without the baseURL', async () => {
+        let {client, requests} = recordingClient({authToken: 'token'});
+        await client.channelService.getChannel(testChannel.channelUsername);
+        await client.userService.getUserBookmarks(testUser.username);
+        await client.feedService.setDefaultFeedSorting(testUser.username, 'hot');
+        expect(requests.map(request => request.url)).to.deep.equal([
+            `${transportURL}/channels/${testChannel.channelUsername}`,
+            `${transportURL}/users/${testUser.username}/bookmarks`,
+            `${transportURL}/users/${testUser.username}/feed`,
+        ]);
+        expect(requests[2].data).to.deep.equal({defaultSorting: 'hot'});
+    });
+
+    test('client methods fall back to the session', async () => {
+        let {client, requests} = recordingClient({authToken: 'token'});
+        await client.commentService.deleteComment(1, 2);
+        await client.commentService.updateComment(1, 2, {content: 'edited'}, 'other');
+        expect(requests[0].headers).to.have.property('Authorization', 'Bearer token');
+        expect(requests[1].headers).to.have.property('Authorization', 'Bearer other');
+    });
+});
+
+describe('query', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('compiles to the list params', () => {
+        let client = NewIssue1Client(emulatorURL);
+        let query = client.query('posts').matching('jazz').sortBy('posted_by').desc().page(2, 50);
+        expect(query.toParams()).to.deep.equal({limit: 50, offset: 50, sort: 'posted_by_dsc', pattern: 'jazz'});
+        expect(query.toOptions()).to.deep.equal({limit: 50, offset: 50, sortingOrder: 'dsc', sortParameter: 'posted_by'});
+        expect(query.toURL()).to.equal(`${emulatorURL}/posts?limit=50&offset=50&sort=posted_by_dsc&pattern=jazz`);
+        expect(client.query('comments', 3).sortBy('creation_time').asc().toURL())
+            .to.equal(`${emulatorURL}/posts/3/comments?sort=creation_time_asc`);
+        expect(client.query('users').toURL()).to.equal(`${emulatorURL}/users`);
+    });
+
+    test('rejects what the resource does not take', () => {
+        let client = NewIssue1Client(emulatorURL);
+        expect(() => client.query('posts').sortBy('first-name')).to.throw(Issue1ValidationError, /sortParameter/);
+        expect(() => client.query('search').sortBy('rank')).to.not.throw();
+        expect(() => client.query('users').desc().toParams()).to.throw(Issue1ValidationError, /sortingOrder needs a sortBy/);
+        expect(() => client.query('comments', 3).matching('jazz')).to.throw(Issue1ValidationError);
+        expect(() => client.query('users').include('author')).to.throw(Issue1ValidationError);
+        expect(() => client.query('users').page(0)).to.throw(Issue1ValidationError, /page/);
+        expect(() => client.query('stars')).to.throw(Issue1ValidationError, /stars/);
+    });
+
+    test('execute and iterate', async () => {
+        let emulator = NewEmulator();
+        let client = NewIssue1Client(emulatorURL, {transport: emulator.transport});
+        let users = await client.query('users').sortBy('username').desc().page(1, 2).execute();
+        expect(users.map(user => user.username)).to.deep.equal(
+            Object.keys(emulator.state.users).sort().reverse().slice(0, 2));
+        let all = await client.query('users').sortBy('username').iterate({pageSize: 2}).collect();
+        expect(all.map(user => user.username)).to.deep.equal(Object.keys(emulator.state.users).sort());
+        let posts = await client.query('posts').include('author').page(1, 1).execute();
+        expect(posts[0]).to.have.property('author').that.has.property('username', posts[0].postedByUsername);
+    });
+});
+
+describe('search query', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('parses operators, terms and phrases', () => {
+        let query = parseSearchQuery('type:channel jazz sort:new');
+        expect(query).to.include({pattern: 'jazz', sort: 'new'});
+        expect(query.types).to.deep.equal(['channels']);
+        expect(query.tokens).to.deep.equal([
+            {kind: 'operator', operator: 'type', value: 'channel', raw: 'type:channel'},
+            {kind: 'term', value: 'jazz', raw: 'jazz'},
+            {kind: 'operator', operator: 'sort', value: 'new', raw: 'sort:new'},
+        ]);
+        query = parseSearchQuery('from:Cobotbol in:axesteel "still waiting" channel:"axe steel"');
+        expect(query).to.include({from: 'Cobotbol', in: 'axe steel', pattern: 'still waiting'});
+        expect(query.phrases).to.deep.equal(['still waiting']);
+        expect(query.errors).to.be.empty;
+    });
+
+    test('leaves out operators that make no sense', () => {
+        let query = parseSearchQuery('type:song limit:0 from: lonely http://issue1.test');
+        expect(query.errors.map(error => error.field)).to.deep.equal(['type', 'limit', 'from']);
+        expect(query.terms).to.deep.equal(['lonely', 'http://issue1.test']);
+        expect(query).to.not.have.property('limit');
+        expect(query.types).to.be.empty;
+    });
+
+    test('searches a single type on its own endpoint', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let results = await client.searchService.searchQuery('type:post from:Cobotbol in:axesteel mercy');
+        expect(results.posts.map(post => post.id)).to.deep.equal([7]);
+        expect(results.users).to.be.empty;
+        expect(results.query).to.include({from: 'Cobotbol', in: 'axesteel', pattern: 'mercy'});
+        let sorted = await searchQuery(client.connection, 'type:posts sort:new limit:3');
+        expect(sorted.posts.map(post => post.id)).to.deep.equal([9, 8, 7]);
+    });
+
+    test('searches everything for the rest, filtering what comes back', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let results = await client.searchService.searchQuery('from:Cobotbol "mercy"');
+        expect(results.posts.map(post => post.id)).to.deep.equal([7]);
+        expect(results.releases).to.be.empty;
+        expect(results.channels).to.be.empty;
+        let typed = await client.searchService.searchQuery('type:release,post mercy sort:relevance');
+        expect(typed.releases).to.not.be.empty;
+        expect(typed.users).to.be.empty;
+        let refused = await client.searchService.searchQuery('type:post mercy sort:relevance');
+        expect(refused.query.errors.map(error => error.field)).to.deep.equal(['sort']);
+        expect(refused.posts).to.not.be.empty;
+    });
+});
+
+describe('ranked search', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    test('highlights every word of the pattern', () => {
+        expect(highlightMatches('Have mercy, love.', 'LOVE mercy')).to.deep.equal([
+            {start: 5, end: 10},
+            {start: 12, end: 16},
+        ]);
+        expect(highlightMatches('loveless', 'love loveless')).to.deep.equal([{start: 0, end: 8}]);
+        expect(highlightMatches('Never mind.', '')).to.be.empty;
+        // İ lowercases to two characters, the offsets are still the text's
+        expect(highlightMatches('İzmir love', 'love')).to.deep.equal([{start: 6, end: 10}]);
+        expect(highlightMatches('Œuvre (a+b)', 'œuvre a+b')).to.deep.equal([{start: 0, end: 5}, {start: 7, end: 10}]);
+    });
+
+    test('merges the lists by relevance or the server\'s rank', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let ranked = await client.searchService.searchRanked('love');
+        expect(ranked.map(result => [result.type, result.position])).to.deep.equal([
+            ['user', 0], ['channel', 0], ['post', 1], ['post', 0], ['release', 0],
+        ]);
+        expect(ranked[0].highlights).to.deep.equal({
+            username: [{start: 0, end: 4}],
+            firstName: [{start: 0, end: 4}],
+        });
+        expect(ranked[4].highlights).to.have.property('metadata.description');
+        let results = await searchIssue1(client.connection, 'love', {sortParameter: 'rank'});
+        let byServer = rankSearchResults(results, {pattern: 'love', sortParameter: 'rank'});
+        expect(byServer.map(result => [result.type, result.position])).to.deep.equal([
+            ['post', 0], ['release', 0], ['channel', 0], ['user', 0], ['post', 1],
+        ]);
+        expect(byServer.every(result => result.score === 0)).to.be.true;
+    });
+
+    test('pages through the merged list', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport});
+        let paginator = client.searchService.paginateRanked({pattern: 'love', pageSize: 2, prefetch: false});
+        let page = await paginator.load();
+        expect(page.map(result => result.type)).to.deep.equal(['user', 'channel']);
+        page = await paginator.next();
+        expect(page.map(result => result.item.id)).to.deep.equal([7, 3]);
+        page = await paginator.next();
+        expect(page.map(result => result.item.id)).to.deep.equal([74]);
+        expect(paginator.hasMore).to.be.false;
+    });
+});
+
+describe('autocomplete', () => {
+    'use strict';
+
+    const emulatorURL = "http://issue1.test";
+
+    function searchesOf(client) {
+        const searches = [];
+        client.use(async (request, next) => {
+            if (request.path === '/users' || request.path === '/channels') {
+                searches.push(`${request.path} ${request.params.pattern}`);
+            }
+            return next();
+        });
+        return searches;
+    }
+
+    test('debounces and cancels overtaken suggestions', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, autocomplete: {delay: 20}});
+        let searches = searchesOf(client);
+        let first = client.autocomplete.suggest('@l');
+        let second = client.autocomplete.suggest('@lo');
+        let error = await first.catch(error => error);
+        expect(isAborted(error)).to.be.true;
+        let suggestions = await second;
+        expect(suggestions.map(suggestion => suggestion.text)).to.deep.equal(['@loveless']);
+        expect(suggestions[0].entity).to.include({firstName: 'Loveless'});
+        expect(searches).to.deep.equal(['/users lo']);
+        let controller = new AbortController();
+        let aborted = client.autocomplete.suggest('@rem', {signal: controller.signal});
+        controller.abort();
+        expect(isAborted(await aborted.catch(error => error))).to.be.true;
+        expect(searches).to.have.lengthOf(1);
+    });
+
+    test('answers from the cached prefixes', async () => {
+        expect(NewIssue1Client(emulatorURL, {transport: NewEmulator().transport})).to.have.property('autocomplete', undefined);
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, autocomplete: {delay: 0}});
+        let searches = searchesOf(client);
+        await client.autocomplete.suggest('@lo');
+        let suggestions = await client.autocomplete.suggest('@LOVE');
+        expect(suggestions.map(suggestion => suggestion.name)).to.deep.equal(['loveless']);
+        await client.autocomplete.suggest('@lo');
+        expect(searches).to.deep.equal(['/users lo']);
+    });
+
+    test('suggests the same whether a prefix is typed at once or a letter at a time', async () => {
+        let typed = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, autocomplete: {delay: 0}});
+        let pasted = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, autocomplete: {delay: 0}});
+        let searches = searchesOf(typed);
+        // Jones is loveless' last name, the search matches it but the mention wouldn't
+        await typed.autocomplete.suggest('@j');
+        let narrowed = await typed.autocomplete.suggest('@jo');
+        expect(searches).to.deep.equal(['/users j']);
+        expect(narrowed).to.deep.equal(await pasted.autocomplete.suggest('@jo'));
+        expect(narrowed).to.be.empty;
+    });
+
+    test('ranks exact, then prefix matches, by recency', async () => {
+        let client = NewIssue1Client(emulatorURL, {transport: NewEmulator().transport, autocomplete: {delay: 0}});
+        expect(client.autocomplete.suggestLocal('#a')).to.be.empty;
+        await client.postService.getPost(3);
+        expect(client.autocomplete.suggestLocal('@')).to.deep.equal([{kind: 'user', name: 'rembrandt', text: '@rembrandt'}]);
+        expect(client.autocomplete.suggestLocal('@REM')).to.have.lengthOf(1);
+        expect(client.autocomplete.suggestLocal('@brandt')).to.be.empty;
+        let suggestions = await client.autocomplete.suggest('#e');
+        expect(suggestions.map(suggestion => suggestion.name)).to.deep.equal(['faberge', 'axesteel', 'icehead']);
+        client.autocomplete.remember('channel', 'icehead');
+        suggestions = await client.autocomplete.suggest('#e');
+        expect(suggestions.map(suggestion => suggestion.name)).to.deep.equal(['icehead', 'faberge', 'axesteel']);
+        suggestions = await client.autocomplete.suggest('#axesteel');
+        expect(suggestions[0]).to.include({name: 'axesteel', text: '#axesteel'});
+        suggestions = await client.autocomplete.suggest('r');
+        expect(suggestions.map(suggestion => suggestion.text)).to.include.members(['@rembrandt', '#moribund']);
+    });
+});
+
+describe('declarations', () => {
+    'use strict';
+
+    // what index.d.ts declares: exported values with their arity and the members of each interface
+    function readDeclarations() {
+        const source = ts.createSourceFile('index.d.ts', fs.readFileSync('index.d.ts', 'utf8'), ts.ScriptTarget.ES2020);
+        const values = {};
+        const interfaces = {};
+        const isExported = node => (node.modifiers || []).some(modifier => modifier.kind === ts.SyntaxKind.ExportKeyword);
+        const arity = (known, node) => Math.max(known || 0, node.parameters.length);
+        source.statements.filter(isExported).forEach(node => {
+            if (ts.isFunctionDeclaration(node)) {
+                values[node.name.text] = arity(values[node.name.text], node);
+            } else if (ts.isClassDeclaration(node)) {
+                values[node.name.text] = undefined;
+            } else if (ts.isVariableStatement(node)) {
+                node.declarationList.declarations.forEach(declaration => values[declaration.name.text] = undefined);
+            } else if (ts.isInterfaceDeclaration(node)) {
+                const members = interfaces[node.name.text] = {};
+                node.members.forEach(member => {
+                    members[member.name.text] = ts.isMethodSignature(member) ?
+                        arity(members[member.name.text], member) :
+                        undefined;
+                });
+            }
+        });
+        return {values, interfaces};
+    }
+
+    // the parameters of every function in lib/, and of the methods of each service client
+    function readImplementation() {
+        const functions = {};
+        const clients = {};
+        fs.readdirSync('lib').filter(file => file.endsWith('.js')).forEach(file => {
+            const text = fs.readFileSync(path.join('lib', file), 'utf8');
+            const source = ts.createSourceFile(file, text, ts.ScriptTarget.ES2020, true, ts.ScriptKind.JS);
+            // the emulator's route handlers share names with the service functions
+            const exported = source.statements
+                .filter(node => ts.isExportDeclaration(node) && !node.moduleSpecifier && node.exportClause)
+                .flatMap(node => node.exportClause.elements.map(element => element.name.text));
+            source.statements.filter(ts.isFunctionDeclaration).forEach(node => {
+                if (exported.includes(node.name.text)) {
+                    functions[node.name.text] = node.parameters.length;
+                }
+                if (!/^New.*Client$/.test(node.name.text)) {
+                    return;
+                }
+                const methods = clients[node.name.text] = {};
+                // made from the route table, see NewRouteMethods
+                const service = /Object\.assign\(client, NewRouteMethods\(client, '(\w+)'\)\)/.exec(node.body.getText());
+                Object.keys(ROUTES)
+                    .filter(name => service && ROUTES[name].service === service[1])
+                    .forEach(name => methods[name] = routeArity(ROUTES[name]) - 1);
+                (function visit(child) {
+                    // methods of the client literal itself, not of objects they return
+                    if (ts.isMethodDeclaration(child) && ts.isVariableDeclaration(child.parent.parent)) {
+                        methods[child.name.text] = child.parameters.length;
+                    }
+                    ts.forEachChild(child, visit);
+                })(node.body);
+            });
+            // const getUser = NewRouteFunction('getUser');
+            source.statements.filter(ts.isVariableStatement).forEach(node => {
+                node.declarationList.declarations
+                    .filter(declaration => exported.includes(declaration.name.text) && declaration.initializer &&
+                        /^NewRouteFunction\(/.test(declaration.initializer.getText()))
+                    .forEach(declaration => functions[declaration.name.text] = routeArity(ROUTES[declaration.name.text]));
+            });
+        });
+        return {functions, clients};
+    }
+
+    const declared = readDeclarations();
+    const implemented = readImplementation();
+
+    test('every export is declared', () => {
+        expect(Object.keys(declared.values).sort()).to.deep.equal(Object.keys(issue1).sort());
+    });
+
+    test('exported functions take the declared parameters', () => {
+        Object.keys(issue1)
+            .filter(name => typeof issue1[name] === 'function' && !/^Issue1/.test(name))
+            .forEach(name => {
+                expect(declared.values[name], name).to.equal(implemented.functions[name]);
+            });
+    });
+
+    test('service clients have the declared members', () => {
+        Object.keys(issue1)
+            .filter(name => /^New\w+ServiceClient$/.test(name))
+            .concat('NewIssue1Client')
+            .forEach(factory => {
+                const members = declared.interfaces[factory.slice('New'.length)];
+                expect(members, factory).to.exist;
+                expect(Object.keys(members).sort(), factory)
+                    .to.deep.equal(Object.keys(issue1[factory]('http://issue1.test')).sort());
+                Object.keys(implemented.clients[factory] || {}).forEach(method => {
+                    expect(members[method], `${factory} ${method}`).to.equal(implemented.clients[factory][method]);
+                });
+            });
+    });
+});
+
 describe('userService', () => {
     'use strict';
 
@@ -205,9 +2030,9 @@ describe('userService', () => {
         try {
             await getUser(baseURL, "fake baby");
         } catch (error) {
-            expect(error).to.have.property("data")
-                .that.has.property("errorReason")
-                .that.equals("username");
+            expect(error).to.be.an.instanceOf(Issue1FailError);
+            expect(error).to.have.property("errorReason", "username");
+            expect(isNotFound(error)).to.be.true;
         }
     });
 
@@ -251,7 +2076,7 @@ describe('userService', () => {
     });
 
     test('addProfilePicture - success', async () => {
-        let fileStream = fs.createReadStream("test\\beachhouse.jpeg");
+        let fileStream = fs.createReadStream("test/beachhouse.jpeg");
         let response = await addProfilePicture(baseURL, testUser.username, authToken, fileStream, 'beachhouse.jpeg');
         console.log(response);
     });
@@ -446,7 +2271,9 @@ describe('channelService', () => {
     });
 
     test('deleteChannel - success', async () => {
-        let response = await deleteChannel(baseURL, 'icehead', authToken);
+        // its own channel, the others' fixtures stay in place
+        await addChannel(baseURL, {channelUsername: 'shortlived', name: 'Short Lived'}, authToken);
+        let response = await deleteChannel(baseURL, 'shortlived', authToken);
         expect(response).to.have.property("status", "success");
     });
 
@@ -599,7 +2426,7 @@ describe('channelService', () => {
     });
 
     test('addDisplayPicture - success', async () => {
-        let fileStream = fs.createReadStream("test\\beachhouse.jpeg");
+        let fileStream = fs.createReadStream("test/beachhouse.jpeg");
         let response = await addDisplayPicture(
             baseURL,
             testChannel.channelUsername,
@@ -611,7 +2438,7 @@ describe('channelService', () => {
     });
 
     test('removeDisplayPicture - success', async () => {
-        let response = await removeDisplayPicture(baseURL, testUser.username, authToken);
+        let response = await removeDisplayPicture(baseURL, testChannel.channelUsername, authToken);
         expect(response).to.have.property('status', 'success');
     });
 
@@ -729,7 +2556,7 @@ describe('releaseService', () => {
     });
 
     test('addImageRelease - success', async () => {
-        let fileStream = fs.createReadStream("test\\beachhouse.jpeg");
+        let fileStream = fs.createReadStream("test/beachhouse.jpeg");
         let release = await addImageRelease(baseURL, testReleaseImage, authToken, fileStream, 'beachhouse.jpeg');
         expect(release).to.have.property('ownerChannel', testReleaseText.ownerChannel);
     });
@@ -757,15 +2584,14 @@ describe('releaseService', () => {
                 }
             },
             authToken);
-        expect(release).to.have.property('metadata').to.have.property('other', otherMeta);
-        // todo fix assertion
+        expect(release).to.have.property('metadata').to.have.deep.property('other', otherMeta);
     });
 
     test('updateImageRelease - success', async () => {
         const otherMeta = {
             authors: [testUser.username]
         };
-        let fileStream = fs.createReadStream("test\\beachhouse.jpeg");
+        let fileStream = fs.createReadStream("test/beachhouse.jpeg");
         let release = await updateImageRelease(
             baseURL,
             75,
@@ -777,7 +2603,7 @@ describe('releaseService', () => {
             authToken,
             fileStream,
             'beachhouse.jpeg');
-        expect(release).to.have.property('metadata').to.have.property('other', otherMeta);
+        expect(release).to.have.property('metadata').to.have.deep.property('other', otherMeta);
     });
 
     test('deleteRelease - success', async () => {
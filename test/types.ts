@@ -0,0 +1,172 @@
+// Type tests for index.d.ts, checked with `npm run test:types` and never run.
+// Each assertion fails to compile when a declaration drifts from how the client is used.
+
+import {
+    NewIssue1Client,
+    NewConnection,
+    NewChannelServiceClient,
+    getPost,
+    getChannelPosts,
+    getFeedPosts,
+    searchIssue1,
+    highlightMatches,
+    searchUsers,
+    getComments,
+    getCommentThread,
+    addPost,
+    addTextRelease,
+    checkEntity,
+    decodeResponse,
+    isNotFound,
+    isAborted,
+    Issue1Error,
+    Issue1FailError,
+    Issue1ValidationError,
+    Issue1DecodeError,
+    SORT_PARAMETERS,
+    PRIORITIES,
+    paginate,
+} from '..';
+import type {
+    Bookmarks,
+    Channel,
+    Comment,
+    CommentNode,
+    Feed,
+    JSend,
+    PageIterator,
+    Paginator,
+    Post,
+    Release,
+    SearchResults,
+    Star,
+    Subscription,
+    User,
+    UserSortParameter,
+} from '..';
+import {NewEmulator} from '../emulator';
+
+type Equal<A, B> = (<T>() => T extends A ? 1 : 2) extends (<T>() => T extends B ? 1 : 2) ? true : false;
+
+function expectType<T extends true>(): void {
+}
+
+async function services() {
+    const client = NewIssue1Client('http://localhost:8080', {username: 'a', password: 'b', decode: true, retry: {maxAttempts: 2}});
+
+    expectType<Equal<Awaited<ReturnType<typeof client.userService.getUser>>, User>>();
+    expectType<Equal<Awaited<ReturnType<typeof client.userService.getUserBookmarks>>, Bookmarks>>();
+    expectType<Equal<Awaited<ReturnType<typeof client.postService.getPostStars>>, Star[]>>();
+    expectType<Equal<Awaited<ReturnType<typeof client.feedService.getFeed>>, Feed>>();
+    expectType<Equal<Awaited<ReturnType<typeof client.feedService.getFeedSubscriptions>>, Subscription[]>>();
+    expectType<Equal<Awaited<ReturnType<typeof client.channelService.deleteChannel>>, JSend>>();
+    expectType<Equal<Awaited<ReturnType<typeof client.searchService.searchIssue1>>, SearchResults>>();
+    expectType<Equal<ReturnType<typeof client.userService.iterateUsers>, PageIterator<User>>>();
+    expectType<Equal<ReturnType<typeof client.releaseService.paginateReleases>['items'], Release[]>>();
+
+    // the emulator has its own entry point
+    const emulated = NewIssue1Client('http://issue1.test', {transport: NewEmulator({tokenLifetime: 60}).transport});
+
+    // the connection stands in for the url
+    const connection = NewConnection('http://localhost:8080', {transport: 'fetch', validate: false, maxUploadSize: 10 * 1024 * 1024});
+    const post: Post = await getPost(connection, 1, {include: ['author', 'channel.owner'], includeDepth: 2, dedupe: false, priority: 'background'});
+    const author: User | undefined = post.author;
+
+    // onlyIds switches the result to ids
+    const ids: number[] = await getChannelPosts(connection, 'chromagnum', {onlyIds: true});
+    const posts: Post[] = await getChannelPosts(connection, 'chromagnum', {sorting: 'title'});
+    const feedIDs: number[] = await client.feedService.getFeedPosts('loveless', undefined, {onlyIds: true, sorting: 'hot'});
+    const feedPosts: Post[] = await getFeedPosts(connection, 'loveless', 'token', {sorting: 'new'});
+
+    // each list endpoint takes its own sort parameters
+    await searchUsers(connection, 'a', {sortParameter: 'first-name', sortingOrder: 'dsc'});
+    // @ts-expect-error posts aren't sorted by username
+    await client.postService.getPosts({sortParameter: 'username'});
+    // @ts-expect-error comments are only sorted by creation time
+    await getComments(connection, 1, {sortParameter: 'title'});
+    // @ts-expect-error search results are sorted by rank or creation time
+    await searchIssue1(connection, 'a', {sortParameter: 'id'});
+    // @ts-expect-error the order is either asc or dsc
+    await searchUsers(connection, 'a', {sortingOrder: 'desc'});
+    // @ts-expect-error feeds are sorted hot, new or top
+    await client.feedService.setDefaultFeedSorting('loveless', 'old');
+    // @ts-expect-error posts have no such relationship
+    await getPost(connection, 1, {include: ['stars']});
+
+    // the required fields of new entities
+    await addPost(connection, {originChannel: 'chromagnum', title: 'mercy'}, 'token');
+    // @ts-expect-error posts need a title
+    await addPost(connection, {originChannel: 'chromagnum'}, 'token');
+    // @ts-expect-error releases need their owner channel
+    await addTextRelease(connection, {content: 'words'}, 'token');
+    // @ts-expect-error writes aren't deduplicated
+    await NewChannelServiceClient(connection).updateChannel('chromagnum', {name: 'c'}, undefined, {dedupe: true});
+
+    const thread = await getCommentThread(connection, 1, {maxDepth: 2, sort: {sortParameter: 'creation_time', sortingOrder: 'asc'}});
+    const node: CommentNode | undefined = thread.find(3);
+    const more: CommentNode[] = await thread.comments[0].loadMoreReplies({limit: 5});
+
+    return [emulated, author, ids, posts, feedIDs, feedPosts, node, more];
+}
+
+function errors(error: unknown) {
+    if (isNotFound(error)) {
+        const status: number = error.status;
+        return status;
+    }
+    if (isAborted(error)) {
+        const base: Issue1Error = error;
+        return base;
+    }
+    if (error instanceof Issue1ValidationError || error instanceof Issue1DecodeError) {
+        return error.errors.map(({field, message}) => `${field} ${message}`);
+    }
+    if (error instanceof Issue1FailError) {
+        return error.errorReason;
+    }
+    return undefined;
+}
+
+function helpers() {
+    const problems: Array<{field: string, message: string}> = checkEntity('Channel', {name: 'c'});
+    const decoded: Channel = decodeResponse('http://localhost:8080', 'Channel', {});
+    const parameters: ReadonlyArray<UserSortParameter> = SORT_PARAMETERS.users;
+    const interactive: 0 = PRIORITIES.interactive;
+    const pages: PageIterator<string> = paginate(async ({limit}) => new Array<string>(limit).fill('a'));
+    // @ts-expect-error there's no such schema
+    checkEntity('Feed', {});
+    return [problems, decoded, parameters, interactive, pages];
+}
+
+async function queries(client: ReturnType<typeof NewIssue1Client>) {
+    const posts: Post[] = await client.query('posts').matching('jazz').sortBy('posted_by').desc().page(2, 50).execute();
+    const results: SearchResults = await client.query('search').matching('jazz').sortBy('rank').execute();
+    const comments: PageIterator<Comment> = client.query('comments', 1).include('author').iterate({pageSize: 10});
+    const url: string = client.query('feedSubscriptions', 'loveless').sortBy('sub-time').toURL();
+    // @ts-expect-error users are sorted by first-name, not first_name
+    client.query('users').sortBy('first_name');
+    // @ts-expect-error comments are listed under a post
+    client.query('comments');
+    // @ts-expect-error releases have no includes to resolve from a list
+    client.query('releases').include('channel');
+    const typed = await client.searchService.searchQuery('from:Cobotbol in:axesteel "still waiting"');
+    const chips: string[] = typed.query.tokens.map(token => token.kind === 'operator' ? `${token.operator}: ${token.value}` : token.value);
+    const found: Post[] = typed.posts;
+    const ranked = await client.searchService.searchRanked('love', {sortParameter: 'rank', limit: 10});
+    const titles = ranked.map(result => result.type === 'post' ? result.item.title : result.type === 'user' ? result.item.username : '');
+    const marks: Array<{start: number, end: number}> = highlightMatches('Have mercy, love.', 'love');
+    const autocomplete = NewIssue1Client('http://localhost:8080', {autocomplete: true}).autocomplete!;
+    const suggestions = await autocomplete.suggest('@lov');
+    const mentioned: string[] = suggestions.map(suggestion => suggestion.kind === 'user' && suggestion.entity ?
+        suggestion.entity.username : suggestion.text);
+    autocomplete.remember('channel', 'axesteel');
+    return [posts, results, comments, url, chips, found, titles, marks, mentioned];
+}
+
+function paginators(client: ReturnType<typeof NewIssue1Client>) {
+    const users: Paginator<User, {pattern?: string, sortingOrder?: 'asc' | 'dsc', sortParameter?: UserSortParameter}> =
+        client.userService.paginateUsers({pattern: 'a', pageSize: 10});
+    return users.setParams({sortParameter: 'username'});
+}
+
+export {services, errors, helpers, queries, paginators};